@@ -0,0 +1,192 @@
+import { chatCompletionJSON } from '../utils/openai.js';
+import { answerEvaluationContract } from './contracts.js';
+
+// Accumulated confidence at which a competency counts as covered
+const COVERAGE_CONFIDENCE = parseFloat(process.env.COVERAGE_CONFIDENCE_THRESHOLD) || 0.6;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Answer Evaluator Agent
+ * Scores each answer against the rubric competencies during the interview
+ * and keeps a coverage map (live_state.depth_scores) the interviewer uses to
+ * steer toward competencies it hasn't assessed yet
+ */
+export class AnswerEvaluatorAgent {
+  constructor() {
+    this.systemPrompt = `You are an expert interview assessor evaluating one answer at a time against a hiring rubric.
+
+Your task is to:
+- Decide which rubric competencies the answer gives evidence for
+- Score that evidence and say how confident you are in the score
+- Judge whether the answer is too shallow to assess
+
+Guidelines:
+- Only score competencies the answer actually speaks to
+- Confidence reflects how much evidence the answer gives, not how good it is
+- A shallow answer is generic, vague, or lacks reasoning and specifics
+- Suggest a follow-up only when probing the same answer would reveal more`;
+  }
+
+  /**
+   * Evaluate the latest answer against the rubric competencies
+   * @param {String} question - Question the candidate answered
+   * @param {String} answer - Candidate's answer
+   * @param {Array} competencies - Rubric competencies ({ name, description, must_have })
+   * @param {Object} libraryQuestion - Library question that was asked, if any ({ expected_answer, scoring_anchors })
+   */
+  async evaluateAnswer(question, answer, competencies, libraryQuestion = null) {
+    try {
+      const userPrompt = `Evaluate this interview answer against the rubric competencies.
+
+COMPETENCIES:
+${competencies.map(c => `- ${c.name}${c.description ? `: ${c.description}` : ''}`).join('\n')}
+
+QUESTION:
+${question}
+${this.describeGuide(libraryQuestion)}
+ANSWER:
+${answer}
+
+Return JSON:
+{
+  "depth": "shallow|adequate|deep",
+  "competencies": [
+    {
+      "name": "Competency name exactly as listed",
+      "score": 0.0-1.0,
+      "confidence": 0.0-1.0,
+      "evidence": "What in the answer supports the score"
+    }
+  ],
+  "follow_up": {
+    "needed": true/false,
+    "focus": "What a follow-up should probe, if needed"
+  }
+}`;
+
+      const messages = [
+        { role: 'system', content: this.systemPrompt },
+        { role: 'user', content: userPrompt }
+      ];
+
+      return await chatCompletionJSON(messages, {
+        agent: 'answer_evaluator',
+        task: 'evaluation',
+        schema: answerEvaluationContract,
+        temperature: 0.2,
+        max_tokens: 600
+      });
+    } catch (error) {
+      console.error('Answer evaluation error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Expected-answer guide and scoring anchors of a library question
+   */
+  describeGuide(libraryQuestion) {
+    const anchors = libraryQuestion?.scoring_anchors || [];
+    if (!libraryQuestion?.expected_answer && anchors.length === 0) return '';
+
+    let guide = '';
+    if (libraryQuestion.expected_answer) {
+      guide += `\nEXPECTED ANSWER GUIDE:\n${libraryQuestion.expected_answer}\n`;
+    }
+    if (anchors.length > 0) {
+      guide += `\nSCORING ANCHORS:\n${anchors.map(a => `- ${a.score}: ${a.description}`).join('\n')}\n`;
+    }
+    return guide;
+  }
+
+  /**
+   * Fold an answer evaluation into the coverage map
+   * Scores are averaged weighted by confidence; confidence accumulates
+   * across answers (1 - product of the misses).
+   * @param {Object} depthScores - live_state.depth_scores, keyed by competency name
+   * @param {Array} competencies - Rubric competencies
+   * @param {Object} evaluation - evaluateAnswer result
+   * @param {Number} turn - Transcript index of the answer
+   * @returns {Object} Updated depth scores
+   */
+  updateCoverage(depthScores, competencies, evaluation, turn) {
+    const updated = { ...depthScores };
+
+    for (const item of evaluation?.competencies || []) {
+      const competency = competencies.find(c => c.name.toLowerCase() === item.name.toLowerCase());
+      if (!competency || item.confidence <= 0) continue;
+
+      const previous = updated[competency.name] || {
+        score: null,
+        confidence: 0,
+        evidence_weight: 0,
+        answers: 0,
+        turns: []
+      };
+      const evidenceWeight = previous.evidence_weight + item.confidence;
+      const score = previous.score === null
+        ? item.score
+        : (previous.score * previous.evidence_weight + item.score * item.confidence) / evidenceWeight;
+      const confidence = 1 - (1 - previous.confidence) * (1 - item.confidence);
+
+      updated[competency.name] = {
+        score: round(score),
+        confidence: round(confidence),
+        evidence_weight: round(evidenceWeight),
+        answers: previous.answers + 1,
+        turns: [...previous.turns, turn],
+        covered: confidence >= COVERAGE_CONFIDENCE,
+        last_evidence: item.evidence || null
+      };
+    }
+
+    return updated;
+  }
+
+  /**
+   * Competencies the interviewer should steer toward: uncovered first, then
+   * lowest confidence; must-haves and heavier weights break ties
+   * @returns {Array} Competency names
+   */
+  focusCompetencies(depthScores, competencies, limit = 3) {
+    return competencies
+      .map(c => ({ ...c, confidence: depthScores[c.name]?.confidence || 0 }))
+      .filter(c => c.confidence < COVERAGE_CONFIDENCE)
+      .sort((a, b) => (
+        a.confidence - b.confidence
+        || (b.must_have ? 1 : 0) - (a.must_have ? 1 : 0)
+        || (b.weight || 0) - (a.weight || 0)
+      ))
+      .slice(0, limit)
+      .map(c => c.name);
+  }
+
+  /**
+   * Coverage map for the report: every rubric competency, assessed or not
+   */
+  buildCoverageMap(depthScores, competencies) {
+    const entries = competencies.map(c => {
+      const coverage = depthScores[c.name];
+      return {
+        competency: c.name,
+        must_have: Boolean(c.must_have),
+        weight: c.weight,
+        covered: Boolean(coverage?.covered),
+        score: coverage?.score ?? null,
+        confidence: coverage?.confidence || 0,
+        answers: coverage?.answers || 0,
+        turns: coverage?.turns || []
+      };
+    });
+
+    return {
+      competencies: entries,
+      covered_count: entries.filter(e => e.covered).length,
+      total_count: entries.length,
+      uncovered: entries.filter(e => !e.covered).map(e => e.competency)
+    };
+  }
+}
+
+export default new AnswerEvaluatorAgent();
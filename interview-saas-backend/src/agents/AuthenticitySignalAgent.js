@@ -1,4 +1,5 @@
 import { chatCompletionJSON } from '../utils/openai.js';
+import { authenticityAnalysisContract, authenticityQuickCheckContract } from './contracts.js';
 
 /**
  * Authenticity Signal Agent
@@ -80,6 +81,9 @@ Focus on response quality, not accusations. Frame concerns constructively.`;
       ];
 
       const analysis = await chatCompletionJSON(messages, {
+        agent: 'authenticity_signal',
+        task: 'analysis',
+        schema: authenticityAnalysisContract,
         temperature: 0.3,
         max_tokens: 1500
       });
@@ -120,6 +124,9 @@ Assess response quality. Return JSON:
       ];
 
       return await chatCompletionJSON(messages, {
+        agent: 'authenticity_signal',
+        task: 'quick_check',
+        schema: authenticityQuickCheckContract,
         temperature: 0.3,
         max_tokens: 200
       });
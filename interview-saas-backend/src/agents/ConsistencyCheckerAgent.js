@@ -1,4 +1,5 @@
 import { chatCompletionJSON } from '../utils/openai.js';
+import { consistencyAnalysisContract, consistencyQuickCheckContract } from './contracts.js';
 
 /**
  * Consistency Checker Agent
@@ -77,6 +78,9 @@ Analyze and return JSON with:
       ];
 
       const analysis = await chatCompletionJSON(messages, {
+        agent: 'consistency_checker',
+        task: 'analysis',
+        schema: consistencyAnalysisContract,
         temperature: 0.3, // Lower temperature for objective analysis
         max_tokens: 2000
       });
@@ -125,6 +129,9 @@ Does the response demonstrate credible knowledge of this claim? Reply with JSON:
       ];
 
       return await chatCompletionJSON(messages, {
+        agent: 'consistency_checker',
+        task: 'quick_check',
+        schema: consistencyQuickCheckContract,
         temperature: 0.3,
         max_tokens: 200
       });
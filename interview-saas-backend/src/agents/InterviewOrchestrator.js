@@ -2,11 +2,25 @@ import InterviewerAgent from './InterviewerAgent.js';
 import ConsistencyCheckerAgent from './ConsistencyCheckerAgent.js';
 import AuthenticitySignalAgent from './AuthenticitySignalAgent.js';
 import StressMonitorAgent from './StressMonitorAgent.js';
+import AnswerEvaluatorAgent from './AnswerEvaluatorAgent.js';
 import ReportSynthesizerAgent from './ReportSynthesizerAgent.js';
 import WebhookService from '../services/WebhookService.js';
-import { query } from '../db/index.js';
+import InterviewStateMachine, { InterviewTransitionError } from '../services/InterviewStateMachine.js';
+import ReportService from '../services/ReportService.js';
+import ReviewService from '../services/ReviewService.js';
+import BlueprintService from '../services/BlueprintService.js';
+import QuestionLibraryService from '../services/QuestionLibraryService.js';
+import TranscriptService from '../services/TranscriptService.js';
+import { allocatePhaseMinutes, planPacing } from './pacing.js';
+import { scoreCompetencies, listAnswerScores } from './scoring.js';
+import { matchBankQuestion, answerScore } from './questionMatch.js';
+import { runWithLLMContext } from '../providers/llm/index.js';
+import { query, transaction } from '../db/index.js';
 import { logger } from '../utils/logger.js';
 
+const MINUTE = 60 * 1000;
+const PACING_LOG_LIMIT = 20;
+
 /**
  * Interview Orchestrator
  * Manages the complete interview flow and coordinates all AI agents
@@ -14,7 +28,7 @@ import { logger } from '../utils/logger.js';
 export class InterviewOrchestrator {
   constructor(interviewId) {
     this.interviewId = interviewId;
-    this.phases = ['warmup', 'claim_verification', 'scenario', 'depth', 'reflection'];
+    this.blueprint = null; // phases come from the job's blueprint (see loadContext)
     this.currentPhaseIndex = 0;
 
     // Agent instances
@@ -22,7 +36,26 @@ export class InterviewOrchestrator {
     this.consistencyChecker = ConsistencyCheckerAgent;
     this.authenticitySignal = AuthenticitySignalAgent;
     this.stressMonitor = StressMonitorAgent;
+    this.answerEvaluator = AnswerEvaluatorAgent;
     this.reportSynthesizer = ReportSynthesizerAgent;
+
+    // Attributes agent LLM calls to this interview's company (filled in by loadContext)
+    this.llmContext = { interviewId };
+  }
+
+  get phases() {
+    return this.blueprint.phases;
+  }
+
+  currentPhase() {
+    return this.phases[this.currentPhaseIndex];
+  }
+
+  /**
+   * Run `fn` with LLM calls attributed to this interview and its company
+   */
+  withLLMContext(fn) {
+    return runWithLLMContext(this.llmContext, fn);
   }
 
   async loadContext() {
@@ -35,6 +68,7 @@ export class InterviewOrchestrator {
           j.required_skills, j.seniority_level,
           c.full_name as candidate_name, c.email as candidate_email,
           c.resume_text, c.resume_parsed,
+          r.version as rubric_version,
           r.competencies, r.question_bank, r.evaluation_criteria
         FROM interviews i
         LEFT JOIN jobs j ON i.job_id = j.id
@@ -50,16 +84,30 @@ export class InterviewOrchestrator {
       }
 
       this.context = result.rows[0];
+      this.llmContext.companyId = this.context.company_id;
+      this.context.question_bank = await QuestionLibraryService.resolveQuestionBank(
+        this.context.question_bank,
+        this.context.company_id
+      );
 
       this.context.transcript = this.context.transcript || [];
       this.context.live_state = this.context.live_state || {
         stress_level: 'low',
         depth_scores: {},
         flags: [],
-        phase_index: 0
+        phase_index: 0,
+        phase_answers: 0,
+        phase_started_at: null
       };
 
-      this.currentPhaseIndex = this.context.live_state.phase_index || 0;
+      // Started interviews follow their snapshot; others the job's current blueprint
+      this.blueprint = this.context.blueprint
+        || await BlueprintService.getForJob(this.context.job_id);
+
+      this.currentPhaseIndex = Math.min(
+        this.context.live_state.phase_index || 0,
+        this.phases.length - 1
+      );
 
       return this.context;
     } catch (error) {
@@ -69,237 +117,527 @@ export class InterviewOrchestrator {
   }
 
   async startInterview() {
-    try {
-      await this.loadContext();
+    return this.withLLMContext(async () => {
+      try {
+        await this.loadContext();
+        await this.snapshotBlueprint();
+        await this.updatePacing();
 
-      const opening = await this.interviewer.generateOpening(
-        {
-          title: this.context.job_title,
-          duration_minutes: this.context.duration_minutes
-        },
-        {
-          full_name: this.context.candidate_name
-        },
-        this.context.language
-      );
+        const opening = await this.interviewer.generateOpening(
+          {
+            title: this.context.job_title,
+            duration_minutes: this.context.duration_minutes
+          },
+          {
+            full_name: this.context.candidate_name
+          },
+          this.context.language
+        );
 
-      await this.addToTranscript('ai', opening);
+        await this.addToTranscript('ai', opening);
 
-      return {
-        message: opening,
-        phase: this.phases[this.currentPhaseIndex]
-      };
-    } catch (error) {
-      logger.error('Failed to start interview:', error);
-      throw error;
-    }
+        return {
+          message: opening,
+          phase: this.currentPhase().key
+        };
+      } catch (error) {
+        logger.error('Failed to start interview:', error);
+        throw error;
+      }
+    });
   }
 
   async processResponse(candidateResponse) {
-    try {
-      await this.loadContext();
-
-      await this.addToTranscript('candidate', candidateResponse);
-
-      const [stressCheck, signalCheck] = await Promise.all([
-        this.stressMonitor.quickStressCheck(candidateResponse),
-        this.authenticitySignal.quickSignalCheck(
-          this.getLastAIMessage(),
-          candidateResponse
-        )
-      ]);
+    return this.withLLMContext(async () => {
+      try {
+        await this.loadContext();
 
-      await this.updateLiveState({
-        stress_level: stressCheck.stress_level,
-        last_signal_check: signalCheck
-      });
+        await this.addToTranscript('candidate', candidateResponse);
 
-      await this.logObservation('stress_monitor', stressCheck);
-      await this.logObservation('authenticity_signal', signalCheck);
+        const answerTurn = this.context.transcript.length - 1;
+        const competencies = this.context.competencies || [];
+        // Library questions carry an expected-answer guide and scoring anchors
+        const askedQuestion = matchBankQuestion(this.getLastAIMessage(), this.context.question_bank);
 
-      const shouldAdvance = await this.shouldAdvancePhase();
-      if (shouldAdvance) {
-        this.currentPhaseIndex = Math.min(
-          this.currentPhaseIndex + 1,
-          this.phases.length - 1
-        );
-        await this.updatePhaseIndex(this.currentPhaseIndex);
-      }
-
-      if (this.shouldEndInterview()) {
-        return await this.endInterview();
-      }
+        const [stressCheck, signalCheck, evaluation] = await Promise.all([
+          this.stressMonitor.quickStressCheck(candidateResponse),
+          this.authenticitySignal.quickSignalCheck(
+            this.getLastAIMessage(),
+            candidateResponse
+          ),
+          competencies.length > 0
+            ? this.answerEvaluator.evaluateAnswer(
+              this.getLastAIMessage(),
+              candidateResponse,
+              competencies,
+              askedQuestion
+            )
+            : null
+        ]);
 
-      const context = {
-        job: {
-          title: this.context.job_title,
-          description: this.context.job_description,
-          required_skills: this.context.required_skills,
-          seniority_level: this.context.seniority_level
-        },
-        rubric: {
-          competencies: this.context.competencies,
-          question_bank: this.context.question_bank,
-          evaluation_criteria: this.context.evaluation_criteria
-        },
-        candidate: {
-          full_name: this.context.candidate_name,
-          resume_text: this.context.resume_text
-        },
-        phase: this.phases[this.currentPhaseIndex],
-        transcript: this.context.transcript,
-        stress_level: stressCheck.stress_level,
-        language: this.context.language
-      };
+        // Answers to a follow-up don't count toward the phase's question count
+        const { phase_answers: phaseAnswers = 0, follow_up: answeredFollowUp } = this.context.live_state;
+
+        await this.updateLiveState({
+          stress_level: stressCheck.stress_level,
+          last_signal_check: signalCheck,
+          phase_answers: answeredFollowUp ? phaseAnswers : phaseAnswers + 1,
+          depth_scores: this.answerEvaluator.updateCoverage(
+            this.context.live_state.depth_scores || {},
+            competencies,
+            evaluation,
+            answerTurn
+          ),
+          last_evaluation: evaluation && { ...evaluation, turn: answerTurn }
+        });
 
-      let nextQuestion;
+        await this.logObservation('stress_monitor', stressCheck);
+        await this.logObservation('authenticity_signal', signalCheck);
+        if (evaluation) {
+          await this.logObservation('answer_evaluator', { ...evaluation, turn: answerTurn });
+        }
 
-      if (stressCheck.stress_level === 'high' && Math.random() > 0.5) {
-        const reassurance = await this.stressMonitor.generateReassurance(
-          this.context.language
-        );
-        await this.addToTranscript('ai', reassurance);
-        nextQuestion = reassurance;
-      } else {
-        nextQuestion = await this.interviewer.getNextQuestion(context);
-        await this.addToTranscript('ai', nextQuestion);
-      }
+        // The wrap-up question has been answered once the previous decision was already wrap_up
+        const wrapUpAnswered = this.context.live_state.pacing?.action === 'wrap_up';
+        const pacing = await this.updatePacing();
 
-      return {
-        message: nextQuestion,
-        phase: this.phases[this.currentPhaseIndex],
-        stress_level: stressCheck.stress_level
-      };
-    } catch (error) {
-      logger.error('Failed to process response:', error);
-      throw error;
-    }
-  }
+        if (pacing.action === 'time_up' || (pacing.action === 'wrap_up' && wrapUpAnswered)) {
+          return await this.endInterview({ reason: 'Interview time limit reached', timeUp: true });
+        }
 
-  async endInterview() {
-    try {
-      await this.loadContext();
+        const followUp = this.planFollowUp(evaluation, pacing, answerTurn);
 
-      const closing = await this.interviewer.generateClosing(this.context.language);
-      await this.addToTranscript('ai', closing);
+        if (pacing.action === 'wrap_up') {
+          if (this.currentPhaseIndex !== pacing.phase_index) {
+            await this.moveToPhase(pacing.phase_index);
+          }
+        } else if (!followUp && this.isPhaseComplete()) {
+          if (this.currentPhaseIndex >= this.phases.length - 1) {
+            return await this.endInterview();
+          }
+          await this.advancePhase();
+        }
 
-      const [consistencyAnalysis, authenticityAnalysis, stressAssessment] =
-        await Promise.all([
-          this.consistencyChecker.checkConsistency(
-            {
-              resume_text: this.context.resume_text,
-              resume_parsed: this.context.resume_parsed
-            },
-            this.context.transcript,
-            {
-              competencies: this.context.competencies,
-              question_bank: this.context.question_bank
-            }
-          ),
-          this.authenticitySignal.analyzeSignals(this.context.transcript),
-          this.stressMonitor.assessStress(this.context.transcript)
-        ]);
+        if (this.reachedAnswerLimit()) {
+          return await this.endInterview();
+        }
 
-      const report = await this.reportSynthesizer.generateReport(
-        this.context,
-        {
+        const context = {
           job: {
             title: this.context.job_title,
             description: this.context.job_description,
             required_skills: this.context.required_skills,
             seniority_level: this.context.seniority_level
           },
+          rubric: {
+            competencies: this.context.competencies,
+            question_bank: this.context.question_bank,
+            evaluation_criteria: this.context.evaluation_criteria
+          },
           candidate: {
             full_name: this.context.candidate_name,
-            email: this.context.candidate_email,
             resume_text: this.context.resume_text
           },
-          rubric: {
-            competencies: this.context.competencies,
-            question_bank: this.context.question_bank
-          },
+          phase: this.currentPhase(),
           transcript: this.context.transcript,
-          consistency_analysis: consistencyAnalysis,
-          authenticity_analysis: authenticityAnalysis,
-          stress_assessment: stressAssessment
+          stress_level: stressCheck.stress_level,
+          pacing: pacing.action,
+          coverage: {
+            focus: this.answerEvaluator.focusCompetencies(
+              this.context.live_state.depth_scores,
+              competencies
+            ),
+            follow_up: followUp
+          },
+          language: this.context.language
+        };
+
+        let nextQuestion;
+        let askedFollowUp = null;
+
+        if (stressCheck.stress_level === 'high' && Math.random() > 0.5) {
+          const reassurance = await this.stressMonitor.generateReassurance(
+            this.context.language
+          );
+          await this.addToTranscript('ai', reassurance);
+          nextQuestion = reassurance;
+        } else {
+          nextQuestion = await this.interviewer.getNextQuestion(context);
+          await this.addToTranscript('ai', nextQuestion);
+          askedFollowUp = followUp;
         }
-      );
 
-      await query(
-        `
-        UPDATE interviews SET
-          status = 'completed',
-          completed_at = NOW(),
-          overall_score = $1,
-          strengths = $2,
-          weaknesses = $3,
-          cv_consistency_score = $4,
-          authenticity_risk = $5,
-          recommendation = $6,
-          report_data = $7,
-          report_generated = true
-        WHERE id = $8
-      `,
-        [
-          report.overall_score,
-          JSON.stringify(report.strengths),
-          JSON.stringify(report.weaknesses),
-          consistencyAnalysis.cv_consistency_score,
-          authenticityAnalysis.authenticity_risk,
-          report.recommendation,
-          JSON.stringify(report),
-          this.interviewId
-        ]
-      );
+        await this.updateLiveState({ follow_up: askedFollowUp });
+
+        return {
+          message: nextQuestion,
+          phase: this.currentPhase().key,
+          stress_level: stressCheck.stress_level,
+          pacing
+        };
+      } catch (error) {
+        logger.error('Failed to process response:', error);
+        throw error;
+      }
+    });
+  }
 
-      // Trigger webhook for interview completion
+  /**
+   * Complete the interview and queue its report
+   * The report is built by the report worker (ReportService), the same
+   * pipeline used for retries and regeneration.
+   * @param {Object} options - { actor, reason } recorded on the status transition;
+   *   timeUp closes by telling the candidate the time is up
+   */
+  async endInterview(options = {}) {
+    return this.withLLMContext(async () => {
       try {
-        await WebhookService.triggerEvent(
-          this.context.company_id,
-          'interview.completed',
-          {
-            interview_id: this.interviewId,
-            candidate_email: this.context.candidate_email,
-            candidate_name: this.context.candidate_name,
-            job_title: this.context.job_title,
-            overall_score: report.overall_score,
-            recommendation: report.recommendation,
-            completed_at: new Date().toISOString()
-          }
+        await this.loadContext();
+
+        if (this.context.status !== 'completed') {
+          await InterviewStateMachine.transition(this.interviewId, 'complete', {
+            actor: options.actor,
+            reason: options.reason || 'Interview finished'
+          });
+        }
+
+        const closing = await this.interviewer.generateClosing(this.context.language, {
+          timeUp: options.timeUp
+        });
+        await this.addToTranscript('ai', closing, { statuses: ['completed'] });
+
+        // A pending report is picked up again when the worker starts, so a
+        // queue outage must not fail the interview itself
+        try {
+          await ReportService.enqueueReport(this.interviewId);
+        } catch (queueError) {
+          logger.error('Failed to queue report:', queueError);
+        }
+
+        // Trigger webhook for interview completion (scores follow in report.generated)
+        try {
+          await WebhookService.triggerEvent(
+            this.context.company_id,
+            'interview.completed',
+            {
+              interview_id: this.interviewId,
+              candidate_email: this.context.candidate_email,
+              candidate_name: this.context.candidate_name,
+              job_title: this.context.job_title,
+              overall_score: null,
+              recommendation: null,
+              completed_at: new Date().toISOString()
+            }
+          );
+        } catch (webhookError) {
+          logger.error('Failed to trigger webhook:', webhookError);
+        }
+
+        logger.info(`Interview ${this.interviewId} completed successfully`);
+
+        return {
+          message: closing,
+          completed: true,
+          report_status: 'pending'
+        };
+      } catch (error) {
+        logger.error('Failed to end interview:', error);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Run the analysis agents over the stored transcript and save the report
+   * Used at the end of a live interview and by the background report queue.
+   */
+  async buildReport() {
+    return this.withLLMContext(async () => {
+      if (!this.context) {
+        await this.loadContext();
+      }
+
+      const analysis = await this.analyzeTranscript(this.interviewRubric());
+      const { report, consistencyAnalysis, authenticityAnalysis, evaluations } = analysis;
+
+      // Locked like a recruiter override, so adjusted scores always follow the saved report
+      await transaction(async (client) => {
+        await client.query('SELECT id FROM interviews WHERE id = $1 FOR UPDATE', [this.interviewId]);
+
+        await client.query(
+          `
+          UPDATE interviews SET
+            overall_score = $1,
+            strengths = $2,
+            weaknesses = $3,
+            cv_consistency_score = $4,
+            authenticity_risk = $5,
+            recommendation = $6,
+            report_data = $7,
+            report_generated = true,
+            report_status = 'done',
+            report_error = NULL,
+            report_completed_at = NOW()
+          WHERE id = $8
+        `,
+          [
+            report.overall_score,
+            JSON.stringify(report.strengths),
+            JSON.stringify(report.weaknesses),
+            consistencyAnalysis.cv_consistency_score,
+            authenticityAnalysis.authenticity_risk,
+            report.recommendation,
+            JSON.stringify(report),
+            this.interviewId
+          ]
+        );
+
+        await ReviewService.reapplyOverrides(client, this.interviewId, report);
+
+        // The row lock also serialises version numbers with re-scores
+        await client.query(
+          `
+          INSERT INTO interview_report_versions
+            (interview_id, company_id, version, source, rubric_id, rubric_version,
+             status, overall_score, recommendation, report_data, completed_at)
+          SELECT $1, $2, COALESCE(MAX(version), 0) + 1, 'generated', $3, $4, 'done', $5, $6, $7, NOW()
+          FROM interview_report_versions
+          WHERE interview_id = $1
+        `,
+          [
+            this.interviewId,
+            this.context.company_id,
+            this.context.rubric_id,
+            this.context.rubric_version,
+            report.overall_score,
+            report.recommendation,
+            JSON.stringify(report)
+          ]
         );
-      } catch (webhookError) {
-        logger.error('Failed to trigger webhook:', webhookError);
+      });
+
+      await this.recordQuestionUsage(evaluations);
+
+      await WebhookService.triggerEvent(
+        this.context.company_id,
+        'report.generated',
+        {
+          interview_id: this.interviewId,
+          candidate_email: this.context.candidate_email,
+          job_title: this.context.job_title,
+          overall_fit: report.overall_fit,
+          overall_score: report.overall_score,
+          recommendation: report.recommendation,
+          generated_at: new Date().toISOString()
+        }
+      );
+
+      return analysis;
+    });
+  }
+
+  /**
+   * Re-score the stored transcript against another rubric version
+   * Nothing is saved on the interview; the caller stores the report as a
+   * new report version.
+   * @param {Object} rubric - Rubric row ({ id, version, competencies, question_bank })
+   */
+  async rescore(rubric) {
+    return this.withLLMContext(async () => {
+      if (!this.context) {
+        await this.loadContext();
       }
 
-      logger.info(`Interview ${this.interviewId} completed successfully`);
+      return this.analyzeTranscript({
+        ...rubric,
+        question_bank: await QuestionLibraryService.resolveQuestionBank(
+          rubric.question_bank,
+          this.context.company_id
+        )
+      });
+    });
+  }
 
-      return {
-        message: closing,
-        completed: true,
-        report
-      };
+  /**
+   * Record which library questions were asked and how they were answered,
+   * for the library's usage and discrimination statistics
+   * @param {Array} evaluations - Answer evaluations with their transcript `turn`
+   */
+  async recordQuestionUsage(evaluations) {
+    try {
+      const competencies = this.context.competencies || [];
+      const usages = evaluations.flatMap((evaluation) => {
+        const question = matchBankQuestion(this.getQuestionBefore(evaluation.turn), this.context.question_bank);
+        if (!question?.question_id) return [];
+
+        return [{
+          question_id: question.question_id,
+          turn: evaluation.turn,
+          answer_score: answerScore(evaluation, competencies)
+        }];
+      });
+
+      await QuestionLibraryService.recordUsage(
+        this.interviewId,
+        this.context.company_id,
+        this.context.rubric_id,
+        usages
+      );
     } catch (error) {
-      logger.error('Failed to end interview:', error);
-      throw error;
+      // Statistics only; not worth failing the report over
+      logger.error('Failed to record question usage:', error);
     }
   }
 
-  async addToTranscript(speaker, text) {
-    const message = {
-      speaker,
-      text,
-      timestamp: new Date().toISOString()
+  /**
+   * The rubric the interview was run with
+   */
+  interviewRubric() {
+    return {
+      id: this.context.rubric_id,
+      version: this.context.rubric_version,
+      competencies: this.context.competencies,
+      question_bank: this.context.question_bank
     };
+  }
 
-    await query(
-      `
-      UPDATE interviews 
-      SET transcript = transcript || $1::jsonb
-      WHERE id = $2
-    `,
-      [JSON.stringify([message]), this.interviewId]
+  /**
+   * Run the analysis agents over the stored transcript against a rubric
+   * @param {Object} rubric - { id, version, competencies, question_bank (resolved) }
+   * @returns {Object} { report, consistencyAnalysis, authenticityAnalysis, stressAssessment, evaluations }
+   */
+  async analyzeTranscript(rubric) {
+    const [consistencyAnalysis, authenticityAnalysis, stressAssessment] =
+      await Promise.all([
+        this.consistencyChecker.checkConsistency(
+          {
+            resume_text: this.context.resume_text,
+            resume_parsed: this.context.resume_parsed
+          },
+          this.context.transcript,
+          {
+            competencies: rubric.competencies,
+            question_bank: rubric.question_bank
+          }
+        ),
+        this.authenticitySignal.analyzeSignals(this.context.transcript),
+        this.stressMonitor.assessStress(this.context.transcript)
+      ]);
+
+    // Score from every answer's evaluation so REST-fed transcripts are scored too;
+    // live evaluations only count for the rubric the interview ran with
+    const competencies = rubric.competencies || [];
+    const evaluations = await this.evaluateAnswers(competencies, {
+      reuse: rubric.id === this.context.rubric_id,
+      questionBank: rubric.question_bank
+    });
+    const depthScores = evaluations.reduce(
+      (scores, evaluation) => this.answerEvaluator.updateCoverage(scores, competencies, evaluation, evaluation.turn),
+      {}
+    );
+
+    const report = await this.reportSynthesizer.generateReport(
+      this.context,
+      {
+        job: {
+          title: this.context.job_title,
+          description: this.context.job_description,
+          required_skills: this.context.required_skills,
+          seniority_level: this.context.seniority_level
+        },
+        candidate: {
+          full_name: this.context.candidate_name,
+          email: this.context.candidate_email,
+          resume_text: this.context.resume_text
+        },
+        rubric: {
+          competencies: rubric.competencies,
+          question_bank: rubric.question_bank
+        },
+        transcript: this.context.transcript,
+        consistency_analysis: consistencyAnalysis,
+        authenticity_analysis: authenticityAnalysis,
+        stress_assessment: stressAssessment,
+        scoring: scoreCompetencies(depthScores, competencies),
+        answer_scores: listAnswerScores(evaluations, competencies),
+        coverage: this.answerEvaluator.buildCoverageMap(depthScores, competencies)
+      }
     );
 
+    report.rubric_id = rubric.id || null;
+    report.rubric_version = rubric.version || null;
+
+    return { report, consistencyAnalysis, authenticityAnalysis, stressAssessment, evaluations };
+  }
+
+  /**
+   * Evaluations of every candidate answer, in transcript order
+   * Reuses the ones made live (logged as answer_evaluator observations) and
+   * evaluates the rest now.
+   * @param {Array} competencies - Rubric competencies to evaluate against
+   * @param {Object} options - { reuse: false evaluates every answer afresh and logs nothing,
+   *   questionBank: resolved question bank whose guides inform the evaluation }
+   * @returns {Array} AnswerEvaluatorAgent results with their transcript `turn`
+   */
+  async evaluateAnswers(competencies, options = {}) {
+    const { reuse = true, questionBank = this.context.question_bank } = options;
+
+    if (competencies.length === 0) return [];
+
+    const result = reuse
+      ? await query(
+        `
+        SELECT observation FROM agent_observations
+        WHERE interview_id = $1 AND agent_type = 'answer_evaluator'
+        ORDER BY created_at
+      `,
+        [this.interviewId]
+      )
+      : { rows: [] };
+    const logged = new Map(result.rows.map(row => [row.observation.turn, row.observation]));
+
+    const evaluations = [];
+
+    for (const [turn, message] of this.context.transcript.entries()) {
+      if (message.speaker !== 'candidate') continue;
+
+      let evaluation = logged.get(turn);
+
+      if (!evaluation) {
+        const question = this.getQuestionBefore(turn);
+        const fresh = await this.answerEvaluator.evaluateAnswer(
+          question,
+          message.text,
+          competencies,
+          matchBankQuestion(question, questionBank)
+        );
+        if (!fresh) continue;
+
+        evaluation = { ...fresh, turn };
+        if (reuse) {
+          await this.logObservation('answer_evaluator', evaluation);
+        }
+      }
+
+      evaluations.push(evaluation);
+    }
+
+    return evaluations;
+  }
+
+  /**
+   * Append a turn to the stored transcript and the loaded context
+   * @param {Object} options - { statuses } the interview may be in; defaults to a live interview
+   */
+  async addToTranscript(speaker, text, options = {}) {
+    const message = TranscriptService.entry(speaker, text);
+    const statuses = options.statuses || ['in_progress', 'paused'];
+
+    const length = await TranscriptService.append(this.interviewId, [message], { statuses });
+    if (length === null) {
+      throw new InterviewTransitionError('Interview is no longer running');
+    }
+
     if (!this.context.transcript) {
       this.context.transcript = [];
     }
@@ -321,8 +659,120 @@ export class InterviewOrchestrator {
     this.context.live_state = newState;
   }
 
-  async updatePhaseIndex(index) {
-    await this.updateLiveState({ phase_index: index });
+  /**
+   * Move to the next blueprint phase, passing over phases pacing skipped
+   */
+  async advancePhase() {
+    const skipped = this.context.live_state.skipped_phases || [];
+    let nextIndex = this.currentPhaseIndex + 1;
+
+    while (nextIndex < this.phases.length - 1 && skipped.includes(this.phases[nextIndex].key)) {
+      nextIndex += 1;
+    }
+
+    await this.moveToPhase(nextIndex);
+  }
+
+  async moveToPhase(phaseIndex) {
+    this.currentPhaseIndex = phaseIndex;
+
+    await this.updateLiveState({
+      phase_index: this.currentPhaseIndex,
+      phase_answers: 0,
+      phase_started_at: new Date().toISOString()
+    });
+
+    await query(
+      'UPDATE interviews SET current_phase = $1 WHERE id = $2',
+      [this.currentPhase().key, this.interviewId]
+    );
+  }
+
+  /**
+   * Freeze the blueprint this interview runs on, so edits to the job's
+   * blueprint don't reshuffle phases mid-interview
+   */
+  async snapshotBlueprint() {
+    if (this.context.blueprint) return;
+
+    await query(
+      'UPDATE interviews SET blueprint = $1, current_phase = $2 WHERE id = $3',
+      [JSON.stringify(this.blueprint), this.currentPhase().key, this.interviewId]
+    );
+    this.context.blueprint = this.blueprint;
+
+    if (!this.context.live_state.phase_started_at) {
+      await this.updateLiveState({ phase_started_at: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Re-plan pacing against the interview's duration and store the decision
+   * in live_state.pacing, where HR observers see it. Decisions other than
+   * on_track are also kept in live_state.pacing_log.
+   * @returns {Object} Pacing decision (see planPacing)
+   */
+  async updatePacing() {
+    const decision = {
+      ...planPacing({
+        phases: this.phases,
+        phaseIndex: this.currentPhaseIndex,
+        durationMinutes: this.context.duration_minutes || 15,
+        elapsedMinutes: await this.getElapsedMinutes()
+      }),
+      phase: this.currentPhase().key,
+      decided_at: new Date().toISOString()
+    };
+
+    const { skipped_phases: skipped = [], pacing_log: log = [], pacing: previous } = this.context.live_state;
+    const updates = {
+      pacing: decision,
+      skipped_phases: [...new Set([...skipped, ...decision.skipped_phases])]
+    };
+
+    if (decision.action !== 'on_track' && decision.action !== previous?.action) {
+      updates.pacing_log = [...log, {
+        action: decision.action,
+        phase: decision.phase,
+        skipped_phases: decision.skipped_phases,
+        reason: decision.reason,
+        elapsed_minutes: decision.elapsed_minutes,
+        decided_at: decision.decided_at
+      }].slice(-PACING_LOG_LIMIT);
+
+      logger.info(`Interview ${this.interviewId} pacing: ${decision.action} (${decision.reason})`);
+    }
+
+    await this.updateLiveState(updates);
+
+    return decision;
+  }
+
+  /**
+   * Minutes the interview has been running, not counting time spent paused
+   */
+  async getElapsedMinutes() {
+    if (!this.context.started_at) return 0;
+
+    const result = await query(
+      `
+      SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (COALESCE(r.created_at, NOW()) - p.created_at))), 0) as paused_seconds
+      FROM interview_status_history p
+      LEFT JOIN LATERAL (
+        SELECT created_at FROM interview_status_history
+        WHERE interview_id = p.interview_id AND action = 'resume' AND created_at > p.created_at
+        ORDER BY created_at
+        LIMIT 1
+      ) r ON true
+      WHERE p.interview_id = $1 AND p.action = 'pause'
+    `,
+      [this.interviewId]
+    );
+
+    const pausedMs = parseFloat(result.rows[0].paused_seconds) * 1000;
+    const runningMs = Date.now() - new Date(this.context.started_at).getTime() - pausedMs;
+
+    return Math.max(runningMs, 0) / MINUTE;
   }
 
   async logObservation(agentType, observation) {
@@ -344,32 +794,66 @@ export class InterviewOrchestrator {
       : '';
   }
 
-  async shouldAdvancePhase() {
-    const currentPhase = this.phases[this.currentPhaseIndex];
-    const phaseMessages = this.context.transcript.filter(
-      (m) =>
-        m.speaker === 'candidate' &&
-        this.context.live_state.phase_index === this.currentPhaseIndex
-    );
-
-    const minQuestionsPerPhase = currentPhase === 'reflection' ? 2 : 3;
-    return phaseMessages.length >= minQuestionsPerPhase;
+  /**
+   * The interviewer message a transcript turn answers
+   */
+  getQuestionBefore(turn) {
+    const question = this.context.transcript
+      .slice(0, turn)
+      .reverse()
+      .find((m) => m.speaker === 'ai');
+    return question ? question.text : '';
   }
 
-  shouldEndInterview() {
-    if (this.currentPhaseIndex >= this.phases.length - 1) {
-      const reflectionMessages = this.context.transcript.filter(
-        (m) =>
-          m.speaker === 'candidate' &&
-          this.phases[this.context.live_state.phase_index] === 'reflection'
-      );
-      return reflectionMessages.length >= 2;
+  /**
+   * A phase is done once it has its question count of answers or has used
+   * its share of the interview duration (its time budget, when it has one)
+   */
+  isPhaseComplete() {
+    const phase = this.currentPhase();
+    const { phase_answers: answers = 0, phase_started_at: startedAt } = this.context.live_state;
+
+    if (phase.question_count && answers >= phase.question_count) {
+      return true;
     }
 
+    if (startedAt) {
+      const phaseMinutes = allocatePhaseMinutes(this.phases, this.context.duration_minutes || 15);
+      return Date.now() - new Date(startedAt).getTime() >= phaseMinutes[this.currentPhaseIndex] * MINUTE;
+    }
+
+    return false;
+  }
+
+  /**
+   * Whether the next question should follow up on the answer just given
+   * Only for shallow or unclear answers, in phases that allow follow-ups,
+   * while on schedule, and at most once per question.
+   * @returns {Object|null} { reason, focus, turn }
+   */
+  planFollowUp(evaluation, pacing, turn) {
+    if (!evaluation || pacing.action !== 'on_track') return null;
+    if (this.currentPhase().allow_follow_ups === false) return null;
+    if (this.context.live_state.follow_up) return null;
+
+    const shallow = evaluation.depth === 'shallow';
+    if (!shallow && !evaluation.follow_up.needed) return null;
+
+    return {
+      reason: shallow ? 'shallow_answer' : 'needs_probing',
+      focus: evaluation.follow_up.focus || null,
+      turn
+    };
+  }
+
+  /**
+   * Hard cap on candidate answers across all phases
+   */
+  reachedAnswerLimit() {
     const candidateMessages = this.context.transcript.filter(
       (m) => m.speaker === 'candidate'
     );
-    return candidateMessages.length >= 20;
+    return candidateMessages.length >= (this.blueprint.max_candidate_answers || 20);
   }
 }
 
@@ -36,7 +36,10 @@ Communication style:
 
   /**
    * Get next interview question
-   * @param {Object} context - Interview context
+   * @param {Object} context - Interview context; `phase` is the current blueprint phase
+   *   ({ key, name, instructions, allow_follow_ups, include_resume }) and `pacing`
+   *   the orchestrator's pacing action (on_track, speed_up, skip_phases, wrap_up).
+   *   `coverage` is { focus: competencies to steer toward, follow_up: { reason, focus } | null }
    */
   async getNextQuestion(context) {
     try {
@@ -47,6 +50,8 @@ Communication style:
         phase,
         transcript,
         stress_level,
+        pacing,
+        coverage,
         language
       } = context;
 
@@ -68,6 +73,8 @@ Communication style:
         phase,
         transcript,
         stress_level,
+        pacing,
+        coverage,
         targetLanguage
       });
 
@@ -77,6 +84,8 @@ Communication style:
       ];
 
       const response = await chatCompletion(messages, {
+        agent: 'interviewer',
+        task: 'question',
         temperature: 0.7,
         max_tokens: 300
       });
@@ -99,34 +108,30 @@ Communication style:
       phase,
       transcript,
       stress_level,
+      pacing,
+      coverage,
       targetLanguage
     } = params;
 
     let prompt = `You are interviewing for: ${job.title}\n`;
     prompt += `Language: Speak in ${targetLanguage}\n`;
-    prompt += `Current phase: ${phase}\n\n`;
-
-    // Add phase-specific instructions
-    if (phase === 'warmup') {
-      prompt += `WARMUP PHASE: Start with a friendly introduction and ask open-ended background questions to help the candidate relax. Use questions from the rubric's warmup section.\n\n`;
-    } else if (phase === 'claim_verification') {
-      prompt += `CLAIM VERIFICATION PHASE: Ask about specific experiences or skills mentioned in their background. Probe for details, decisions made, and outcomes. Use questions from the rubric's claim_verification section.\n\n`;
-      if (candidate.resume_text) {
-        prompt += `Candidate's background: ${candidate.resume_text.substring(0, 500)}...\n\n`;
-      }
-    } else if (phase === 'scenario') {
-      prompt += `SCENARIO PHASE: Present realistic technical scenarios specific to this role. Ask how they would approach the problem. Use questions from the rubric's scenario section.\n\n`;
-    } else if (phase === 'depth') {
-      prompt += `DEPTH PROBING PHASE: Ask "why" and "what if" questions to understand their reasoning. Challenge assumptions constructively. Use questions from the rubric's depth section.\n\n`;
-    } else if (phase === 'reflection') {
-      prompt += `REFLECTION PHASE: Ask about learning, growth, and what they would do differently. Use questions from the rubric's reflection section.\n\n`;
+    prompt += `Current phase: ${phase.name}\n\n`;
+
+    // Phase instructions come from the interview blueprint
+    prompt += `${phase.name.toUpperCase()} PHASE: ${phase.instructions}\n`;
+    prompt += phase.allow_follow_ups === false
+      ? `Do not ask follow-up questions in this phase; move on to a new question each time.\n\n`
+      : `Follow up on the last answer if it lacked clarity, depth or reasoning.\n\n`;
+
+    if (phase.include_resume && candidate.resume_text) {
+      prompt += `Candidate's background: ${candidate.resume_text.substring(0, 500)}...\n\n`;
     }
 
     // Add available questions for this phase
-    if (rubric.question_bank && rubric.question_bank[phase]) {
+    if (rubric.question_bank && rubric.question_bank[phase.key]) {
       prompt += `Available questions for this phase:\n`;
-      rubric.question_bank[phase].forEach((q, i) => {
-        prompt += `${i + 1}. ${q}\n`;
+      rubric.question_bank[phase.key].forEach((q, i) => {
+        prompt += `${i + 1}. ${q.text}\n`;
       });
       prompt += `\nYou can use these questions as-is or adapt them based on the conversation.\n\n`;
     }
@@ -146,6 +151,20 @@ Communication style:
       prompt += `NOTE: Candidate appears stressed. Slow down, be reassuring, and avoid increasing difficulty suddenly. Consider saying something encouraging.\n\n`;
     }
 
+    // Steer by rubric coverage: probe a shallow answer, otherwise aim at unassessed competencies
+    if (coverage?.follow_up) {
+      prompt += `FOLLOW-UP: The candidate's last answer was too shallow to assess. Ask a follow-up on that same answer${coverage.follow_up.focus ? ` that probes: ${coverage.follow_up.focus}` : ''}, rather than moving to a new topic.\n\n`;
+    } else if (coverage?.focus?.length > 0) {
+      prompt += `Competencies not yet assessed with confidence: ${coverage.focus.join(', ')}. Steer the next question toward one of them while staying within this phase.\n\n`;
+    }
+
+    // Add time guidance from the orchestrator's pacing
+    if (pacing === 'wrap_up') {
+      prompt += `NOTE: The interview is almost out of time. Let the candidate know this is the final question and ask the single most important remaining question for this role.\n\n`;
+    } else if (pacing === 'speed_up' || pacing === 'skip_phases') {
+      prompt += `NOTE: The interview is running behind schedule. Keep the question short and focused, and avoid follow-ups unless the last answer was unclear.\n\n`;
+    }
+
     prompt += `Generate the next question. Keep it conversational and natural. Ask only ONE question.`;
 
     return prompt;
@@ -185,6 +204,8 @@ Make it natural and encouraging, not robotic.`;
     ];
 
     return await chatCompletion(messages, {
+      agent: 'interviewer',
+      task: 'opening',
       temperature: 0.8,
       max_tokens: 200
     });
@@ -192,8 +213,9 @@ Make it natural and encouraging, not robotic.`;
 
   /**
    * Generate closing remarks
+   * @param {Object} options - { timeUp } when the interview ends because its time ran out
    */
-  async generateClosing(language = 'en') {
+  async generateClosing(language = 'en', options = {}) {
     const languageMap = {
       'en': 'English',
       'es': 'Spanish',
@@ -204,12 +226,17 @@ Make it natural and encouraging, not robotic.`;
 
     const targetLanguage = languageMap[language] || 'English';
 
+    const points = [
+      'Thanks the candidate for their time',
+      ...(options.timeUp ? ['Politely explains that the time for the interview is up'] : []),
+      'Explains the company will review the interview',
+      'Mentions they\'ll hear back soon',
+      'Wishes them well',
+      `Keeps it brief (${options.timeUp ? '2-3' : '1-2'} sentences)`
+    ];
+
     const prompt = `Generate a professional closing statement in ${targetLanguage} that:
-1. Thanks the candidate for their time
-2. Explains the company will review the interview
-3. Mentions they'll hear back soon
-4. Wishes them well
-5. Keeps it brief (1-2 sentences)`;
+${points.map((point, i) => `${i + 1}. ${point}`).join('\n')}`;
 
     const messages = [
       { role: 'system', content: this.systemPrompt },
@@ -217,6 +244,8 @@ Make it natural and encouraging, not robotic.`;
     ];
 
     return await chatCompletion(messages, {
+      agent: 'interviewer',
+      task: 'closing',
       temperature: 0.7,
       max_tokens: 150
     });
@@ -1,4 +1,6 @@
 import { chatCompletionJSON } from '../utils/openai.js';
+import { reportContractFor } from './contracts.js';
+import { capRecommendation } from './scoring.js';
 
 /**
  * Report Synthesizer Agent
@@ -27,13 +29,16 @@ Important:
 - Never make absolute "hire" or "reject" decisions
 - Frame recommendations as "proceed to next round", "needs further evaluation", etc.
 - Be fair and evidence-based
+- Cite the transcript turns behind every strength and weakness
 - Acknowledge limitations in assessment`;
   }
 
   /**
    * Generate comprehensive interview report
+   * Scores come from the per-answer evaluations (`scoring`, see scoring.js);
+   * the model writes the narrative and cites transcript turns for it.
    * @param {Object} interview - Interview data
-   * @param {Object} observations - All agent observations
+   * @param {Object} observations - All agent observations, with scoring, answer_scores and coverage
    */
   async generateReport(interview, observations) {
     try {
@@ -44,9 +49,16 @@ Important:
         transcript,
         consistency_analysis,
         authenticity_analysis,
-        stress_assessment
+        stress_assessment,
+        scoring,
+        answer_scores,
+        coverage
       } = observations;
 
+      const candidateTurns = transcript
+        .map((message, index) => (message.speaker === 'candidate' ? index : null))
+        .filter(index => index !== null);
+
       const userPrompt = `Generate a comprehensive interview report.
 
 JOB:
@@ -57,8 +69,11 @@ CANDIDATE:
 ${candidate.full_name}
 Background: ${candidate.resume_text ? candidate.resume_text.substring(0, 500) : 'Not provided'}
 
-INTERVIEW TRANSCRIPT:
-${this.summarizeTranscript(transcript)}
+INTERVIEW TRANSCRIPT (each message is prefixed with its turn number):
+${this.formatTranscript(transcript)}
+
+COMPETENCY SCORES (weighted from per-answer evaluation; do not re-score):
+${this.summarizeScoring(scoring)}
 
 CONSISTENCY ANALYSIS:
 ${JSON.stringify(consistency_analysis, null, 2)}
@@ -68,17 +83,20 @@ ${JSON.stringify(authenticity_analysis, null, 2)}
 
 STRESS ASSESSMENT:
 ${JSON.stringify(stress_assessment, null, 2)}
-
+${coverage?.total_count ? `
+RUBRIC COVERAGE (uncovered competencies were not assessed with confidence):
+${this.summarizeCoverage(coverage)}
+` : ''}
 Generate a structured report in JSON format:
 {
   "overall_fit": "poor|fair|good|excellent",
-  "overall_score": 0.0-1.0,
   "summary": "2-3 sentence executive summary",
   "strengths": [
     {
       "category": "Technical|Communication|Problem-Solving|etc",
       "observation": "Specific strength",
-      "evidence": "Example from interview"
+      "evidence": "Example from interview",
+      "turns": [candidate turn numbers that support it]
     }
   ],
   "weaknesses": [
@@ -86,15 +104,10 @@ Generate a structured report in JSON format:
       "category": "Technical|Communication|Problem-Solving|etc",
       "observation": "Specific concern",
       "evidence": "Example from interview",
+      "turns": [candidate turn numbers that support it],
       "severity": "minor|moderate|significant"
     }
   ],
-  "competency_scores": {
-    "technical_skills": 0.0-1.0,
-    "problem_solving": 0.0-1.0,
-    "communication": 0.0-1.0,
-    "cultural_fit": 0.0-1.0
-  },
   "cv_alignment": {
     "score": 0.0-1.0,
     "notes": "Brief assessment of CV accuracy"
@@ -113,7 +126,7 @@ Generate a structured report in JSON format:
   "next_steps": "Suggested actions for the company"
 }
 
-Be balanced, specific, and evidence-based. Avoid generic statements.`;
+Be balanced, specific, and evidence-based. Avoid generic statements. Every strength and weakness must cite at least one candidate turn number.`;
 
       const messages = [
         { role: 'system', content: this.systemPrompt },
@@ -121,40 +134,74 @@ Be balanced, specific, and evidence-based. Avoid generic statements.`;
       ];
 
       const report = await chatCompletionJSON(messages, {
+        agent: 'report_synthesizer',
+        task: 'report',
+        schema: reportContractFor(candidateTurns),
         temperature: 0.4, // Balanced between creativity and consistency
         max_tokens: 3000
       });
 
-      return report;
+      return {
+        ...report,
+        overall_fit: scoring.knockouts.length > 0 ? 'poor' : report.overall_fit,
+        overall_score: scoring.overall_score,
+        competency_scores: scoring.competency_scores,
+        recommendation: capRecommendation(report.recommendation, scoring),
+        scoring,
+        answer_scores,
+        coverage
+      };
     } catch (error) {
       console.error('Report generation error:', error);
+      if (error.name === 'AgentOutputError') throw error;
       throw new Error(`Failed to generate report: ${error.message}`);
     }
   }
 
   /**
-   * Summarize transcript for report
+   * Full transcript with turn numbers (transcript indexes) to cite
    */
-  summarizeTranscript(transcript) {
+  formatTranscript(transcript) {
     if (!transcript || transcript.length === 0) {
       return 'No transcript available';
     }
 
-    // Get key exchanges (questions and answers)
-    const exchanges = [];
-    for (let i = 0; i < transcript.length - 1; i++) {
-      if (transcript[i].speaker === 'ai' && transcript[i + 1].speaker === 'candidate') {
-        exchanges.push({
-          question: transcript[i].text,
-          answer: transcript[i + 1].text
-        });
-      }
+    return transcript
+      .map((msg, index) => `[${index}] ${msg.speaker === 'ai' ? 'Interviewer' : 'Candidate'}: ${msg.text}`)
+      .join('\n');
+  }
+
+  /**
+   * Summarize competency scoring for the report prompt
+   */
+  summarizeScoring(scoring) {
+    if (scoring.competencies.length === 0) {
+      return 'No rubric competencies to score';
+    }
+
+    const lines = scoring.competencies.map(c => (
+      `- ${c.competency}${c.must_have ? ' (must-have)' : ''}: ${c.score ?? 'not assessed'}, weight ${c.weight}, turns ${c.turns.join(', ') || 'none'}`
+    ));
+
+    lines.push(`Overall (weighted): ${scoring.overall_score ?? 'n/a'}`);
+
+    if (scoring.knockouts.length > 0) {
+      lines.push(`KNOCK-OUT: must-have competencies below ${scoring.must_have_min_score}: ${scoring.knockouts.map(k => k.competency).join(', ')}`);
+    }
+    if (scoring.unverified_must_haves.length > 0) {
+      lines.push(`Must-haves not verified: ${scoring.unverified_must_haves.join(', ')}`);
     }
 
-    // Return first 5 exchanges
-    return exchanges.slice(0, 5)
-      .map((ex, i) => `Q${i + 1}: ${ex.question}\nA${i + 1}: ${ex.answer}`)
-      .join('\n\n');
+    return lines.join('\n');
+  }
+
+  /**
+   * Summarize the coverage map for the report prompt
+   */
+  summarizeCoverage(coverage) {
+    return coverage.competencies
+      .map(c => `- ${c.competency}: ${c.covered ? 'covered' : 'not covered'}, score ${c.score ?? 'n/a'}, confidence ${c.confidence} over ${c.answers} answers`)
+      .join('\n');
   }
 
   /**
@@ -1,4 +1,6 @@
 import { chatCompletionJSON } from '../utils/openai.js';
+import { rubricContractFor } from './contracts.js';
+import { DEFAULT_BLUEPRINT } from '../services/BlueprintService.js';
 
 /**
  * Rubric Builder Agent
@@ -11,12 +13,13 @@ export class RubricBuilderAgent {
 Your task is to analyze job descriptions and generate comprehensive interview templates that assess candidates effectively.
 
 Rules:
-- Create 5-15 questions organized by interview phase
+- Create 5-15 questions organized by the interview phases you are given
 - Questions must be specific to the role and seniority level
 - Avoid generic questions that any candidate could answer
 - Focus on real-world scenarios and problem-solving
 - Adapt to the specified language (English, Spanish, Arabic, Hindi, French)
 - Weight competencies by importance (must sum to 1.0)
+- Prefer the company's approved library questions when they fit the role; only write new questions where none fit
 
 Return ONLY valid JSON in this exact format:
 {
@@ -29,11 +32,10 @@ Return ONLY valid JSON in this exact format:
     }
   ],
   "question_bank": {
-    "warmup": ["question1", "question2"],
-    "claim_verification": ["question1", "question2"],
-    "scenario": ["question1", "question2"],
-    "depth": ["question1", "question2"],
-    "reflection": ["question1"]
+    "<phase_key>": [
+      { "library": 3 },
+      { "text": "A new question", "competencies": ["Technical Skills"] }
+    ]
   },
   "evaluation_criteria": {
     "technical_depth": "Assessment criteria",
@@ -48,8 +50,12 @@ Return ONLY valid JSON in this exact format:
    * Generate rubric from job description
    * @param {Object} job - Job object with description, skills, etc.
    * @param {String} language - Target language (en, es, ar, hi, fr)
+   * @param {Object} blueprint - Interview blueprint whose phases the question bank follows
+   * @param {Array} libraryQuestions - Approved library questions to reuse ({ id, text, competencies, phases })
+   * @returns {Object} Rubric whose question bank holds { question_id } for reused
+   *   library questions and { text, competencies } for new ones
    */
-  async generateRubric(job, language = 'en') {
+  async generateRubric(job, language = 'en', blueprint = DEFAULT_BLUEPRINT, libraryQuestions = []) {
     try {
       const languageMap = {
         'en': 'English',
@@ -73,14 +79,10 @@ Language: Generate ALL questions and text in ${targetLanguage}
 
 Create a comprehensive rubric with:
 1. 4-6 competencies (weighted by importance, must sum to 1.0)
-2. Question bank organized by phase:
-   - warmup: 2-3 open-ended background questions
-   - claim_verification: 3-4 questions that verify CV/resume claims
-   - scenario: 3-4 realistic technical scenarios specific to this role
-   - depth: 3-4 follow-up questions that probe reasoning
-   - reflection: 1-2 questions about learning and growth
+2. Question bank with one list per phase, using exactly these keys:
+${this.describePhases(blueprint.phases)}
 3. Evaluation criteria for each dimension
-
+${this.describeLibrary(libraryQuestions)}
 Make questions specific to this role and seniority level. Avoid generic questions.`;
 
       const messages = [
@@ -89,46 +91,80 @@ Make questions specific to this role and seniority level. Avoid generic question
       ];
 
       const rubric = await chatCompletionJSON(messages, {
+        agent: 'rubric_builder',
+        task: 'rubric',
+        schema: rubricContractFor(blueprint.phases.map(phase => phase.key)),
         temperature: 0.8, // Higher creativity for diverse questions
         max_tokens: 3000
       });
 
-      // Validate rubric structure
-      this.validateRubric(rubric);
+      // Structure is enforced by the contract; weights may still need scaling
+      this.normalizeWeights(rubric);
+      rubric.question_bank = this.resolveLibraryPicks(rubric.question_bank, libraryQuestions);
 
       return rubric;
     } catch (error) {
       console.error('Rubric generation error:', error);
+      if (error.name === 'AgentOutputError') throw error;
       throw new Error(`Failed to generate rubric: ${error.message}`);
     }
   }
 
   /**
-   * Validate rubric structure
+   * One prompt line per blueprint phase, asking for a question or two more
+   * than the phase uses so the interviewer has room to adapt
    */
-  validateRubric(rubric) {
-    if (!rubric.competencies || !Array.isArray(rubric.competencies)) {
-      throw new Error('Invalid rubric: missing competencies array');
-    }
-
-    if (!rubric.question_bank || typeof rubric.question_bank !== 'object') {
-      throw new Error('Invalid rubric: missing question_bank object');
-    }
+  describePhases(phases) {
+    return phases.map((phase) => {
+      const count = phase.question_count
+        ? `${phase.question_count}-${phase.question_count + 1} questions`
+        : `enough questions for about ${phase.time_budget_minutes} minutes`;
+      return `   - ${phase.key}: ${count}. ${phase.name}: ${phase.instructions}`;
+    }).join('\n');
+  }
 
-    const requiredPhases = ['warmup', 'claim_verification', 'scenario', 'depth', 'reflection'];
-    for (const phase of requiredPhases) {
-      if (!rubric.question_bank[phase] || !Array.isArray(rubric.question_bank[phase])) {
-        throw new Error(`Invalid rubric: missing or invalid ${phase} questions`);
-      }
-    }
+  /**
+   * Numbered list of library questions the model may pick with { "library": n }
+   */
+  describeLibrary(libraryQuestions) {
+    if (libraryQuestions.length === 0) return '';
+
+    const lines = libraryQuestions.map((question, index) => {
+      const tags = [
+        question.phases.length > 0 ? `phases: ${question.phases.join(', ')}` : null,
+        question.competencies.length > 0 ? `competencies: ${question.competencies.join(', ')}` : null
+      ].filter(Boolean).join('; ');
+      return `   ${index + 1}. ${question.text}${tags ? ` (${tags})` : ''}`;
+    });
+
+    return `
+APPROVED LIBRARY QUESTIONS (use { "library": <number> } to pick one; write { "text", "competencies" } only where none fits):
+${lines.join('\n')}
+`;
+  }
 
-    if (!rubric.evaluation_criteria || typeof rubric.evaluation_criteria !== 'object') {
-      throw new Error('Invalid rubric: missing evaluation_criteria');
-    }
+  /**
+   * Swap { library: n } picks for library references, dropping numbers
+   * that weren't offered; plain strings are kept as new questions
+   */
+  resolveLibraryPicks(questionBank, libraryQuestions) {
+    return Object.fromEntries(Object.entries(questionBank).map(([phase, entries]) => [
+      phase,
+      entries.flatMap((entry) => {
+        if (typeof entry !== 'object' || entry.library === undefined) return [entry];
+
+        const question = libraryQuestions[entry.library - 1];
+        return question ? [{ question_id: question.id }] : [];
+      })
+    ]));
+  }
 
-    // Validate competencies sum to 1.0
+  /**
+   * Scale competency weights to sum to 1.0
+   */
+  normalizeWeights(rubric) {
     const totalWeight = rubric.competencies.reduce((sum, c) => sum + (c.weight || 0), 0);
-    if (Math.abs(totalWeight - 1.0) > 0.01) {
+    if (totalWeight > 0 && Math.abs(totalWeight - 1.0) > 0.01) {
       console.warn(`Competency weights sum to ${totalWeight}, expected 1.0. Auto-normalizing.`);
       // Normalize weights
       rubric.competencies = rubric.competencies.map(c => ({
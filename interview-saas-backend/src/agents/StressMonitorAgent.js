@@ -1,4 +1,5 @@
 import { chatCompletionJSON } from '../utils/openai.js';
+import { stressAssessmentContract } from './contracts.js';
 
 /**
  * Stress Monitor Agent
@@ -73,6 +74,9 @@ Return JSON:
       ];
 
       const assessment = await chatCompletionJSON(messages, {
+        agent: 'stress_monitor',
+        task: 'assessment',
+        schema: stressAssessmentContract,
         temperature: 0.3,
         max_tokens: 800
       });
@@ -0,0 +1,195 @@
+import Joi from 'joi';
+
+/**
+ * Output contracts for agent JSON responses
+ * Passed to chatCompletionJSON as `schema`; a response that fails its
+ * contract is sent back to the model for repair. Enums are lowercased
+ * before matching and unknown keys are kept, so only real shape problems
+ * trigger a repair.
+ */
+
+const level = () => Joi.string().lowercase().valid('low', 'medium', 'high');
+const unitScore = () => Joi.number().min(0).max(1);
+const text = () => Joi.string().allow('', null);
+const textList = () => Joi.array().items(Joi.string()).default([]);
+
+const scoredObservation = () => Joi.object({
+  score: Joi.number().min(0).max(10).required(),
+  observation: text()
+}).required();
+
+// A picked library question ({ library: n }), a new question or plain question text
+const questionBankEntry = Joi.alternatives().try(
+  Joi.string(),
+  Joi.object({ library: Joi.number().integer().min(1).required() }),
+  Joi.object({
+    text: Joi.string().required(),
+    competencies: Joi.array().items(Joi.string()).default([])
+  })
+);
+
+/**
+ * Rubric contract for a blueprint: one question list per phase key
+ * @param {Array} phaseKeys - Blueprint phase keys, in order
+ */
+export const rubricContractFor = (phaseKeys) => Joi.object({
+  competencies: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    weight: Joi.number().min(0).required(),
+    must_have: Joi.boolean().default(false),
+    description: text()
+  })).min(1).required(),
+  question_bank: Joi.object(Object.fromEntries(
+    phaseKeys.map(key => [key, Joi.array().items(questionBankEntry).min(1).required()])
+  )).required(),
+  evaluation_criteria: Joi.object().required()
+});
+
+export const consistencyAnalysisContract = Joi.object({
+  cv_consistency_score: unitScore().required(),
+  consistencies: Joi.array().items(Joi.object({
+    claim: Joi.string().required(),
+    evidence: text(),
+    assessment: text()
+  })).default([]),
+  inconsistencies: Joi.array().items(Joi.object({
+    claim: Joi.string().required(),
+    issue: Joi.string().required(),
+    evidence: text(),
+    severity: level().required()
+  })).default([]),
+  notes: textList(),
+  red_flags: textList()
+});
+
+export const consistencyQuickCheckContract = Joi.object({
+  verified: Joi.boolean().required(),
+  confidence: level().required(),
+  note: text()
+});
+
+export const authenticityAnalysisContract = Joi.object({
+  authenticity_risk: level().required(),
+  confidence: level().required(),
+  signals: Joi.array().items(Joi.object({
+    type: Joi.string().lowercase().valid('positive', 'concern').required(),
+    pattern: Joi.string().required(),
+    evidence: text(),
+    interpretation: text()
+  })).default([]),
+  response_quality: Joi.object({
+    specificity: level(),
+    depth: level(),
+    consistency: level(),
+    personal_detail: level()
+  }).required(),
+  notes: textList()
+});
+
+export const authenticityQuickCheckContract = Joi.object({
+  quality: Joi.string().lowercase().valid('poor', 'fair', 'good', 'excellent').required(),
+  specificity: Joi.string().lowercase().valid('generic', 'specific').required(),
+  reasoning_shown: Joi.boolean().required(),
+  personal_detail: Joi.boolean().required(),
+  note: text()
+});
+
+export const stressAssessmentContract = Joi.object({
+  stress_level: level().required(),
+  confidence: level().required(),
+  indicators: Joi.array().items(Joi.object({
+    type: Joi.string().lowercase().valid('linguistic', 'behavioral', 'temporal').required(),
+    observation: Joi.string().required(),
+    severity: Joi.string().lowercase().valid('mild', 'moderate', 'significant').required()
+  })).default([]),
+  recommendation: Joi.string().lowercase().valid('continue', 'slow_down', 'reassure', 'break').required(),
+  suggested_intervention: text()
+});
+
+export const answerEvaluationContract = Joi.object({
+  depth: Joi.string().lowercase().valid('shallow', 'adequate', 'deep').required(),
+  competencies: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    score: unitScore().required(),
+    confidence: unitScore().required(),
+    evidence: text()
+  })).default([]),
+  follow_up: Joi.object({
+    needed: Joi.boolean().required(),
+    focus: text()
+  }).required()
+});
+
+/**
+ * Report contract for a transcript: strengths and weaknesses must cite the
+ * candidate turns (transcript indexes) that support them. Scores are
+ * computed from the answer evaluations, not asked of the model.
+ * @param {Array} candidateTurns - Transcript indexes of candidate messages
+ */
+export const reportContractFor = (candidateTurns) => {
+  const citations = () => Joi.array()
+    .items(Joi.number().integer().valid(...candidateTurns))
+    .min(candidateTurns.length > 0 ? 1 : 0)
+    .required()
+    .messages({ 'any.only': 'turns must be transcript indexes of candidate answers' });
+
+  return Joi.object({
+    overall_fit: Joi.string().lowercase().valid('poor', 'fair', 'good', 'excellent').required(),
+    summary: Joi.string().required(),
+    strengths: Joi.array().items(Joi.object({
+      category: Joi.string().required(),
+      observation: Joi.string().required(),
+      evidence: text(),
+      turns: citations()
+    })).required(),
+    weaknesses: Joi.array().items(Joi.object({
+      category: Joi.string().required(),
+      observation: Joi.string().required(),
+      evidence: text(),
+      turns: citations(),
+      severity: Joi.string().lowercase().valid('minor', 'moderate', 'significant').required()
+    })).required(),
+    cv_alignment: Joi.object({
+      score: unitScore().allow(null),
+      notes: text()
+    }).required(),
+    response_quality: Joi.object().required(),
+    candidate_experience: Joi.object().required(),
+    recommendation: Joi.string().lowercase()
+      .valid('proceed_with_enthusiasm', 'proceed', 'needs_further_evaluation', 'not_recommended')
+      .required(),
+    reasoning: Joi.string().required(),
+    next_steps: text()
+  });
+};
+
+export const visionFrameContract = Joi.object({
+  eye_contact: scoredObservation(),
+  facial_expression: Joi.object({
+    primary_emotion: Joi.string().required(),
+    observation: text()
+  }).required(),
+  posture: scoredObservation(),
+  energy_level: level().required(),
+  engagement: scoredObservation(),
+  professionalism: scoredObservation(),
+  nervousness_signals: textList(),
+  confidence_level: scoredObservation(),
+  overall_impression: Joi.string().required()
+});
+
+export const resumeContract = Joi.object({
+  personal: Joi.object().default({}),
+  summary: text().default(''),
+  skills: Joi.object({
+    technical: textList(),
+    tools: textList(),
+    languages: textList(),
+    other: textList()
+  }).default(),
+  experience: Joi.array().items(Joi.object()).default([]),
+  education: Joi.array().items(Joi.object()).default([]),
+  certifications: Joi.array().default([]),
+  projects: Joi.array().items(Joi.object()).default([]),
+  languages: Joi.array().default([])
+});
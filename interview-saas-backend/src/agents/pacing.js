@@ -0,0 +1,106 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Final stretch in which the interviewer asks one last question and closes
+const WRAP_UP_MINUTES = parseFloat(process.env.PACING_WRAP_UP_MINUTES) || 2;
+// Least time worth spending on a phase; phases that can't get it are skipped
+const MIN_PHASE_MINUTES = parseFloat(process.env.PACING_MIN_PHASE_MINUTES) || 2;
+
+const round = (minutes) => Math.round(minutes * 10) / 10;
+
+/**
+ * Split the interview duration across blueprint phases
+ * Phases with a time budget keep it; the rest of the time is shared by
+ * question count. If the budgets don't fit, everything is scaled down.
+ * @param {Array} phases - Blueprint phases
+ * @param {Number} durationMinutes - Interview duration
+ * @returns {Array} Minutes per phase
+ */
+export const allocatePhaseMinutes = (phases, durationMinutes) => {
+  const budgeted = phases.reduce((sum, phase) => sum + (phase.time_budget_minutes || 0), 0);
+  const unbudgetedWeight = phases
+    .filter(phase => !phase.time_budget_minutes)
+    .reduce((sum, phase) => sum + (phase.question_count || 1), 0);
+
+  const spare = Math.max(durationMinutes - budgeted, 0);
+
+  const minutes = phases.map(phase => (
+    phase.time_budget_minutes
+      || (unbudgetedWeight > 0 ? spare * (phase.question_count || 1) / unbudgetedWeight : 0)
+  ));
+
+  const total = minutes.reduce((sum, value) => sum + value, 0);
+  const scale = total > durationMinutes ? durationMinutes / total : 1;
+
+  return minutes.map(value => value * scale);
+};
+
+/**
+ * Decide how the interview should proceed given the time used so far
+ * Called after each candidate answer, once the phase to continue in is known.
+ * @param {Object} state - { phases, phaseIndex, durationMinutes, elapsedMinutes }
+ * @returns {Object} Pacing decision (stored in live_state.pacing):
+ *   action: on_track | speed_up | skip_phases | wrap_up | time_up
+ *   phase_index: phase to continue in, skipped_phases: phase keys jumped over
+ */
+export const planPacing = ({ phases, phaseIndex, durationMinutes, elapsedMinutes }) => {
+  const remaining = durationMinutes - elapsedMinutes;
+  const lastIndex = phases.length - 1;
+  const allocation = allocatePhaseMinutes(phases, durationMinutes);
+  const plannedEnd = allocation.slice(0, phaseIndex + 1).reduce((sum, value) => sum + value, 0);
+
+  const decision = {
+    action: 'on_track',
+    phase_index: phaseIndex,
+    skipped_phases: [],
+    duration_minutes: durationMinutes,
+    elapsed_minutes: round(elapsedMinutes),
+    remaining_minutes: round(Math.max(remaining, 0)),
+    phase_minutes: Object.fromEntries(phases.map((phase, index) => [phase.key, round(allocation[index])])),
+    behind_minutes: round(Math.max(elapsedMinutes - plannedEnd, 0)),
+    reason: null
+  };
+
+  if (remaining <= 0) {
+    return { ...decision, action: 'time_up', reason: 'Time limit reached' };
+  }
+
+  if (remaining <= WRAP_UP_MINUTES) {
+    return {
+      ...decision,
+      action: 'wrap_up',
+      phase_index: lastIndex,
+      skipped_phases: phases.slice(phaseIndex + 1, lastIndex).map(phase => phase.key),
+      reason: `${decision.remaining_minutes} minutes left`
+    };
+  }
+
+  // Phases still to run (this one included) that no longer get their minimum
+  const pending = lastIndex - phaseIndex + 1;
+  const affordable = Math.max(Math.floor((remaining - WRAP_UP_MINUTES) / MIN_PHASE_MINUTES), 1);
+
+  if (pending > affordable && phaseIndex < lastIndex) {
+    // Keep the current and final phases; drop the ones in between, nearest first
+    const skipCount = Math.min(pending - Math.max(affordable, 2), lastIndex - phaseIndex - 1);
+
+    if (skipCount > 0) {
+      return {
+        ...decision,
+        action: 'skip_phases',
+        skipped_phases: phases.slice(phaseIndex + 1, phaseIndex + 1 + skipCount).map(phase => phase.key),
+        reason: `${decision.remaining_minutes} minutes left for ${pending} phases`
+      };
+    }
+  }
+
+  if (decision.behind_minutes > 0) {
+    return {
+      ...decision,
+      action: 'speed_up',
+      reason: `${decision.behind_minutes} minutes behind plan`
+    };
+  }
+
+  return decision;
+};
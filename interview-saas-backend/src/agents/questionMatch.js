@@ -0,0 +1,57 @@
+// Word overlap at which an asked question counts as a question bank entry
+const QUESTION_MATCH_THRESHOLD = parseFloat(process.env.QUESTION_MATCH_THRESHOLD) || 0.5;
+
+const words = (text) => new Set(
+  (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2)
+);
+
+/**
+ * Find the question bank entry an interviewer turn asked
+ * The interviewer may adapt bank questions, so entries are matched by word
+ * overlap (share of the entry's words found in the turn) rather than text.
+ * @param {String} asked - Interviewer turn
+ * @param {Object} questionBank - Resolved question bank ({ phase: [{ question_id, text, ... }] })
+ * @returns {Object|null} Best matching entry
+ */
+export const matchBankQuestion = (asked, questionBank) => {
+  const askedWords = words(asked);
+  if (askedWords.size === 0) return null;
+
+  let best = null;
+  let bestOverlap = 0;
+
+  for (const entry of Object.values(questionBank || {}).flat()) {
+    const entryWords = words(entry.text);
+    if (entryWords.size === 0) continue;
+
+    const shared = [...entryWords].filter(word => askedWords.has(word)).length;
+    const overlap = shared / entryWords.size;
+
+    if (overlap > bestOverlap) {
+      best = entry;
+      bestOverlap = overlap;
+    }
+  }
+
+  return bestOverlap >= QUESTION_MATCH_THRESHOLD ? best : null;
+};
+
+/**
+ * Confidence-weighted score of one answer on the rubric competencies
+ * @param {Object} evaluation - AnswerEvaluatorAgent result
+ * @param {Array} competencies - Rubric competencies; other names are ignored
+ * @returns {Number|null}
+ */
+export const answerScore = (evaluation, competencies) => {
+  const items = (evaluation?.competencies || []).filter(item => (
+    item.confidence > 0 && competencies.some(c => c.name.toLowerCase() === item.name.toLowerCase())
+  ));
+  const weight = items.reduce((sum, item) => sum + item.confidence, 0);
+
+  if (weight === 0) return null;
+
+  return Math.round(items.reduce((sum, item) => sum + item.score * item.confidence, 0) / weight * 100) / 100;
+};
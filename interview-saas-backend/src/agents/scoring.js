@@ -0,0 +1,103 @@
+// Lowest score a must-have competency may get before it knocks the candidate out (0 disables knock-outs)
+const parsedMustHaveMinScore = parseFloat(process.env.MUST_HAVE_MIN_SCORE);
+const MUST_HAVE_MIN_SCORE = Number.isFinite(parsedMustHaveMinScore) ? parsedMustHaveMinScore : 0.5;
+
+// Weakest first, so a cap is the lower of two recommendations
+const RECOMMENDATIONS = ['not_recommended', 'needs_further_evaluation', 'proceed', 'proceed_with_enthusiasm'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Combine per-competency scores into the report's scoring
+ * The overall score is the weight-averaged score of the competencies that
+ * were assessed. A must-have scoring below MUST_HAVE_MIN_SCORE is a
+ * knock-out (overall score 0); a must-have that was never assessed with
+ * confidence is reported as unverified.
+ * @param {Object} depthScores - Coverage map keyed by competency name (see AnswerEvaluatorAgent.updateCoverage)
+ * @param {Array} competencies - Rubric competencies ({ name, weight, must_have })
+ * @returns {Object} { overall_score, weighted_score, competency_scores, competencies, knockouts, unverified_must_haves, must_have_min_score }
+ */
+export const scoreCompetencies = (depthScores, competencies) => combineScores(competencies.map(c => {
+  const coverage = depthScores[c.name];
+  return {
+    competency: c.name,
+    weight: c.weight || 0,
+    must_have: Boolean(c.must_have),
+    score: coverage?.score ?? null,
+    confidence: coverage?.confidence || 0,
+    covered: Boolean(coverage?.covered),
+    turns: coverage?.turns || []
+  };
+}));
+
+/**
+ * Re-combine a report's scoring with human score overrides
+ * An overridden competency counts as assessed and verified.
+ * @param {Object} scoring - report_data.scoring
+ * @param {Object} overrides - { competency name: score }
+ */
+export const applyScoreOverrides = (scoring, overrides) => combineScores(scoring.competencies.map(c => (
+  overrides[c.competency] === undefined
+    ? c
+    : { ...c, score: overrides[c.competency], covered: true, overridden: true }
+)));
+
+const combineScores = (scored) => {
+  const assessed = scored.filter(c => c.score !== null && c.weight > 0);
+  const totalWeight = assessed.reduce((sum, c) => sum + c.weight, 0);
+  const weightedScore = totalWeight > 0
+    ? round(assessed.reduce((sum, c) => sum + c.weight * c.score, 0) / totalWeight)
+    : null;
+
+  const knockouts = scored
+    .filter(c => c.must_have && c.score !== null && c.score < MUST_HAVE_MIN_SCORE)
+    .map(c => ({ competency: c.competency, score: c.score, turns: c.turns }));
+
+  const unverifiedMustHaves = scored
+    .filter(c => c.must_have && !c.covered && !knockouts.some(k => k.competency === c.competency))
+    .map(c => c.competency);
+
+  return {
+    overall_score: knockouts.length > 0 ? 0 : weightedScore,
+    weighted_score: weightedScore,
+    competency_scores: Object.fromEntries(scored.map(c => [c.competency, c.score])),
+    competencies: scored,
+    knockouts,
+    unverified_must_haves: unverifiedMustHaves,
+    must_have_min_score: MUST_HAVE_MIN_SCORE
+  };
+};
+
+/**
+ * Hold a recommendation to what the scoring supports: knock-outs are not
+ * recommended, unverified must-haves need further evaluation at best
+ */
+export const capRecommendation = (recommendation, scoring) => {
+  const cap = scoring.knockouts.length > 0
+    ? 'not_recommended'
+    : scoring.unverified_must_haves.length > 0 ? 'needs_further_evaluation' : null;
+
+  if (!cap) return recommendation;
+
+  return RECOMMENDATIONS[Math.min(RECOMMENDATIONS.indexOf(recommendation), RECOMMENDATIONS.indexOf(cap))];
+};
+
+/**
+ * Flatten answer evaluations into one row per (answer, rubric competency)
+ * @param {Array} evaluations - AnswerEvaluatorAgent results with their transcript `turn`
+ * @param {Array} competencies - Rubric competencies; other names are dropped
+ */
+export const listAnswerScores = (evaluations, competencies) => evaluations.flatMap(evaluation => (
+  evaluation.competencies.flatMap(item => {
+    const competency = competencies.find(c => c.name.toLowerCase() === item.name.toLowerCase());
+    if (!competency) return [];
+
+    return [{
+      turn: evaluation.turn,
+      competency: competency.name,
+      score: item.score,
+      confidence: item.confidence,
+      evidence: item.evidence || null
+    }];
+  })
+));
@@ -0,0 +1,48 @@
+-- Named, hashed, scoped API keys
+ALTER TABLE api_keys
+ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(16),
+ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- Keys without a prefix predate this migration and can't be looked up
+UPDATE api_keys SET is_active = false, revoked_at = NOW()
+WHERE key_prefix IS NULL;
+
+UPDATE api_keys SET key_prefix = '' WHERE key_prefix IS NULL;
+
+ALTER TABLE api_keys
+ALTER COLUMN key_prefix SET NOT NULL;
+
+-- Move legacy plaintext companies.api_key values into api_keys (bcrypt, all scopes)
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'companies' AND column_name = 'api_key'
+  ) THEN
+    INSERT INTO api_keys (company_id, key_prefix, key_hash, name, scopes)
+    SELECT c.id,
+           LEFT(c.api_key, 12),
+           crypt(c.api_key, gen_salt('bf', 10)),
+           'Legacy key',
+           ARRAY[
+             'jobs:read', 'jobs:write', 'candidates:read', 'candidates:write',
+             'interviews:read', 'interviews:write', 'rubrics:read', 'rubrics:write',
+             'analytics:read', 'webhooks:manage', 'integrations:manage'
+           ]
+    FROM companies c
+    WHERE c.api_key IS NOT NULL;
+
+    ALTER TABLE companies DROP COLUMN api_key;
+  END IF;
+END $$;
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_api_keys_prefix 
+ON api_keys(key_prefix);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_company 
+ON api_keys(company_id);
@@ -0,0 +1,23 @@
+-- Interview blueprints: reusable phase plans assigned per job
+CREATE TABLE IF NOT EXISTS interview_blueprints (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  phases JSONB NOT NULL, -- [{key, name, instructions, question_count, time_budget_minutes, allow_follow_ups, include_resume}]
+  max_candidate_answers INTEGER DEFAULT 20,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(company_id, name)
+);
+
+ALTER TABLE jobs
+ADD COLUMN IF NOT EXISTS blueprint_id UUID REFERENCES interview_blueprints(id) ON DELETE SET NULL; -- NULL = default blueprint
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS blueprint JSONB; -- snapshot of the job's blueprint, taken when the interview starts
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_jobs_blueprint 
+ON jobs(blueprint_id);
@@ -0,0 +1,10 @@
+-- Candidate session credentials bound to invites
+ALTER TABLE interview_invites
+ADD COLUMN IF NOT EXISTS device_id VARCHAR(255), -- single-device lock, set on first access
+ADD COLUMN IF NOT EXISTS session_id UUID, -- only the latest candidate session credential is valid
+ADD COLUMN IF NOT EXISTS session_issued_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_interview_invites_interview 
+ON interview_invites(interview_id);
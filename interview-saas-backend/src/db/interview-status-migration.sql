@@ -0,0 +1,17 @@
+-- Interview state machine history
+CREATE TABLE IF NOT EXISTS interview_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  from_status VARCHAR(50) NOT NULL,
+  to_status VARCHAR(50) NOT NULL,
+  action VARCHAR(50) NOT NULL, -- start, pause, resume, complete, cancel, expire, abandon
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'system', -- system, candidate, user, api_key
+  actor_id UUID,
+  reason TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_interview_status_history_interview 
+ON interview_status_history(interview_id, created_at);
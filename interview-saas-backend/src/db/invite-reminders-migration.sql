@@ -0,0 +1,7 @@
+-- Scheduled invite reminders
+ALTER TABLE interview_invites
+ADD COLUMN IF NOT EXISTS reminders_sent INTEGER[] DEFAULT '{}'; -- reminder offsets (hours before expiry) already sent
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_interview_invites_pending 
+ON interview_invites(expires_at) WHERE accessed_at IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,3 @@
+-- Per-company LLM provider selection
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS llm_config JSONB; -- { provider, model, agents: { <agent>: { provider, model } } }
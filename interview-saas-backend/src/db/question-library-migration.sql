@@ -0,0 +1,39 @@
+-- Question library: company-wide questions that rubrics reference by id
+CREATE TABLE IF NOT EXISTS question_library (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  text TEXT NOT NULL,
+  competencies JSONB DEFAULT '[]'::jsonb, -- competency names the question assesses
+  phases JSONB DEFAULT '[]'::jsonb, -- blueprint phase keys it fits ([] = any)
+  seniority_level VARCHAR(50), -- junior, mid, senior, lead, principal (NULL = any)
+  language VARCHAR(10) NOT NULL DEFAULT 'en',
+  expected_answer TEXT, -- what a strong answer covers
+  scoring_anchors JSONB DEFAULT '[]'::jsonb, -- [{score: 0-1, description}]
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, approved, retired
+  source VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual, ai
+  created_by_type VARCHAR(20), -- user, api_key, system
+  created_by_id UUID,
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One row per library question asked in an interview (written with the report)
+CREATE TABLE IF NOT EXISTS question_library_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  question_id UUID NOT NULL REFERENCES question_library(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  rubric_id UUID REFERENCES rubrics(id) ON DELETE SET NULL,
+  turn INTEGER NOT NULL, -- transcript index of the answer
+  answer_score DECIMAL(3,2), -- confidence-weighted score of the answer on the rubric competencies
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(interview_id, turn)
+);
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_question_library_company 
+ON question_library(company_id, status, language);
+CREATE INDEX IF NOT EXISTS idx_question_library_usage_question 
+ON question_library_usage(question_id);
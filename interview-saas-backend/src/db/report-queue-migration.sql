@@ -0,0 +1,15 @@
+-- Background report generation state
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS report_status VARCHAR(20), -- pending, running, failed, done (NULL until requested)
+ADD COLUMN IF NOT EXISTS report_error TEXT,
+ADD COLUMN IF NOT EXISTS report_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS report_requested_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS report_completed_at TIMESTAMP;
+
+-- Reports generated before the queue existed
+UPDATE interviews SET report_status = 'done'
+WHERE report_generated = true AND report_status IS NULL;
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_interviews_report_status 
+ON interviews(report_status);
@@ -0,0 +1,40 @@
+-- Report versions: every generated report and every rubric re-score is kept
+CREATE TABLE IF NOT EXISTS interview_report_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL, -- 1, 2, ... per interview
+  source VARCHAR(20) NOT NULL, -- generated, rescore
+  rubric_id UUID REFERENCES rubrics(id) ON DELETE SET NULL,
+  rubric_version INTEGER,
+  rescore_run_id UUID, -- shared by the versions of one re-score request
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, failed, done
+  attempts INTEGER DEFAULT 0,
+  overall_score DECIMAL(3,2),
+  recommendation VARCHAR(50),
+  report_data JSONB,
+  error TEXT,
+  requested_by_type VARCHAR(20), -- system, user, api_key
+  requested_by_id UUID,
+  requested_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  UNIQUE(interview_id, version)
+);
+
+-- Existing reports become version 1
+INSERT INTO interview_report_versions
+  (interview_id, company_id, version, source, rubric_id, rubric_version, status,
+   overall_score, recommendation, report_data, requested_at, completed_at)
+SELECT i.id, i.company_id, 1, 'generated', i.rubric_id, r.version, 'done',
+       i.overall_score, i.recommendation, i.report_data,
+       COALESCE(i.report_requested_at, i.updated_at), COALESCE(i.report_completed_at, i.updated_at)
+FROM interviews i
+LEFT JOIN rubrics r ON i.rubric_id = r.id
+WHERE i.report_data IS NOT NULL
+ON CONFLICT (interview_id, version) DO NOTHING;
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_report_versions_rubric 
+ON interview_report_versions(rubric_id, status);
+CREATE INDEX IF NOT EXISTS idx_report_versions_status 
+ON interview_report_versions(status, requested_at);
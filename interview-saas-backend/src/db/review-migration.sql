@@ -0,0 +1,39 @@
+-- Human review: recruiter overrides of AI scores, kept next to the AI values
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS adjusted_overall_score DECIMAL(3,2), -- overall score with human overrides (NULL until reviewed)
+ADD COLUMN IF NOT EXISTS adjusted_recommendation VARCHAR(50),
+ADD COLUMN IF NOT EXISTS adjusted_competency_scores JSONB, -- {competency: score} with human overrides
+ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+-- Override audit trail (append-only)
+CREATE TABLE IF NOT EXISTS interview_score_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  field VARCHAR(20) NOT NULL, -- competency, recommendation
+  competency VARCHAR(255), -- competency name when field = competency
+  ai_value JSONB, -- value in the AI report
+  previous_value JSONB, -- value in force before this override
+  new_value JSONB NOT NULL,
+  justification TEXT NOT NULL,
+  actor_type VARCHAR(20) NOT NULL, -- user, api_key
+  actor_id UUID, -- no foreign key: the trail outlives the user or key
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE OR REPLACE FUNCTION prevent_score_override_update()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'interview_score_overrides rows cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS interview_score_overrides_immutable ON interview_score_overrides;
+CREATE TRIGGER interview_score_overrides_immutable
+BEFORE UPDATE ON interview_score_overrides
+FOR EACH ROW EXECUTE FUNCTION prevent_score_override_update();
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_score_overrides_interview 
+ON interview_score_overrides(interview_id, created_at);
@@ -0,0 +1,64 @@
+-- Rubric versioning: every edit is a new, immutable rubric row
+ALTER TABLE rubrics
+ADD COLUMN IF NOT EXISTS parent_id UUID REFERENCES rubrics(id) ON DELETE SET NULL, -- version this one was edited from
+ADD COLUMN IF NOT EXISTS change_note TEXT,
+ADD COLUMN IF NOT EXISTS author_type VARCHAR(20), -- user, api_key
+ADD COLUMN IF NOT EXISTS author_id UUID, -- no foreign key: history outlives the user or key
+ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP;
+
+-- Number existing rubrics 1, 2, ... per job in creation order
+UPDATE rubrics r SET version = numbered.version
+FROM (
+  SELECT id, ROW_NUMBER() OVER (PARTITION BY job_id ORDER BY created_at, id) AS version
+  FROM rubrics
+) numbered
+WHERE r.id = numbered.id AND r.version IS DISTINCT FROM numbered.version;
+
+UPDATE interview_report_versions v SET rubric_version = r.version
+FROM rubrics r
+WHERE v.rubric_id = r.id AND v.rubric_version IS DISTINCT FROM r.version;
+
+CREATE OR REPLACE FUNCTION prevent_rubric_content_update()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.job_id IS DISTINCT FROM OLD.job_id
+    OR NEW.version IS DISTINCT FROM OLD.version
+    OR NEW.competencies IS DISTINCT FROM OLD.competencies
+    OR NEW.question_bank IS DISTINCT FROM OLD.question_bank
+    OR NEW.evaluation_criteria IS DISTINCT FROM OLD.evaluation_criteria THEN
+    RAISE EXCEPTION 'rubric versions cannot be changed, create a new version instead';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rubrics_immutable ON rubrics;
+CREATE TRIGGER rubrics_immutable
+BEFORE UPDATE ON rubrics
+FOR EACH ROW EXECUTE FUNCTION prevent_rubric_content_update();
+
+-- Optional four-eyes check on rubric activation
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS rubric_approval_required BOOLEAN DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS rubric_activation_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rubric_id UUID NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, cancelled
+  note TEXT,
+  requested_by_type VARCHAR(20) NOT NULL, -- user, api_key
+  requested_by_id UUID,
+  decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  decision_note TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  decided_at TIMESTAMP
+);
+
+-- Add indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rubrics_job_version 
+ON rubrics(job_id, version);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rubric_activation_pending 
+ON rubric_activation_requests(rubric_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_rubric_activation_company 
+ON rubric_activation_requests(company_id, status, created_at);
@@ -0,0 +1,27 @@
+-- Job availability windows and booked interview slots
+CREATE TABLE IF NOT EXISTS job_availability_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  slot_minutes INTEGER NOT NULL DEFAULT 30, -- window is cut into slots of this length
+  capacity INTEGER NOT NULL DEFAULT 1, -- interviews that can be booked into the same slot
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+ALTER TABLE interviews
+ADD COLUMN IF NOT EXISTS availability_window_id UUID REFERENCES job_availability_windows(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS scheduled_start_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS scheduled_end_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS booked_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS booking_sequence INTEGER DEFAULT 0; -- bumped on every (re)booking; calendar invite SEQUENCE
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_job_availability_windows_job 
+ON job_availability_windows(job_id, starts_at);
+
+CREATE INDEX IF NOT EXISTS idx_interviews_booked_slot 
+ON interviews(availability_window_id, scheduled_start_at);
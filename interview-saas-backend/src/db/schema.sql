@@ -9,7 +9,7 @@ CREATE TABLE companies (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     name VARCHAR(255) NOT NULL,
     email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255), -- legacy single login, see users
     industry VARCHAR(100),
     company_size VARCHAR(50),
     website VARCHAR(255),
@@ -18,22 +18,80 @@ CREATE TABLE companies (
     subscription_status VARCHAR(50) DEFAULT 'active', -- active, cancelled, suspended
     interviews_quota INTEGER DEFAULT 50,
     interviews_used INTEGER DEFAULT 0,
+    llm_config JSONB, -- { provider, model, agents: { <agent>: { provider, model } } }
+    speech_config JSONB, -- { transcription_provider, speech_provider, voices: { <language>: <voice> } }
+    rubric_approval_required BOOLEAN DEFAULT false, -- rubric activation needs a second user's approval
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Company Users
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- owner, admin, recruiter, hiring_manager, viewer
+  is_active BOOLEAN DEFAULT true,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (role IN ('owner', 'admin', 'recruiter', 'hiring_manager', 'viewer'))
+);
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the emailed token
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (role IN ('admin', 'recruiter', 'hiring_manager', 'viewer'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_company ON users(company_id);
+CREATE INDEX IF NOT EXISTS idx_user_invitations_company ON user_invitations(company_id);
+CREATE INDEX IF NOT EXISTS idx_user_invitations_email ON user_invitations(email);
+
 -- API Keys for companies
 CREATE TABLE api_keys (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
+    key_prefix VARCHAR(16) NOT NULL, -- first characters of the key, stored in clear for lookup
     key_hash VARCHAR(255) NOT NULL,
     name VARCHAR(100),
+    scopes TEXT[] NOT NULL DEFAULT '{}', -- e.g. {interviews:write, analytics:read}
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
     last_used_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
     is_active BOOLEAN DEFAULT true
 );
 
+CREATE INDEX IF NOT EXISTS idx_api_keys_prefix ON api_keys(key_prefix);
+CREATE INDEX IF NOT EXISTS idx_api_keys_company ON api_keys(company_id);
+
+-- Interview Blueprints (reusable phase plans, assigned per job)
+CREATE TABLE IF NOT EXISTS interview_blueprints (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    phases JSONB NOT NULL, -- [{key, name, instructions, question_count, time_budget_minutes, allow_follow_ups, include_resume}]
+    max_candidate_answers INTEGER DEFAULT 20,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(company_id, name)
+);
+
 -- Job Positions
 CREATE TABLE jobs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -48,6 +106,7 @@ CREATE TABLE jobs (
     nice_to_have_skills JSONB,
     language VARCHAR(10) DEFAULT 'en', -- en, es, ar, hi, fr
     status VARCHAR(50) DEFAULT 'active', -- active, paused, closed
+    blueprint_id UUID REFERENCES interview_blueprints(id) ON DELETE SET NULL, -- NULL = default blueprint
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -61,10 +120,77 @@ CREATE TABLE rubrics (
     question_bank JSONB NOT NULL, -- AI-generated questions organized by phase
     evaluation_criteria JSONB NOT NULL,
     created_by VARCHAR(50) DEFAULT 'ai', -- ai or manual
+    parent_id UUID REFERENCES rubrics(id) ON DELETE SET NULL, -- version this one was edited from
+    change_note TEXT,
+    author_type VARCHAR(20), -- user, api_key
+    author_id UUID, -- no foreign key: history outlives the user or key
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT true
+    is_active BOOLEAN DEFAULT true,
+    activated_at TIMESTAMP,
+    UNIQUE(job_id, version)
 );
 
+-- Rubric versions are immutable (see RubricService); only activation may change
+CREATE OR REPLACE FUNCTION prevent_rubric_content_update()
+RETURNS trigger AS $$
+BEGIN
+  IF NEW.job_id IS DISTINCT FROM OLD.job_id
+    OR NEW.version IS DISTINCT FROM OLD.version
+    OR NEW.competencies IS DISTINCT FROM OLD.competencies
+    OR NEW.question_bank IS DISTINCT FROM OLD.question_bank
+    OR NEW.evaluation_criteria IS DISTINCT FROM OLD.evaluation_criteria THEN
+    RAISE EXCEPTION 'rubric versions cannot be changed, create a new version instead';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rubrics_immutable ON rubrics;
+CREATE TRIGGER rubrics_immutable
+BEFORE UPDATE ON rubrics
+FOR EACH ROW EXECUTE FUNCTION prevent_rubric_content_update();
+
+-- Rubric Activation Requests (when companies.rubric_approval_required)
+CREATE TABLE IF NOT EXISTS rubric_activation_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  rubric_id UUID NOT NULL REFERENCES rubrics(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, approved, rejected, cancelled
+  note TEXT,
+  requested_by_type VARCHAR(20) NOT NULL, -- user, api_key
+  requested_by_id UUID,
+  decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  decision_note TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  decided_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rubric_activation_pending ON rubric_activation_requests(rubric_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_rubric_activation_company ON rubric_activation_requests(company_id, status, created_at);
+
+-- Question Library (company-wide; rubric question banks reference it by id)
+CREATE TABLE IF NOT EXISTS question_library (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  text TEXT NOT NULL,
+  competencies JSONB DEFAULT '[]'::jsonb, -- competency names the question assesses
+  phases JSONB DEFAULT '[]'::jsonb, -- blueprint phase keys it fits ([] = any)
+  seniority_level VARCHAR(50), -- junior, mid, senior, lead, principal (NULL = any)
+  language VARCHAR(10) NOT NULL DEFAULT 'en',
+  expected_answer TEXT, -- what a strong answer covers
+  scoring_anchors JSONB DEFAULT '[]'::jsonb, -- [{score: 0-1, description}]
+  status VARCHAR(20) NOT NULL DEFAULT 'draft', -- draft, approved, retired
+  source VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual, ai
+  created_by_type VARCHAR(20), -- user, api_key, system
+  created_by_id UUID,
+  approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_library_company ON question_library(company_id, status, language);
+
 -- Candidates
 CREATE TABLE candidates (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -80,6 +206,22 @@ CREATE TABLE candidates (
     UNIQUE(email)
 );
 
+-- Job Availability Windows (candidates book interview slots inside them)
+CREATE TABLE IF NOT EXISTS job_availability_windows (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  slot_minutes INTEGER NOT NULL DEFAULT 30, -- window is cut into slots of this length
+  capacity INTEGER NOT NULL DEFAULT 1, -- interviews that can be booked into the same slot
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_availability_windows_job ON job_availability_windows(job_id, starts_at);
+
 -- Interviews
 CREATE TABLE interviews (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -93,8 +235,9 @@ CREATE TABLE interviews (
     duration_minutes INTEGER DEFAULT 15,
     
     -- Interview State
-    status VARCHAR(50) DEFAULT 'scheduled', -- scheduled, in_progress, completed, cancelled
-    current_phase VARCHAR(50), -- warmup, claim_verification, scenario, depth, reflection
+    status VARCHAR(50) DEFAULT 'scheduled', -- scheduled, in_progress, paused, completed, cancelled, expired, abandoned (see InterviewStateMachine)
+    current_phase VARCHAR(50), -- key of the current blueprint phase
+    blueprint JSONB, -- snapshot of the job's blueprint, taken when the interview starts
     started_at TIMESTAMP,
     completed_at TIMESTAMP,
     
@@ -120,12 +263,119 @@ CREATE TABLE interviews (
     -- Final Output
     report_generated BOOLEAN DEFAULT false,
     report_data JSONB,
+    report_status VARCHAR(20), -- pending, running, failed, done (NULL until requested)
+    report_error TEXT,
+    report_attempts INTEGER DEFAULT 0,
+    report_requested_at TIMESTAMP,
+    report_completed_at TIMESTAMP,
     recommendation VARCHAR(50), -- proceed, reject, unclear
     
+    -- Human Review (AI values above stay as generated)
+    adjusted_overall_score DECIMAL(3,2), -- overall score with human overrides (NULL until reviewed)
+    adjusted_recommendation VARCHAR(50),
+    adjusted_competency_scores JSONB, -- {competency: score} with human overrides
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    
+    -- Booked Time Slot (NULL for on-demand interviews)
+    availability_window_id UUID REFERENCES job_availability_windows(id) ON DELETE SET NULL,
+    scheduled_start_at TIMESTAMP,
+    scheduled_end_at TIMESTAMP,
+    booked_at TIMESTAMP,
+    booking_sequence INTEGER DEFAULT 0, -- bumped on every (re)booking; calendar invite SEQUENCE
+    
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Interview Status History (one row per state machine transition)
+CREATE TABLE IF NOT EXISTS interview_status_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  from_status VARCHAR(50) NOT NULL,
+  to_status VARCHAR(50) NOT NULL,
+  action VARCHAR(50) NOT NULL, -- start, pause, resume, complete, cancel, expire, abandon
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'system', -- system, candidate, user, api_key
+  actor_id UUID,
+  reason TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_interview_status_history_interview ON interview_status_history(interview_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_interviews_booked_slot ON interviews(availability_window_id, scheduled_start_at);
+
+-- Score Override Audit Trail (append-only; see ReviewService)
+CREATE TABLE IF NOT EXISTS interview_score_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  field VARCHAR(20) NOT NULL, -- competency, recommendation
+  competency VARCHAR(255), -- competency name when field = competency
+  ai_value JSONB, -- value in the AI report
+  previous_value JSONB, -- value in force before this override
+  new_value JSONB NOT NULL,
+  justification TEXT NOT NULL,
+  actor_type VARCHAR(20) NOT NULL, -- user, api_key
+  actor_id UUID, -- no foreign key: the trail outlives the user or key
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_overrides_interview ON interview_score_overrides(interview_id, created_at);
+
+CREATE OR REPLACE FUNCTION prevent_score_override_update()
+RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'interview_score_overrides rows cannot be changed';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS interview_score_overrides_immutable ON interview_score_overrides;
+CREATE TRIGGER interview_score_overrides_immutable
+BEFORE UPDATE ON interview_score_overrides
+FOR EACH ROW EXECUTE FUNCTION prevent_score_override_update();
+
+-- Interview Report Versions (generated reports and rubric re-scores; see RescoringService)
+CREATE TABLE IF NOT EXISTS interview_report_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL, -- 1, 2, ... per interview
+  source VARCHAR(20) NOT NULL, -- generated, rescore
+  rubric_id UUID REFERENCES rubrics(id) ON DELETE SET NULL,
+  rubric_version INTEGER,
+  rescore_run_id UUID, -- shared by the versions of one re-score request
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, running, failed, done
+  attempts INTEGER DEFAULT 0,
+  overall_score DECIMAL(3,2),
+  recommendation VARCHAR(50),
+  report_data JSONB,
+  error TEXT,
+  requested_by_type VARCHAR(20), -- system, user, api_key
+  requested_by_id UUID,
+  requested_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  UNIQUE(interview_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_versions_rubric ON interview_report_versions(rubric_id, status);
+CREATE INDEX IF NOT EXISTS idx_report_versions_status ON interview_report_versions(status, requested_at);
+
+-- Question Library Usage (one row per library question asked; written with the report)
+CREATE TABLE IF NOT EXISTS question_library_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  question_id UUID NOT NULL REFERENCES question_library(id) ON DELETE CASCADE,
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
+  rubric_id UUID REFERENCES rubrics(id) ON DELETE SET NULL,
+  turn INTEGER NOT NULL, -- transcript index of the answer
+  answer_score DECIMAL(3,2), -- confidence-weighted score of the answer on the rubric competencies
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(interview_id, turn)
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_library_usage_question ON question_library_usage(question_id);
+
 -- Interview Invitations/Links
 CREATE TABLE interview_invites (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -135,6 +385,11 @@ CREATE TABLE interview_invites (
     email_sent_at TIMESTAMP,
     accessed_at TIMESTAMP,
     expires_at TIMESTAMP,
+    device_id VARCHAR(255), -- single-device lock, set on first access
+    session_id UUID, -- only the latest candidate session credential is valid
+    session_issued_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    reminders_sent INTEGER[] DEFAULT '{}', -- reminder offsets (hours before expiry) already sent
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -142,27 +397,13 @@ CREATE TABLE interview_invites (
 CREATE TABLE agent_observations (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     interview_id UUID REFERENCES interviews(id) ON DELETE CASCADE,
-    agent_type VARCHAR(50) NOT NULL, -- consistency_checker, authenticity_signal, stress_monitor
+    agent_type VARCHAR(50) NOT NULL, -- consistency_checker, authenticity_signal, stress_monitor, answer_evaluator
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     observation JSONB NOT NULL, -- Agent-specific output
     severity VARCHAR(20), -- info, warning, critical
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Webhook Logs
-CREATE TABLE IF NOT EXISTS webhook_logs (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
-  event VARCHAR(100) NOT NULL,
-  status VARCHAR(20) NOT NULL, -- success, failed
-  response_status INTEGER,
-  error_message TEXT,
-  sent_at TIMESTAMP DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS idx_webhook_logs_webhook ON webhook_logs(webhook_id);
-CREATE INDEX IF NOT EXISTS idx_webhook_logs_sent_at ON webhook_logs(sent_at DESC);
-
 -- Video Frame Analysis (behavioral signals only)
 CREATE TABLE video_frames (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -209,12 +450,24 @@ CREATE TABLE usage_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
     interview_id UUID REFERENCES interviews(id) ON DELETE SET NULL,
-    event_type VARCHAR(50), -- interview_started, interview_completed, api_call
+    event_type VARCHAR(50), -- interview_started, interview_completed, api_call, llm, transcription, speech
     credits_used INTEGER DEFAULT 1,
+    agent VARCHAR(50), -- interviewer, report_synthesizer, voice, ...
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    images INTEGER DEFAULT 0,
+    audio_seconds NUMERIC(10, 2) DEFAULT 0,
+    characters INTEGER DEFAULT 0,
+    cost_usd NUMERIC(12, 6), -- priced when recorded; NULL when the model has no price
     metadata JSONB,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX IF NOT EXISTS idx_usage_logs_company_created ON usage_logs(company_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_usage_logs_interview ON usage_logs(interview_id);
+
 -- Webhooks (for integrations)
 CREATE TABLE webhooks (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -227,11 +480,47 @@ CREATE TABLE webhooks (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Webhook Logs
+CREATE TABLE IF NOT EXISTS webhook_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL, -- success, failed
+  response_status INTEGER,
+  error_message TEXT,
+  sent_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_webhook ON webhook_logs(webhook_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_sent_at ON webhook_logs(sent_at DESC);
+
+-- Webhook Deliveries (durable queue state, dead letters)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, retrying, delivered, dead, cancelled
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE webhook_logs
+ADD COLUMN IF NOT EXISTS delivery_id UUID REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS attempt INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_delivery ON webhook_logs(delivery_id);
+
 -- HR Supervision Features
 CREATE TABLE IF NOT EXISTS interview_observers (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
-  hr_user_id UUID NOT NULL,
+  hr_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   hr_name VARCHAR(255) NOT NULL,
   joined_at TIMESTAMP DEFAULT NOW(),
   left_at TIMESTAMP,
@@ -243,7 +532,7 @@ CREATE TABLE IF NOT EXISTS interview_observers (
 CREATE TABLE IF NOT EXISTS hr_interview_notes (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   interview_id UUID NOT NULL REFERENCES interviews(id) ON DELETE CASCADE,
-  hr_user_id UUID NOT NULL,
+  hr_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   note TEXT NOT NULL,
   timestamp TIMESTAMP DEFAULT NOW(),
   created_at TIMESTAMP DEFAULT NOW()
@@ -260,7 +549,7 @@ ADD COLUMN IF NOT EXISTS hr_observers_count INTEGER DEFAULT 0;
 -- Authentication Tables
 CREATE TABLE IF NOT EXISTS refresh_tokens (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  user_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   token TEXT NOT NULL UNIQUE,
   expires_at TIMESTAMP NOT NULL,
   created_at TIMESTAMP DEFAULT NOW()
@@ -268,7 +557,7 @@ CREATE TABLE IF NOT EXISTS refresh_tokens (
 
 CREATE TABLE IF NOT EXISTS password_reset_tokens (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  user_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   token_hash TEXT NOT NULL,
   expires_at TIMESTAMP NOT NULL,
   created_at TIMESTAMP DEFAULT NOW(),
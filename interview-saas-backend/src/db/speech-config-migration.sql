@@ -0,0 +1,3 @@
+-- Per-company speech provider and voice selection
+ALTER TABLE companies
+ADD COLUMN IF NOT EXISTS speech_config JSONB; -- { transcription_provider, speech_provider, voices: { <language>: <voice> } }
@@ -0,0 +1,18 @@
+-- Token, audio and character metering per model call
+ALTER TABLE usage_logs
+ADD COLUMN IF NOT EXISTS agent VARCHAR(50), -- interviewer, report_synthesizer, voice, ...
+ADD COLUMN IF NOT EXISTS provider VARCHAR(50),
+ADD COLUMN IF NOT EXISTS model VARCHAR(100),
+ADD COLUMN IF NOT EXISTS input_tokens INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS output_tokens INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS images INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS audio_seconds NUMERIC(10, 2) DEFAULT 0,
+ADD COLUMN IF NOT EXISTS characters INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS cost_usd NUMERIC(12, 6); -- priced when recorded; NULL when the model has no price
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_usage_logs_company_created 
+ON usage_logs(company_id, created_at);
+
+CREATE INDEX IF NOT EXISTS idx_usage_logs_interview 
+ON usage_logs(interview_id);
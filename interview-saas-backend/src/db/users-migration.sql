@@ -0,0 +1,76 @@
+-- Company users (multiple logins per company)
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash TEXT NOT NULL,
+  first_name VARCHAR(100),
+  last_name VARCHAR(100),
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- owner, admin, recruiter, hiring_manager, viewer
+  is_active BOOLEAN DEFAULT true,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (role IN ('owner', 'admin', 'recruiter', 'hiring_manager', 'viewer'))
+);
+
+-- Invitations to join a company
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL, -- sha256 of the emailed token
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  accepted_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (role IN ('admin', 'recruiter', 'hiring_manager', 'viewer'))
+);
+
+-- Passwords now live on users
+ALTER TABLE companies
+ALTER COLUMN password_hash DROP NOT NULL;
+
+-- Existing single-login companies become their owner user
+INSERT INTO users (company_id, email, password_hash, role)
+SELECT c.id, c.email, c.password_hash, 'owner'
+FROM companies c
+WHERE c.password_hash IS NOT NULL
+AND NOT EXISTS (SELECT 1 FROM users u WHERE u.company_id = c.id);
+
+-- Auth tokens now belong to users, not companies
+DELETE FROM refresh_tokens;
+DELETE FROM password_reset_tokens;
+
+ALTER TABLE refresh_tokens
+DROP CONSTRAINT IF EXISTS refresh_tokens_user_id_fkey,
+ADD CONSTRAINT refresh_tokens_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE password_reset_tokens
+DROP CONSTRAINT IF EXISTS password_reset_tokens_user_id_fkey,
+ADD CONSTRAINT password_reset_tokens_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+-- HR supervision rows now point at real users
+ALTER TABLE interview_observers
+DROP CONSTRAINT IF EXISTS interview_observers_hr_user_id_fkey,
+ADD CONSTRAINT interview_observers_hr_user_id_fkey
+  FOREIGN KEY (hr_user_id) REFERENCES users(id) ON DELETE CASCADE NOT VALID;
+
+ALTER TABLE hr_interview_notes
+DROP CONSTRAINT IF EXISTS hr_interview_notes_hr_user_id_fkey,
+ADD CONSTRAINT hr_interview_notes_hr_user_id_fkey
+  FOREIGN KEY (hr_user_id) REFERENCES users(id) ON DELETE CASCADE NOT VALID;
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_users_company 
+ON users(company_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_company 
+ON user_invitations(company_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_invitations_email 
+ON user_invitations(email);
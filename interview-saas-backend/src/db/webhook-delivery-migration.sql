@@ -0,0 +1,28 @@
+-- Durable webhook deliveries (processed by the Bull worker)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, retrying, delivered, dead, cancelled
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Link each logged attempt to its delivery
+ALTER TABLE webhook_logs
+ADD COLUMN IF NOT EXISTS delivery_id UUID REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS attempt INTEGER;
+
+-- Add indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook 
+ON webhook_deliveries(webhook_id);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status 
+ON webhook_deliveries(status);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_logs_delivery 
+ON webhook_logs(delivery_id);
@@ -1,9 +1,61 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../db');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
+const AuthService = require('../services/AuthService');
+const CandidateAccessService = require('../services/CandidateAccessService');
+const { hasPermission, hasScope } = require('../utils/permissions');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 
+/**
+ * Resolve the user behind a verified access token
+ * Returns null if the user no longer exists or has been deactivated.
+ */
+const loadUserFromToken = async (decoded) => {
+  if (!decoded.userId) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT u.id, u.company_id, u.email, u.role, u.first_name, u.last_name,
+            c.name as company_name
+     FROM users u
+     JOIN companies c ON u.company_id = c.id
+     WHERE u.id = $1 AND u.is_active = true`,
+    [decoded.userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Attach the company behind a validated API key to the request
+ */
+const attachApiKey = (req, key) => {
+  req.company = key.company;
+  req.auth = { type: 'api_key', keyId: key.keyId, scopes: key.scopes };
+};
+
+/**
+ * Attach the resolved user and their company to the request
+ */
+const attachUser = (req, user) => {
+  req.user = {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    company_id: user.company_id
+  };
+  req.company = {
+    id: user.company_id,
+    name: user.company_name,
+    role: user.role
+  };
+  req.auth = { type: 'user' };
+};
+
 /**
  * Authenticate using JWT token (NEW - for user authentication)
  */
@@ -23,13 +75,17 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, JWT_SECRET);
 
-    // Attach user info to request
-    req.company = {
-      id: decoded.companyId || decoded.userId,
-      email: decoded.email,
-      role: decoded.role || 'admin'
-    };
+    // Resolve the real user (role may have changed since the token was issued)
+    const user = await loadUserFromToken(decoded);
 
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found or deactivated'
+      });
+    }
+
+    attachUser(req, user);
     next();
   } catch (error) {
     logger.error('Token authentication error:', error);
@@ -56,7 +112,7 @@ const authenticateToken = async (req, res, next) => {
 };
 
 /**
- * Authenticate using API key (EXISTING - keep for backwards compatibility)
+ * Authenticate using API key
  */
 const authenticateCompany = async (req, res, next) => {
   try {
@@ -71,12 +127,9 @@ const authenticateCompany = async (req, res, next) => {
     }
 
     // Validate API key
-    const result = await query(
-      'SELECT id, name, email FROM companies WHERE api_key = $1',
-      [apiKey]
-    );
+    const key = await AuthService.validateApiKey(apiKey);
 
-    if (result.rows.length === 0) {
+    if (!key) {
       return res.status(401).json({
         success: false,
         message: 'Invalid API key'
@@ -84,7 +137,7 @@ const authenticateCompany = async (req, res, next) => {
     }
 
     // Attach company info to request
-    req.company = result.rows[0];
+    attachApiKey(req, key);
     next();
   } catch (error) {
     logger.error('API key authentication error:', error);
@@ -106,12 +159,12 @@ const authenticateEither = async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
-      req.company = {
-        id: decoded.companyId || decoded.userId,
-        email: decoded.email,
-        role: decoded.role || 'admin'
-      };
-      return next();
+      const user = await loadUserFromToken(decoded);
+
+      if (user) {
+        attachUser(req, user);
+        return next();
+      }
     } catch (error) {
       // JWT failed, try API key
     }
@@ -122,13 +175,10 @@ const authenticateEither = async (req, res, next) => {
 
   if (apiKey) {
     try {
-      const result = await query(
-        'SELECT id, name, email FROM companies WHERE api_key = $1',
-        [apiKey]
-      );
+      const key = await AuthService.validateApiKey(apiKey);
 
-      if (result.rows.length > 0) {
-        req.company = result.rows[0];
+      if (key) {
+        attachApiKey(req, key);
         return next();
       }
     } catch (error) {
@@ -153,11 +203,11 @@ const optionalAuth = async (req, res, next) => {
   if (token) {
     try {
       const decoded = jwt.verify(token, JWT_SECRET);
-      req.company = {
-        id: decoded.companyId || decoded.userId,
-        email: decoded.email,
-        role: decoded.role || 'admin'
-      };
+      const user = await loadUserFromToken(decoded);
+
+      if (user) {
+        attachUser(req, user);
+      }
     } catch (error) {
       // Token invalid but we don't block
       logger.debug('Optional auth token invalid');
@@ -213,10 +263,62 @@ const checkQuota = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a candidate using the session credential issued by
+ * GET /api/interviews/invite/:token. The credential must belong to the
+ * interview in the URL (:id or :interview_id).
+ */
+const authenticateCandidate = async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = req.headers['x-candidate-token'] || (authHeader && authHeader.split(' ')[1]);
+  const interviewId = req.params.id || req.params.interview_id;
+
+  try {
+    req.candidate = await CandidateAccessService.verifySession(token, interviewId);
+    next();
+  } catch (error) {
+    if (error.name === 'CandidateAccessError') {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Candidate authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+/**
+ * Require a permission (use after one of the authenticate* middlewares)
+ * Users are checked against their role, API keys against their scopes.
+ * @param {String} permission - Permission name, e.g. 'interviews:write'
+ */
+const authorize = (permission) => (req, res, next) => {
+  const allowed = req.auth?.type === 'api_key'
+    ? hasScope(req.auth.scopes, permission)
+    : Boolean(req.user) && hasPermission(req.user.role, permission);
+
+  if (!allowed) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions',
+      required: permission
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
+  authorize,
   authenticateCompany,
   authenticateEither,
+  authenticateCandidate,
   optionalAuth,
   checkQuota
 };
@@ -0,0 +1,41 @@
+import OpenAI from 'openai';
+import { OpenAIProvider } from './OpenAIProvider.js';
+
+/**
+ * Azure OpenAI LLM Provider
+ * Azure routes requests by deployment rather than model, so the configured
+ * model name is used as the deployment name and each gets its own client.
+ */
+export class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - { apiKey, endpoint, apiVersion, defaultDeployment }
+   */
+  constructor(config = {}) {
+    super({
+      name: 'azure',
+      apiKey: config.apiKey,
+      defaultModel: config.defaultDeployment
+    });
+    this.endpoint = (config.endpoint || '').replace(/\/$/, '');
+    this.apiVersion = config.apiVersion || '2024-02-01';
+    this.clients = new Map();
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey && this.endpoint && this.defaultModel);
+  }
+
+  getClient(deployment) {
+    if (!this.clients.has(deployment)) {
+      this.clients.set(deployment, new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: `${this.endpoint}/openai/deployments/${deployment}`,
+        defaultQuery: { 'api-version': this.apiVersion },
+        defaultHeaders: { 'api-key': this.apiKey }
+      }));
+    }
+    return this.clients.get(deployment);
+  }
+}
+
+export default AzureOpenAIProvider;
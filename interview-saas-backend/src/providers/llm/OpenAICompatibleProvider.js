@@ -0,0 +1,32 @@
+import { OpenAIProvider } from './OpenAIProvider.js';
+
+/**
+ * OpenAI-compatible LLM Provider
+ * For self-hosted servers exposing /v1/chat/completions (vLLM, Ollama,
+ * LM Studio, llama.cpp server, ...). Servers without JSON mode get a
+ * JSON-only instruction instead of `response_format`.
+ */
+export class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - { baseURL, apiKey, defaultModel, supportsJsonMode }
+   */
+  constructor(config = {}) {
+    super({
+      name: 'local',
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: config.apiKey || 'not-needed',
+      baseURL: config.baseURL,
+      defaultModel: config.defaultModel,
+      supportsJsonMode: config.supportsJsonMode
+    });
+
+    // No sensible fallback model name for an arbitrary server
+    this.defaultModel = config.defaultModel;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL && this.defaultModel);
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,71 @@
+import OpenAI from 'openai';
+
+/**
+ * OpenAI LLM Provider
+ * Also the base for any provider that speaks the OpenAI chat completions API.
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} config - { name, apiKey, baseURL, defaultModel, supportsJsonMode }
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL;
+    this.defaultModel = config.defaultModel || 'gpt-4-turbo-preview';
+    this.supportsJsonMode = config.supportsJsonMode !== false;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Create the SDK client on first use so a missing key only fails when the provider is actually called
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - { model, json, agent, task, ...completion params }
+   * @returns {Object} { content, model, usage }
+   */
+  async chat(messages, options = {}) {
+    // agent/task identify the caller; they are not completion parameters
+    const { model = this.defaultModel, json = false, agent, task, ...params } = options;
+
+    let requestMessages = messages;
+    if (json && this.supportsJsonMode) {
+      params.response_format = { type: 'json_object' };
+    } else if (json) {
+      requestMessages = [
+        ...messages,
+        { role: 'system', content: 'Respond with a single valid JSON object and nothing else.' }
+      ];
+    }
+
+    const response = await this.getClient(model).chat.completions.create({
+      ...params,
+      model,
+      messages: requestMessages
+    });
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || model,
+      usage: response.usage || null
+    };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+/**
+ * Stub LLM Provider
+ * Answers from a fixture file instead of the network so the interview flow
+ * runs offline (local development, CI). Fixtures are keyed by the `agent`
+ * and `task` every caller passes; a task holding a list picks an entry by
+ * hashing the prompt, so the same conversation always gets the same answers.
+ */
+export class StubProvider {
+  /**
+   * @param {Object} config - { fixturesPath }
+   */
+  constructor(config = {}) {
+    this.name = 'stub';
+    this.defaultModel = 'stub';
+    this.fixturesPath = config.fixturesPath || DEFAULT_FIXTURES;
+    this.fixtures = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - { agent, task, json, model }
+   * @returns {Object} { content, model, usage }
+   */
+  async chat(messages, options = {}) {
+    const { agent, task, json = false, model = this.defaultModel } = options;
+    const fixture = this.loadFixtures()[agent]?.[task];
+
+    if (fixture === undefined) {
+      throw new Error(`No stub fixture for ${agent || 'unknown agent'}/${task || 'unknown task'}`);
+    }
+
+    const prompt = JSON.stringify(messages);
+    let answer = fixture;
+
+    if (Array.isArray(fixture)) {
+      const hash = crypto.createHash('sha256').update(prompt).digest();
+      answer = fixture[hash.readUInt32BE(0) % fixture.length];
+    }
+
+    const content = json || typeof answer !== 'string' ? JSON.stringify(answer) : answer;
+
+    // Rough token counts (~4 characters per token) so usage reporting has numbers to work with
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      model,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+export default StubProvider;
@@ -0,0 +1,219 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import dotenv from 'dotenv';
+import { OpenAIProvider } from './OpenAIProvider.js';
+import { AzureOpenAIProvider } from './AzureOpenAIProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { StubProvider } from './StubProvider.js';
+import { query } from '../../db/index.js';
+import { logger } from '../../utils/logger.js';
+
+dotenv.config();
+
+/**
+ * Callers of the LLM layer; each passes its name as the `agent` option
+ */
+export const AGENTS = [
+  'interviewer',
+  'consistency_checker',
+  'authenticity_signal',
+  'stress_monitor',
+  'answer_evaluator',
+  'report_synthesizer',
+  'rubric_builder',
+  'resume_parser',
+  'vision_analysis'
+];
+
+// Who an LLM call is made for ({ companyId, interviewId }), without threading it through every agent
+const llmContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with LLM calls attributed to a company (and interview)
+ * @param {Object} context - { companyId, interviewId }
+ * @param {Function} fn - Work to run
+ */
+export const runWithLLMContext = (context, fn) => llmContext.run(context, fn);
+
+export const getLLMContext = () => llmContext.getStore() || {};
+
+/**
+ * Parse "agent=provider,agent=provider" into a map
+ */
+const parseAgentProviders = (value = '') => Object.fromEntries(
+  value.split(',')
+    .map(pair => pair.split('=').map(part => part.trim()))
+    .filter(([agent, provider]) => agent && provider)
+);
+
+/**
+ * LLM Provider Registry
+ * Providers are configured from the environment; companies choose among
+ * them (and per agent) through `companies.llm_config`:
+ *   { provider, model, agents: { interviewer: { provider, model } } }
+ */
+export class ProviderRegistry {
+  constructor() {
+    this.factories = {
+      openai: () => new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        defaultModel: process.env.OPENAI_MODEL
+      }),
+      azure: () => new AzureOpenAIProvider({
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION,
+        defaultDeployment: process.env.AZURE_OPENAI_DEPLOYMENT
+      }),
+      local: () => new OpenAICompatibleProvider({
+        baseURL: process.env.LLM_LOCAL_BASE_URL,
+        apiKey: process.env.LLM_LOCAL_API_KEY,
+        defaultModel: process.env.LLM_LOCAL_MODEL,
+        supportsJsonMode: process.env.LLM_LOCAL_JSON_MODE !== 'false'
+      }),
+      stub: () => new StubProvider({
+        fixturesPath: process.env.LLM_STUB_FIXTURES
+      })
+    };
+
+    this.providers = new Map();
+    this.defaultProvider = process.env.LLM_PROVIDER || 'openai';
+    this.agentProviders = parseAgentProviders(process.env.LLM_AGENT_PROVIDERS);
+
+    this.companyConfigs = new Map();
+    this.configCacheMs = parseInt(process.env.LLM_CONFIG_CACHE_MS) || 60 * 1000;
+  }
+
+  /**
+   * Add (or replace) a provider
+   * @param {String} name - Provider name used in configuration
+   * @param {Function} factory - Returns an object with name, defaultModel, isConfigured()
+   *   and chat(messages, { model, json, agent, task, ...params }) -> { content, model, usage }
+   */
+  register(name, factory) {
+    this.factories[name] = factory;
+    this.providers.delete(name);
+  }
+
+  getProvider(name) {
+    if (!this.factories[name]) {
+      throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.factories[name]());
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Providers with whether the environment configures them
+   */
+  listProviders() {
+    return Object.keys(this.factories).map((name) => {
+      const provider = this.getProvider(name);
+      return {
+        name,
+        configured: provider.isConfigured(),
+        default_model: provider.defaultModel || null,
+        is_default: name === this.defaultProvider
+      };
+    });
+  }
+
+  /**
+   * Get a company's LLM selection (cached briefly; it is read on every call)
+   */
+  async getCompanyConfig(companyId) {
+    if (!companyId) return {};
+
+    const cached = this.companyConfigs.get(companyId);
+    if (cached && Date.now() - cached.loadedAt < this.configCacheMs) {
+      return cached.config;
+    }
+
+    const result = await query(
+      'SELECT llm_config FROM companies WHERE id = $1',
+      [companyId]
+    );
+
+    const config = result.rows[0]?.llm_config || {};
+    this.companyConfigs.set(companyId, { config, loadedAt: Date.now() });
+
+    return config;
+  }
+
+  invalidateCompanyConfig(companyId) {
+    this.companyConfigs.delete(companyId);
+  }
+
+  /**
+   * Check a company configuration only names configured providers
+   * @returns {String|null} Problem, or null when valid
+   */
+  validateConfig(config) {
+    const selections = [config, ...Object.values(config.agents || {})];
+
+    for (const selection of selections) {
+      if (!selection.provider) continue;
+
+      if (!this.factories[selection.provider]) {
+        return `Unknown LLM provider: ${selection.provider}`;
+      }
+
+      if (!this.getProvider(selection.provider).isConfigured()) {
+        return `LLM provider ${selection.provider} is not configured on this server`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick provider and model for a call
+   * Agent selection beats company default beats server default.
+   * @param {String} agent - Calling agent
+   * @param {String} requestedModel - Model the caller asked for, if any
+   */
+  async resolve(agent, requestedModel) {
+    const { companyId } = getLLMContext();
+    const config = await this.getCompanyConfig(companyId);
+    const agentConfig = config.agents?.[agent] || {};
+
+    const providerName = agentConfig.provider
+      || config.provider
+      || this.agentProviders[agent]
+      || this.defaultProvider;
+
+    const provider = this.getProvider(providerName);
+
+    // A company model only makes sense for the company's own provider, and
+    // models requested in code are OpenAI model names
+    const companyModel = providerName === (config.provider || this.defaultProvider) ? config.model : null;
+    const codeModel = provider.name === 'openai' ? requestedModel : null;
+
+    return {
+      provider,
+      model: agentConfig.model || companyModel || codeModel || provider.defaultModel
+    };
+  }
+
+  /**
+   * Run a chat completion through the resolved provider
+   * @param {Array} messages - Array of message objects
+   * @param {Object} options - { agent, task, json, model, ...completion params }
+   * @returns {Object} { content, model, usage, provider }
+   */
+  async complete(messages, options = {}) {
+    const { agent, task, model: requestedModel, ...params } = options;
+    const { provider, model } = await this.resolve(agent, requestedModel);
+
+    const result = await provider.chat(messages, { ...params, model, agent, task });
+
+    logger.debug(`LLM ${provider.name}/${result.model} answered ${agent || 'unknown'}${task ? `/${task}` : ''}`);
+
+    return { ...result, provider: provider.name };
+  }
+}
+
+export default new ProviderRegistry();
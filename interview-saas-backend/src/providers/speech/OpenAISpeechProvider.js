@@ -0,0 +1,136 @@
+import OpenAI, { toFile } from 'openai';
+
+// Default OpenAI voice per interview language
+const OPENAI_LANGUAGE_VOICES = {
+  en: 'nova',    // English - neutral, professional
+  es: 'nova',    // Spanish - works well
+  ar: 'onyx',    // Arabic - deeper voice
+  hi: 'shimmer', // Hindi - clearer pronunciation
+  fr: 'nova'     // French - neutral
+};
+
+/**
+ * OpenAI Speech Provider
+ * Whisper transcription and OpenAI TTS. Also the base for servers that
+ * expose the same /v1/audio/transcriptions and /v1/audio/speech API.
+ */
+export class OpenAISpeechProvider {
+  /**
+   * @param {Object} config - { name, apiKey, baseURL, transcriptionModel, speechModel,
+   *   voices, languageVoices, defaultVoice, speechFormat }
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.apiKey = config.apiKey;
+    this.baseURL = config.baseURL;
+    this.transcriptionModel = config.transcriptionModel || 'whisper-1';
+    this.speechModel = config.speechModel || 'tts-1'; // tts-1 is faster, tts-1-hd is higher quality
+    this.voices = config.voices || ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+    this.languageVoices = config.languageVoices || OPENAI_LANGUAGE_VOICES;
+    this.defaultVoice = config.defaultVoice || 'nova';
+    this.speechFormat = config.speechFormat || 'mp3';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * What the provider can do: { transcription, speech }
+   */
+  capabilities() {
+    return { transcription: true, speech: true };
+  }
+
+  /**
+   * Create the SDK client on first use so a missing key only fails when the provider is actually called
+   */
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Voice to use for a language when the company hasn't picked one
+   */
+  voiceForLanguage(language) {
+    return this.languageVoices[language] || this.defaultVoice;
+  }
+
+  /**
+   * Transcribe audio
+   * @param {Buffer} audio - Audio file contents
+   * @param {Object} options - { language (optional, auto-detected), format (file extension) }
+   * @returns {Object} { text, language, duration, model }
+   */
+  async transcribe(audio, options = {}) {
+    const { language = null, format = 'mp3' } = options;
+
+    const response = await this.getClient().audio.transcriptions.create({
+      file: await toFile(audio, `audio.${format}`),
+      model: this.transcriptionModel,
+      language: language || undefined,
+      // verbose_json reports the audio duration for metering
+      response_format: 'verbose_json'
+    });
+
+    return {
+      text: response.text,
+      language: response.language || language,
+      duration: response.duration,
+      model: this.transcriptionModel
+    };
+  }
+
+  async createSpeech(text, options = {}) {
+    const { voice = this.defaultVoice, speed = 1.0 } = options;
+
+    return this.getClient().audio.speech.create({
+      model: this.speechModel,
+      voice,
+      input: text,
+      speed,
+      response_format: this.speechFormat
+    });
+  }
+
+  /**
+   * Synthesize speech
+   * @param {String} text - Text to speak
+   * @param {Object} options - { voice, speed }
+   * @returns {Object} { audio (Buffer), format, model }
+   */
+  async synthesize(text, options = {}) {
+    const response = await this.createSpeech(text, options);
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      format: this.speechFormat,
+      model: this.speechModel
+    };
+  }
+
+  /**
+   * Synthesize speech as a stream, so playback can start before it is complete
+   * @param {String} text - Text to speak
+   * @param {Object} options - { voice, speed }
+   * @returns {Object} { stream (async iterable of audio chunks), format, model }
+   */
+  async synthesizeStream(text, options = {}) {
+    const response = await this.createSpeech(text, options);
+
+    return {
+      stream: response.body,
+      format: this.speechFormat,
+      model: this.speechModel
+    };
+  }
+}
+
+export default OpenAISpeechProvider;
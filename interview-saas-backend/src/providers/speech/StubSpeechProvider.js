@@ -0,0 +1,111 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { pcmToWav } from '../../utils/audio.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+// Stub speech is silence lasting roughly as long as the text would take to say
+const STUB_SAMPLE_RATE = 8000;
+const STUB_MS_PER_CHARACTER = 60;
+const STUB_CHUNK_BYTES = 16 * 1024;
+
+/**
+ * Stub Speech Provider
+ * Transcribes to fixture answers and speaks silence, so voice interviews
+ * run offline (local development, CI). Transcripts are listed per language
+ * in the fixture file; one is picked by hashing the audio, so the same
+ * recording always gets the same text.
+ */
+export class StubSpeechProvider {
+  /**
+   * @param {Object} config - { fixturesPath }
+   */
+  constructor(config = {}) {
+    this.name = 'stub';
+    this.fixturesPath = config.fixturesPath || DEFAULT_FIXTURES;
+    this.fixtures = null;
+    this.voices = ['stub'];
+    this.defaultVoice = 'stub';
+    this.speechFormat = 'wav';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  capabilities() {
+    return { transcription: true, speech: true };
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  voiceForLanguage() {
+    return this.defaultVoice;
+  }
+
+  /**
+   * @param {Buffer} audio - Audio file contents
+   * @param {Object} options - { language }
+   * @returns {Object} { text, language, duration, model }
+   */
+  async transcribe(audio, options = {}) {
+    const { language = null } = options;
+    const transcriptions = this.loadFixtures().transcriptions || {};
+    const fixture = transcriptions[language] || transcriptions.default;
+
+    if (!fixture || fixture.length === 0) {
+      throw new Error(`No stub transcription fixture for ${language || 'default'}`);
+    }
+
+    const hash = crypto.createHash('sha256').update(audio).digest();
+
+    return {
+      text: fixture[hash.readUInt32BE(0) % fixture.length],
+      language: language || 'en',
+      // Rough length (~16KB per second) so usage reporting has numbers to work with
+      duration: audio.length / 16000,
+      model: 'stub'
+    };
+  }
+
+  /**
+   * @param {String} text - Text to speak
+   * @returns {Object} { audio (Buffer), format, model }
+   */
+  async synthesize(text) {
+    const samples = Math.ceil(text.length * STUB_MS_PER_CHARACTER * STUB_SAMPLE_RATE / 1000);
+
+    return {
+      audio: pcmToWav(Buffer.alloc(samples * 2), STUB_SAMPLE_RATE),
+      format: this.speechFormat,
+      model: 'stub'
+    };
+  }
+
+  /**
+   * @param {String} text - Text to speak
+   * @returns {Object} { stream (async iterable of audio chunks), format, model }
+   */
+  async synthesizeStream(text) {
+    const { audio, format, model } = await this.synthesize(text);
+    const chunks = [];
+
+    for (let offset = 0; offset < audio.length; offset += STUB_CHUNK_BYTES) {
+      chunks.push(audio.subarray(offset, offset + STUB_CHUNK_BYTES));
+    }
+
+    return { stream: Readable.from(chunks), format, model };
+  }
+}
+
+export default StubSpeechProvider;
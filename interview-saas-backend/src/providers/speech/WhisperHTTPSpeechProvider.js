@@ -0,0 +1,42 @@
+import { OpenAISpeechProvider } from './OpenAISpeechProvider.js';
+
+/**
+ * Self-hosted Whisper-compatible Speech Provider
+ * For servers exposing the OpenAI audio API on your own infrastructure
+ * (faster-whisper-server, whisper.cpp server, LocalAI, ...), so candidate
+ * audio never leaves it. Speech synthesis is only offered when the server
+ * has a TTS model configured.
+ */
+export class WhisperHTTPSpeechProvider extends OpenAISpeechProvider {
+  /**
+   * @param {Object} config - { baseURL, apiKey, transcriptionModel, speechModel, voices, defaultVoice, speechFormat }
+   */
+  constructor(config = {}) {
+    super({
+      name: 'local',
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: config.apiKey || 'not-needed',
+      baseURL: config.baseURL,
+      transcriptionModel: config.transcriptionModel,
+      speechModel: config.speechModel,
+      voices: config.voices,
+      languageVoices: {},
+      defaultVoice: config.defaultVoice || config.voices?.[0],
+      speechFormat: config.speechFormat
+    });
+
+    // No sensible fallback for an arbitrary server's TTS model or voices
+    this.speechModel = config.speechModel;
+    this.voices = config.voices || null;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+
+  capabilities() {
+    return { transcription: true, speech: Boolean(this.speechModel) };
+  }
+}
+
+export default WhisperHTTPSpeechProvider;
@@ -0,0 +1,187 @@
+import dotenv from 'dotenv';
+import { OpenAISpeechProvider } from './OpenAISpeechProvider.js';
+import { WhisperHTTPSpeechProvider } from './WhisperHTTPSpeechProvider.js';
+import { StubSpeechProvider } from './StubSpeechProvider.js';
+import { getLLMContext } from '../llm/index.js';
+import { query } from '../../db/index.js';
+
+dotenv.config();
+
+const parseList = (value = '') => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Speech Provider Registry
+ * Providers are configured from the environment; companies choose among
+ * them through `companies.speech_config`:
+ *   { transcription_provider, speech_provider, voices: { <language>: <voice> } }
+ * Transcription and speech are chosen separately, so a company can keep
+ * candidate audio on its own Whisper server while using hosted TTS.
+ */
+export class SpeechProviderRegistry {
+  constructor() {
+    this.factories = {
+      openai: () => new OpenAISpeechProvider({
+        apiKey: process.env.OPENAI_API_KEY
+      }),
+      local: () => new WhisperHTTPSpeechProvider({
+        baseURL: process.env.SPEECH_LOCAL_BASE_URL,
+        apiKey: process.env.SPEECH_LOCAL_API_KEY,
+        transcriptionModel: process.env.SPEECH_LOCAL_TRANSCRIPTION_MODEL,
+        speechModel: process.env.SPEECH_LOCAL_SPEECH_MODEL,
+        voices: process.env.SPEECH_LOCAL_VOICES ? parseList(process.env.SPEECH_LOCAL_VOICES) : null,
+        speechFormat: process.env.SPEECH_LOCAL_FORMAT
+      }),
+      stub: () => new StubSpeechProvider({
+        fixturesPath: process.env.SPEECH_STUB_FIXTURES
+      })
+    };
+
+    this.providers = new Map();
+    this.defaultProvider = process.env.SPEECH_PROVIDER || 'openai';
+    this.defaultTranscriptionProvider = process.env.SPEECH_TRANSCRIPTION_PROVIDER || this.defaultProvider;
+
+    this.companyConfigs = new Map();
+    this.configCacheMs = parseInt(process.env.SPEECH_CONFIG_CACHE_MS) || 60 * 1000;
+  }
+
+  /**
+   * Add (or replace) a provider
+   * @param {String} name - Provider name used in configuration
+   * @param {Function} factory - Returns an object with name, voices (Array or null), speechFormat,
+   *   isConfigured(), capabilities() -> { transcription, speech }, voiceForLanguage(language),
+   *   transcribe(audio, { language, format }) -> { text, language, duration, model },
+   *   synthesize(text, { voice, speed }) -> { audio, format, model } and
+   *   synthesizeStream(text, { voice, speed }) -> { stream, format, model }
+   */
+  register(name, factory) {
+    this.factories[name] = factory;
+    this.providers.delete(name);
+  }
+
+  getProvider(name) {
+    if (!this.factories[name]) {
+      throw new Error(`Unknown speech provider: ${name}`);
+    }
+
+    if (!this.providers.has(name)) {
+      this.providers.set(name, this.factories[name]());
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Providers with whether the environment configures them and what they offer
+   */
+  listProviders() {
+    return Object.keys(this.factories).map((name) => {
+      const provider = this.getProvider(name);
+      return {
+        name,
+        configured: provider.isConfigured(),
+        ...provider.capabilities(),
+        voices: provider.voices,
+        audio_format: provider.speechFormat,
+        is_default_transcription: name === this.defaultTranscriptionProvider,
+        is_default_speech: name === this.defaultProvider
+      };
+    });
+  }
+
+  /**
+   * Get a company's speech selection (cached briefly; it is read on every call)
+   */
+  async getCompanyConfig(companyId) {
+    if (!companyId) return {};
+
+    const cached = this.companyConfigs.get(companyId);
+    if (cached && Date.now() - cached.loadedAt < this.configCacheMs) {
+      return cached.config;
+    }
+
+    const result = await query(
+      'SELECT speech_config FROM companies WHERE id = $1',
+      [companyId]
+    );
+
+    const config = result.rows[0]?.speech_config || {};
+    this.companyConfigs.set(companyId, { config, loadedAt: Date.now() });
+
+    return config;
+  }
+
+  invalidateCompanyConfig(companyId) {
+    this.companyConfigs.delete(companyId);
+  }
+
+  /**
+   * Check a company configuration names configured providers that can do
+   * the job, and voices the speech provider offers
+   * @returns {String|null} Problem, or null when valid
+   */
+  validateConfig(config) {
+    const selections = [
+      ['transcription', config.transcription_provider],
+      ['speech', config.speech_provider]
+    ];
+
+    for (const [capability, name] of selections) {
+      if (!name) continue;
+
+      if (!this.factories[name]) {
+        return `Unknown speech provider: ${name}`;
+      }
+
+      const provider = this.getProvider(name);
+
+      if (!provider.isConfigured()) {
+        return `Speech provider ${name} is not configured on this server`;
+      }
+
+      if (!provider.capabilities()[capability]) {
+        return `Speech provider ${name} does not support ${capability}`;
+      }
+    }
+
+    const speechProvider = this.getProvider(config.speech_provider || this.defaultProvider);
+
+    for (const [language, voice] of Object.entries(config.voices || {})) {
+      if (speechProvider.voices && !speechProvider.voices.includes(voice)) {
+        return `Voice ${voice} (${language}) is not offered by speech provider ${speechProvider.name}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Provider for transcribing the current company's audio
+   */
+  async resolveTranscription() {
+    const { companyId } = getLLMContext();
+    const config = await this.getCompanyConfig(companyId);
+
+    return this.getProvider(config.transcription_provider || this.defaultTranscriptionProvider);
+  }
+
+  /**
+   * Provider and voice for speaking to the current company's candidates
+   * A voice passed by the caller beats the company's voice for the language,
+   * which beats the provider's default.
+   * @param {String} language - Interview language
+   * @param {String} voice - Voice requested by the caller, if any
+   * @returns {Object} { provider, voice }
+   */
+  async resolveSpeech(language, voice = null) {
+    const { companyId } = getLLMContext();
+    const config = await this.getCompanyConfig(companyId);
+    const provider = this.getProvider(config.speech_provider || this.defaultProvider);
+
+    return {
+      provider,
+      voice: voice || config.voices?.[language] || provider.voiceForLanguage(language)
+    };
+  }
+}
+
+export default new SpeechProviderRegistry();
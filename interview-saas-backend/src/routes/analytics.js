@@ -1,6 +1,7 @@
 const express = require('express');
-const { authenticateCompany } = require('../middleware/auth');
-const AnalyticsService = require('../services/AnalyticsService.js');  // ✅ Fixed
+const { authenticateEither, authorize } = require('../middleware/auth');
+const AnalyticsService = require('../services/AnalyticsService.js').default;  // ✅ Fixed
+const { PRICES } = require('../utils/pricing.js');
 const Joi = require('joi');  // ✅ Fixed
 
 const router = express.Router();
@@ -9,14 +10,20 @@ const dateRangeSchema = Joi.object({
   dateFrom: Joi.date().iso().optional(),
   dateTo: Joi.date().iso().optional(),
   period: Joi.string().valid('day', 'week', 'month').default('day'),
-  limit: Joi.number().min(1).max(365).default(30)
+  limit: Joi.number().min(1).max(365).default(30),
+  scores: Joi.string().valid('ai', 'adjusted').default('ai')
 });
 
+// ai = scores as generated, adjusted = with recruiters' overrides where reviewed
+const scoreModeSchema = Joi.object({
+  scores: Joi.string().valid('ai', 'adjusted').default('ai')
+}).unknown(true);
+
 /**
  * GET /api/analytics/overview
  * Get overview statistics
  */
-router.get('/overview', authenticateCompany, async (req, res) => {
+router.get('/overview', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const { error, value } = dateRangeSchema.validate(req.query);
     if (error) {
@@ -39,7 +46,7 @@ router.get('/overview', authenticateCompany, async (req, res) => {
  * GET /api/analytics/trends
  * Get interview trends over time
  */
-router.get('/trends', authenticateCompany, async (req, res) => {
+router.get('/trends', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const { error, value } = dateRangeSchema.validate(req.query);
     if (error) {
@@ -63,11 +70,16 @@ router.get('/trends', authenticateCompany, async (req, res) => {
  * GET /api/analytics/top-candidates
  * Get top performing candidates
  */
-router.get('/top-candidates', authenticateCompany, async (req, res) => {
+router.get('/top-candidates', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
+    const { error, value } = scoreModeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
     const limit = parseInt(req.query.limit) || 10;
 
-    const candidates = await AnalyticsService.getTopCandidates(req.company.id, limit);
+    const candidates = await AnalyticsService.getTopCandidates(req.company.id, limit, { scores: value.scores });
 
     res.json({ candidates });
   } catch (error) {
@@ -80,7 +92,7 @@ router.get('/top-candidates', authenticateCompany, async (req, res) => {
  * GET /api/analytics/job-performance
  * Get job performance statistics
  */
-router.get('/job-performance', authenticateCompany, async (req, res) => {
+router.get('/job-performance', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const jobs = await AnalyticsService.getJobPerformance(req.company.id);
 
@@ -95,9 +107,14 @@ router.get('/job-performance', authenticateCompany, async (req, res) => {
  * GET /api/analytics/score-distribution
  * Get score distribution
  */
-router.get('/score-distribution', authenticateCompany, async (req, res) => {
+router.get('/score-distribution', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
-    const distribution = await AnalyticsService.getScoreDistribution(req.company.id);
+    const { error, value } = scoreModeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const distribution = await AnalyticsService.getScoreDistribution(req.company.id, { scores: value.scores });
 
     res.json({ distribution });
   } catch (error) {
@@ -110,7 +127,7 @@ router.get('/score-distribution', authenticateCompany, async (req, res) => {
  * GET /api/analytics/skills
  * Get skills analysis
  */
-router.get('/skills', authenticateCompany, async (req, res) => {
+router.get('/skills', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
 
@@ -125,9 +142,9 @@ router.get('/skills', authenticateCompany, async (req, res) => {
 
 /**
  * GET /api/analytics/costs
- * Get cost analysis
+ * Get metered AI spend with breakdowns by type, agent, job and month
  */
-router.get('/costs', authenticateCompany, async (req, res) => {
+router.get('/costs', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const { error, value } = dateRangeSchema.validate(req.query);
     if (error) {
@@ -146,11 +163,19 @@ router.get('/costs', authenticateCompany, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/costs/prices
+ * Get the price table usage is costed with
+ */
+router.get('/costs/prices', authenticateEither, authorize('analytics:read'), (req, res) => {
+  res.json({ currency: 'USD', prices: PRICES });
+});
+
 /**
  * GET /api/analytics/status-breakdown
  * Get interview status breakdown
  */
-router.get('/status-breakdown', authenticateCompany, async (req, res) => {
+router.get('/status-breakdown', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const breakdown = await AnalyticsService.getStatusBreakdown(req.company.id);
 
@@ -165,7 +190,7 @@ router.get('/status-breakdown', authenticateCompany, async (req, res) => {
  * GET /api/analytics/recommendations
  * Get recommendation breakdown
  */
-router.get('/recommendations', authenticateCompany, async (req, res) => {
+router.get('/recommendations', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const breakdown = await AnalyticsService.getRecommendationBreakdown(req.company.id);
 
@@ -180,7 +205,7 @@ router.get('/recommendations', authenticateCompany, async (req, res) => {
  * GET /api/analytics/export
  * Export analytics data as CSV
  */
-router.get('/export', authenticateCompany, async (req, res) => {
+router.get('/export', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const type = req.query.type || 'interviews';
 
@@ -199,7 +224,7 @@ router.get('/export', authenticateCompany, async (req, res) => {
  * GET /api/analytics/dashboard
  * Get complete dashboard data in one call
  */
-router.get('/dashboard', authenticateCompany, async (req, res) => {
+router.get('/dashboard', authenticateEither, authorize('analytics:read'), async (req, res) => {
   try {
     const { error, value } = dateRangeSchema.validate(req.query);
     if (error) {
@@ -219,9 +244,9 @@ router.get('/dashboard', authenticateCompany, async (req, res) => {
     ] = await Promise.all([
       AnalyticsService.getOverview(req.company.id, { dateFrom: value.dateFrom, dateTo: value.dateTo }),
       AnalyticsService.getInterviewTrends(req.company.id, value.period, value.limit),
-      AnalyticsService.getTopCandidates(req.company.id, 5),
+      AnalyticsService.getTopCandidates(req.company.id, 5, { scores: value.scores }),
       AnalyticsService.getJobPerformance(req.company.id),
-      AnalyticsService.getScoreDistribution(req.company.id),
+      AnalyticsService.getScoreDistribution(req.company.id, { scores: value.scores }),
       AnalyticsService.getStatusBreakdown(req.company.id),
       AnalyticsService.getRecommendationBreakdown(req.company.id),
       AnalyticsService.getCostAnalysis(req.company.id, { dateFrom: value.dateFrom, dateTo: value.dateTo })
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const AuthService = require('../services/AuthService');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+const { query } = require('../db');
+const { logger } = require('../utils/logger');
+
+const createKeySchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...API_KEY_SCOPES)).min(1).unique().required(),
+  expires_at: Joi.date().iso().greater('now').optional().allow(null)
+});
+
+// Everything here requires a user who may manage API keys
+router.use(authenticateToken, authorize('api_keys:manage'));
+
+/**
+ * GET /api/auth/api-keys/scopes
+ * List scopes that can be granted to a key
+ */
+router.get('/scopes', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { scopes: API_KEY_SCOPES }
+  });
+});
+
+/**
+ * POST /api/auth/api-keys
+ * Mint a new named, scoped API key. The key is only shown once.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createKeySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const apiKey = await AuthService.createApiKey(req.company.id, req.user.id, {
+      name: value.name,
+      scopes: value.scopes,
+      expiresAt: value.expires_at
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now, it will not be shown again.',
+      data: { apiKey }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/api-keys
+ * List the company's API keys (never includes the key itself)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT k.id, k.name, k.key_prefix, k.scopes, k.expires_at, k.last_used_at,
+              k.is_active, k.revoked_at, k.created_at, u.email as created_by_email
+       FROM api_keys k
+       LEFT JOIN users u ON k.created_by = u.id
+       WHERE k.company_id = $1
+       ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC`,
+      [req.company.id]
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { apiKeys: result.rows }
+    });
+  } catch (error) {
+    logger.error('List API keys error:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/api-keys/:id/rotate
+ * Revoke a key and mint a replacement with the same name, scopes and expiry
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const apiKey = await AuthService.rotateApiKey(req.company.id, req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key rotated. Store the new key now, it will not be shown again.',
+      data: { apiKey }
+    });
+  } catch (error) {
+    logger.error('Rotate API key error:', error);
+
+    if (error.message === 'API key not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate API key'
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/api-keys/:id
+ * Revoke a key
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await AuthService.revokeApiKey(req.company.id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+
+    if (error.message === 'API key not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const AuthService = require('../services/AuthService');
 const { authenticateToken } = require('../middleware/auth');
-const logger = require('../utils/logger');
+const { logger } = require('../utils/logger');
+const { ROLE_PERMISSIONS } = require('../utils/permissions');
 
 // Validation helper
 const validateEmail = (email) => {
@@ -124,6 +125,63 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/accept-invite
+ * Accept a team invitation and create the user account
+ */
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password, firstName, lastName } = req.body;
+
+    if (!token || !password || !firstName || !lastName) {
+      return res.status(400).json({
+        success: false,
+        message: 'All fields are required'
+      });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters long'
+      });
+    }
+
+    const result = await AuthService.acceptInvitation(token, {
+      password,
+      firstName,
+      lastName
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Accept invitation error:', error);
+
+    if (error.message === 'Invalid or expired invitation') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message === 'Email already registered') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
 /**
  * POST /api/auth/refresh
  * Refresh access token using refresh token
@@ -276,8 +334,12 @@ router.get('/me', authenticateToken, async (req, res) => {
     const { query } = require('../db');
     
     const result = await query(
-      'SELECT id, name, email, api_key, contact_name, created_at FROM companies WHERE id = $1',
-      [req.company.id]
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role, u.last_login_at, u.created_at,
+              c.id as company_id, c.name as company_name, c.contact_name
+       FROM users u
+       JOIN companies c ON u.company_id = c.id
+       WHERE u.id = $1`,
+      [req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -287,10 +349,18 @@ router.get('/me', authenticateToken, async (req, res) => {
       });
     }
 
+    const { company_id, company_name, contact_name, ...user } = result.rows[0];
+
     res.status(200).json({
       success: true,
       data: {
-        user: result.rows[0]
+        user,
+        company: {
+          id: company_id,
+          name: company_name,
+          contact_name
+        },
+        permissions: ROLE_PERMISSIONS[user.role]
       }
     });
   } catch (error) {
@@ -329,8 +399,8 @@ router.post('/change-password', authenticateToken, async (req, res) => {
     
     // Get current password hash
     const result = await query(
-      'SELECT password_hash FROM companies WHERE id = $1',
-      [req.company.id]
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -358,14 +428,14 @@ router.post('/change-password', authenticateToken, async (req, res) => {
 
     // Update password
     await query(
-      'UPDATE companies SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-      [hashedPassword, req.company.id]
+      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+      [hashedPassword, req.user.id]
     );
 
     // Invalidate all refresh tokens (force re-login on all devices)
     await query(
       'DELETE FROM refresh_tokens WHERE user_id = $1',
-      [req.company.id]
+      [req.user.id]
     );
 
     res.status(200).json({
@@ -0,0 +1,135 @@
+const express = require('express');
+const { authenticateEither, authorize } = require('../middleware/auth');
+const BlueprintService = require('../services/BlueprintService.js').default;
+const { DEFAULT_BLUEPRINT } = require('../services/BlueprintService.js');
+const Joi = require('joi');
+
+const router = express.Router();
+
+const phaseSchema = Joi.object({
+  key: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50).required()
+    .messages({ 'string.pattern.base': 'Phase key must be lowercase letters, digits and underscores' }),
+  name: Joi.string().max(100).required(),
+  instructions: Joi.string().max(2000).required(),
+  question_count: Joi.number().integer().min(1).max(20).optional(),
+  time_budget_minutes: Joi.number().min(1).max(120).optional(),
+  allow_follow_ups: Joi.boolean().default(true),
+  include_resume: Joi.boolean().default(false)
+}).or('question_count', 'time_budget_minutes');
+
+const blueprintSchema = Joi.object({
+  name: Joi.string().min(2).max(255).required(),
+  description: Joi.string().max(2000).allow('', null).optional(),
+  phases: Joi.array().items(phaseSchema).min(1).max(12).required(),
+  max_candidate_answers: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * GET /api/blueprints/default
+ * The blueprint jobs without one of their own follow
+ */
+router.get('/default', authenticateEither, authorize('jobs:read'), (req, res) => {
+  res.json({ blueprint: DEFAULT_BLUEPRINT });
+});
+
+/**
+ * GET /api/blueprints
+ * List the company's interview blueprints
+ */
+router.get('/', authenticateEither, authorize('jobs:read'), async (req, res) => {
+  try {
+    const blueprints = await BlueprintService.list(req.company.id);
+    res.json({ blueprints });
+  } catch (error) {
+    console.error('List blueprints error:', error);
+    res.status(500).json({ error: 'Failed to list blueprints' });
+  }
+});
+
+/**
+ * POST /api/blueprints
+ * Create an interview blueprint
+ */
+router.post('/', authenticateEither, authorize('jobs:write'), async (req, res) => {
+  try {
+    const { error, value } = blueprintSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const blueprint = await BlueprintService.create(req.company.id, req.user?.id, value);
+
+    res.status(201).json({
+      message: 'Blueprint created successfully',
+      blueprint
+    });
+  } catch (error) {
+    if (error.name === 'BlueprintError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create blueprint error:', error);
+    res.status(500).json({ error: 'Failed to create blueprint' });
+  }
+});
+
+/**
+ * GET /api/blueprints/:id
+ * Get a blueprint
+ */
+router.get('/:id', authenticateEither, authorize('jobs:read'), async (req, res) => {
+  try {
+    const blueprint = await BlueprintService.get(req.params.id, req.company.id);
+    res.json({ blueprint });
+  } catch (error) {
+    if (error.name === 'BlueprintError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get blueprint error:', error);
+    res.status(500).json({ error: 'Failed to get blueprint' });
+  }
+});
+
+/**
+ * PUT /api/blueprints/:id
+ * Replace a blueprint (interviews already started keep their snapshot)
+ */
+router.put('/:id', authenticateEither, authorize('jobs:write'), async (req, res) => {
+  try {
+    const { error, value } = blueprintSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const blueprint = await BlueprintService.update(req.params.id, req.company.id, value);
+
+    res.json({
+      message: 'Blueprint updated successfully',
+      blueprint
+    });
+  } catch (error) {
+    if (error.name === 'BlueprintError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update blueprint error:', error);
+    res.status(500).json({ error: 'Failed to update blueprint' });
+  }
+});
+
+/**
+ * DELETE /api/blueprints/:id
+ * Delete a blueprint; its jobs fall back to the default blueprint
+ */
+router.delete('/:id', authenticateEither, authorize('jobs:write'), async (req, res) => {
+  try {
+    await BlueprintService.delete(req.params.id, req.company.id);
+    res.json({ message: 'Blueprint deleted successfully' });
+  } catch (error) {
+    if (error.name === 'BlueprintError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Delete blueprint error:', error);
+    res.status(500).json({ error: 'Failed to delete blueprint' });
+  }
+});
+
+module.exports = router;
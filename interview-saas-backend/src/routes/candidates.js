@@ -1,8 +1,10 @@
 const express = require('express');
-const { authenticateCompany } = require('../middleware/auth');
+const { authenticateEither, authorize } = require('../middleware/auth');
 const { query } = require('../db/index.js');  // ✅ Fixed
 const { uploadResume, handleUploadError } = require('../middleware/upload.js');  // ✅ Fixed
-const ResumeParserService = require('../services/ResumeParserService.js');  // ✅ Fixed
+const ResumeParserService = require('../services/ResumeParserService.js').default;  // ✅ Fixed
+const WebhookService = require('../services/WebhookService.js').default;
+const { runWithLLMContext } = require('../providers/llm/index.js');
 const Joi = require('joi');  // ✅ Fixed
 
 const router = express.Router();
@@ -17,11 +19,24 @@ const candidateSchema = Joi.object({
   source: Joi.string().max(100).optional()
 });
 
+/**
+ * Fire candidate.created for a newly inserted candidate
+ */
+const triggerCandidateCreated = (companyId, candidate) => {
+  return WebhookService.triggerEvent(companyId, 'candidate.created', {
+    candidate_id: candidate.id,
+    email: candidate.email,
+    full_name: candidate.full_name,
+    source: candidate.source,
+    created_at: candidate.created_at
+  });
+};
+
 /**
  * POST /api/candidates
  * Create a new candidate or return existing one
  */
-router.post('/', authenticateCompany, async (req, res) => {
+router.post('/', authenticateEither, authorize('candidates:write'), async (req, res) => {
   try {
     const { error, value } = candidateSchema.validate(req.body);
     if (error) {
@@ -49,6 +64,8 @@ router.post('/', authenticateCompany, async (req, res) => {
         VALUES ($1, $2, $3, $4, $5, $6, $7)
         RETURNING *
       `, [email, full_name, phone, linkedin_url, resume_text, JSON.stringify(resume_parsed), source]);
+
+      await triggerCandidateCreated(req.company.id, result.rows[0]);
     }
     
     res.status(201).json({
@@ -65,7 +82,7 @@ router.post('/', authenticateCompany, async (req, res) => {
  * POST /api/candidates/upload-resume
  * Upload and parse resume
  */
-router.post('/upload-resume', authenticateCompany, uploadResume, handleUploadError, async (req, res) => {
+router.post('/upload-resume', authenticateEither, authorize('candidates:write'), uploadResume, handleUploadError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
@@ -78,10 +95,12 @@ router.post('/upload-resume', authenticateCompany, uploadResume, handleUploadErr
     }
 
     // Parse resume
-    const parsedResume = await ResumeParserService.parseResume(
-      req.file.buffer,
-      req.file.mimetype,
-      req.file.originalname
+    const parsedResume = await runWithLLMContext({ companyId: req.company.id }, () =>
+      ResumeParserService.parseResume(
+        req.file.buffer,
+        req.file.mimetype,
+        req.file.originalname
+      )
     );
 
     // Use name from resume if not provided
@@ -128,6 +147,8 @@ router.post('/upload-resume', authenticateCompany, uploadResume, handleUploadErr
         JSON.stringify(parsedResume.parsed),
         'resume_upload'
       ]);
+
+      await triggerCandidateCreated(req.company.id, result.rows[0]);
     }
 
     const candidate = result.rows[0];
@@ -162,6 +183,9 @@ router.post('/upload-resume', authenticateCompany, uploadResume, handleUploadErr
     });
   } catch (error) {
     console.error('Resume upload error:', error);
+    if (error.name === 'AgentOutputError') {
+      return res.status(error.status).json({ error: 'The AI could not read this resume, please try again' });
+    }
     res.status(500).json({ 
       error: 'Failed to parse resume',
       message: error.message 
@@ -173,7 +197,7 @@ router.post('/upload-resume', authenticateCompany, uploadResume, handleUploadErr
  * GET /api/candidates
  * List all candidates (across all interviews)
  */
-router.get('/', authenticateCompany, async (req, res) => {
+router.get('/', authenticateEither, authorize('candidates:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
     const offset = (page - 1) * limit;
@@ -207,7 +231,7 @@ router.get('/', authenticateCompany, async (req, res) => {
  * GET /api/candidates/:id
  * Get candidate details including interview history
  */
-router.get('/:id', authenticateCompany, async (req, res) => {
+router.get('/:id', authenticateEither, authorize('candidates:read'), async (req, res) => {
   try {
     // Get candidate info
     const candidateResult = await query('SELECT * FROM candidates WHERE id = $1', [req.params.id]);
@@ -239,7 +263,7 @@ router.get('/:id', authenticateCompany, async (req, res) => {
  * GET /api/candidates/:id/resume
  * Get parsed resume data for a candidate
  */
-router.get('/:id/resume', authenticateCompany, async (req, res) => {
+router.get('/:id/resume', authenticateEither, authorize('candidates:read'), async (req, res) => {
   try {
     const result = await query(
       'SELECT resume_text, resume_parsed FROM candidates WHERE id = $1',
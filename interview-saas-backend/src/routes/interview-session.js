@@ -1,7 +1,10 @@
 const express = require('express');
-const InterviewOrchestrator = require('../agents/InterviewOrchestrator.js');  // ✅ Fixed
+const InterviewOrchestrator = require('../agents/InterviewOrchestrator.js').default;  // ✅ Fixed
 const { query } = require('../db/index.js');  // ✅ Fixed
+const InterviewStateMachine = require('../services/InterviewStateMachine.js').default;
+const SchedulingService = require('../services/SchedulingService.js').default;
 const { logger } = require('../utils/logger.js');  // ✅ Fixed
+const { authenticateCandidate } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -9,29 +12,37 @@ const router = express.Router();
  * POST /api/interview-session/start/:interview_id
  * Start interview and get opening message
  */
-router.post('/start/:interview_id', async (req, res) => {
+router.post('/start/:interview_id', authenticateCandidate, async (req, res) => {
   try {
     const { interview_id } = req.params;
 
-    // Verify interview exists and is scheduled
-    const check = await query(
-      'SELECT status FROM interviews WHERE id = $1',
-      [interview_id]
-    );
+    const interview = await query(`
+      SELECT id, job_id, status, scheduled_start_at, scheduled_end_at,
+             jsonb_array_length(COALESCE(transcript, '[]'::jsonb)) as turns
+      FROM interviews
+      WHERE id = $1
+    `, [interview_id]);
 
-    if (check.rows.length === 0) {
+    if (interview.rows.length === 0) {
       return res.status(404).json({ error: 'Interview not found' });
     }
 
-    if (check.rows[0].status !== 'scheduled') {
-      return res.status(400).json({ error: 'Interview already started or completed' });
+    // Booked interviews can only be started during their time slot
+    const outsideWindow = await SchedulingService.checkJoinWindow(interview.rows[0]);
+    if (outsideWindow) {
+      return res.status(403).json({ error: outsideWindow });
     }
 
-    // Update status to in_progress
-    await query(
-      'UPDATE interviews SET status = $1, started_at = NOW() WHERE id = $2',
-      ['in_progress', interview_id]
-    );
+    // A start whose opening failed leaves the interview running with no
+    // transcript; starting again regenerates the opening, as the socket join does
+    const { status, turns } = interview.rows[0];
+
+    if (status !== 'in_progress' || turns > 0) {
+      // scheduled -> in_progress
+      await InterviewStateMachine.transition(interview_id, 'start', {
+        actor: { type: 'candidate' }
+      });
+    }
 
     // Create orchestrator and start interview
     const orchestrator = new InterviewOrchestrator(interview_id);
@@ -43,6 +54,10 @@ router.post('/start/:interview_id', async (req, res) => {
       interview_id
     });
   } catch (error) {
+    if (error.name === 'InterviewTransitionError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     logger.error('Start interview session error:', error);
     res.status(500).json({ error: 'Failed to start interview' });
   }
@@ -52,7 +67,7 @@ router.post('/start/:interview_id', async (req, res) => {
  * POST /api/interview-session/respond/:interview_id
  * Process candidate response and get next question
  */
-router.post('/respond/:interview_id', async (req, res) => {
+router.post('/respond/:interview_id', authenticateCandidate, async (req, res) => {
   try {
     const { interview_id } = req.params;
     const { response } = req.body;
@@ -83,11 +98,7 @@ router.post('/respond/:interview_id', async (req, res) => {
       res.json({
         message: result.message,
         completed: true,
-        report_preview: {
-          overall_fit: result.report.overall_fit,
-          overall_score: result.report.overall_score,
-          recommendation: result.report.recommendation
-        }
+        report_status: result.report_status
       });
     } else {
       res.json({
@@ -107,7 +118,7 @@ router.post('/respond/:interview_id', async (req, res) => {
  * GET /api/interview-session/status/:interview_id
  * Get current interview status
  */
-router.get('/status/:interview_id', async (req, res) => {
+router.get('/status/:interview_id', authenticateCandidate, async (req, res) => {
   try {
     const { interview_id } = req.params;
 
@@ -139,7 +150,7 @@ router.get('/status/:interview_id', async (req, res) => {
  * POST /api/interview-session/end/:interview_id
  * Manually end interview early
  */
-router.post('/end/:interview_id', async (req, res) => {
+router.post('/end/:interview_id', authenticateCandidate, async (req, res) => {
   try {
     const { interview_id } = req.params;
 
@@ -153,24 +164,24 @@ router.post('/end/:interview_id', async (req, res) => {
       return res.status(404).json({ error: 'Interview not found' });
     }
 
-    if (check.rows[0].status !== 'in_progress') {
+    if (!InterviewStateMachine.can(check.rows[0].status, 'complete')) {
       return res.status(400).json({ error: 'Interview not in progress' });
     }
 
-    // End interview
+    // End interview (the orchestrator moves it to completed)
     const orchestrator = new InterviewOrchestrator(interview_id);
     const result = await orchestrator.endInterview();
 
     res.json({
       message: result.message,
       completed: true,
-      report_preview: {
-        overall_fit: result.report.overall_fit,
-        overall_score: result.report.overall_score,
-        recommendation: result.report.recommendation
-      }
+      report_status: result.report_status
     });
   } catch (error) {
+    if (error.name === 'InterviewTransitionError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     logger.error('End interview error:', error);
     res.status(500).json({ error: 'Failed to end interview' });
   }
@@ -1,9 +1,17 @@
 const express = require('express');
-const { authenticateCompany, checkQuota } = require('../middleware/auth');
+const { authenticateEither, authenticateCandidate, authorize, checkQuota } = require('../middleware/auth');
 const { query, transaction } = require('../db/index.js');  // ✅ Fixed
 const { v4: uuidv4 } = require('uuid');  // ✅ Fixed
 const Joi = require('joi');  // ✅ Fixed
-const EmailService = require('../services/EmailService.js');  // ✅ Fixed
+const WebhookService = require('../services/WebhookService.js').default;
+const InterviewStateMachine = require('../services/InterviewStateMachine.js').default;
+const ReportService = require('../services/ReportService.js').default;
+const CandidateAccessService = require('../services/CandidateAccessService.js');
+const InviteService = require('../services/InviteService.js').default;
+const SchedulingService = require('../services/SchedulingService.js').default;
+const ReviewService = require('../services/ReviewService.js').default;
+const RescoringService = require('../services/RescoringService.js').default;
+const TranscriptService = require('../services/TranscriptService.js').default;
 const { logger } = require('../utils/logger.js');  // ✅ Fixed
 
 const router = express.Router();
@@ -13,25 +21,57 @@ const createInterviewSchema = Joi.object({
   candidate_id: Joi.string().uuid().required(),
   language: Joi.string().valid('en', 'es', 'ar', 'hi', 'fr').default('en'),
   duration_minutes: Joi.number().min(5).max(60).default(15),
+  send_email: Joi.boolean().default(true),
+  hr_supervision_enabled: Joi.boolean().default(false)
+});
+
+const transcriptEntrySchema = Joi.object({
+  speaker: Joi.string().lowercase().valid('candidate').optional(),
+  text: Joi.string().trim().min(1).max(20000).required(),
+  timestamp: Joi.date().iso().optional()
+});
+
+const bookSlotSchema = Joi.object({
+  window_id: Joi.string().uuid().required(),
+  starts_at: Joi.date().iso().required()
+});
+
+const updateInviteSchema = Joi.object({
+  expires_at: Joi.date().iso().greater('now').required()
+});
+
+const regenerateInviteSchema = Joi.object({
   send_email: Joi.boolean().default(true)
 });
 
+const reviewSchema = Joi.object({
+  competency_scores: Joi.object().pattern(Joi.string(), Joi.number().min(0).max(1)).min(1).optional(),
+  recommendation: Joi.string()
+    .valid('proceed_with_enthusiasm', 'proceed', 'needs_further_evaluation', 'not_recommended')
+    .optional(),
+  justification: Joi.string().trim().min(10).max(2000).required()
+}).or('competency_scores', 'recommendation');
+
+const rescoreSchema = Joi.object({
+  rubric_id: Joi.string().uuid().optional()
+});
+
 /**
  * POST /api/interviews
  * Create a new interview and generate invite link
  */
-router.post('/', authenticateCompany, checkQuota, async (req, res) => {
+router.post('/', authenticateEither, authorize('interviews:write'), checkQuota, async (req, res) => {
   try {
     const { error, value } = createInterviewSchema.validate(req.body);
     if (error) {
       return res.status(400).json({ error: error.details[0].message });
     }
     
-    const { job_id, candidate_id, language, duration_minutes, send_email } = value;
+    const { job_id, candidate_id, language, duration_minutes, send_email, hr_supervision_enabled } = value;
     
     // Verify job belongs to company
     const jobCheck = await query(
-      'SELECT id FROM jobs WHERE id = $1 AND company_id = $2',
+      'SELECT id, title FROM jobs WHERE id = $1 AND company_id = $2',
       [job_id, req.company.id]
     );
     
@@ -62,11 +102,11 @@ router.post('/', authenticateCompany, checkQuota, async (req, res) => {
       const interviewResult = await client.query(`
         INSERT INTO interviews (
           job_id, company_id, candidate_id, rubric_id, 
-          language, duration_minutes, status
+          language, duration_minutes, hr_supervision_enabled, status
         )
-        VALUES ($1, $2, $3, $4, $5, $6, 'scheduled')
+        VALUES ($1, $2, $3, $4, $5, $6, $7, 'scheduled')
         RETURNING *
-      `, [job_id, req.company.id, candidate_id, rubric_id, language, duration_minutes]);
+      `, [job_id, req.company.id, candidate_id, rubric_id, language, duration_minutes, hr_supervision_enabled]);
       
       const interview = interviewResult.rows[0];
       
@@ -94,32 +134,27 @@ router.post('/', authenticateCompany, checkQuota, async (req, res) => {
       };
     });
     
-    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/interview/${result.invite.token}`;
+    const inviteUrl = InviteService.buildInviteUrl(result.invite.token);
+    
+    await WebhookService.triggerEvent(req.company.id, 'interview.created', {
+      interview_id: result.interview.id,
+      job_id,
+      job_title: jobCheck.rows[0].title,
+      candidate_id,
+      candidate_email: result.candidate_email,
+      language,
+      duration_minutes,
+      invite_url: inviteUrl,
+      created_at: result.interview.created_at
+    });
     
     // Send email invite to candidate if enabled
+    let emailSent = false;
     if (send_email) {
       try {
-        // Get job and company details for email
-        const jobDetails = await query(
-          'SELECT j.title, c.name as company_name FROM jobs j JOIN companies c ON j.company_id = c.id WHERE j.id = $1',
-          [job_id]
-        );
-
-        if (jobDetails.rows.length > 0) {
-          const { title: jobTitle, company_name: companyName } = jobDetails.rows[0];
-
-          await EmailService.sendInterviewInvite({
-            candidateEmail: result.candidate_email,
-            candidateName: candidateCheck.rows[0].full_name,
-            companyName,
-            jobTitle,
-            inviteUrl,
-            durationMinutes: duration_minutes,
-            language
-          });
-
-          logger.info(`Email invite sent to ${result.candidate_email}`);
-        }
+        const invite = await InviteService.getInvite(result.interview.id);
+        await InviteService.sendInvite(invite);
+        emailSent = true;
       } catch (emailError) {
         // Log email error but don't fail the request
         logger.error('Failed to send email invite:', emailError);
@@ -131,7 +166,7 @@ router.post('/', authenticateCompany, checkQuota, async (req, res) => {
       interview: result.interview,
       invite_url: inviteUrl,
       candidate_email: result.candidate_email,
-      email_sent: send_email
+      email_sent: emailSent
     });
   } catch (error) {
     console.error('Create interview error:', error);
@@ -143,7 +178,7 @@ router.post('/', authenticateCompany, checkQuota, async (req, res) => {
  * GET /api/interviews
  * List all interviews for company
  */
-router.get('/', authenticateCompany, async (req, res) => {
+router.get('/', authenticateEither, authorize('interviews:read'), async (req, res) => {
   try {
     const { status, job_id, page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -187,7 +222,7 @@ router.get('/', authenticateCompany, async (req, res) => {
  * GET /api/interviews/:id
  * Get interview details and full report
  */
-router.get('/:id', authenticateCompany, async (req, res) => {
+router.get('/:id', authenticateEither, authorize('interviews:read'), async (req, res) => {
   try {
     const result = await query(`
       SELECT 
@@ -216,9 +251,12 @@ router.get('/:id', authenticateCompany, async (req, res) => {
       [req.params.id]
     );
     
+    const statusHistory = await InterviewStateMachine.getHistory(req.params.id);
+    
     res.json({
       interview,
-      observations: observationsResult.rows
+      observations: observationsResult.rows,
+      status_history: statusHistory
     });
   } catch (error) {
     console.error('Get interview error:', error);
@@ -227,66 +265,463 @@ router.get('/:id', authenticateCompany, async (req, res) => {
 });
 
 /**
- * GET /api/interviews/invite/:token
- * Get interview by invite token (public endpoint for candidates)
+ * GET /api/interviews/:id/report/status
+ * Get report generation progress (pending, running, failed, done)
  */
-router.get('/invite/:token', async (req, res) => {
+router.get('/:id/report/status', authenticateEither, authorize('interviews:read'), async (req, res) => {
   try {
-    const result = await query(`
-      SELECT 
-        i.id,
-        i.language,
-        i.duration_minutes,
-        i.status,
-        j.title as job_title,
-        c.name as company_name
-      FROM interview_invites inv
-      JOIN interviews i ON inv.interview_id = i.id
-      JOIN jobs j ON i.job_id = j.id
-      JOIN companies c ON i.company_id = c.id
-      WHERE inv.token = $1 
-      AND inv.expires_at > NOW()
-    `, [req.params.token]);
+    const report = await ReportService.getStatus(req.params.id, req.company.id);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Invalid or expired invite' });
+    if (!report) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    
+    res.json({ report });
+  } catch (error) {
+    console.error('Get report status error:', error);
+    res.status(500).json({ error: 'Failed to get report status' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/report/regenerate
+ * Queue a new report for a completed interview (e.g. after a failure)
+ */
+router.post('/:id/report/regenerate', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const current = await ReportService.getStatus(req.params.id, req.company.id);
+    
+    if (!current) {
+      return res.status(404).json({ error: 'Interview not found' });
     }
     
-    // Mark as accessed
-    await query(
-      'UPDATE interview_invites SET accessed_at = NOW() WHERE token = $1',
-      [req.params.token]
+    if (current.interview_status !== 'completed') {
+      return res.status(409).json({ error: `Interview is ${current.interview_status}, reports need a completed interview` });
+    }
+    
+    const report = await ReportService.enqueueReport(req.params.id, { force: true });
+    
+    if (!report) {
+      return res.status(409).json({ error: `Report is already ${current.status}` });
+    }
+    
+    res.status(202).json({
+      message: 'Report queued',
+      report
+    });
+  } catch (error) {
+    console.error('Regenerate report error:', error);
+    res.status(500).json({ error: 'Failed to queue report' });
+  }
+});
+
+/**
+ * GET /api/interviews/:id/review
+ * AI scores, human-adjusted scores and the override audit trail
+ */
+router.get('/:id/review', authenticateEither, authorize('interviews:read'), async (req, res) => {
+  try {
+    const review = await ReviewService.getReview(req.params.id, req.company.id);
+    res.json({ review });
+  } catch (error) {
+    if (error.name === 'ReviewError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get review error:', error);
+    res.status(500).json({ error: 'Failed to get review' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/review
+ * Override competency scores and/or the recommendation, with a justification
+ */
+router.post('/:id/review', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const { error, value } = reviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const review = await ReviewService.override(
+      req.params.id,
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      value
     );
+
+    res.json({
+      message: 'Review saved',
+      review
+    });
+  } catch (error) {
+    if (error.name === 'ReviewError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Save review error:', error);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/rescore
+ * Re-score a completed interview against a rubric version (defaults to the
+ * job's active rubric); the result is stored as a new report version
+ */
+router.post('/:id/rescore', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const { error, value } = rescoreSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const rescore = await RescoringService.rescoreInterview(req.params.id, req.company.id, {
+      rubricId: value.rubric_id,
+      actor: InterviewStateMachine.actorFromRequest(req)
+    });
+
+    res.status(202).json({
+      message: 'Re-score queued',
+      rescore
+    });
+  } catch (error) {
+    if (error.name === 'RescoreError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Rescore interview error:', error);
+    res.status(500).json({ error: 'Failed to queue re-score' });
+  }
+});
+
+/**
+ * GET /api/interviews/:id/reports
+ * Report versions of an interview (generated and re-scored)
+ */
+router.get('/:id/reports', authenticateEither, authorize('interviews:read'), async (req, res) => {
+  try {
+    const versions = await RescoringService.listVersions(req.params.id, req.company.id);
+    res.json({ versions });
+  } catch (error) {
+    console.error('List report versions error:', error);
+    res.status(500).json({ error: 'Failed to list report versions' });
+  }
+});
+
+/**
+ * GET /api/interviews/:id/reports/:version
+ * One report version with its full report
+ */
+router.get('/:id/reports/:version', authenticateEither, authorize('interviews:read'), async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const report = await RescoringService.getVersion(req.params.id, req.company.id, version);
+    res.json({ report });
+  } catch (error) {
+    if (error.name === 'RescoreError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get report version error:', error);
+    res.status(500).json({ error: 'Failed to get report version' });
+  }
+});
+
+/**
+ * GET /api/interviews/invite/:token
+ * Exchange an invite token for a candidate session (public endpoint for candidates)
+ * Send the device ID returned on first access as X-Device-Id on later visits.
+ */
+router.get('/invite/:token', async (req, res) => {
+  try {
+    const deviceId = req.headers['x-device-id'] || req.query.device_id;
+    const session = await CandidateAccessService.createSession(req.params.token, deviceId);
     
-    res.json({ interview: result.rows[0] });
+    await WebhookService.triggerEvent(session.companyId, 'invite.accessed', {
+      interview_id: session.interview.id,
+      first_access: session.firstAccess,
+      accessed_at: session.accessedAt
+    });
+    
+    res.json({
+      interview: session.interview,
+      session: {
+        access_token: session.accessToken,
+        expires_in: session.expiresIn,
+        device_id: session.deviceId
+      }
+    });
   } catch (error) {
+    if (error.name === 'CandidateAccessError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
     console.error('Get invite error:', error);
     res.status(500).json({ error: 'Failed to get invite' });
   }
 });
 
+/**
+ * GET /api/interviews/invite/:token/slots
+ * List time slots the candidate can book (public endpoint for candidates)
+ */
+router.get('/invite/:token/slots', async (req, res) => {
+  try {
+    const availability = await SchedulingService.getAvailableSlots(req.params.token);
+    
+    res.json(availability);
+  } catch (error) {
+    if (error.name === 'SchedulingError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
+    console.error('Get slots error:', error);
+    res.status(500).json({ error: 'Failed to get available slots' });
+  }
+});
+
+/**
+ * POST /api/interviews/invite/:token/booking
+ * Book or move the interview's time slot (public endpoint for candidates)
+ */
+router.post('/invite/:token/booking', async (req, res) => {
+  try {
+    const { error, value } = bookSlotSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const booking = await SchedulingService.bookSlot(req.params.token, value);
+    
+    res.json({
+      message: booking.rebooked ? 'Interview rescheduled' : 'Interview booked',
+      booking
+    });
+  } catch (error) {
+    if (error.name === 'SchedulingError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
+    console.error('Book slot error:', error);
+    res.status(500).json({ error: 'Failed to book slot' });
+  }
+});
+
+/**
+ * GET /api/interviews/:id/invite
+ * Get the invite of an interview: link, expiry, delivery and reminder state
+ */
+router.get('/:id/invite', authenticateEither, authorize('interviews:read'), async (req, res) => {
+  try {
+    const invite = await InviteService.getInvite(req.params.id, req.company.id);
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    res.json({
+      invite: {
+        invite_url: InviteService.buildInviteUrl(invite.token),
+        email_sent: invite.email_sent,
+        email_sent_at: invite.email_sent_at,
+        accessed_at: invite.accessed_at,
+        expires_at: invite.expires_at,
+        revoked_at: invite.revoked_at,
+        reminders_sent: invite.reminders_sent,
+        created_at: invite.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Get interview invite error:', error);
+    res.status(500).json({ error: 'Failed to get invite' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/invite/resend
+ * Email the current invite link to the candidate again
+ */
+router.post('/:id/invite/resend', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const invite = await InviteService.getInvite(req.params.id, req.company.id);
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    if (invite.revoked_at) {
+      return res.status(409).json({ error: 'Invite has been revoked; regenerate it instead' });
+    }
+    
+    if (new Date(invite.expires_at) <= new Date()) {
+      return res.status(409).json({ error: 'Invite has expired; extend it first' });
+    }
+    
+    if (InterviewStateMachine.isTerminal(invite.interview_status)) {
+      return res.status(409).json({ error: `Interview is ${invite.interview_status}` });
+    }
+    
+    await InviteService.sendInvite(invite);
+    
+    res.json({ message: 'Invite resent' });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ error: 'Failed to resend invite' });
+  }
+});
+
+/**
+ * PATCH /api/interviews/:id/invite
+ * Extend or shorten the invite's expiry
+ */
+router.patch('/:id/invite', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const { error, value } = updateInviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const invite = await InviteService.getInvite(req.params.id, req.company.id);
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    if (invite.interview_status !== 'scheduled') {
+      return res.status(409).json({ error: `Cannot change the invite of an interview that is ${invite.interview_status}` });
+    }
+    
+    const updated = await InviteService.updateExpiry(invite.id, value.expires_at);
+    
+    res.json({
+      message: 'Invite expiry updated',
+      expires_at: updated.expires_at
+    });
+  } catch (error) {
+    console.error('Update invite error:', error);
+    res.status(500).json({ error: 'Failed to update invite' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/invite/regenerate
+ * Issue a new invite link; the old link and any active session stop working
+ */
+router.post('/:id/invite/regenerate', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const { error, value } = regenerateInviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const invite = await InviteService.getInvite(req.params.id, req.company.id);
+    
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    if (invite.interview_status !== 'scheduled') {
+      return res.status(409).json({ error: `Cannot regenerate the invite of an interview that is ${invite.interview_status}` });
+    }
+    
+    const updated = await InviteService.regenerateToken(invite.id);
+    
+    let emailSent = false;
+    if (value.send_email) {
+      try {
+        await InviteService.sendInvite({ ...invite, token: updated.token });
+        emailSent = true;
+      } catch (emailError) {
+        logger.error('Failed to send regenerated invite:', emailError);
+      }
+    }
+    
+    res.json({
+      message: 'Invite regenerated',
+      invite_url: InviteService.buildInviteUrl(updated.token),
+      expires_at: updated.expires_at,
+      email_sent: emailSent
+    });
+  } catch (error) {
+    console.error('Regenerate invite error:', error);
+    res.status(500).json({ error: 'Failed to regenerate invite' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/invite/revoke
+ * Revoke the candidate's invite link and any active session
+ */
+router.post('/:id/invite/revoke', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const revoked = await CandidateAccessService.revokeInvite(req.params.id, req.company.id);
+    
+    if (!revoked) {
+      return res.status(404).json({ error: 'Active invite not found' });
+    }
+    
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+/**
+ * POST /api/interviews/:id/invite/reset-device
+ * Release the single-device lock so the candidate can continue elsewhere
+ */
+router.post('/:id/invite/reset-device', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const reset = await CandidateAccessService.resetDevice(req.params.id, req.company.id);
+    
+    if (!reset) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    res.json({ message: 'Device lock released' });
+  } catch (error) {
+    console.error('Reset invite device error:', error);
+    res.status(500).json({ error: 'Failed to reset device lock' });
+  }
+});
+
 /**
  * POST /api/interviews/:id/start
  * Start an interview session
  */
-router.post('/:id/start', async (req, res) => {
+router.post('/:id/start', authenticateCandidate, async (req, res) => {
   try {
-    const result = await query(`
-      UPDATE interviews 
-      SET status = 'in_progress', started_at = NOW()
-      WHERE id = $1 AND status = 'scheduled'
-      RETURNING *
-    `, [req.params.id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(400).json({ error: 'Interview cannot be started' });
+    const existing = await query(
+      'SELECT id, job_id, scheduled_start_at, scheduled_end_at FROM interviews WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Interview not found' });
     }
+
+    // Booked interviews can only be started during their time slot
+    const outsideWindow = await SchedulingService.checkJoinWindow(existing.rows[0]);
+    if (outsideWindow) {
+      return res.status(403).json({ error: outsideWindow });
+    }
+
+    const interview = await InterviewStateMachine.transition(req.params.id, 'start', {
+      actor: { type: 'candidate' }
+    });
     
     res.json({
       message: 'Interview started',
-      interview: result.rows[0]
+      interview
     });
   } catch (error) {
+    if (error.name === 'InterviewTransitionError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
     console.error('Start interview error:', error);
     res.status(500).json({ error: 'Failed to start interview' });
   }
@@ -296,26 +731,25 @@ router.post('/:id/start', async (req, res) => {
  * POST /api/interviews/:id/complete
  * Complete an interview and trigger report generation
  */
-router.post('/:id/complete', async (req, res) => {
+router.post('/:id/complete', authenticateCandidate, async (req, res) => {
   try {
-    const result = await query(`
-      UPDATE interviews 
-      SET status = 'completed', completed_at = NOW()
-      WHERE id = $1 AND status = 'in_progress'
-      RETURNING *
-    `, [req.params.id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(400).json({ error: 'Interview cannot be completed' });
-    }
+    const interview = await InterviewStateMachine.transition(req.params.id, 'complete', {
+      actor: { type: 'candidate' }
+    });
     
-    // TODO: Trigger report generation job here
+    // Generate the report in the background; poll /:id/report/status
+    const report = await ReportService.enqueueReport(interview.id);
     
     res.json({
       message: 'Interview completed',
-      interview: result.rows[0]
+      interview,
+      report_status: report ? report.report_status : null
     });
   } catch (error) {
+    if (error.name === 'InterviewTransitionError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    
     console.error('Complete interview error:', error);
     res.status(500).json({ error: 'Failed to complete interview' });
   }
@@ -325,23 +759,20 @@ router.post('/:id/complete', async (req, res) => {
  * POST /api/interviews/:id/transcript
  * Add to interview transcript (called during interview)
  */
-router.post('/:id/transcript', async (req, res) => {
+router.post('/:id/transcript', authenticateCandidate, async (req, res) => {
   try {
-    const { speaker, text, timestamp } = req.body;
-    
-    if (!speaker || !text) {
-      return res.status(400).json({ error: 'Speaker and text required' });
+    const { error, value } = transcriptEntrySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
     
-    const result = await query(`
-      UPDATE interviews 
-      SET transcript = transcript || $1::jsonb
-      WHERE id = $2
-      RETURNING id
-    `, [JSON.stringify([{ speaker, text, timestamp: timestamp || new Date().toISOString() }]), req.params.id]);
+    // Candidates can only add their own turns, and only while the interview runs
+    const length = await TranscriptService.append(req.params.id, [
+      TranscriptService.entry('candidate', value.text, { timestamp: value.timestamp })
+    ]);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Interview not found' });
+    if (length === null) {
+      return res.status(409).json({ error: 'Interview not in progress' });
     }
     
     res.json({ message: 'Transcript updated' });
@@ -355,19 +786,20 @@ router.post('/:id/transcript', async (req, res) => {
  * DELETE /api/interviews/:id
  * Cancel/delete an interview
  */
-router.delete('/:id', authenticateCompany, async (req, res) => {
+router.delete('/:id', authenticateEither, authorize('interviews:write'), async (req, res) => {
   try {
-    const result = await query(
-      'UPDATE interviews SET status = $1 WHERE id = $2 AND company_id = $3 RETURNING id',
-      ['cancelled', req.params.id, req.company.id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Interview not found' });
-    }
+    await InterviewStateMachine.transition(req.params.id, 'cancel', {
+      companyId: req.company.id,
+      actor: InterviewStateMachine.actorFromRequest(req),
+      reason: req.body?.reason || null
+    });
     
     res.json({ message: 'Interview cancelled' });
   } catch (error) {
+    if (error.name === 'InterviewTransitionError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     console.error('Cancel interview error:', error);
     res.status(500).json({ error: 'Failed to cancel interview' });
   }
@@ -1,7 +1,12 @@
 const express = require('express');
-const { authenticateCompany } = require('../middleware/auth');
+const { authenticateEither, authorize } = require('../middleware/auth');
 const { query } = require('../db/index.js');  // ✅ Fixed
 const Joi = require('joi');  // ✅ Fixed
+const WebhookService = require('../services/WebhookService.js').default;
+const SchedulingService = require('../services/SchedulingService.js').default;
+const BlueprintService = require('../services/BlueprintService.js').default;
+const RescoringService = require('../services/RescoringService.js').default;
+const InterviewStateMachine = require('../services/InterviewStateMachine.js').default;
 
 const router = express.Router();
 
@@ -15,14 +20,26 @@ const jobSchema = Joi.object({
   job_type: Joi.string().valid('remote', 'hybrid', 'onsite').optional(),
   required_skills: Joi.array().items(Joi.string()).optional(),
   nice_to_have_skills: Joi.array().items(Joi.string()).optional(),
-  language: Joi.string().valid('en', 'es', 'ar', 'hi', 'fr').default('en')
+  language: Joi.string().valid('en', 'es', 'ar', 'hi', 'fr').default('en'),
+  blueprint_id: Joi.string().uuid().allow(null).optional() // null = default blueprint
+});
+
+const availabilitySchema = Joi.object({
+  starts_at: Joi.date().iso().greater('now').required(),
+  ends_at: Joi.date().iso().greater(Joi.ref('starts_at')).required(),
+  slot_minutes: Joi.number().integer().min(5).max(240).default(30),
+  capacity: Joi.number().integer().min(1).max(100).default(1)
+});
+
+const rescoreSchema = Joi.object({
+  rubric_id: Joi.string().uuid().optional()
 });
 
 /**
  * POST /api/jobs
  * Create a new job position
  */
-router.post('/', authenticateCompany, async (req, res) => {
+router.post('/', authenticateEither, authorize('jobs:write'), async (req, res) => {
   try {
     const { error, value } = jobSchema.validate(req.body);
     if (error) {
@@ -31,27 +48,44 @@ router.post('/', authenticateCompany, async (req, res) => {
     
     const {
       title, description, department, seniority_level, location,
-      job_type, required_skills, nice_to_have_skills, language
+      job_type, required_skills, nice_to_have_skills, language, blueprint_id
     } = value;
     
+    await BlueprintService.checkAssignable(blueprint_id, req.company.id);
+    
     const result = await query(`
       INSERT INTO jobs (
         company_id, title, description, department, seniority_level,
-        location, job_type, required_skills, nice_to_have_skills, language
+        location, job_type, required_skills, nice_to_have_skills, language,
+        blueprint_id
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `, [
       req.company.id, title, description, department, seniority_level,
       location, job_type, JSON.stringify(required_skills || []),
-      JSON.stringify(nice_to_have_skills || []), language
+      JSON.stringify(nice_to_have_skills || []), language, blueprint_id || null
     ]);
     
+    const job = result.rows[0];
+    
+    await WebhookService.triggerEvent(req.company.id, 'job.created', {
+      job_id: job.id,
+      title: job.title,
+      seniority_level: job.seniority_level,
+      required_skills: job.required_skills,
+      language: job.language,
+      created_at: job.created_at
+    });
+    
     res.status(201).json({
       message: 'Job created successfully',
-      job: result.rows[0]
+      job
     });
   } catch (error) {
+    if (error.name === 'BlueprintError') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create job error:', error);
     res.status(500).json({ error: 'Failed to create job' });
   }
@@ -61,7 +95,7 @@ router.post('/', authenticateCompany, async (req, res) => {
  * GET /api/jobs
  * List all jobs for a company
  */
-router.get('/', authenticateCompany, async (req, res) => {
+router.get('/', authenticateEither, authorize('jobs:read'), async (req, res) => {
   try {
     const { status = 'active', page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
@@ -106,7 +140,7 @@ router.get('/', authenticateCompany, async (req, res) => {
  * GET /api/jobs/:id
  * Get a specific job
  */
-router.get('/:id', authenticateCompany, async (req, res) => {
+router.get('/:id', authenticateEither, authorize('jobs:read'), async (req, res) => {
   try {
     const result = await query(
       'SELECT * FROM jobs WHERE id = $1 AND company_id = $2',
@@ -128,7 +162,7 @@ router.get('/:id', authenticateCompany, async (req, res) => {
  * PUT /api/jobs/:id
  * Update a job
  */
-router.put('/:id', authenticateCompany, async (req, res) => {
+router.put('/:id', authenticateEither, authorize('jobs:write'), async (req, res) => {
   try {
     const { error, value } = jobSchema.validate(req.body);
     if (error) {
@@ -137,20 +171,22 @@ router.put('/:id', authenticateCompany, async (req, res) => {
     
     const {
       title, description, department, seniority_level, location,
-      job_type, required_skills, nice_to_have_skills, language
+      job_type, required_skills, nice_to_have_skills, language, blueprint_id
     } = value;
     
+    await BlueprintService.checkAssignable(blueprint_id, req.company.id);
+    
     const result = await query(`
       UPDATE jobs SET
         title = $1, description = $2, department = $3, seniority_level = $4,
         location = $5, job_type = $6, required_skills = $7, 
-        nice_to_have_skills = $8, language = $9
-      WHERE id = $10 AND company_id = $11
+        nice_to_have_skills = $8, language = $9, blueprint_id = $10
+      WHERE id = $11 AND company_id = $12
       RETURNING *
     `, [
       title, description, department, seniority_level, location,
       job_type, JSON.stringify(required_skills || []),
-      JSON.stringify(nice_to_have_skills || []), language,
+      JSON.stringify(nice_to_have_skills || []), language, blueprint_id || null,
       req.params.id, req.company.id
     ]);
     
@@ -163,6 +199,9 @@ router.put('/:id', authenticateCompany, async (req, res) => {
       job: result.rows[0]
     });
   } catch (error) {
+    if (error.name === 'BlueprintError') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update job error:', error);
     res.status(500).json({ error: 'Failed to update job' });
   }
@@ -172,7 +211,7 @@ router.put('/:id', authenticateCompany, async (req, res) => {
  * PATCH /api/jobs/:id/status
  * Update job status (active, paused, closed)
  */
-router.patch('/:id/status', authenticateCompany, async (req, res) => {
+router.patch('/:id/status', authenticateEither, authorize('jobs:write'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -199,11 +238,105 @@ router.patch('/:id/status', authenticateCompany, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/jobs/:id/availability
+ * List the job's availability windows
+ */
+router.get('/:id/availability', authenticateEither, authorize('jobs:read'), async (req, res) => {
+  try {
+    const windows = await SchedulingService.listWindows(req.params.id, req.company.id);
+    
+    res.json({ windows });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({ error: 'Failed to fetch availability' });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/availability
+ * Publish a window candidates can book interview slots in
+ */
+router.post('/:id/availability', authenticateEither, authorize('jobs:write'), async (req, res) => {
+  try {
+    const { error, value } = availabilitySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const window = await SchedulingService.createWindow(
+      req.params.id,
+      req.company.id,
+      req.user?.id,
+      value
+    );
+    
+    res.status(201).json({
+      message: 'Availability window created',
+      window
+    });
+  } catch (error) {
+    if (error.name === 'SchedulingError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create availability error:', error);
+    res.status(500).json({ error: 'Failed to create availability window' });
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id/availability/:windowId
+ * Remove an availability window without upcoming bookings
+ */
+router.delete('/:id/availability/:windowId', authenticateEither, authorize('jobs:write'), async (req, res) => {
+  try {
+    await SchedulingService.deleteWindow(req.params.id, req.company.id, req.params.windowId);
+    
+    res.json({ message: 'Availability window deleted' });
+  } catch (error) {
+    if (error.name === 'SchedulingError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Delete availability error:', error);
+    res.status(500).json({ error: 'Failed to delete availability window' });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/rescore
+ * Re-score every completed interview of the job against a rubric version
+ * (defaults to the active rubric)
+ */
+router.post('/:id/rescore', authenticateEither, authorize('interviews:write'), async (req, res) => {
+  try {
+    const { error, value } = rescoreSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const rescore = await RescoringService.rescoreJob(req.params.id, req.company.id, {
+      rubricId: value.rubric_id,
+      actor: InterviewStateMachine.actorFromRequest(req)
+    });
+    
+    res.status(202).json({
+      message: `${rescore.versions.length} re-scores queued`,
+      rescore
+    });
+  } catch (error) {
+    if (error.name === 'RescoreError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Rescore job error:', error);
+    res.status(500).json({ error: 'Failed to queue re-scores' });
+  }
+});
+
 /**
  * DELETE /api/jobs/:id
  * Delete a job
  */
-router.delete('/:id', authenticateCompany, async (req, res) => {
+router.delete('/:id', authenticateEither, authorize('jobs:write'), async (req, res) => {
   try {
     const result = await query(
       'DELETE FROM jobs WHERE id = $1 AND company_id = $2 RETURNING id',
@@ -0,0 +1,89 @@
+const express = require('express');
+const { authenticateEither, authorize } = require('../middleware/auth');
+const { query } = require('../db/index.js');
+const LLMProviders = require('../providers/llm/index.js').default;
+const { AGENTS } = require('../providers/llm/index.js');
+const Joi = require('joi');
+
+const router = express.Router();
+
+const selectionSchema = Joi.object({
+  provider: Joi.string().max(50).optional(),
+  model: Joi.string().max(255).optional()
+});
+
+const llmConfigSchema = Joi.object({
+  provider: Joi.string().max(50).optional(),
+  model: Joi.string().max(255).optional(),
+  agents: Joi.object().pattern(Joi.string().valid(...AGENTS), selectionSchema).optional()
+});
+
+/**
+ * GET /api/llm/providers
+ * List LLM providers available on this server and the agents that use them
+ */
+router.get('/providers', authenticateEither, authorize('integrations:manage'), (req, res) => {
+  try {
+    res.json({
+      providers: LLMProviders.listProviders(),
+      agents: AGENTS
+    });
+  } catch (error) {
+    console.error('List LLM providers error:', error);
+    res.status(500).json({ error: 'Failed to list LLM providers' });
+  }
+});
+
+/**
+ * GET /api/llm/config
+ * Get the company's LLM provider selection
+ */
+router.get('/config', authenticateEither, authorize('integrations:manage'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT llm_config FROM companies WHERE id = $1',
+      [req.company.id]
+    );
+
+    res.json({ config: result.rows[0]?.llm_config || {} });
+  } catch (error) {
+    console.error('Get LLM config error:', error);
+    res.status(500).json({ error: 'Failed to get LLM configuration' });
+  }
+});
+
+/**
+ * PUT /api/llm/config
+ * Choose the company's LLM provider, model and per-agent overrides
+ */
+router.put('/config', authenticateEither, authorize('integrations:manage'), async (req, res) => {
+  try {
+    const { error, value } = llmConfigSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const problem = LLMProviders.validateConfig(value);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await query(`
+      UPDATE companies
+      SET llm_config = $1, updated_at = NOW()
+      WHERE id = $2
+    `, [JSON.stringify(value), req.company.id]);
+
+    LLMProviders.invalidateCompanyConfig(req.company.id);
+
+    res.json({
+      message: 'LLM configuration updated',
+      config: value
+    });
+  } catch (error) {
+    console.error('Update LLM config error:', error);
+    res.status(500).json({ error: 'Failed to update LLM configuration' });
+  }
+});
+
+module.exports = router;
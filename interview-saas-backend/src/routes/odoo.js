@@ -1,7 +1,7 @@
 const express = require('express');
-const { authenticateCompany } = require('../middleware/auth');
+const { authenticateEither, authorize } = require('../middleware/auth');
 const { query } = require('../db/index.js');  // ✅ Fixed
-const OdooService = require('../services/OdooService.js');  // ✅ Fixed
+const OdooService = require('../services/OdooService.js').default;  // ✅ Fixed
 const Joi = require('joi');  // ✅ Fixed
 
 const router = express.Router();
@@ -17,7 +17,7 @@ const odooConfigSchema = Joi.object({
  * POST /api/odoo/configure
  * Configure Odoo integration
  */
-router.post('/configure', authenticateCompany, async (req, res) => {
+router.post('/configure', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const { error, value } = odooConfigSchema.validate(req.body);
     if (error) {
@@ -51,7 +51,7 @@ router.post('/configure', authenticateCompany, async (req, res) => {
  * POST /api/odoo/test
  * Test Odoo connection
  */
-router.post('/test', authenticateCompany, async (req, res) => {
+router.post('/test', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const { error, value } = odooConfigSchema.validate(req.body);
     if (error) {
@@ -77,7 +77,7 @@ router.post('/test', authenticateCompany, async (req, res) => {
  * GET /api/odoo/applicants
  * Get applicants from Odoo
  */
-router.get('/applicants', authenticateCompany, async (req, res) => {
+router.get('/applicants', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const { job_id, stage } = req.query;
 
@@ -100,7 +100,7 @@ router.get('/applicants', authenticateCompany, async (req, res) => {
  * POST /api/odoo/import-applicant
  * Import applicant from Odoo
  */
-router.post('/import-applicant', authenticateCompany, async (req, res) => {
+router.post('/import-applicant', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const { odoo_applicant_id } = req.body;
 
@@ -130,7 +130,7 @@ router.post('/import-applicant', authenticateCompany, async (req, res) => {
  * POST /api/odoo/push-results
  * Push interview results to Odoo
  */
-router.post('/push-results', authenticateCompany, async (req, res) => {
+router.post('/push-results', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const { interview_id } = req.body;
 
@@ -156,7 +156,7 @@ router.post('/push-results', authenticateCompany, async (req, res) => {
  * GET /api/odoo/jobs
  * Get jobs from Odoo
  */
-router.get('/jobs', authenticateCompany, async (req, res) => {
+router.get('/jobs', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const jobs = await OdooService.getJobs(req.company.id);
 
@@ -174,7 +174,7 @@ router.get('/jobs', authenticateCompany, async (req, res) => {
  * POST /api/odoo/sync-job
  * Sync job from Odoo
  */
-router.post('/sync-job', authenticateCompany, async (req, res) => {
+router.post('/sync-job', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const { odoo_job_id } = req.body;
 
@@ -201,7 +201,7 @@ router.post('/sync-job', authenticateCompany, async (req, res) => {
  * GET /api/odoo/status
  * Check Odoo integration status
  */
-router.get('/status', authenticateCompany, async (req, res) => {
+router.get('/status', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     const result = await query(
       'SELECT odoo_config FROM companies WHERE id = $1',
@@ -224,7 +224,7 @@ router.get('/status', authenticateCompany, async (req, res) => {
  * DELETE /api/odoo/disconnect
  * Disconnect Odoo integration
  */
-router.delete('/disconnect', authenticateCompany, async (req, res) => {
+router.delete('/disconnect', authenticateEither, authorize('integrations:manage'), async (req, res) => {
   try {
     await query(`
       UPDATE companies
@@ -0,0 +1,180 @@
+const express = require('express');
+const { authenticateEither, authorize } = require('../middleware/auth');
+const QuestionLibraryService = require('../services/QuestionLibraryService.js').default;
+const InterviewStateMachine = require('../services/InterviewStateMachine.js').default;
+const Joi = require('joi');
+
+const router = express.Router();
+
+const SENIORITY_LEVELS = ['junior', 'mid', 'senior', 'lead', 'principal'];
+
+const anchorSchema = Joi.object({
+  score: Joi.number().min(0).max(1).required(),
+  description: Joi.string().max(1000).required()
+});
+
+const questionFields = {
+  text: Joi.string().trim().min(10).max(2000),
+  competencies: Joi.array().items(Joi.string().max(255)).max(10),
+  phases: Joi.array().items(Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50)).max(12),
+  seniority_level: Joi.string().valid(...SENIORITY_LEVELS).allow(null),
+  language: Joi.string().max(10),
+  expected_answer: Joi.string().max(5000).allow('', null),
+  scoring_anchors: Joi.array().items(anchorSchema).max(10)
+};
+
+const createQuestionSchema = Joi.object({
+  ...questionFields,
+  text: questionFields.text.required(),
+  language: questionFields.language.default('en')
+});
+
+const updateQuestionSchema = Joi.object(questionFields).min(1);
+
+const listSchema = Joi.object({
+  status: Joi.string().valid('draft', 'approved', 'retired').optional(),
+  language: Joi.string().max(10).optional(),
+  seniority_level: Joi.string().valid(...SENIORITY_LEVELS).optional(),
+  phase: Joi.string().max(50).optional(),
+  competency: Joi.string().max(255).optional(),
+  search: Joi.string().max(255).optional()
+});
+
+/**
+ * GET /api/questions
+ * List library questions with usage statistics
+ */
+router.get('/', authenticateEither, authorize('rubrics:read'), async (req, res) => {
+  try {
+    const { error, value } = listSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const questions = await QuestionLibraryService.list(req.company.id, value);
+
+    res.json({ questions });
+  } catch (error) {
+    console.error('List questions error:', error);
+    res.status(500).json({ error: 'Failed to list questions' });
+  }
+});
+
+/**
+ * POST /api/questions
+ * Add a question to the library (as a draft)
+ */
+router.post('/', authenticateEither, authorize('rubrics:write'), async (req, res) => {
+  try {
+    const { error, value } = createQuestionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const question = await QuestionLibraryService.create(
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      value
+    );
+
+    res.status(201).json({
+      message: 'Question added to the library',
+      question
+    });
+  } catch (error) {
+    console.error('Create question error:', error);
+    res.status(500).json({ error: 'Failed to create question' });
+  }
+});
+
+/**
+ * GET /api/questions/:id
+ * Get a library question with usage statistics
+ */
+router.get('/:id', authenticateEither, authorize('rubrics:read'), async (req, res) => {
+  try {
+    const question = await QuestionLibraryService.get(req.params.id, req.company.id);
+
+    res.json({ question });
+  } catch (error) {
+    if (error.name === 'QuestionLibraryError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get question error:', error);
+    res.status(500).json({ error: 'Failed to get question' });
+  }
+});
+
+/**
+ * PUT /api/questions/:id
+ * Edit a library question; rubrics referencing it see the change
+ */
+router.put('/:id', authenticateEither, authorize('rubrics:write'), async (req, res) => {
+  try {
+    const { error, value } = updateQuestionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const question = await QuestionLibraryService.update(req.params.id, req.company.id, value);
+
+    res.json({
+      message: 'Question updated',
+      question
+    });
+  } catch (error) {
+    if (error.name === 'QuestionLibraryError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Update question error:', error);
+    res.status(500).json({ error: 'Failed to update question' });
+  }
+});
+
+/**
+ * POST /api/questions/:id/approve
+ * Approve a question so the rubric builder reuses it
+ */
+router.post('/:id/approve', authenticateEither, authorize('rubrics:approve'), async (req, res) => {
+  try {
+    const question = await QuestionLibraryService.approve(
+      req.params.id,
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req)
+    );
+
+    res.json({
+      message: 'Question approved',
+      question
+    });
+  } catch (error) {
+    if (error.name === 'QuestionLibraryError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Approve question error:', error);
+    res.status(500).json({ error: 'Failed to approve question' });
+  }
+});
+
+/**
+ * POST /api/questions/:id/retire
+ * Stop offering a question to the rubric builder (rubrics keep it)
+ */
+router.post('/:id/retire', authenticateEither, authorize('rubrics:write'), async (req, res) => {
+  try {
+    const question = await QuestionLibraryService.retire(req.params.id, req.company.id);
+
+    res.json({
+      message: 'Question retired',
+      question
+    });
+  } catch (error) {
+    if (error.name === 'QuestionLibraryError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Retire question error:', error);
+    res.status(500).json({ error: 'Failed to retire question' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,53 @@
 const express = require('express');
-const { authenticateCompany } = require('../middleware/auth');
+const Joi = require('joi');
+const { authenticateEither, authorize } = require('../middleware/auth');
 const { query } = require('../db/index.js');  // ✅ Fixed
-const RubricBuilderAgent = require('../agents/RubricBuilderAgent.js');  // ✅ Fixed
+const RubricBuilderAgent = require('../agents/RubricBuilderAgent.js').default;  // ✅ Fixed
+const BlueprintService = require('../services/BlueprintService.js').default;
+const RescoringService = require('../services/RescoringService.js').default;
+const RubricService = require('../services/RubricService.js').default;
+const QuestionLibraryService = require('../services/QuestionLibraryService.js').default;
+const InterviewStateMachine = require('../services/InterviewStateMachine.js').default;
+const { runWithLLMContext } = require('../providers/llm/index.js');
 
 const router = express.Router();
 
+const editRubricSchema = Joi.object({
+  competencies: Joi.array().items(Joi.object({
+    name: Joi.string().trim().min(1).max(255).required(),
+    weight: Joi.number().min(0).required(),
+    must_have: Joi.boolean().default(false),
+    description: Joi.string().allow('', null).optional()
+  })).min(1).optional(),
+  question_bank: Joi.object().pattern(Joi.string(), Joi.array().items(
+    Joi.string(),
+    Joi.object({ question_id: Joi.string().uuid().required() })
+  ).min(1)).optional(),
+  evaluation_criteria: Joi.object().optional(),
+  change_note: Joi.string().trim().min(3).max(2000).required()
+}).or('competencies', 'question_bank', 'evaluation_criteria');
+
+const activationSchema = Joi.object({
+  note: Joi.string().trim().max(2000).optional()
+});
+
+const decisionSchema = Joi.object({
+  note: Joi.string().trim().max(2000).optional()
+});
+
+const diffQuerySchema = Joi.object({
+  from: Joi.string().uuid().optional()
+});
+
+const settingsSchema = Joi.object({
+  approval_required: Joi.boolean().required()
+});
+
 /**
  * POST /api/rubrics/generate
  * Generate a new rubric from job description using AI
  */
-router.post('/generate', authenticateCompany, async (req, res) => {
+router.post('/generate', authenticateEither, authorize('rubrics:write'), async (req, res) => {
   try {
     const { job_id } = req.body;
     
@@ -29,118 +67,265 @@ router.post('/generate', authenticateCompany, async (req, res) => {
     
     const job = jobResult.rows[0];
     
+    // Question bank sections follow the job's interview blueprint
+    const blueprint = await BlueprintService.getForJob(job.id);
+    
+    // Approved library questions are offered to the builder before it writes new ones
+    const libraryQuestions = await QuestionLibraryService.findBuilderCandidates(
+      req.company.id,
+      job,
+      blueprint.phases.map(phase => phase.key)
+    );
+    
     // Use AI Rubric Builder Agent to generate questions
-    const rubric = await RubricBuilderAgent.generateRubric(job, job.language || 'en');
-    
-    // Save rubric
-    const result = await query(`
-      INSERT INTO rubrics (job_id, competencies, question_bank, evaluation_criteria, created_by)
-      VALUES ($1, $2, $3, $4, 'ai')
-      RETURNING *
-    `, [
+    const rubric = await runWithLLMContext({ companyId: req.company.id }, () =>
+      RubricBuilderAgent.generateRubric(job, job.language || 'en', blueprint, libraryQuestions)
+    );
+    
+    // Save as the job's next rubric version; it goes live unless activation needs approval
+    const saved = await RubricService.createVersion(
       job_id,
-      JSON.stringify(rubric.competencies),
-      JSON.stringify(rubric.question_bank),
-      JSON.stringify(rubric.evaluation_criteria)
-    ]);
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      rubric,
+      { createdBy: 'ai', activate: !(await RubricService.isApprovalRequired(req.company.id)) }
+    );
     
     res.status(201).json({
       message: 'Rubric generated successfully',
-      rubric: result.rows[0]
+      rubric: saved
     });
   } catch (error) {
     console.error('Generate rubric error:', error);
+    if (error.name === 'AgentOutputError') {
+      return res.status(error.status).json({ error: 'The AI returned an invalid rubric, please try again' });
+    }
     res.status(500).json({ error: 'Failed to generate rubric' });
   }
 });
 
 /**
  * GET /api/rubrics/job/:job_id
- * Get all rubrics for a job
+ * Get all rubric versions for a job, newest first
  */
-router.get('/job/:job_id', authenticateCompany, async (req, res) => {
+router.get('/job/:job_id', authenticateEither, authorize('rubrics:read'), async (req, res) => {
   try {
-    // Verify job belongs to company
-    const jobCheck = await query(
-      'SELECT id FROM jobs WHERE id = $1 AND company_id = $2',
-      [req.params.job_id, req.company.id]
-    );
+    const rubrics = await RubricService.listVersions(req.params.job_id, req.company.id);
     
-    if (jobCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
+    res.json({ rubrics });
+  } catch (error) {
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get rubrics error:', error);
+    res.status(500).json({ error: 'Failed to get rubrics' });
+  }
+});
+
+/**
+ * GET /api/rubrics/settings
+ * Whether rubric activation needs a second user's approval
+ */
+router.get('/settings', authenticateEither, authorize('rubrics:read'), async (req, res) => {
+  try {
+    const approvalRequired = await RubricService.isApprovalRequired(req.company.id);
+    
+    res.json({ settings: { approval_required: approvalRequired } });
+  } catch (error) {
+    console.error('Get rubric settings error:', error);
+    res.status(500).json({ error: 'Failed to get rubric settings' });
+  }
+});
+
+/**
+ * PUT /api/rubrics/settings
+ * Turn the rubric activation approval on or off (owners and admins)
+ */
+router.put('/settings', authenticateEither, authorize('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = settingsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const settings = await RubricService.setApprovalRequired(req.company.id, value.approval_required);
+    
+    res.json({
+      message: 'Rubric settings updated',
+      settings
+    });
+  } catch (error) {
+    console.error('Update rubric settings error:', error);
+    res.status(500).json({ error: 'Failed to update rubric settings' });
+  }
+});
+
+/**
+ * GET /api/rubrics/activation-requests
+ * Rubric activations awaiting (or past) approval; filter with ?status=pending
+ */
+router.get('/activation-requests', authenticateEither, authorize('rubrics:read'), async (req, res) => {
+  try {
+    const requests = await RubricService.listActivationRequests(req.company.id, {
+      status: req.query.status
+    });
+    
+    res.json({ requests });
+  } catch (error) {
+    console.error('List activation requests error:', error);
+    res.status(500).json({ error: 'Failed to list activation requests' });
+  }
+});
+
+/**
+ * POST /api/rubrics/activation-requests/:requestId/approve
+ * Approve a pending activation; the rubric becomes active
+ */
+router.post('/activation-requests/:requestId/approve', authenticateEither, authorize('rubrics:approve'), async (req, res) => {
+  try {
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
     
-    const result = await query(
-      'SELECT * FROM rubrics WHERE job_id = $1 ORDER BY created_at DESC',
-      [req.params.job_id]
+    const result = await RubricService.approveActivation(
+      req.params.requestId,
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      value.note
     );
     
-    res.json({ rubrics: result.rows });
+    res.json({
+      message: 'Rubric activated successfully',
+      ...result
+    });
   } catch (error) {
-    console.error('Get rubrics error:', error);
-    res.status(500).json({ error: 'Failed to get rubrics' });
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Approve activation error:', error);
+    res.status(500).json({ error: 'Failed to approve activation' });
   }
 });
 
 /**
- * GET /api/rubrics/:id
- * Get a specific rubric
+ * POST /api/rubrics/activation-requests/:requestId/reject
+ * Reject a pending activation
  */
-router.get('/:id', authenticateCompany, async (req, res) => {
+router.post('/activation-requests/:requestId/reject', authenticateEither, authorize('rubrics:approve'), async (req, res) => {
   try {
-    const result = await query(`
-      SELECT r.* 
-      FROM rubrics r
-      JOIN jobs j ON r.job_id = j.id
-      WHERE r.id = $1 AND j.company_id = $2
-    `, [req.params.id, req.company.id]);
+    const { error, value } = decisionSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const request = await RubricService.rejectActivation(
+      req.params.requestId,
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      value.note
+    );
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Rubric not found' });
+    res.json({
+      message: 'Activation rejected',
+      request
+    });
+  } catch (error) {
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Reject activation error:', error);
+    res.status(500).json({ error: 'Failed to reject activation' });
+  }
+});
+
+/**
+ * GET /api/rubrics/:id
+ * Get a specific rubric version
+ */
+router.get('/:id', authenticateEither, authorize('rubrics:read'), async (req, res) => {
+  try {
+    const rubric = await RubricService.getRubric(req.params.id, req.company.id);
+    const questions = await QuestionLibraryService.resolveQuestionBank(rubric.question_bank, req.company.id);
     
-    res.json({ rubric: result.rows[0] });
+    res.json({ rubric, questions });
   } catch (error) {
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get rubric error:', error);
     res.status(500).json({ error: 'Failed to get rubric' });
   }
 });
 
 /**
- * PUT /api/rubrics/:id
- * Update a rubric (manual editing)
+ * GET /api/rubrics/:id/diff
+ * Structured diff against another version (?from=<rubric_id>, defaults to
+ * the version this one was edited from)
  */
-router.put('/:id', authenticateCompany, async (req, res) => {
+router.get('/:id/diff', authenticateEither, authorize('rubrics:read'), async (req, res) => {
   try {
-    const { competencies, question_bank, evaluation_criteria } = req.body;
-    
-    const result = await query(`
-      UPDATE rubrics r
-      SET 
-        competencies = $1,
-        question_bank = $2,
-        evaluation_criteria = $3,
-        created_by = 'manual'
-      FROM jobs j
-      WHERE r.id = $4 AND r.job_id = j.id AND j.company_id = $5
-      RETURNING r.*
-    `, [
-      JSON.stringify(competencies),
-      JSON.stringify(question_bank),
-      JSON.stringify(evaluation_criteria),
-      req.params.id,
-      req.company.id
-    ]);
+    const { error, value } = diffQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+    
+    const diff = await RubricService.diff(req.params.id, req.company.id, value.from);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Rubric not found' });
+    res.json({ diff });
+  } catch (error) {
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Diff rubric error:', error);
+    res.status(500).json({ error: 'Failed to diff rubrics' });
+  }
+});
+
+/**
+ * GET /api/rubrics/:id/scores
+ * Latest score of each interview under this rubric version, best first
+ */
+router.get('/:id/scores', authenticateEither, authorize('interviews:read'), async (req, res) => {
+  try {
+    const scores = await RescoringService.getRubricScores(req.params.id, req.company.id);
+    res.json(scores);
+  } catch (error) {
+    if (error.name === 'RescoreError') {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get rubric scores error:', error);
+    res.status(500).json({ error: 'Failed to get rubric scores' });
+  }
+});
+
+/**
+ * PUT /api/rubrics/:id
+ * Edit a rubric: saves a new version with a change note, the edited
+ * version stays as it was
+ */
+router.put('/:id', authenticateEither, authorize('rubrics:write'), async (req, res) => {
+  try {
+    const { error, value } = editRubricSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
     
-    res.json({
-      message: 'Rubric updated successfully',
-      rubric: result.rows[0]
+    const rubric = await RubricService.editRubric(
+      req.params.id,
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      value
+    );
+    
+    res.status(201).json({
+      message: `Rubric version ${rubric.version} created`,
+      rubric
     });
   } catch (error) {
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update rubric error:', error);
     res.status(500).json({ error: 'Failed to update rubric' });
   }
@@ -148,38 +333,38 @@ router.put('/:id', authenticateCompany, async (req, res) => {
 
 /**
  * PATCH /api/rubrics/:id/activate
- * Set a rubric as active (deactivates others for same job)
+ * Set a rubric as active (deactivates others for same job). When the
+ * company requires approval, this opens an activation request instead.
  */
-router.patch('/:id/activate', authenticateCompany, async (req, res) => {
+router.patch('/:id/activate', authenticateEither, authorize('rubrics:write'), async (req, res) => {
   try {
-    // Get rubric and verify ownership
-    const rubricResult = await query(`
-      SELECT r.*, j.company_id
-      FROM rubrics r
-      JOIN jobs j ON r.job_id = j.id
-      WHERE r.id = $1
-    `, [req.params.id]);
-    
-    if (rubricResult.rows.length === 0 || rubricResult.rows[0].company_id !== req.company.id) {
-      return res.status(404).json({ error: 'Rubric not found' });
+    const { error, value } = activationSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
     
-    const rubric = rubricResult.rows[0];
-    
-    // Deactivate all rubrics for this job
-    await query(
-      'UPDATE rubrics SET is_active = false WHERE job_id = $1',
-      [rubric.job_id]
+    const result = await RubricService.requestActivation(
+      req.params.id,
+      req.company.id,
+      InterviewStateMachine.actorFromRequest(req),
+      value.note
     );
     
-    // Activate this rubric
-    await query(
-      'UPDATE rubrics SET is_active = true WHERE id = $1',
-      [req.params.id]
-    );
+    if (!result.activated) {
+      return res.status(202).json({
+        message: 'Activation awaiting approval by a second user',
+        request: result.request
+      });
+    }
     
-    res.json({ message: 'Rubric activated successfully' });
+    res.json({
+      message: 'Rubric activated successfully',
+      rubric: result.rubric
+    });
   } catch (error) {
+    if (error.name === 'RubricError') {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Activate rubric error:', error);
     res.status(500).json({ error: 'Failed to activate rubric' });
   }
@@ -0,0 +1,82 @@
+const express = require('express');
+const { authenticateEither, authorize } = require('../middleware/auth');
+const { query } = require('../db/index.js');
+const SpeechProviders = require('../providers/speech/index.js').default;
+const Joi = require('joi');
+
+const router = express.Router();
+
+const speechConfigSchema = Joi.object({
+  transcription_provider: Joi.string().max(50).optional(),
+  speech_provider: Joi.string().max(50).optional(),
+  voices: Joi.object().pattern(Joi.string().max(10), Joi.string().max(100)).optional()
+});
+
+/**
+ * GET /api/speech/providers
+ * List speech providers available on this server, their capabilities and voices
+ */
+router.get('/providers', authenticateEither, authorize('integrations:manage'), (req, res) => {
+  try {
+    res.json({
+      providers: SpeechProviders.listProviders()
+    });
+  } catch (error) {
+    console.error('List speech providers error:', error);
+    res.status(500).json({ error: 'Failed to list speech providers' });
+  }
+});
+
+/**
+ * GET /api/speech/config
+ * Get the company's speech provider and voice selection
+ */
+router.get('/config', authenticateEither, authorize('integrations:manage'), async (req, res) => {
+  try {
+    const result = await query(
+      'SELECT speech_config FROM companies WHERE id = $1',
+      [req.company.id]
+    );
+
+    res.json({ config: result.rows[0]?.speech_config || {} });
+  } catch (error) {
+    console.error('Get speech config error:', error);
+    res.status(500).json({ error: 'Failed to get speech configuration' });
+  }
+});
+
+/**
+ * PUT /api/speech/config
+ * Choose the company's transcription and speech providers and its voice per language
+ */
+router.put('/config', authenticateEither, authorize('integrations:manage'), async (req, res) => {
+  try {
+    const { error, value } = speechConfigSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const problem = SpeechProviders.validateConfig(value);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    await query(`
+      UPDATE companies
+      SET speech_config = $1, updated_at = NOW()
+      WHERE id = $2
+    `, [JSON.stringify(value), req.company.id]);
+
+    SpeechProviders.invalidateCompanyConfig(req.company.id);
+
+    res.json({
+      message: 'Speech configuration updated',
+      config: value
+    });
+  } catch (error) {
+    console.error('Update speech config error:', error);
+    res.status(500).json({ error: 'Failed to update speech configuration' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { query } = require('../db/index.js');
+const AuthService = require('../services/AuthService');
+const EmailService = require('../services/EmailService.js').default;
+const { ROLES, canAssignRole } = require('../utils/permissions');
+const { logger } = require('../utils/logger.js');
+const Joi = require('joi');
+
+const router = express.Router();
+
+const ASSIGNABLE_ROLES = ROLES.filter(role => role !== 'owner');
+
+const inviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...ASSIGNABLE_ROLES).required()
+});
+
+const updateUserSchema = Joi.object({
+  role: Joi.string().valid(...ASSIGNABLE_ROLES).optional(),
+  is_active: Joi.boolean().optional()
+}).min(1);
+
+const USER_COLUMNS = 'id, email, first_name, last_name, role, is_active, last_login_at, created_at';
+
+/**
+ * GET /api/users
+ * List users of the company
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE company_id = $1 ORDER BY created_at ASC`,
+      [req.company.id]
+    );
+
+    res.json({ users: result.rows });
+  } catch (error) {
+    logger.error('List users error:', error);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+/**
+ * POST /api/users/invitations
+ * Invite someone to join the company
+ */
+router.post('/invitations', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = inviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (!canAssignRole(req.user.role, value.role)) {
+      return res.status(403).json({ error: `You cannot invite users as ${value.role}` });
+    }
+
+    const { invitation, token } = await AuthService.createInvitation(
+      req.company.id,
+      req.user.id,
+      value.email.toLowerCase(),
+      value.role
+    );
+
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/accept-invite/${token}`;
+
+    try {
+      await EmailService.sendTeamInvite({
+        email: invitation.email,
+        companyName: req.company.name,
+        role: invitation.role,
+        inviterName: [req.user.first_name, req.user.last_name].filter(Boolean).join(' '),
+        acceptUrl
+      });
+    } catch (emailError) {
+      logger.error('Failed to send team invite email:', emailError);
+    }
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation
+    });
+  } catch (error) {
+    if (error.message === 'Email already registered') {
+      return res.status(409).json({ error: error.message });
+    }
+
+    logger.error('Create invitation error:', error);
+    res.status(500).json({ error: 'Failed to create invitation' });
+  }
+});
+
+/**
+ * GET /api/users/invitations
+ * List pending invitations
+ */
+router.get('/invitations', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT ui.id, ui.email, ui.role, ui.expires_at, ui.created_at,
+             u.email as invited_by_email
+      FROM user_invitations ui
+      LEFT JOIN users u ON ui.invited_by = u.id
+      WHERE ui.company_id = $1
+      AND ui.accepted_at IS NULL
+      AND ui.revoked_at IS NULL
+      AND ui.expires_at > NOW()
+      ORDER BY ui.created_at DESC
+    `, [req.company.id]);
+
+    res.json({ invitations: result.rows });
+  } catch (error) {
+    logger.error('List invitations error:', error);
+    res.status(500).json({ error: 'Failed to list invitations' });
+  }
+});
+
+/**
+ * DELETE /api/users/invitations/:id
+ * Revoke a pending invitation
+ */
+router.delete('/invitations/:id', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE user_invitations SET revoked_at = NOW()
+      WHERE id = $1 AND company_id = $2
+      AND accepted_at IS NULL AND revoked_at IS NULL
+      RETURNING id
+    `, [req.params.id, req.company.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+/**
+ * PATCH /api/users/:id
+ * Change a user's role or deactivate/reactivate them
+ */
+router.patch('/:id', authenticateToken, authorize('users:manage'), async (req, res) => {
+  try {
+    const { error, value } = updateUserSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role or status' });
+    }
+
+    const existing = await query(
+      'SELECT id, role FROM users WHERE id = $1 AND company_id = $2',
+      [req.params.id, req.company.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const target = existing.rows[0];
+
+    // Owners can't be demoted or deactivated, and only owners can manage admins
+    if (target.role === 'owner' || !canAssignRole(req.user.role, target.role)) {
+      return res.status(403).json({ error: `You cannot modify a user with role ${target.role}` });
+    }
+
+    if (value.role && !canAssignRole(req.user.role, value.role)) {
+      return res.status(403).json({ error: `You cannot assign role ${value.role}` });
+    }
+
+    const result = await query(`
+      UPDATE users SET
+        role = COALESCE($1, role),
+        is_active = COALESCE($2, is_active),
+        updated_at = NOW()
+      WHERE id = $3 AND company_id = $4
+      RETURNING ${USER_COLUMNS}
+    `, [value.role, value.is_active, req.params.id, req.company.id]);
+
+    // Deactivated users lose their sessions
+    if (value.is_active === false) {
+      await query('DELETE FROM refresh_tokens WHERE user_id = $1', [req.params.id]);
+    }
+
+    res.json({
+      message: 'User updated successfully',
+      user: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+module.exports = router;
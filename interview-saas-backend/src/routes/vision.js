@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateCompany } = require('../middleware/auth');
+const { authenticateEither, authorize } = require('../middleware/auth');
 const multer = require('multer');
-const VisionAnalysisService = require('../services/VisionAnalysisService');
+const VisionAnalysisService = require('../services/VisionAnalysisService').default;
+const { runWithLLMContext } = require('../providers/llm/index.js');
 
 // Configure multer for handling image uploads
 const upload = multer({
@@ -24,7 +25,7 @@ const upload = multer({
  * POST /api/vision/analyze
  * Analyze body language from interview video frame
  */
-router.post('/analyze', authenticateCompany, upload.single('image'), async (req, res) => {
+router.post('/analyze', authenticateEither, authorize('interviews:write'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -46,7 +47,9 @@ router.post('/analyze', authenticateCompany, upload.single('image'), async (req,
     const base64Image = req.file.buffer.toString('base64');
 
     // Analyze with GPT-4 Vision
-    const analysis = await VisionAnalysisService.analyzeBodyLanguage(base64Image);
+    const analysis = await runWithLLMContext({ companyId: req.company.id, interviewId }, () =>
+      VisionAnalysisService.analyzeBodyLanguage(base64Image)
+    );
 
     // Save analysis to database
     const { query } = require('../db');
@@ -74,7 +77,7 @@ router.post('/analyze', authenticateCompany, upload.single('image'), async (req,
  * GET /api/vision/interview/:interviewId
  * Get all vision analyses for an interview
  */
-router.get('/interview/:interviewId', authenticateCompany, async (req, res) => {
+router.get('/interview/:interviewId', authenticateEither, authorize('interviews:read'), async (req, res) => {
   try {
     const { interviewId } = req.params;
 
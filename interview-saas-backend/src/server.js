@@ -8,10 +8,16 @@ const fs = require('fs');
 const path = require('path');
 
 // Local imports - Note: .js extensions are optional in CJS but kept for clarity
-const pool = require('./db/index.js');
+const pool = require('./db/index.js').default;
 const visionRoutes = require('./routes/vision.js');
 const { logger } = require('./utils/logger.js');
+const { closeQueues } = require('./utils/queue.js');
 const WebSocketService = require('./services/WebSocketService.js');
+const WebhookService = require('./services/WebhookService.js').default;
+const InterviewStateMachine = require('./services/InterviewStateMachine.js').default;
+const ReportService = require('./services/ReportService.js').default;
+const RescoringService = require('./services/RescoringService.js').default;
+const InviteService = require('./services/InviteService.js').default;
 
 // Route imports
 const authRoutes = require('./routes/auth.js');
@@ -21,8 +27,14 @@ const candidateRoutes = require('./routes/candidates.js');
 const interviewRoutes = require('./routes/interviews.js');
 const rubricRoutes = require('./routes/rubrics.js');
 const webhookRoutes = require('./routes/webhooks.js');
+const userRoutes = require('./routes/users.js');
+const apiKeyRoutes = require('./routes/api-keys.js');
 const healthRoutes = require('./routes/health.js');
 const odooRoutes = require('./routes/odoo.js');
+const llmRoutes = require('./routes/llm.js');
+const speechRoutes = require('./routes/speech.js');
+const blueprintRoutes = require('./routes/blueprints.js');
+const questionRoutes = require('./routes/questions.js');
 const interviewSessionRoutes = require('./routes/interview-session.js');
 
 // In CommonJS, __dirname and __filename are available globally
@@ -89,14 +101,20 @@ app.use((req, res, next) => {
 
 // API Routes
 app.use('/api/health', healthRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
+app.use('/api/blueprints', blueprintRoutes);
 app.use('/api/candidates', candidateRoutes);
 app.use('/api/interviews', interviewRoutes);
 app.use('/api/rubrics', rubricRoutes);
+app.use('/api/questions', questionRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/odoo', odooRoutes);
+app.use('/api/llm', llmRoutes);
+app.use('/api/speech', speechRoutes);
 app.use('/api/vision', visionRoutes);
 app.use('/api/interview-session', interviewSessionRoutes);
 
@@ -113,6 +131,7 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       auth: '/api/auth',
+      users: '/api/users',
       jobs: '/api/jobs',
       candidates: '/api/candidates',
       interviews: '/api/interviews',
@@ -145,6 +164,20 @@ app.use((err, req, res, next) => {
 // Start logic wrapped to handle the migration promise
 async function startServer() {
   await runMigrations();
+
+  // Background worker for queued webhook deliveries
+  WebhookService.startWorker();
+
+  // Background workers for interview reports and rescoring
+  ReportService.startWorker();
+  RescoringService.startWorker();
+
+  // Expire lapsed invites and abandon stale interview sessions
+  InterviewStateMachine.startSweeper();
+
+  // Remind candidates who haven't opened their invite before it expires
+  InviteService.startReminderScheduler();
+
   httpServer.listen(PORT, () => {
     logger.info(`🚀 Server running on port ${PORT}`);
     logger.info(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -153,6 +186,24 @@ async function startServer() {
   });
 }
 
+// Stop taking connections and let queued jobs finish before exiting
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down`);
+
+  httpServer.close();
+
+  try {
+    await closeQueues();
+  } catch (error) {
+    logger.error('Failed to close queues:', error.message);
+  }
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
 
 module.exports = app;
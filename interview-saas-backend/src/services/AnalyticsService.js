@@ -145,24 +145,27 @@ export class AnalyticsService {
    * Get top performing candidates
    * @param {String} companyId - Company ID
    * @param {Number} limit - Number of candidates to return
+   * @param {Object} options - { scores: 'ai' | 'adjusted' } (see scoreColumns)
    */
-  async getTopCandidates(companyId, limit = 10) {
+  async getTopCandidates(companyId, limit = 10, options = {}) {
     try {
+      const { score, recommendation } = this.scoreColumns(options.scores);
+
       const result = await query(`
         SELECT 
           c.id,
           c.full_name,
           c.email,
-          ir.overall_score,
-          ir.recommendation,
+          ${score} as overall_score,
+          ${recommendation} as recommendation,
+          i.reviewed_at IS NOT NULL as reviewed,
           j.title as job_title,
           i.completed_at
-        FROM interview_reports ir
-        JOIN interviews i ON ir.interview_id = i.id
+        FROM interviews i
         JOIN candidates c ON i.candidate_id = c.id
         JOIN jobs j ON i.job_id = j.id
-        WHERE ir.company_id = $1
-        ORDER BY ir.overall_score DESC
+        WHERE i.company_id = $1 AND ${score} IS NOT NULL
+        ORDER BY ${score} DESC
         LIMIT $2
       `, [companyId, limit]);
 
@@ -172,6 +175,7 @@ export class AnalyticsService {
         email: row.email,
         score: parseFloat(row.overall_score).toFixed(2),
         recommendation: row.recommendation,
+        reviewed: row.reviewed,
         job_title: row.job_title,
         completed_at: row.completed_at
       }));
@@ -223,20 +227,23 @@ export class AnalyticsService {
   /**
    * Get score distribution
    * @param {String} companyId - Company ID
+   * @param {Object} options - { scores: 'ai' | 'adjusted' } (see scoreColumns)
    */
-  async getScoreDistribution(companyId) {
+  async getScoreDistribution(companyId, options = {}) {
     try {
+      const { score } = this.scoreColumns(options.scores);
+
       const result = await query(`
         SELECT 
           CASE 
-            WHEN overall_score >= 0.9 THEN 'excellent'
-            WHEN overall_score >= 0.7 THEN 'good'
-            WHEN overall_score >= 0.5 THEN 'average'
+            WHEN ${score} >= 0.9 THEN 'excellent'
+            WHEN ${score} >= 0.7 THEN 'good'
+            WHEN ${score} >= 0.5 THEN 'average'
             ELSE 'below_average'
           END as score_range,
           COUNT(*) as count
-        FROM interview_reports
-        WHERE company_id = $1
+        FROM interviews i
+        WHERE i.company_id = $1 AND ${score} IS NOT NULL
         GROUP BY score_range
         ORDER BY 
           CASE score_range
@@ -296,51 +303,91 @@ export class AnalyticsService {
   }
 
   /**
-   * Get cost analysis (API usage estimation)
+   * Get cost analysis from metered model usage (usage_logs)
    * @param {String} companyId - Company ID
-   * @param {Object} options - Filter options
+   * @param {Object} options - Filter options (dateFrom, dateTo)
    */
   async getCostAnalysis(companyId, options = {}) {
     try {
       const { dateFrom, dateTo } = options;
-      const dateFilter = this.buildDateFilter(dateFrom, dateTo);
-
-      const result = await query(`
-        SELECT 
-          COUNT(*) as total_interviews,
-          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_interviews,
-          SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as billable_interviews
-        FROM interviews
-        WHERE company_id = $1 ${dateFilter.clause}
-      `, [companyId, ...dateFilter.params]);
-
-      const data = result.rows[0];
-      const completedCount = parseInt(data.completed_interviews);
-
-      // Cost estimation (based on our earlier calculations)
-      const costPerInterview = {
-        ai_thinking: 0.26,      // GPT-4
-        tts_voice: 0.03,        // Text-to-speech
-        whisper: 0.06,          // Speech-to-text
-        resume_parsing: 0.02    // Resume parser
-      };
-
-      const totalAICost = completedCount * (
-        costPerInterview.ai_thinking + 
-        costPerInterview.tts_voice + 
-        costPerInterview.whisper
-      );
+      const dateFilter = this.buildDateFilter(dateFrom, dateTo, 'u.created_at');
+      const params = [companyId, ...dateFilter.params];
+
+      const usageTotals = `
+        COUNT(*) as calls,
+        COALESCE(SUM(u.cost_usd), 0) as cost,
+        COUNT(CASE WHEN u.cost_usd IS NULL THEN 1 END) as unpriced_calls,
+        COALESCE(SUM(u.input_tokens), 0) as input_tokens,
+        COALESCE(SUM(u.output_tokens), 0) as output_tokens,
+        COALESCE(SUM(u.images), 0) as images,
+        COALESCE(SUM(u.audio_seconds), 0) as audio_seconds,
+        COALESCE(SUM(u.characters), 0) as characters
+      `;
+
+      const metered = `
+        FROM usage_logs u
+        LEFT JOIN interviews i ON u.interview_id = i.id
+        LEFT JOIN jobs j ON i.job_id = j.id
+        WHERE u.company_id = $1
+          AND u.event_type IN ('llm', 'transcription', 'speech') ${dateFilter.clause}
+      `;
+
+      const [totals, byType, byAgent, byJob, byMonth, completed] = await Promise.all([
+        query(`SELECT ${usageTotals} ${metered}`, params),
+        query(`
+          SELECT u.event_type as type, ${usageTotals} ${metered}
+          GROUP BY u.event_type
+          ORDER BY cost DESC
+        `, params),
+        query(`
+          SELECT COALESCE(u.agent, 'unknown') as agent, ${usageTotals} ${metered}
+          GROUP BY COALESCE(u.agent, 'unknown')
+          ORDER BY cost DESC
+        `, params),
+        query(`
+          SELECT i.job_id, j.title as job_title, ${usageTotals} ${metered}
+          GROUP BY i.job_id, j.title
+          ORDER BY cost DESC
+        `, params),
+        query(`
+          SELECT DATE_TRUNC('month', u.created_at) as month, ${usageTotals} ${metered}
+          GROUP BY month
+          ORDER BY month DESC
+        `, params),
+        query(`
+          SELECT COUNT(*) as count
+          FROM interviews
+          WHERE company_id = $1 AND status = 'completed' ${this.buildDateFilter(dateFrom, dateTo, 'completed_at').clause}
+        `, params)
+      ]);
+
+      const formatUsage = (row) => ({
+        calls: parseInt(row.calls),
+        cost: parseFloat(row.cost).toFixed(4),
+        unpriced_calls: parseInt(row.unpriced_calls),
+        input_tokens: parseInt(row.input_tokens),
+        output_tokens: parseInt(row.output_tokens),
+        images: parseInt(row.images),
+        audio_seconds: parseFloat(row.audio_seconds),
+        characters: parseInt(row.characters)
+      });
+
+      const total = formatUsage(totals.rows[0]);
+      const completedCount = parseInt(completed.rows[0].count);
 
       return {
-        total_interviews: parseInt(data.total_interviews),
+        currency: 'USD',
+        total_cost: total.cost,
         completed_interviews: completedCount,
-        estimated_ai_cost: totalAICost.toFixed(2),
-        cost_per_interview: (
-          costPerInterview.ai_thinking + 
-          costPerInterview.tts_voice + 
-          costPerInterview.whisper
-        ).toFixed(2),
-        breakdown: costPerInterview
+        cost_per_completed_interview: completedCount > 0
+          ? (parseFloat(total.cost) / completedCount).toFixed(4)
+          : null,
+        usage: total,
+        by_type: byType.rows.map(row => ({ type: row.type, ...formatUsage(row) })),
+        by_agent: byAgent.rows.map(row => ({ agent: row.agent, ...formatUsage(row) })),
+        // job_id is null for usage outside an interview (rubric generation, resume parsing)
+        by_job: byJob.rows.map(row => ({ job_id: row.job_id, job_title: row.job_title, ...formatUsage(row) })),
+        by_month: byMonth.rows.map(row => ({ month: row.month, ...formatUsage(row) }))
       };
     } catch (error) {
       logger.error('Get cost analysis error:', error);
@@ -398,24 +445,41 @@ export class AnalyticsService {
     }
   }
 
+  /**
+   * Score and recommendation columns (on interviews `i`) for a score mode
+   * @param {String} scores - 'ai' for the generated values, 'adjusted' for
+   *   recruiters' overrides where the interview was reviewed
+   */
+  scoreColumns(scores = 'ai') {
+    if (scores === 'adjusted') {
+      return {
+        score: 'COALESCE(i.adjusted_overall_score, i.overall_score)',
+        recommendation: 'COALESCE(i.adjusted_recommendation, i.recommendation)'
+      };
+    }
+
+    return { score: 'i.overall_score', recommendation: 'i.recommendation' };
+  }
+
   /**
    * Build date filter for queries
    * @param {String} dateFrom - Start date (ISO)
    * @param {String} dateTo - End date (ISO)
+   * @param {String} column - Timestamp column to filter on
    * @returns {Object} Filter clause and params
    */
-  buildDateFilter(dateFrom, dateTo) {
+  buildDateFilter(dateFrom, dateTo, column = 'created_at') {
     const params = [];
     let clause = '';
 
     if (dateFrom) {
       params.push(dateFrom);
-      clause += ` AND created_at >= $${params.length + 1}`;
+      clause += ` AND ${column} >= $${params.length + 1}`;
     }
 
     if (dateTo) {
       params.push(dateTo);
-      clause += ` AND created_at <= $${params.length + 1}`;
+      clause += ` AND ${column} <= $${params.length + 1}`;
     }
 
     return { clause, params };
@@ -1,8 +1,10 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { query } = require('../db');
-const logger = require('../utils/logger');
+const { query, transaction } = require('../db');
+const { logger } = require('../utils/logger');
+const { generateApiKey, getApiKeyPrefix, hashApiKey, compareApiKey } = require('../utils/auth.js');
+const { API_KEY_SCOPES } = require('../utils/permissions');
 
 class AuthService {
   constructor() {
@@ -10,6 +12,7 @@ class AuthService {
     this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key';
     this.jwtExpiresIn = '24h'; // Access token expires in 24 hours
     this.refreshExpiresIn = '7d'; // Refresh token expires in 7 days
+    this.invitationExpiresInDays = 7;
   }
 
   // Hash password
@@ -29,7 +32,7 @@ class AuthService {
       userId: user.id,
       email: user.email,
       companyId: user.company_id,
-      role: user.role || 'admin'
+      role: user.role
     };
 
     return jwt.sign(payload, this.jwtSecret, {
@@ -68,14 +71,16 @@ class AuthService {
     }
   }
 
-  // Register new company/user
+  // Register new company with its owner user
   async register(data) {
     const { companyName, email, password, firstName, lastName } = data;
 
     try {
       // Check if email already exists
       const existingUser = await query(
-        'SELECT id FROM companies WHERE email = $1',
+        `SELECT id FROM users WHERE email = $1
+         UNION ALL
+         SELECT id FROM companies WHERE email = $1`,
         [email]
       );
 
@@ -86,48 +91,46 @@ class AuthService {
       // Hash password
       const hashedPassword = await this.hashPassword(password);
 
-      // Generate API key
-      const apiKey = this.generateApiKey();
-
-      // Create company
-      const result = await query(
-        `INSERT INTO companies (
-          name, email, password_hash, api_key, 
-          contact_name, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-        RETURNING id, name, email, api_key, created_at`,
-        [companyName, email, hashedPassword, apiKey, `${firstName} ${lastName}`]
-      );
-
-      const company = result.rows[0];
-
-      // Generate tokens
-      const accessToken = this.generateAccessToken({
-        id: company.id,
-        email: company.email,
-        company_id: company.id
-      });
-
-      const refreshToken = this.generateRefreshToken({
-        id: company.id,
-        email: company.email
+      // Generate a first API key with every scope
+      const apiKey = generateApiKey();
+      const apiKeyHash = await hashApiKey(apiKey);
+
+      // Create company and owner user together
+      const { company, user } = await transaction(async (client) => {
+        const companyResult = await client.query(
+          `INSERT INTO companies (
+            name, email, contact_name, created_at, updated_at
+          ) VALUES ($1, $2, $3, NOW(), NOW())
+          RETURNING id, name, email, created_at`,
+          [companyName, email, `${firstName} ${lastName}`]
+        );
+
+        const userResult = await client.query(
+          `INSERT INTO users (
+            company_id, email, password_hash, first_name, last_name, role
+          ) VALUES ($1, $2, $3, $4, $5, 'owner')
+          RETURNING id, company_id, email, first_name, last_name, role`,
+          [companyResult.rows[0].id, email, hashedPassword, firstName, lastName]
+        );
+
+        await client.query(
+          `INSERT INTO api_keys (company_id, key_prefix, key_hash, name, scopes, created_by)
+           VALUES ($1, $2, $3, 'Default key', $4, $5)`,
+          [companyResult.rows[0].id, getApiKeyPrefix(apiKey), apiKeyHash, API_KEY_SCOPES, userResult.rows[0].id]
+        );
+
+        return { company: companyResult.rows[0], user: userResult.rows[0] };
       });
 
-      // Store refresh token in database
-      await query(
-        `INSERT INTO refresh_tokens (user_id, token, expires_at)
-         VALUES ($1, $2, NOW() + INTERVAL '7 days')`,
-        [company.id, refreshToken]
-      );
+      const { accessToken, refreshToken } = await this.issueTokens(user);
 
       logger.info(`New company registered: ${email}`);
 
       return {
         user: {
-          id: company.id,
-          email: company.email,
+          ...this.formatUser(user),
           companyName: company.name,
-          apiKey: company.api_key
+          apiKey
         },
         accessToken,
         refreshToken
@@ -143,11 +146,15 @@ class AuthService {
     try {
       // Find user by email
       const result = await query(
-        'SELECT id, name, email, password_hash FROM companies WHERE email = $1',
+        `SELECT u.id, u.company_id, u.email, u.password_hash, u.first_name,
+                u.last_name, u.role, u.is_active, c.name as company_name
+         FROM users u
+         JOIN companies c ON u.company_id = c.id
+         WHERE u.email = $1`,
         [email]
       );
 
-      if (result.rows.length === 0) {
+      if (result.rows.length === 0 || !result.rows[0].is_active) {
         throw new Error('Invalid email or password');
       }
 
@@ -160,28 +167,11 @@ class AuthService {
         throw new Error('Invalid email or password');
       }
 
-      // Generate tokens
-      const accessToken = this.generateAccessToken({
-        id: user.id,
-        email: user.email,
-        company_id: user.id
-      });
-
-      const refreshToken = this.generateRefreshToken({
-        id: user.id,
-        email: user.email
-      });
-
-      // Store refresh token
-      await query(
-        `INSERT INTO refresh_tokens (user_id, token, expires_at)
-         VALUES ($1, $2, NOW() + INTERVAL '7 days')`,
-        [user.id, refreshToken]
-      );
+      const { accessToken, refreshToken } = await this.issueTokens(user);
 
       // Update last login
       await query(
-        'UPDATE companies SET updated_at = NOW() WHERE id = $1',
+        'UPDATE users SET last_login_at = NOW() WHERE id = $1',
         [user.id]
       );
 
@@ -189,9 +179,8 @@ class AuthService {
 
       return {
         user: {
-          id: user.id,
-          email: user.email,
-          companyName: user.name
+          ...this.formatUser(user),
+          companyName: user.company_name
         },
         accessToken,
         refreshToken
@@ -202,18 +191,44 @@ class AuthService {
     }
   }
 
+  // Generate and store an access/refresh token pair for a user
+  async issueTokens(user) {
+    const accessToken = this.generateAccessToken(user);
+    const refreshToken = this.generateRefreshToken(user);
+
+    await query(
+      `INSERT INTO refresh_tokens (user_id, token, expires_at)
+       VALUES ($1, $2, NOW() + INTERVAL '7 days')`,
+      [user.id, refreshToken]
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  // Public shape of a user
+  formatUser(user) {
+    return {
+      id: user.id,
+      companyId: user.company_id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role
+    };
+  }
+
   // Refresh access token
   async refreshAccessToken(refreshToken) {
     try {
       // Verify refresh token
-      const decoded = this.verifyRefreshToken(refreshToken);
+      this.verifyRefreshToken(refreshToken);
 
       // Check if refresh token exists in database and is not expired
       const result = await query(
-        `SELECT rt.*, c.email, c.name 
+        `SELECT u.id, u.company_id, u.email, u.role
          FROM refresh_tokens rt
-         JOIN companies c ON rt.user_id = c.id
-         WHERE rt.token = $1 AND rt.expires_at > NOW()`,
+         JOIN users u ON rt.user_id = u.id
+         WHERE rt.token = $1 AND rt.expires_at > NOW() AND u.is_active = true`,
         [refreshToken]
       );
 
@@ -221,14 +236,8 @@ class AuthService {
         throw new Error('Invalid or expired refresh token');
       }
 
-      const user = result.rows[0];
-
-      // Generate new access token
-      const accessToken = this.generateAccessToken({
-        id: user.user_id,
-        email: user.email,
-        company_id: user.user_id
-      });
+      // Generate new access token with the user's current role
+      const accessToken = this.generateAccessToken(result.rows[0]);
 
       return {
         accessToken
@@ -259,7 +268,7 @@ class AuthService {
     try {
       // Find user
       const result = await query(
-        'SELECT id, email, name FROM companies WHERE email = $1',
+        'SELECT id, email FROM users WHERE email = $1 AND is_active = true',
         [email]
       );
 
@@ -304,9 +313,9 @@ class AuthService {
     try {
       // Find valid reset token
       const result = await query(
-        `SELECT prt.user_id, prt.token_hash, c.email
+        `SELECT prt.user_id, prt.token_hash, u.email
          FROM password_reset_tokens prt
-         JOIN companies c ON prt.user_id = c.id
+         JOIN users u ON prt.user_id = u.id
          WHERE prt.expires_at > NOW()`,
         []
       );
@@ -334,7 +343,7 @@ class AuthService {
 
       // Update password
       await query(
-        'UPDATE companies SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
         [hashedPassword, userId]
       );
 
@@ -359,29 +368,249 @@ class AuthService {
     }
   }
 
-  // Generate API key
-  generateApiKey() {
-    return `iai_${crypto.randomBytes(32).toString('hex')}`;
+  // Hash an invitation token for storage (sha256, so it can be looked up directly)
+  hashInvitationToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
   }
 
-  // Validate API key (existing method, keep for backwards compatibility)
-  async validateApiKey(apiKey) {
+  // Invite someone to join a company with a role
+  async createInvitation(companyId, invitedBy, email, role) {
+    try {
+      const existingUser = await query(
+        'SELECT id FROM users WHERE email = $1',
+        [email]
+      );
+
+      if (existingUser.rows.length > 0) {
+        throw new Error('Email already registered');
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+
+      // A new invitation replaces any pending one for the same email
+      const invitation = await transaction(async (client) => {
+        await client.query(
+          `UPDATE user_invitations SET revoked_at = NOW()
+           WHERE company_id = $1 AND email = $2
+           AND accepted_at IS NULL AND revoked_at IS NULL`,
+          [companyId, email]
+        );
+
+        const result = await client.query(
+          `INSERT INTO user_invitations (company_id, email, role, token_hash, invited_by, expires_at)
+           VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+           RETURNING id, email, role, expires_at, created_at`,
+          [companyId, email, role, this.hashInvitationToken(token), invitedBy, this.invitationExpiresInDays]
+        );
+
+        return result.rows[0];
+      });
+
+      logger.info(`Invitation created for ${email} (${role})`);
+
+      return { invitation, token };
+    } catch (error) {
+      logger.error('Create invitation error:', error);
+      throw error;
+    }
+  }
+
+  // Accept an invitation and create the user
+  async acceptInvitation(token, data) {
+    const { password, firstName, lastName } = data;
+
     try {
       const result = await query(
-        'SELECT id, name, email FROM companies WHERE api_key = $1',
-        [apiKey]
+        `SELECT ui.*, c.name as company_name
+         FROM user_invitations ui
+         JOIN companies c ON ui.company_id = c.id
+         WHERE ui.token_hash = $1
+         AND ui.accepted_at IS NULL
+         AND ui.revoked_at IS NULL
+         AND ui.expires_at > NOW()`,
+        [this.hashInvitationToken(token)]
       );
 
       if (result.rows.length === 0) {
-        return null;
+        throw new Error('Invalid or expired invitation');
       }
 
-      return result.rows[0];
+      const invitation = result.rows[0];
+      const hashedPassword = await this.hashPassword(password);
+
+      const user = await transaction(async (client) => {
+        const existingUser = await client.query(
+          'SELECT id FROM users WHERE email = $1',
+          [invitation.email]
+        );
+
+        if (existingUser.rows.length > 0) {
+          throw new Error('Email already registered');
+        }
+
+        const userResult = await client.query(
+          `INSERT INTO users (
+            company_id, email, password_hash, first_name, last_name, role
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING id, company_id, email, first_name, last_name, role`,
+          [invitation.company_id, invitation.email, hashedPassword, firstName, lastName, invitation.role]
+        );
+
+        await client.query(
+          'UPDATE user_invitations SET accepted_at = NOW() WHERE id = $1',
+          [invitation.id]
+        );
+
+        return userResult.rows[0];
+      });
+
+      const { accessToken, refreshToken } = await this.issueTokens(user);
+
+      logger.info(`Invitation accepted: ${invitation.email}`);
+
+      return {
+        user: {
+          ...this.formatUser(user),
+          companyName: invitation.company_name
+        },
+        accessToken,
+        refreshToken
+      };
+    } catch (error) {
+      logger.error('Accept invitation error:', error);
+      throw error;
+    }
+  }
+
+  // Create a named, scoped API key. The plaintext key is only returned here.
+  async createApiKey(companyId, createdBy, { name, scopes, expiresAt }) {
+    try {
+      const apiKey = generateApiKey();
+      const keyHash = await hashApiKey(apiKey);
+
+      const result = await query(
+        `INSERT INTO api_keys (company_id, key_prefix, key_hash, name, scopes, expires_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING id, key_prefix, name, scopes, expires_at, created_at`,
+        [companyId, getApiKeyPrefix(apiKey), keyHash, name, scopes, expiresAt || null, createdBy]
+      );
+
+      logger.info(`API key created: ${name} (${result.rows[0].key_prefix})`);
+
+      return { ...result.rows[0], key: apiKey };
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      throw error;
+    }
+  }
+
+  // Replace a key with a new secret keeping its name, scopes and expiry
+  async rotateApiKey(companyId, keyId, rotatedBy) {
+    try {
+      const result = await query(
+        `SELECT id, name, scopes, expires_at FROM api_keys
+         WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL`,
+        [keyId, companyId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('API key not found');
+      }
+
+      const existing = result.rows[0];
+
+      const apiKey = generateApiKey();
+      const keyHash = await hashApiKey(apiKey);
+
+      const rotated = await transaction(async (client) => {
+        await client.query(
+          'UPDATE api_keys SET is_active = false, revoked_at = NOW() WHERE id = $1',
+          [existing.id]
+        );
+
+        const inserted = await client.query(
+          `INSERT INTO api_keys (company_id, key_prefix, key_hash, name, scopes, expires_at, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id, key_prefix, name, scopes, expires_at, created_at`,
+          [companyId, getApiKeyPrefix(apiKey), keyHash, existing.name, existing.scopes, existing.expires_at, rotatedBy]
+        );
+
+        return inserted.rows[0];
+      });
+
+      logger.info(`API key rotated: ${existing.name} (${existing.id} -> ${rotated.id})`);
+
+      return { ...rotated, key: apiKey };
+    } catch (error) {
+      logger.error('Rotate API key error:', error);
+      throw error;
+    }
+  }
+
+  // Revoke a key immediately
+  async revokeApiKey(companyId, keyId) {
+    try {
+      const result = await query(
+        `UPDATE api_keys SET is_active = false, revoked_at = NOW()
+         WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+         RETURNING id`,
+        [keyId, companyId]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('API key not found');
+      }
+
+      logger.info(`API key revoked: ${keyId}`);
+    } catch (error) {
+      logger.error('Revoke API key error:', error);
+      throw error;
+    }
+  }
+
+  // Validate API key: look up candidates by prefix, then compare hashes
+  async validateApiKey(apiKey) {
+    try {
+      const result = await query(
+        `SELECT k.id, k.key_hash, k.scopes, k.last_used_at,
+                c.id as company_id, c.name, c.email
+         FROM api_keys k
+         JOIN companies c ON k.company_id = c.id
+         WHERE k.key_prefix = $1
+         AND k.is_active = true
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
+        [getApiKeyPrefix(apiKey)]
+      );
+
+      for (const row of result.rows) {
+        if (await compareApiKey(apiKey, row.key_hash)) {
+          this.touchApiKey(row);
+
+          return {
+            keyId: row.id,
+            scopes: row.scopes,
+            company: { id: row.company_id, name: row.name, email: row.email }
+          };
+        }
+      }
+
+      return null;
     } catch (error) {
       logger.error('API key validation error:', error);
       return null;
     }
   }
+
+  // Record key usage, at most once a minute per key
+  touchApiKey(key) {
+    if (key.last_used_at && Date.now() - new Date(key.last_used_at).getTime() < 60000) {
+      return;
+    }
+
+    query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [key.id])
+      .catch(error => logger.error('Failed to update API key last_used_at:', error));
+  }
 }
 
 module.exports = new AuthService();
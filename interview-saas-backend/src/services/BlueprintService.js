@@ -0,0 +1,212 @@
+import { query } from '../db/index.js';
+
+/**
+ * Error raised when a blueprint can't be found, saved or assigned
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class BlueprintError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BlueprintError';
+    this.status = status;
+  }
+}
+
+/**
+ * Used for jobs without a blueprint of their own
+ */
+export const DEFAULT_BLUEPRINT = {
+  id: null,
+  name: 'Standard interview',
+  max_candidate_answers: 20,
+  phases: [
+    {
+      key: 'warmup',
+      name: 'Warm-up',
+      instructions: 'Start with a friendly introduction and ask open-ended background questions to help the candidate relax.',
+      question_count: 3,
+      allow_follow_ups: true
+    },
+    {
+      key: 'claim_verification',
+      name: 'Claim verification',
+      instructions: 'Ask about specific experiences or skills mentioned in their background. Probe for details, decisions made, and outcomes.',
+      question_count: 3,
+      allow_follow_ups: true,
+      include_resume: true
+    },
+    {
+      key: 'scenario',
+      name: 'Scenarios',
+      instructions: 'Present realistic technical scenarios specific to this role. Ask how they would approach the problem.',
+      question_count: 3,
+      allow_follow_ups: true
+    },
+    {
+      key: 'depth',
+      name: 'Depth probing',
+      instructions: 'Ask "why" and "what if" questions to understand their reasoning. Challenge assumptions constructively.',
+      question_count: 3,
+      allow_follow_ups: true
+    },
+    {
+      key: 'reflection',
+      name: 'Reflection',
+      instructions: 'Ask about learning, growth, and what they would do differently.',
+      question_count: 2,
+      allow_follow_ups: true
+    }
+  ]
+};
+
+const BLUEPRINT_COLUMNS = 'id, name, description, phases, max_candidate_answers, created_by, created_at, updated_at';
+
+/**
+ * Blueprint Service
+ * Companies define reusable interview blueprints (ordered phases with
+ * instructions, question counts or time budgets and follow-up rules) and
+ * assign one per job. Interviews snapshot their job's blueprint when they
+ * start so later edits don't move a running interview between phases.
+ */
+export class BlueprintService {
+  async list(companyId) {
+    const result = await query(`
+      SELECT ${BLUEPRINT_COLUMNS},
+             (SELECT COUNT(*)::int FROM jobs j WHERE j.blueprint_id = b.id) as job_count
+      FROM interview_blueprints b
+      WHERE company_id = $1
+      ORDER BY name
+    `, [companyId]);
+
+    return result.rows;
+  }
+
+  async get(blueprintId, companyId) {
+    const result = await query(
+      `SELECT ${BLUEPRINT_COLUMNS} FROM interview_blueprints WHERE id = $1 AND company_id = $2`,
+      [blueprintId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new BlueprintError('Blueprint not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * @param {Object} blueprint - { name, description, phases, max_candidate_answers }
+   */
+  async create(companyId, userId, blueprint) {
+    this.checkPhaseKeys(blueprint.phases);
+
+    try {
+      const result = await query(`
+        INSERT INTO interview_blueprints
+          (company_id, name, description, phases, max_candidate_answers, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING ${BLUEPRINT_COLUMNS}
+      `, [
+        companyId,
+        blueprint.name,
+        blueprint.description,
+        JSON.stringify(blueprint.phases),
+        blueprint.max_candidate_answers,
+        userId
+      ]);
+
+      return result.rows[0];
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  async update(blueprintId, companyId, blueprint) {
+    this.checkPhaseKeys(blueprint.phases);
+
+    try {
+      const result = await query(`
+        UPDATE interview_blueprints SET
+          name = $1, description = $2, phases = $3,
+          max_candidate_answers = $4, updated_at = NOW()
+        WHERE id = $5 AND company_id = $6
+        RETURNING ${BLUEPRINT_COLUMNS}
+      `, [
+        blueprint.name,
+        blueprint.description,
+        JSON.stringify(blueprint.phases),
+        blueprint.max_candidate_answers,
+        blueprintId,
+        companyId
+      ]);
+
+      if (result.rows.length === 0) {
+        throw new BlueprintError('Blueprint not found', 404);
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Delete a blueprint; jobs using it fall back to the default
+   */
+  async delete(blueprintId, companyId) {
+    const result = await query(
+      'DELETE FROM interview_blueprints WHERE id = $1 AND company_id = $2 RETURNING id',
+      [blueprintId, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new BlueprintError('Blueprint not found', 404);
+    }
+  }
+
+  /**
+   * Check a blueprint id can be assigned to a company's job (null clears it)
+   */
+  async checkAssignable(blueprintId, companyId) {
+    if (blueprintId) {
+      await this.get(blueprintId, companyId);
+    }
+  }
+
+  /**
+   * The blueprint a job's interviews (and rubrics) follow
+   * @param {String} jobId - Job ID
+   * @returns {Object} Blueprint, or DEFAULT_BLUEPRINT
+   */
+  async getForJob(jobId) {
+    const result = await query(`
+      SELECT b.id, b.name, b.description, b.phases, b.max_candidate_answers
+      FROM jobs j
+      JOIN interview_blueprints b ON j.blueprint_id = b.id
+      WHERE j.id = $1
+    `, [jobId]);
+
+    return result.rows[0] || DEFAULT_BLUEPRINT;
+  }
+
+  /**
+   * Phase keys name question bank sections, so they must be unique
+   */
+  checkPhaseKeys(phases) {
+    const keys = phases.map(phase => phase.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+
+    if (duplicate) {
+      throw new BlueprintError(`Duplicate phase key: ${duplicate}`);
+    }
+  }
+
+  translateError(error) {
+    if (error.code === '23505') {
+      return new BlueprintError('A blueprint with this name already exists', 409);
+    }
+    return error;
+  }
+}
+
+export default new BlueprintService();
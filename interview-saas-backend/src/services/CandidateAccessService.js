@@ -0,0 +1,193 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { query } = require('../db');
+const { logger } = require('../utils/logger');
+const { TERMINAL_STATES } = require('./InterviewStateMachine.js');
+
+/**
+ * Error raised when a candidate can't get or use an interview session
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+class CandidateAccessError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'CandidateAccessError';
+    this.status = status;
+  }
+}
+
+/**
+ * Candidate Access Service
+ * Exchanges an invite token for a short-lived session credential bound to
+ * one interview and one device. Only the most recently issued session of an
+ * invite is valid, and revoking the invite kills it immediately.
+ */
+class CandidateAccessService {
+  constructor() {
+    this.secret = process.env.CANDIDATE_JWT_SECRET
+      || process.env.JWT_SECRET
+      || 'your-super-secret-jwt-key-change-in-production';
+    this.sessionExpiresIn = process.env.CANDIDATE_SESSION_TTL || '2h';
+  }
+
+  /**
+   * Exchange an invite token for a candidate session
+   * @param {String} token - Invite token from the emailed link
+   * @param {String} deviceId - Client-generated device identifier (optional on first use)
+   */
+  async createSession(token, deviceId) {
+    const result = await query(`
+      SELECT inv.id as invite_id, inv.accessed_at, inv.device_id, inv.revoked_at,
+             inv.expires_at > NOW() as valid,
+             i.id, i.status, i.company_id, i.language, i.duration_minutes,
+             i.scheduled_start_at, i.scheduled_end_at,
+             j.title as job_title,
+             c.name as company_name
+      FROM interview_invites inv
+      JOIN interviews i ON inv.interview_id = i.id
+      JOIN jobs j ON i.job_id = j.id
+      JOIN companies c ON i.company_id = c.id
+      WHERE inv.token = $1
+    `, [token]);
+
+    const invite = result.rows[0];
+
+    if (!invite || !invite.valid || invite.revoked_at) {
+      throw new CandidateAccessError('Invalid or expired invite', 404);
+    }
+
+    if (TERMINAL_STATES.includes(invite.status)) {
+      throw new CandidateAccessError(`Interview is ${invite.status}`, 410);
+    }
+
+    // Single-device lock: the first device to open the invite owns it
+    if (invite.device_id && invite.device_id !== deviceId) {
+      throw new CandidateAccessError('This interview is already open on another device', 409);
+    }
+
+    const lockedDevice = invite.device_id || deviceId || crypto.randomUUID();
+    const sessionId = crypto.randomUUID();
+
+    const updated = await query(`
+      UPDATE interview_invites SET
+        device_id = $1,
+        session_id = $2,
+        session_issued_at = NOW(),
+        accessed_at = NOW()
+      WHERE id = $3
+      RETURNING accessed_at
+    `, [lockedDevice, sessionId, invite.invite_id]);
+
+    const accessToken = jwt.sign(
+      {
+        type: 'candidate',
+        interviewId: invite.id,
+        inviteId: invite.invite_id
+      },
+      this.secret,
+      { expiresIn: this.sessionExpiresIn, jwtid: sessionId }
+    );
+
+    logger.info(`Candidate session issued for interview ${invite.id}`);
+
+    return {
+      accessToken,
+      expiresIn: this.sessionExpiresIn,
+      deviceId: lockedDevice,
+      firstAccess: !invite.accessed_at,
+      accessedAt: updated.rows[0].accessed_at,
+      interview: {
+        id: invite.id,
+        status: invite.status,
+        language: invite.language,
+        duration_minutes: invite.duration_minutes,
+        scheduled_start_at: invite.scheduled_start_at,
+        scheduled_end_at: invite.scheduled_end_at,
+        job_title: invite.job_title,
+        company_name: invite.company_name
+      },
+      companyId: invite.company_id
+    };
+  }
+
+  /**
+   * Verify a candidate session credential
+   * @param {String} accessToken - Candidate JWT
+   * @param {String} interviewId - Interview the caller is acting on
+   * @returns {Object} { interviewId, inviteId, sessionId }
+   */
+  async verifySession(accessToken, interviewId) {
+    if (!accessToken) {
+      throw new CandidateAccessError('Candidate session required');
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(accessToken, this.secret);
+    } catch (error) {
+      throw new CandidateAccessError(
+        error.name === 'TokenExpiredError' ? 'Candidate session expired' : 'Invalid candidate session'
+      );
+    }
+
+    if (decoded.type !== 'candidate' || decoded.interviewId !== interviewId) {
+      throw new CandidateAccessError('Candidate session is not valid for this interview', 403);
+    }
+
+    const result = await query(
+      'SELECT session_id, revoked_at FROM interview_invites WHERE id = $1',
+      [decoded.inviteId]
+    );
+
+    const invite = result.rows[0];
+
+    if (!invite || invite.revoked_at) {
+      throw new CandidateAccessError('Invite has been revoked');
+    }
+
+    if (invite.session_id !== decoded.jti) {
+      throw new CandidateAccessError('Candidate session was replaced by a newer one');
+    }
+
+    return {
+      interviewId: decoded.interviewId,
+      inviteId: decoded.inviteId,
+      sessionId: decoded.jti
+    };
+  }
+
+  /**
+   * Revoke the invite of an interview; its link and any live session stop working
+   */
+  async revokeInvite(interviewId, companyId) {
+    const result = await query(`
+      UPDATE interview_invites inv SET revoked_at = NOW(), session_id = NULL
+      FROM interviews i
+      WHERE inv.interview_id = i.id AND i.id = $1 AND i.company_id = $2
+      AND inv.revoked_at IS NULL
+      RETURNING inv.id
+    `, [interviewId, companyId]);
+
+    if (result.rows.length > 0) {
+      logger.info(`Invite revoked for interview ${interviewId}`);
+    }
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Release the device lock (e.g. candidate switched laptops); ends the current session
+   */
+  async resetDevice(interviewId, companyId) {
+    const result = await query(`
+      UPDATE interview_invites inv SET device_id = NULL, session_id = NULL
+      FROM interviews i
+      WHERE inv.interview_id = i.id AND i.id = $1 AND i.company_id = $2
+      RETURNING inv.id
+    `, [interviewId, companyId]);
+
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = new CandidateAccessService();
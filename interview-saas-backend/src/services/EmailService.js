@@ -133,6 +133,106 @@ export class EmailService {
     }
   }
 
+  /**
+   * Send team invitation to a new company user
+   * @param {Object} data - Email data
+   */
+  async sendTeamInvite(data) {
+    try {
+      const { email, companyName, role, inviterName, acceptUrl } = data;
+
+      const subject = `You've been invited to join ${companyName} on Interview AI`;
+      const html = this.getTeamInviteTemplate(data);
+      const text = this.getTeamInviteTextVersion(data);
+
+      const result = await resend.emails.send({
+        from: DEFAULT_FROM,
+        to: email,
+        subject,
+        html,
+        text,
+        tags: [
+          { name: 'type', value: 'team_invite' }
+        ]
+      });
+
+      logger.info(`Team invite sent to ${email}`, { messageId: result.id });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send team invite:', error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send booking confirmation with a calendar invite to the candidate
+   * @param {Object} data - Email data (calendar: .ics contents)
+   */
+  async sendInterviewBooked(data) {
+    try {
+      const { candidateEmail, jobTitle, companyName, language, calendar } = data;
+
+      const subject = this.getSubject('booked', language, { jobTitle, companyName });
+      const html = this.getBookedTemplate(data);
+      const text = this.getBookedTextVersion(data);
+
+      const result = await resend.emails.send({
+        from: DEFAULT_FROM,
+        to: candidateEmail,
+        subject,
+        html,
+        text,
+        attachments: [
+          { filename: 'interview.ics', content: Buffer.from(calendar) }
+        ],
+        tags: [
+          { name: 'type', value: 'interview_booked' },
+          { name: 'language', value: language }
+        ]
+      });
+
+      logger.info(`Interview booking confirmation sent to ${candidateEmail}`, { messageId: result.id });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send booking confirmation:', error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notify an HR observer that a supervised interview was booked
+   * @param {Object} data - Email data (calendar: .ics contents)
+   */
+  async sendObserverBookingNotice(data) {
+    try {
+      const { email, candidateName, jobTitle, rebooked, calendar } = data;
+
+      const subject = `${rebooked ? 'Interview rescheduled' : 'Interview booked'}: ${candidateName} - ${jobTitle}`;
+      const html = this.getObserverBookingTemplate(data);
+      const text = this.getObserverBookingTextVersion(data);
+
+      const result = await resend.emails.send({
+        from: DEFAULT_FROM,
+        to: email,
+        subject,
+        html,
+        text,
+        attachments: [
+          { filename: 'interview.ics', content: Buffer.from(calendar) }
+        ],
+        tags: [
+          { name: 'type', value: 'observer_booking' }
+        ]
+      });
+
+      logger.info(`Observer booking notice sent to ${email}`, { messageId: result.id });
+      return result;
+    } catch (error) {
+      logger.error('Failed to send observer booking notice:', error);
+      throw new Error(`Email sending failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get email subject based on type and language
    */
@@ -158,6 +258,13 @@ export class EmailService {
         ar: `تذكير: مقابلتك لـ ${data.jobTitle} في ${data.companyName}`,
         hi: `अनुस्मारक: ${data.companyName} में ${data.jobTitle} के लिए आपका साक्षात्कार`,
         fr: `Rappel: Votre entretien pour ${data.jobTitle} chez ${data.companyName}`
+      },
+      booked: {
+        en: `Interview booked: ${data.jobTitle} at ${data.companyName}`,
+        es: `Entrevista reservada: ${data.jobTitle} en ${data.companyName}`,
+        ar: `تم حجز المقابلة: ${data.jobTitle} في ${data.companyName}`,
+        hi: `साक्षात्कार बुक हुआ: ${data.companyName} में ${data.jobTitle}`,
+        fr: `Entretien réservé: ${data.jobTitle} chez ${data.companyName}`
       }
     };
 
@@ -468,6 +575,239 @@ Interview Link: ${inviteUrl}
 
 Remember to find a quiet place and ensure you have a stable internet connection.
 
+---
+Powered by Interview AI
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for team invitation
+   */
+  getTeamInviteTemplate(data) {
+    const { companyName, role, inviterName, acceptUrl } = data;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Team Invitation</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">Join ${companyName}</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">Hi,</p>
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      ${inviterName || 'A colleague'} has invited you to join <strong>${companyName}</strong> on Interview AI as <strong>${role.replace('_', ' ')}</strong>.
+    </p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${acceptUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; display: inline-block;">Accept Invitation</a>
+    </div>
+    
+    <p style="font-size: 14px; color: #666;">
+      This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.
+    </p>
+    
+    <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+    
+    <p style="font-size: 12px; color: #999; text-align: center;">
+      Powered by Interview AI
+    </p>
+  </div>
+
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Get plain text version for team invitation
+   */
+  getTeamInviteTextVersion(data) {
+    const { companyName, role, inviterName, acceptUrl } = data;
+
+    return `
+Hi,
+
+${inviterName || 'A colleague'} has invited you to join ${companyName} on Interview AI as ${role.replace('_', ' ')}.
+
+Accept Invitation: ${acceptUrl}
+
+This invitation expires in 7 days. If you weren't expecting it, you can ignore this email.
+
+---
+Powered by Interview AI
+    `.trim();
+  }
+
+  /**
+   * Format a booked slot for emails (times are shown in UTC; the attached
+   * calendar invite shows them in the recipient's own timezone)
+   */
+  formatSlot(startsAt, endsAt) {
+    const options = { timeZone: 'UTC', hour: '2-digit', minute: '2-digit', hour12: false };
+    const day = new Date(startsAt).toLocaleDateString('en-US', {
+      timeZone: 'UTC', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+
+    return `${day}, ${new Date(startsAt).toLocaleTimeString('en-US', options)} - ${new Date(endsAt).toLocaleTimeString('en-US', options)} UTC`;
+  }
+
+  /**
+   * Get HTML template for booking confirmation
+   */
+  getBookedTemplate(data) {
+    const { candidateName, jobTitle, companyName, inviteUrl, startsAt, endsAt } = data;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Interview Booked</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">Interview Booked</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">Hi ${candidateName},</p>
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      Your interview for <strong>${jobTitle}</strong> at <strong>${companyName}</strong> is booked.
+    </p>
+    
+    <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <p style="margin: 0; font-size: 16px;">
+        📅 <strong>${this.formatSlot(startsAt, endsAt)}</strong>
+      </p>
+    </div>
+
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      A calendar invite is attached. The interview link opens a few minutes before your slot starts.
+    </p>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${inviteUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; display: inline-block;">Open Interview</a>
+    </div>
+    
+    <p style="font-size: 14px; color: #666;">
+      Need a different time? Use the same link to pick another slot.
+    </p>
+    
+    <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+    
+    <p style="font-size: 12px; color: #999; text-align: center;">
+      Powered by Interview AI
+    </p>
+  </div>
+
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Get plain text version for booking confirmation
+   */
+  getBookedTextVersion(data) {
+    const { candidateName, jobTitle, companyName, inviteUrl, startsAt, endsAt } = data;
+
+    return `
+Hi ${candidateName},
+
+Your interview for ${jobTitle} at ${companyName} is booked.
+
+When: ${this.formatSlot(startsAt, endsAt)}
+
+A calendar invite is attached. The interview link opens a few minutes before your slot starts.
+
+Interview Link: ${inviteUrl}
+
+Need a different time? Use the same link to pick another slot.
+
+---
+Powered by Interview AI
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for observer booking notice
+   */
+  getObserverBookingTemplate(data) {
+    const { observerName, candidateName, jobTitle, observeUrl, startsAt, endsAt, rebooked } = data;
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Interview Booked</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  
+  <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">${rebooked ? 'Interview Rescheduled' : 'Interview Booked'}</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">Hi ${observerName || 'there'},</p>
+    
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      <strong>${candidateName}</strong> ${rebooked ? 'moved their' : 'booked an'} interview for <strong>${jobTitle}</strong>. HR supervision is enabled, so you can observe it live.
+    </p>
+    
+    <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <p style="margin: 0; font-size: 16px;">
+        📅 <strong>${this.formatSlot(startsAt, endsAt)}</strong>
+      </p>
+    </div>
+
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${observeUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 40px; text-decoration: none; border-radius: 8px; font-size: 18px; font-weight: bold; display: inline-block;">View Interview</a>
+    </div>
+    
+    <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+    
+    <p style="font-size: 12px; color: #999; text-align: center;">
+      Powered by Interview AI
+    </p>
+  </div>
+
+</body>
+</html>
+    `;
+  }
+
+  /**
+   * Get plain text version for observer booking notice
+   */
+  getObserverBookingTextVersion(data) {
+    const { observerName, candidateName, jobTitle, observeUrl, startsAt, endsAt, rebooked } = data;
+
+    return `
+Hi ${observerName || 'there'},
+
+${candidateName} ${rebooked ? 'moved their' : 'booked an'} interview for ${jobTitle}. HR supervision is enabled, so you can observe it live.
+
+When: ${this.formatSlot(startsAt, endsAt)}
+
+View Interview: ${observeUrl}
+
 ---
 Powered by Interview AI
     `.trim();
@@ -0,0 +1,302 @@
+import { EventEmitter } from 'events';
+import WebhookService from './WebhookService.js';
+import { query, transaction } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+
+export const STATES = [
+  'scheduled',
+  'in_progress',
+  'paused',
+  'completed',
+  'cancelled',
+  'expired',
+  'abandoned'
+];
+
+export const TERMINAL_STATES = ['completed', 'cancelled', 'expired', 'abandoned'];
+
+/**
+ * Allowed transitions: action -> { from: [...states], to: state }
+ */
+export const TRANSITIONS = {
+  start: { from: ['scheduled'], to: 'in_progress' },
+  pause: { from: ['in_progress'], to: 'paused' },
+  resume: { from: ['paused'], to: 'in_progress' },
+  complete: { from: ['in_progress', 'paused'], to: 'completed' },
+  cancel: { from: ['scheduled', 'in_progress', 'paused'], to: 'cancelled' },
+  expire: { from: ['scheduled'], to: 'expired' },
+  abandon: { from: ['in_progress', 'paused'], to: 'abandoned' }
+};
+
+/**
+ * Guards run inside the transition's transaction with the locked interview row.
+ * They return an error message to refuse the transition, or null to allow it.
+ */
+const GUARDS = {
+  async start(interview, client) {
+    const invite = await client.query(
+      'SELECT expires_at > NOW() as valid FROM interview_invites WHERE interview_id = $1',
+      [interview.id]
+    );
+
+    if (invite.rows.length > 0 && !invite.rows[0].valid) {
+      return 'Interview invite has expired';
+    }
+
+    return null;
+  },
+
+  async complete(interview) {
+    const transcript = interview.transcript || [];
+    const answered = transcript.some(message => message.speaker === 'candidate');
+
+    return answered ? null : 'Interview has no candidate answers; abandon it instead';
+  },
+
+  async expire(interview, client) {
+    const invite = await client.query(
+      'SELECT expires_at <= NOW() as expired FROM interview_invites WHERE interview_id = $1',
+      [interview.id]
+    );
+
+    return invite.rows[0]?.expired ? null : 'Interview invite has not expired';
+  }
+};
+
+/**
+ * Error raised when a transition is refused
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class InterviewTransitionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'InterviewTransitionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Interview State Machine
+ * The only place allowed to change interviews.status. Every transition is
+ * checked, persisted to interview_status_history and emitted as a
+ * 'transition' event (plus webhooks) once committed.
+ */
+export class InterviewStateMachine extends EventEmitter {
+  constructor() {
+    super();
+    this.abandonGraceMinutes = parseInt(process.env.INTERVIEW_ABANDON_GRACE_MINUTES) || 30;
+    this.sweepInterval = parseInt(process.env.INTERVIEW_SWEEP_INTERVAL_MS) || 60 * 1000;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Check whether an action is allowed from a status (ignores guards)
+   */
+  can(status, action) {
+    return Boolean(TRANSITIONS[action]?.from.includes(status));
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATES.includes(status);
+  }
+
+  /**
+   * Actor for a transition triggered by an authenticated company request
+   */
+  actorFromRequest(req) {
+    if (req.auth?.type === 'api_key') {
+      return { type: 'api_key', id: req.auth.keyId };
+    }
+
+    return { type: 'user', id: req.user?.id };
+  }
+
+  /**
+   * Apply a transition
+   * @param {String} interviewId - Interview ID
+   * @param {String} action - One of TRANSITIONS
+   * @param {Object} options - { companyId, actor: { type, id }, reason, metadata }
+   * @returns {Object} Updated interview row with `previous_status`
+   */
+  async transition(interviewId, action, options = {}) {
+    const { companyId, actor = { type: 'system' }, reason = null, metadata = {} } = options;
+    const definition = TRANSITIONS[action];
+
+    if (!definition) {
+      throw new InterviewTransitionError(`Unknown interview action: ${action}`, 400);
+    }
+
+    const interview = await transaction(async (client) => {
+      const params = [interviewId];
+      let lockQuery = 'SELECT * FROM interviews WHERE id = $1';
+
+      if (companyId) {
+        lockQuery += ' AND company_id = $2';
+        params.push(companyId);
+      }
+
+      const current = await client.query(`${lockQuery} FOR UPDATE`, params);
+
+      if (current.rows.length === 0) {
+        throw new InterviewTransitionError('Interview not found', 404);
+      }
+
+      const row = current.rows[0];
+
+      if (!definition.from.includes(row.status)) {
+        throw new InterviewTransitionError(`Cannot ${action} an interview that is ${row.status}`);
+      }
+
+      const guard = GUARDS[action];
+      const refusal = guard ? await guard(row, client) : null;
+
+      if (refusal) {
+        throw new InterviewTransitionError(refusal);
+      }
+
+      const updated = await client.query(`
+        UPDATE interviews SET
+          status = $1::text,
+          started_at = CASE WHEN $1::text = 'in_progress' THEN COALESCE(started_at, NOW()) ELSE started_at END,
+          completed_at = CASE WHEN $1::text = ANY($2::text[]) THEN NOW() ELSE completed_at END,
+          updated_at = NOW()
+        WHERE id = $3
+        RETURNING *
+      `, [definition.to, TERMINAL_STATES, interviewId]);
+
+      await client.query(`
+        INSERT INTO interview_status_history
+          (interview_id, from_status, to_status, action, actor_type, actor_id, reason, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+        interviewId,
+        row.status,
+        definition.to,
+        action,
+        actor.type,
+        actor.id || null,
+        reason,
+        JSON.stringify(metadata)
+      ]);
+
+      return { ...updated.rows[0], previous_status: row.status };
+    });
+
+    logger.info(`Interview ${interviewId}: ${interview.previous_status} -> ${interview.status} (${action})`);
+
+    await this.emitTransition(interview, action, reason);
+
+    return interview;
+  }
+
+  /**
+   * Notify in-process listeners and webhook subscribers of a committed transition
+   */
+  async emitTransition(interview, action, reason) {
+    const changedAt = new Date().toISOString();
+
+    try {
+      this.emit('transition', { interview, action, reason });
+      this.emit(action, { interview, reason });
+    } catch (error) {
+      logger.error('Interview transition listener failed:', error);
+    }
+
+    await WebhookService.triggerEvent(interview.company_id, 'interview.status_changed', {
+      interview_id: interview.id,
+      from_status: interview.previous_status,
+      to_status: interview.status,
+      action,
+      reason,
+      changed_at: changedAt
+    });
+
+    if (action === 'start') {
+      await WebhookService.triggerEvent(interview.company_id, 'interview.started', {
+        interview_id: interview.id,
+        job_id: interview.job_id,
+        candidate_id: interview.candidate_id,
+        started_at: interview.started_at
+      });
+    }
+
+    if (action === 'cancel') {
+      await WebhookService.triggerEvent(interview.company_id, 'interview.cancelled', {
+        interview_id: interview.id,
+        job_id: interview.job_id,
+        candidate_id: interview.candidate_id,
+        previous_status: interview.previous_status,
+        cancelled_at: changedAt
+      });
+    }
+  }
+
+  /**
+   * Get the transition history of an interview
+   */
+  async getHistory(interviewId) {
+    const result = await query(`
+      SELECT from_status, to_status, action, actor_type, actor_id, reason, metadata, created_at
+      FROM interview_status_history
+      WHERE interview_id = $1
+      ORDER BY created_at ASC
+    `, [interviewId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Expire scheduled interviews whose invite lapsed and abandon sessions
+   * that ran past their duration plus a grace period
+   */
+  async sweep() {
+    const expired = await query(`
+      SELECT i.id FROM interviews i
+      JOIN interview_invites inv ON inv.interview_id = i.id
+      WHERE i.status = 'scheduled' AND inv.expires_at <= NOW()
+    `);
+
+    const stale = await query(`
+      SELECT id FROM interviews
+      WHERE status IN ('in_progress', 'paused')
+      AND started_at + make_interval(mins => duration_minutes + $1) < NOW()
+    `, [this.abandonGraceMinutes]);
+
+    const run = async (rows, action, reason) => {
+      for (const row of rows) {
+        try {
+          await this.transition(row.id, action, { reason });
+        } catch (error) {
+          // Another path may have moved it first
+          logger.warn(`Sweep could not ${action} interview ${row.id}: ${error.message}`);
+        }
+      }
+    };
+
+    await run(expired.rows, 'expire', 'Invite expired before the interview started');
+    await run(stale.rows, 'abandon', 'Interview exceeded its time budget without completing');
+
+    return { expired: expired.rows.length, abandoned: stale.rows.length };
+  }
+
+  /**
+   * Run sweep() periodically
+   */
+  startSweeper() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => logger.error('Interview sweep failed:', error));
+    }, this.sweepInterval);
+    this.sweepTimer.unref();
+
+    logger.info('Interview state sweeper started');
+  }
+
+  stopSweeper() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+export default new InterviewStateMachine();
@@ -0,0 +1,210 @@
+import { v4 as uuidv4 } from 'uuid';
+import EmailService from './EmailService.js';
+import { query } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+
+const INVITE_COLUMNS = `
+  inv.id, inv.interview_id, inv.token, inv.email_sent, inv.email_sent_at,
+  inv.accessed_at, inv.expires_at, inv.revoked_at, inv.reminders_sent, inv.created_at
+`;
+
+/**
+ * Invite Service
+ * Candidate invite lifecycle: sending, resending, changing expiry,
+ * regenerating tokens and scheduled reminder emails.
+ */
+export class InviteService {
+  constructor() {
+    // Hours before expiry at which to remind candidates who haven't opened the invite
+    this.reminderOffsets = (process.env.INVITE_REMINDER_OFFSETS_HOURS || '48,24')
+      .split(',')
+      .map(hours => parseInt(hours))
+      .filter(hours => hours > 0)
+      .sort((a, b) => b - a);
+    this.reminderInterval = parseInt(process.env.INVITE_REMINDER_INTERVAL_MS) || 15 * 60 * 1000;
+    this.reminderTimer = null;
+  }
+
+  /**
+   * Candidate-facing URL for an invite token
+   */
+  buildInviteUrl(token) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3001'}/interview/${token}`;
+  }
+
+  /**
+   * Get the invite of an interview with everything needed to email it
+   * @param {String} interviewId - Interview ID
+   * @param {String} companyId - Company ID (omit for internal callers)
+   */
+  async getInvite(interviewId, companyId = null) {
+    const params = [interviewId];
+    let queryText = `
+      SELECT ${INVITE_COLUMNS},
+             i.status as interview_status, i.language, i.duration_minutes,
+             cand.email as candidate_email, cand.full_name as candidate_name,
+             j.title as job_title, c.name as company_name
+      FROM interview_invites inv
+      JOIN interviews i ON inv.interview_id = i.id
+      JOIN candidates cand ON i.candidate_id = cand.id
+      JOIN jobs j ON i.job_id = j.id
+      JOIN companies c ON i.company_id = c.id
+      WHERE inv.interview_id = $1
+    `;
+
+    if (companyId) {
+      queryText += ' AND i.company_id = $2';
+      params.push(companyId);
+    }
+
+    const result = await query(queryText, params);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Email the invite to the candidate and record the send
+   * @param {Object} invite - Row from getInvite()
+   */
+  async sendInvite(invite) {
+    await EmailService.sendInterviewInvite({
+      candidateEmail: invite.candidate_email,
+      candidateName: invite.candidate_name,
+      companyName: invite.company_name,
+      jobTitle: invite.job_title,
+      inviteUrl: this.buildInviteUrl(invite.token),
+      durationMinutes: invite.duration_minutes,
+      language: invite.language
+    });
+
+    await this.recordSend(invite.id);
+
+    logger.info(`Interview invite sent for interview ${invite.interview_id}`);
+  }
+
+  async recordSend(inviteId, reminderOffsets = []) {
+    await query(`
+      UPDATE interview_invites SET
+        email_sent = true,
+        email_sent_at = NOW(),
+        reminders_sent = reminders_sent || $1::integer[]
+      WHERE id = $2
+    `, [reminderOffsets, inviteId]);
+  }
+
+  /**
+   * Move the expiry of an invite (extend or shorten)
+   * Reminders that are now ahead of the candidate again become due again.
+   */
+  async updateExpiry(inviteId, expiresAt) {
+    const result = await query(`
+      UPDATE interview_invites SET expires_at = $1, reminders_sent = '{}'
+      WHERE id = $2
+      RETURNING id, expires_at
+    `, [expiresAt, inviteId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the invite token. The old link, device lock and any live
+   * candidate session stop working; a revoked invite becomes usable again.
+   */
+  async regenerateToken(inviteId) {
+    const result = await query(`
+      UPDATE interview_invites SET
+        token = $1,
+        revoked_at = NULL,
+        device_id = NULL,
+        session_id = NULL,
+        reminders_sent = '{}'
+      WHERE id = $2
+      RETURNING id, token, expires_at
+    `, [uuidv4(), inviteId]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Send reminders that have come due
+   * Only invites that are unopened, unrevoked, unexpired and whose interview
+   * is still scheduled are reminded. Several offsets falling due at once
+   * (e.g. after shortening an expiry) produce a single email.
+   */
+  async sendDueReminders() {
+    if (this.reminderOffsets.length === 0) {
+      return { sent: 0 };
+    }
+
+    const result = await query(`
+      SELECT inv.id,
+             ARRAY(
+               SELECT offset_hours FROM unnest($1::integer[]) offset_hours
+               WHERE inv.expires_at - make_interval(hours => offset_hours) <= NOW()
+               AND inv.created_at < inv.expires_at - make_interval(hours => offset_hours)
+               AND NOT offset_hours = ANY(inv.reminders_sent)
+             ) as due_offsets,
+             inv.interview_id, inv.token,
+             i.language,
+             cand.email as candidate_email, cand.full_name as candidate_name,
+             j.title as job_title, c.name as company_name
+      FROM interview_invites inv
+      JOIN interviews i ON inv.interview_id = i.id
+      JOIN candidates cand ON i.candidate_id = cand.id
+      JOIN jobs j ON i.job_id = j.id
+      JOIN companies c ON i.company_id = c.id
+      WHERE i.status = 'scheduled'
+      AND inv.accessed_at IS NULL
+      AND inv.revoked_at IS NULL
+      AND inv.expires_at > NOW()
+    `, [this.reminderOffsets]);
+
+    let sent = 0;
+
+    for (const invite of result.rows) {
+      if (invite.due_offsets.length === 0) continue;
+
+      try {
+        await EmailService.sendInterviewReminder({
+          candidateEmail: invite.candidate_email,
+          candidateName: invite.candidate_name,
+          jobTitle: invite.job_title,
+          companyName: invite.company_name,
+          inviteUrl: this.buildInviteUrl(invite.token),
+          language: invite.language
+        });
+
+        await this.recordSend(invite.id, invite.due_offsets);
+        sent++;
+      } catch (error) {
+        logger.error(`Failed to send reminder for interview ${invite.interview_id}:`, error);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} interview reminders`);
+    }
+
+    return { sent };
+  }
+
+  /**
+   * Run sendDueReminders() periodically
+   */
+  startReminderScheduler() {
+    if (this.reminderTimer) return;
+
+    this.reminderTimer = setInterval(() => {
+      this.sendDueReminders().catch(error => logger.error('Reminder run failed:', error));
+    }, this.reminderInterval);
+    this.reminderTimer.unref();
+
+    logger.info(`Invite reminder scheduler started (offsets: ${this.reminderOffsets.join(', ')}h)`);
+  }
+
+  stopReminderScheduler() {
+    clearInterval(this.reminderTimer);
+    this.reminderTimer = null;
+  }
+}
+
+export default new InviteService();
@@ -0,0 +1,358 @@
+import { query } from '../db/index.js';
+
+// Most approved questions offered to the rubric builder per generation
+const BUILDER_CANDIDATE_LIMIT = parseInt(process.env.QUESTION_LIBRARY_BUILDER_LIMIT) || 40;
+// Interviews a question must have been scored in before its discrimination is reported
+const MIN_STATS_INTERVIEWS = parseInt(process.env.QUESTION_STATS_MIN_INTERVIEWS) || 5;
+
+const QUESTION_COLUMNS = `
+  q.id, q.text, q.competencies, q.phases, q.seniority_level, q.language,
+  q.expected_answer, q.scoring_anchors, q.status, q.source,
+  q.created_by_type, q.created_by_id, q.approved_by, q.approved_at, q.created_at, q.updated_at
+`;
+
+// Usage across interviews; discrimination is the correlation between the
+// answer's score and the interview's overall score (human-adjusted if reviewed)
+const STATS_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT
+      COUNT(*)::int as times_asked,
+      COUNT(DISTINCT u.interview_id)::int as interviews,
+      ROUND(AVG(u.answer_score)::numeric, 2) as avg_answer_score,
+      CASE
+        WHEN COUNT(COALESCE(i.adjusted_overall_score, i.overall_score)) FILTER (WHERE u.answer_score IS NOT NULL) >= ${MIN_STATS_INTERVIEWS}
+        THEN ROUND(CORR(u.answer_score, COALESCE(i.adjusted_overall_score, i.overall_score))::numeric, 2)
+      END as discrimination,
+      MAX(u.created_at) as last_used_at
+    FROM question_library_usage u
+    JOIN interviews i ON u.interview_id = i.id
+    WHERE u.question_id = q.id
+  ) stats ON true
+`;
+
+const STATS_COLUMNS = 'stats.times_asked, stats.interviews, stats.avg_answer_score, stats.discrimination, stats.last_used_at';
+
+/**
+ * Error raised when a library question can't be found or changed
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class QuestionLibraryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuestionLibraryError';
+    this.status = status;
+  }
+}
+
+/**
+ * Question Library Service
+ * Company-wide interview questions tagged by competency, phase, seniority
+ * and language, with an expected-answer guide and scoring anchors. Rubric
+ * question banks reference library questions ({ question_id }) instead of
+ * copying their text; new questions written into a rubric join the library
+ * as drafts. Questions move draft -> approved -> retired; the rubric
+ * builder reuses approved ones before writing new ones.
+ */
+export class QuestionLibraryService {
+  /**
+   * List library questions with their usage statistics
+   * @param {Object} filters - { status, language, seniority_level, phase, competency, search }
+   */
+  async list(companyId, filters = {}) {
+    const params = [companyId];
+    const conditions = ['q.company_id = $1'];
+
+    const add = (value, condition) => {
+      params.push(value);
+      conditions.push(condition(`$${params.length}`));
+    };
+
+    if (filters.status) add(filters.status, p => `q.status = ${p}`);
+    if (filters.language) add(filters.language, p => `q.language = ${p}`);
+    if (filters.seniority_level) add(filters.seniority_level, p => `(q.seniority_level IS NULL OR q.seniority_level = ${p})`);
+    if (filters.phase) add(JSON.stringify([filters.phase]), p => `(q.phases = '[]'::jsonb OR q.phases @> ${p}::jsonb)`);
+    if (filters.competency) {
+      add(filters.competency.toLowerCase(), p => `EXISTS (
+        SELECT 1 FROM jsonb_array_elements_text(q.competencies) name WHERE LOWER(name) = ${p}
+      )`);
+    }
+    if (filters.search) add(`%${filters.search}%`, p => `q.text ILIKE ${p}`);
+
+    const result = await query(`
+      SELECT ${QUESTION_COLUMNS}, ${STATS_COLUMNS}
+      FROM question_library q
+      ${STATS_JOIN}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY q.created_at DESC
+    `, params);
+
+    return result.rows;
+  }
+
+  /**
+   * One library question with its usage statistics
+   */
+  async get(questionId, companyId) {
+    const result = await query(`
+      SELECT ${QUESTION_COLUMNS}, ${STATS_COLUMNS},
+        (
+          SELECT COUNT(*)::int FROM rubrics r
+          JOIN jobs j ON r.job_id = j.id
+          WHERE j.company_id = q.company_id
+            AND jsonb_path_exists(r.question_bank, '$.*[*] ? (@.question_id == $id)', jsonb_build_object('id', q.id::text))
+        ) as rubric_count
+      FROM question_library q
+      ${STATS_JOIN}
+      WHERE q.id = $1 AND q.company_id = $2
+    `, [questionId, companyId]);
+
+    if (result.rows.length === 0) {
+      throw new QuestionLibraryError('Question not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Add a question to the library as a draft
+   * @param {Object} actor - { type: 'user'|'api_key', id }
+   * @param {Object} data - { text, competencies, phases, seniority_level, language, expected_answer, scoring_anchors }
+   */
+  async create(companyId, actor, data) {
+    const result = await query(`
+      INSERT INTO question_library
+        (company_id, text, competencies, phases, seniority_level, language,
+         expected_answer, scoring_anchors, source, created_by_type, created_by_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'manual', $9, $10)
+      RETURNING id
+    `, [
+      companyId,
+      data.text,
+      JSON.stringify(data.competencies || []),
+      JSON.stringify(data.phases || []),
+      data.seniority_level || null,
+      data.language || 'en',
+      data.expected_answer || null,
+      JSON.stringify(data.scoring_anchors || []),
+      actor.type,
+      actor.id || null
+    ]);
+
+    return this.get(result.rows[0].id, companyId);
+  }
+
+  /**
+   * Edit a library question; rubrics referencing it see the change
+   */
+  async update(questionId, companyId, data) {
+    const fields = {
+      text: data.text,
+      competencies: data.competencies && JSON.stringify(data.competencies),
+      phases: data.phases && JSON.stringify(data.phases),
+      seniority_level: data.seniority_level,
+      language: data.language,
+      expected_answer: data.expected_answer,
+      scoring_anchors: data.scoring_anchors && JSON.stringify(data.scoring_anchors)
+    };
+    const params = [];
+    const sets = [];
+
+    for (const [column, value] of Object.entries(fields)) {
+      if (value === undefined) continue;
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    params.push(questionId, companyId);
+
+    const result = await query(`
+      UPDATE question_library SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+      WHERE id = $${params.length - 1} AND company_id = $${params.length}
+      RETURNING id
+    `, params);
+
+    if (result.rows.length === 0) {
+      throw new QuestionLibraryError('Question not found', 404);
+    }
+
+    return this.get(questionId, companyId);
+  }
+
+  /**
+   * Approve a question for reuse by the rubric builder
+   * @param {Object} actor - Approving user ({ type: 'user', id })
+   */
+  async approve(questionId, companyId, actor) {
+    return this.setStatus(questionId, companyId, 'approved', ['draft', 'retired'], actor);
+  }
+
+  /**
+   * Retire a question: rubrics keep it, the builder stops offering it
+   */
+  async retire(questionId, companyId) {
+    return this.setStatus(questionId, companyId, 'retired', ['draft', 'approved']);
+  }
+
+  async setStatus(questionId, companyId, status, from, actor = null) {
+    const question = await this.get(questionId, companyId);
+
+    if (!from.includes(question.status)) {
+      throw new QuestionLibraryError(`Question is already ${question.status}`, 409);
+    }
+
+    await query(`
+      UPDATE question_library SET
+        status = $1,
+        approved_by = CASE WHEN $1 = 'approved' THEN $2::uuid ELSE approved_by END,
+        approved_at = CASE WHEN $1 = 'approved' THEN NOW() ELSE approved_at END,
+        updated_at = NOW()
+      WHERE id = $3
+    `, [status, actor?.type === 'user' ? actor.id : null, questionId]);
+
+    return this.get(questionId, companyId);
+  }
+
+  /**
+   * Approved questions the rubric builder may reuse for a job, best
+   * discriminating and most used first
+   * @param {Object} job - { language, seniority_level }
+   * @param {Array} phaseKeys - Phases of the job's blueprint
+   */
+  async findBuilderCandidates(companyId, job, phaseKeys) {
+    const result = await query(`
+      SELECT q.id, q.text, q.competencies, q.phases
+      FROM question_library q
+      ${STATS_JOIN}
+      WHERE q.company_id = $1
+        AND q.status = 'approved'
+        AND q.language = $2
+        AND (q.seniority_level IS NULL OR q.seniority_level = $3)
+        AND (q.phases = '[]'::jsonb OR q.phases ?| $4::text[])
+      ORDER BY stats.discrimination DESC NULLS LAST, stats.times_asked DESC, q.created_at
+      LIMIT ${BUILDER_CANDIDATE_LIMIT}
+    `, [companyId, job.language || 'en', job.seniority_level || null, phaseKeys]);
+
+    return result.rows;
+  }
+
+  /**
+   * Turn a question bank into library references
+   * Entries may be { question_id }, plain strings or { text, competencies };
+   * new text becomes a draft library question tagged with its phase.
+   * @param {Object} client - Query client (inside the caller's transaction)
+   * @param {Object} questionBank - { phase: [entry] }
+   * @param {Object} tags - { language, seniority_level, source: 'manual'|'ai', actor }
+   * @returns {Object} { questionBank: { phase: [{ question_id }] }, unknown: [question ids not in the library] }
+   */
+  async linkQuestionBank(client, companyId, questionBank, tags) {
+    const referenced = Object.values(questionBank).flat()
+      .filter(entry => typeof entry === 'object' && entry.question_id)
+      .map(entry => entry.question_id);
+
+    const known = referenced.length > 0
+      ? await client.query(
+        'SELECT id FROM question_library WHERE company_id = $1 AND id = ANY($2::uuid[])',
+        [companyId, referenced]
+      )
+      : { rows: [] };
+    const knownIds = new Set(known.rows.map(row => row.id));
+    const unknown = referenced.filter(id => !knownIds.has(id));
+
+    const linked = {};
+
+    for (const [phase, entries] of Object.entries(questionBank)) {
+      linked[phase] = [];
+
+      for (const entry of entries) {
+        if (typeof entry === 'object' && entry.question_id) {
+          linked[phase].push({ question_id: entry.question_id });
+          continue;
+        }
+
+        const text = typeof entry === 'string' ? entry : entry.text;
+        const result = await client.query(`
+          INSERT INTO question_library
+            (company_id, text, competencies, phases, seniority_level, language,
+             source, created_by_type, created_by_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          RETURNING id
+        `, [
+          companyId,
+          text,
+          JSON.stringify(entry.competencies || []),
+          JSON.stringify([phase]),
+          tags.seniority_level || null,
+          tags.language || 'en',
+          tags.source || 'manual',
+          tags.actor?.type || 'system',
+          tags.actor?.id || null
+        ]);
+
+        linked[phase].push({ question_id: result.rows[0].id });
+      }
+    }
+
+    return { questionBank: linked, unknown };
+  }
+
+  /**
+   * Replace library references with the questions they point to
+   * Rubrics from before the library hold plain strings; those come back
+   * with question_id null.
+   * @returns {Object} { phase: [{ question_id, text, competencies, expected_answer, scoring_anchors }] }
+   */
+  async resolveQuestionBank(questionBank, companyId) {
+    if (!questionBank) return questionBank;
+
+    const ids = Object.values(questionBank).flat()
+      .filter(entry => typeof entry === 'object' && entry?.question_id)
+      .map(entry => entry.question_id);
+
+    const result = ids.length > 0
+      ? await query(`
+        SELECT id, text, competencies, expected_answer, scoring_anchors
+        FROM question_library
+        WHERE company_id = $1 AND id = ANY($2::uuid[])
+      `, [companyId, ids])
+      : { rows: [] };
+    const questions = new Map(result.rows.map(row => [row.id, row]));
+
+    return Object.fromEntries(Object.entries(questionBank).map(([phase, entries]) => [
+      phase,
+      entries.flatMap((entry) => {
+        if (typeof entry === 'string') {
+          return [{ question_id: null, text: entry, competencies: [], expected_answer: null, scoring_anchors: [] }];
+        }
+
+        const question = questions.get(entry.question_id);
+        if (!question) return [];
+
+        return [{
+          question_id: question.id,
+          text: question.text,
+          competencies: question.competencies,
+          expected_answer: question.expected_answer,
+          scoring_anchors: question.scoring_anchors
+        }];
+      })
+    ]));
+  }
+
+  /**
+   * Replace an interview's usage rows (reports can be regenerated)
+   * @param {Array} usages - [{ question_id, turn, answer_score }]
+   */
+  async recordUsage(interviewId, companyId, rubricId, usages) {
+    await query('DELETE FROM question_library_usage WHERE interview_id = $1', [interviewId]);
+
+    for (const usage of usages) {
+      await query(`
+        INSERT INTO question_library_usage
+          (question_id, company_id, interview_id, rubric_id, turn, answer_score)
+        VALUES ($1, $2, $3, $4, $5, $6)
+      `, [usage.question_id, companyId, interviewId, rubricId || null, usage.turn, usage.answer_score]);
+    }
+  }
+}
+
+export default new QuestionLibraryService();
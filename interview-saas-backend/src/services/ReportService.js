@@ -0,0 +1,181 @@
+import InterviewOrchestrator from '../agents/InterviewOrchestrator.js';
+import { query } from '../db/index.js';
+import { getQueue } from '../utils/queue.js';
+import { logger } from '../utils/logger.js';
+
+const REPORT_QUEUE = 'report-generation';
+
+/**
+ * Report Service
+ * Generates interview reports in the background. Progress is tracked on the
+ * interview row: pending -> running -> done | failed.
+ */
+export class ReportService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.REPORT_MAX_ATTEMPTS) || 3;
+    this.backoffDelay = parseInt(process.env.REPORT_BACKOFF_MS) || 30 * 1000;
+    this.queue = null;
+  }
+
+  getReportQueue() {
+    if (!this.queue) {
+      this.queue = getQueue(REPORT_QUEUE);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start the background worker that generates queued reports
+   * @param {Number} concurrency - Parallel reports per process
+   */
+  startWorker(concurrency = parseInt(process.env.REPORT_CONCURRENCY) || 2) {
+    const queue = this.getReportQueue();
+
+    queue.process(concurrency, async (job) => {
+      return await this.processReport(job.data.interviewId);
+    });
+
+    queue.on('failed', async (job, error) => {
+      const finalAttempt = job.attemptsMade >= job.opts.attempts;
+
+      try {
+        await query(`
+          UPDATE interviews
+          SET report_status = $1, report_error = $2
+          WHERE id = $3
+        `, [finalAttempt ? 'failed' : 'pending', error.message, job.data.interviewId]);
+
+        if (finalAttempt) {
+          logger.warn(`Report for interview ${job.data.interviewId} failed after ${job.attemptsMade} attempts`);
+        }
+      } catch (dbError) {
+        logger.error('Failed to record report failure:', dbError);
+      }
+    });
+
+    this.recoverPendingReports().catch((error) => {
+      logger.error('Failed to recover pending reports:', error);
+    });
+
+    logger.info('Report generation worker started');
+  }
+
+  /**
+   * Re-queue reports left pending or running by a previous process
+   */
+  async recoverPendingReports() {
+    const result = await query(`
+      SELECT id FROM interviews
+      WHERE report_status IN ('pending', 'running')
+      ORDER BY report_requested_at
+    `);
+
+    for (const row of result.rows) {
+      await this.addJob(row.id);
+    }
+
+    if (result.rows.length > 0) {
+      logger.info(`Recovered ${result.rows.length} pending reports`);
+    }
+  }
+
+  async addJob(interviewId) {
+    await this.getReportQueue().add(
+      { interviewId },
+      {
+        jobId: interviewId, // One report job per interview at a time
+        attempts: this.maxAttempts,
+        backoff: { type: 'exponential', delay: this.backoffDelay },
+        removeOnComplete: true,
+        removeOnFail: true
+      }
+    );
+  }
+
+  /**
+   * Request a report for a completed interview
+   * @param {String} interviewId - Interview ID
+   * @param {Object} options - { force: regenerate even if a report is done }
+   * @returns {Object|null} Report status, or null if not eligible
+   */
+  async enqueueReport(interviewId, options = {}) {
+    const allowed = options.force
+      ? ['failed', 'done']
+      : ['failed'];
+
+    const result = await query(`
+      UPDATE interviews SET
+        report_status = 'pending',
+        report_error = NULL,
+        report_attempts = 0,
+        report_requested_at = NOW()
+      WHERE id = $1
+      AND status = 'completed'
+      AND (report_status IS NULL OR report_status = ANY($2::text[]))
+      RETURNING id, report_status, report_requested_at
+    `, [interviewId, allowed]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await this.addJob(interviewId);
+
+    logger.info(`Report queued for interview ${interviewId}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Generate one report (called by the worker)
+   * Throws on failure so Bull schedules the next attempt.
+   * @param {String} interviewId - Interview ID
+   */
+  async processReport(interviewId) {
+    const claimed = await query(`
+      UPDATE interviews SET
+        report_status = 'running',
+        report_attempts = report_attempts + 1
+      WHERE id = $1 AND report_status IN ('pending', 'running')
+      RETURNING report_attempts
+    `, [interviewId]);
+
+    if (claimed.rows.length === 0) {
+      logger.warn(`Report for interview ${interviewId} is no longer pending, skipping`);
+      return { skipped: true };
+    }
+
+    const orchestrator = new InterviewOrchestrator(interviewId);
+    const { report } = await orchestrator.buildReport();
+
+    logger.info(`Report generated for interview ${interviewId} (attempt ${claimed.rows[0].report_attempts})`);
+
+    return {
+      overall_score: report.overall_score,
+      recommendation: report.recommendation
+    };
+  }
+
+  /**
+   * Get report progress for an interview
+   * @param {String} interviewId - Interview ID
+   * @param {String} companyId - Company ID
+   */
+  async getStatus(interviewId, companyId) {
+    const result = await query(`
+      SELECT
+        id as interview_id,
+        status as interview_status,
+        COALESCE(report_status, CASE WHEN report_generated THEN 'done' END) as status,
+        report_attempts as attempts,
+        report_error as error,
+        report_requested_at as requested_at,
+        report_completed_at as completed_at
+      FROM interviews
+      WHERE id = $1 AND company_id = $2
+    `, [interviewId, companyId]);
+
+    return result.rows[0] || null;
+  }
+}
+
+export default new ReportService();
@@ -0,0 +1,357 @@
+import crypto from 'crypto';
+import InterviewOrchestrator from '../agents/InterviewOrchestrator.js';
+import { query, transaction } from '../db/index.js';
+import { getQueue } from '../utils/queue.js';
+import { logger } from '../utils/logger.js';
+
+const RESCORE_QUEUE = 'report-rescoring';
+
+const VERSION_SUMMARY_COLUMNS = `
+  id, interview_id, version, source, rubric_id, rubric_version, rescore_run_id,
+  status, overall_score, recommendation, error, requested_at, completed_at
+`;
+
+/**
+ * Error raised when a re-score can't be requested
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class RescoreError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RescoreError';
+    this.status = status;
+  }
+}
+
+/**
+ * Rescoring Service
+ * Re-runs the evaluation agents over stored transcripts against a chosen
+ * rubric version. Every result is kept as a new row in
+ * interview_report_versions; the interview's own report is never touched,
+ * so candidates can be compared under the same rubric.
+ * Versions move pending -> running -> done | failed.
+ */
+export class RescoringService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.REPORT_MAX_ATTEMPTS) || 3;
+    this.backoffDelay = parseInt(process.env.REPORT_BACKOFF_MS) || 30 * 1000;
+    this.queue = null;
+  }
+
+  getRescoreQueue() {
+    if (!this.queue) {
+      this.queue = getQueue(RESCORE_QUEUE);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start the background worker that runs queued re-scores
+   * @param {Number} concurrency - Parallel re-scores per process
+   */
+  startWorker(concurrency = parseInt(process.env.RESCORE_CONCURRENCY) || 1) {
+    const queue = this.getRescoreQueue();
+
+    queue.process(concurrency, async (job) => {
+      return await this.processRescore(job.data.versionId);
+    });
+
+    queue.on('failed', async (job, error) => {
+      const finalAttempt = job.attemptsMade >= job.opts.attempts;
+
+      try {
+        await query(`
+          UPDATE interview_report_versions
+          SET status = $1, error = $2
+          WHERE id = $3
+        `, [finalAttempt ? 'failed' : 'pending', error.message, job.data.versionId]);
+      } catch (dbError) {
+        logger.error('Failed to record re-score failure:', dbError);
+      }
+    });
+
+    this.recoverPendingRescores().catch((error) => {
+      logger.error('Failed to recover pending re-scores:', error);
+    });
+
+    logger.info('Report re-scoring worker started');
+  }
+
+  /**
+   * Re-queue re-scores left pending or running by a previous process
+   */
+  async recoverPendingRescores() {
+    const result = await query(`
+      SELECT id FROM interview_report_versions
+      WHERE status IN ('pending', 'running')
+      ORDER BY requested_at
+    `);
+
+    for (const row of result.rows) {
+      await this.addJob(row.id);
+    }
+
+    if (result.rows.length > 0) {
+      logger.info(`Recovered ${result.rows.length} pending re-scores`);
+    }
+  }
+
+  async addJob(versionId) {
+    await this.getRescoreQueue().add(
+      { versionId },
+      {
+        jobId: versionId,
+        attempts: this.maxAttempts,
+        backoff: { type: 'exponential', delay: this.backoffDelay },
+        removeOnComplete: true,
+        removeOnFail: true
+      }
+    );
+  }
+
+  /**
+   * Re-score one completed interview
+   * @param {String} interviewId - Interview ID
+   * @param {String} companyId - Company ID
+   * @param {Object} options - { rubricId (defaults to the job's active rubric), actor }
+   * @returns {Object} { run_id, rubric_id, rubric_version, versions }
+   */
+  async rescoreInterview(interviewId, companyId, options = {}) {
+    const result = await query(`
+      SELECT id, job_id, status FROM interviews
+      WHERE id = $1 AND company_id = $2
+    `, [interviewId, companyId]);
+
+    if (result.rows.length === 0) {
+      throw new RescoreError('Interview not found', 404);
+    }
+
+    const interview = result.rows[0];
+
+    if (interview.status !== 'completed') {
+      throw new RescoreError(`Interview is ${interview.status}, only completed interviews can be re-scored`, 409);
+    }
+
+    const rubric = await this.resolveRubric(interview.job_id, companyId, options.rubricId);
+    return this.enqueue(companyId, [interview.id], rubric, options.actor);
+  }
+
+  /**
+   * Re-score every completed interview of a job
+   * @param {String} jobId - Job ID
+   * @param {String} companyId - Company ID
+   * @param {Object} options - { rubricId (defaults to the job's active rubric), actor }
+   */
+  async rescoreJob(jobId, companyId, options = {}) {
+    const job = await query('SELECT id FROM jobs WHERE id = $1 AND company_id = $2', [jobId, companyId]);
+
+    if (job.rows.length === 0) {
+      throw new RescoreError('Job not found', 404);
+    }
+
+    const rubric = await this.resolveRubric(jobId, companyId, options.rubricId);
+
+    const interviews = await query(`
+      SELECT id FROM interviews
+      WHERE job_id = $1 AND company_id = $2 AND status = 'completed'
+      ORDER BY completed_at
+    `, [jobId, companyId]);
+
+    if (interviews.rows.length === 0) {
+      throw new RescoreError('This job has no completed interviews to re-score', 409);
+    }
+
+    return this.enqueue(companyId, interviews.rows.map(row => row.id), rubric, options.actor);
+  }
+
+  /**
+   * The rubric version to score against; it must belong to the job
+   */
+  async resolveRubric(jobId, companyId, rubricId) {
+    const result = rubricId
+      ? await query(`
+        SELECT r.id, r.job_id, r.version FROM rubrics r
+        JOIN jobs j ON r.job_id = j.id
+        WHERE r.id = $1 AND j.company_id = $2
+      `, [rubricId, companyId])
+      : await query(`
+        SELECT id, job_id, version FROM rubrics
+        WHERE job_id = $1 AND is_active = true
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [jobId]);
+
+    if (result.rows.length === 0) {
+      throw new RescoreError(rubricId ? 'Rubric not found' : 'The job has no active rubric', 404);
+    }
+
+    const rubric = result.rows[0];
+
+    if (rubric.job_id !== jobId) {
+      throw new RescoreError('The rubric belongs to a different job');
+    }
+
+    return rubric;
+  }
+
+  /**
+   * Create pending report versions and queue them
+   */
+  async enqueue(companyId, interviewIds, rubric, actor = { type: 'system' }) {
+    const runId = crypto.randomUUID();
+    const versions = [];
+
+    for (const interviewId of interviewIds) {
+      // Version numbers are taken under the interview row lock, as report generation does
+      const version = await transaction(async (client) => {
+        await client.query('SELECT id FROM interviews WHERE id = $1 FOR UPDATE', [interviewId]);
+
+        const result = await client.query(`
+          INSERT INTO interview_report_versions
+            (interview_id, company_id, version, source, rubric_id, rubric_version,
+             rescore_run_id, status, requested_by_type, requested_by_id)
+          SELECT $1, $2, COALESCE(MAX(version), 0) + 1, 'rescore', $3, $4, $5, 'pending', $6, $7
+          FROM interview_report_versions
+          WHERE interview_id = $1
+          RETURNING ${VERSION_SUMMARY_COLUMNS}
+        `, [interviewId, companyId, rubric.id, rubric.version, runId, actor.type, actor.id || null]);
+
+        return result.rows[0];
+      });
+
+      versions.push(version);
+      await this.addJob(version.id);
+    }
+
+    logger.info(`Queued ${versions.length} re-scores against rubric ${rubric.id} (run ${runId})`);
+
+    return {
+      run_id: runId,
+      rubric_id: rubric.id,
+      rubric_version: rubric.version,
+      versions
+    };
+  }
+
+  /**
+   * Run one re-score (called by the worker)
+   * Throws on failure so Bull schedules the next attempt.
+   * @param {String} versionId - Report version ID
+   */
+  async processRescore(versionId) {
+    const claimed = await query(`
+      UPDATE interview_report_versions SET
+        status = 'running',
+        attempts = attempts + 1
+      WHERE id = $1 AND status IN ('pending', 'running')
+      RETURNING interview_id, rubric_id
+    `, [versionId]);
+
+    if (claimed.rows.length === 0) {
+      logger.warn(`Report version ${versionId} is no longer pending, skipping`);
+      return { skipped: true };
+    }
+
+    const { interview_id: interviewId, rubric_id: rubricId } = claimed.rows[0];
+
+    const rubricResult = await query(
+      'SELECT id, version, competencies, question_bank FROM rubrics WHERE id = $1',
+      [rubricId]
+    );
+
+    if (rubricResult.rows.length === 0) {
+      throw new Error('Rubric no longer exists');
+    }
+
+    const orchestrator = new InterviewOrchestrator(interviewId);
+    const { report } = await orchestrator.rescore(rubricResult.rows[0]);
+
+    await query(`
+      UPDATE interview_report_versions SET
+        status = 'done',
+        overall_score = $1,
+        recommendation = $2,
+        report_data = $3,
+        error = NULL,
+        completed_at = NOW()
+      WHERE id = $4
+    `, [report.overall_score, report.recommendation, JSON.stringify(report), versionId]);
+
+    logger.info(`Interview ${interviewId} re-scored against rubric ${rubricId}`);
+
+    return {
+      overall_score: report.overall_score,
+      recommendation: report.recommendation
+    };
+  }
+
+  /**
+   * Report versions of an interview, oldest first (without report bodies)
+   */
+  async listVersions(interviewId, companyId) {
+    const result = await query(`
+      SELECT ${VERSION_SUMMARY_COLUMNS}
+      FROM interview_report_versions
+      WHERE interview_id = $1 AND company_id = $2
+      ORDER BY version
+    `, [interviewId, companyId]);
+
+    return result.rows;
+  }
+
+  /**
+   * One report version with its full report
+   */
+  async getVersion(interviewId, companyId, version) {
+    const result = await query(`
+      SELECT ${VERSION_SUMMARY_COLUMNS}, report_data
+      FROM interview_report_versions
+      WHERE interview_id = $1 AND company_id = $2 AND version = $3
+    `, [interviewId, companyId, version]);
+
+    if (result.rows.length === 0) {
+      throw new RescoreError('Report version not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Latest finished score of each interview under one rubric version,
+   * best first, for comparing candidates on equal terms
+   * @param {String} rubricId - Rubric ID
+   * @param {String} companyId - Company ID
+   */
+  async getRubricScores(rubricId, companyId) {
+    const rubric = await query(`
+      SELECT r.id, r.job_id, r.version FROM rubrics r
+      JOIN jobs j ON r.job_id = j.id
+      WHERE r.id = $1 AND j.company_id = $2
+    `, [rubricId, companyId]);
+
+    if (rubric.rows.length === 0) {
+      throw new RescoreError('Rubric not found', 404);
+    }
+
+    const result = await query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (v.interview_id)
+          v.interview_id, v.version, v.source, v.overall_score, v.recommendation, v.completed_at,
+          c.full_name as candidate_name, c.email as candidate_email
+        FROM interview_report_versions v
+        JOIN interviews i ON v.interview_id = i.id
+        LEFT JOIN candidates c ON i.candidate_id = c.id
+        WHERE v.rubric_id = $1 AND v.company_id = $2 AND v.status = 'done'
+        ORDER BY v.interview_id, v.version DESC
+      ) latest
+      ORDER BY overall_score DESC NULLS LAST
+    `, [rubricId, companyId]);
+
+    return {
+      rubric: rubric.rows[0],
+      interviews: result.rows
+    };
+  }
+}
+
+export default new RescoringService();
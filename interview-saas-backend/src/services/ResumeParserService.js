@@ -2,6 +2,7 @@ import pdf from 'pdf-parse';
 import mammoth from 'mammoth';
 import fs from 'fs';
 import { chatCompletionJSON } from '../utils/openai.js';
+import { resumeContract } from '../agents/contracts.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -183,6 +184,9 @@ Extract all available information and return as structured JSON.`;
       ];
 
       const parsedData = await chatCompletionJSON(messages, {
+        agent: 'resume_parser',
+        task: 'parse',
+        schema: resumeContract,
         temperature: 0.3, // Lower temperature for accuracy
         max_tokens: 3000
       });
@@ -195,31 +199,19 @@ Extract all available information and return as structured JSON.`;
       return cleanedData;
     } catch (error) {
       logger.error('AI parsing error:', error);
+      if (error.name === 'AgentOutputError') throw error;
       throw new Error(`Failed to parse resume: ${error.message}`);
     }
   }
 
   /**
-   * Validate and clean parsed resume data
-   * @param {Object} data - Raw parsed data
+   * Add derived fields to parsed resume data
+   * Shape and defaults come from the resume contract.
+   * @param {Object} data - Contract-validated parsed data
    * @returns {Object} Cleaned data
    */
   validateAndCleanParsedData(data) {
-    const cleaned = {
-      personal: data.personal || {},
-      summary: data.summary || '',
-      skills: {
-        technical: Array.isArray(data.skills?.technical) ? data.skills.technical : [],
-        tools: Array.isArray(data.skills?.tools) ? data.skills.tools : [],
-        languages: Array.isArray(data.skills?.languages) ? data.skills.languages : [],
-        other: Array.isArray(data.skills?.other) ? data.skills.other : []
-      },
-      experience: Array.isArray(data.experience) ? data.experience : [],
-      education: Array.isArray(data.education) ? data.education : [],
-      certifications: Array.isArray(data.certifications) ? data.certifications : [],
-      projects: Array.isArray(data.projects) ? data.projects : [],
-      languages: Array.isArray(data.languages) ? data.languages : []
-    };
+    const cleaned = { ...data };
 
     // Calculate total years of experience
     if (cleaned.experience.length > 0) {
@@ -267,6 +259,7 @@ Extract all available information and return as structured JSON.`;
       };
     } catch (error) {
       logger.error('Resume parsing error:', error);
+      if (error.name === 'AgentOutputError') throw error;
       throw new Error(`Resume parsing failed: ${error.message}`);
     }
   }
@@ -0,0 +1,252 @@
+import { query, transaction } from '../db/index.js';
+import { applyScoreOverrides, capRecommendation } from '../agents/scoring.js';
+
+/**
+ * Error raised when a review can't be read or an override can't be applied
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+  }
+}
+
+/**
+ * Review Service
+ * Recruiters review AI reports and override competency scores or the
+ * recommendation, with a justification. The AI's values stay untouched on
+ * the interview; the human-adjusted ones are kept alongside (adjusted_*)
+ * and every override is appended to interview_score_overrides, which is
+ * never updated.
+ */
+export class ReviewService {
+  /**
+   * AI values, human-adjusted values and the override history of an interview
+   * @param {String} interviewId - Interview ID
+   * @param {String} companyId - Company ID
+   */
+  async getReview(interviewId, companyId) {
+    const result = await query(`
+      SELECT id, status, report_status, overall_score, recommendation, report_data,
+             adjusted_overall_score, adjusted_recommendation, adjusted_competency_scores,
+             reviewed_by, reviewed_at
+      FROM interviews
+      WHERE id = $1 AND company_id = $2
+    `, [interviewId, companyId]);
+
+    if (result.rows.length === 0) {
+      throw new ReviewError('Interview not found', 404);
+    }
+
+    const interview = result.rows[0];
+    const overrides = await query(`
+      SELECT id, field, competency, ai_value, previous_value, new_value,
+             justification, actor_type, actor_id, created_at
+      FROM interview_score_overrides
+      WHERE interview_id = $1
+      ORDER BY created_at
+    `, [interviewId]);
+
+    return {
+      interview_id: interview.id,
+      report_status: interview.report_status,
+      ai: {
+        overall_score: interview.overall_score,
+        recommendation: interview.recommendation,
+        competency_scores: interview.report_data?.competency_scores || {}
+      },
+      adjusted: interview.reviewed_at
+        ? {
+          overall_score: interview.adjusted_overall_score,
+          recommendation: interview.adjusted_recommendation,
+          competency_scores: interview.adjusted_competency_scores || {}
+        }
+        : null,
+      reviewed_by: interview.reviewed_by,
+      reviewed_at: interview.reviewed_at,
+      overrides: overrides.rows
+    };
+  }
+
+  /**
+   * Override competency scores and/or the recommendation
+   * @param {String} interviewId - Interview ID
+   * @param {String} companyId - Company ID
+   * @param {Object} actor - { type: 'user'|'api_key', id }
+   * @param {Object} review - { competency_scores: { name: 0-1 }, recommendation, justification }
+   */
+  async override(interviewId, companyId, actor, review) {
+    await transaction(async (client) => {
+      const current = await client.query(`
+        SELECT id, status, report_status, overall_score, recommendation, report_data,
+               adjusted_recommendation
+        FROM interviews
+        WHERE id = $1 AND company_id = $2
+        FOR UPDATE
+      `, [interviewId, companyId]);
+
+      if (current.rows.length === 0) {
+        throw new ReviewError('Interview not found', 404);
+      }
+
+      const interview = current.rows[0];
+
+      if (interview.status !== 'completed' || interview.report_status !== 'done') {
+        throw new ReviewError('Only completed interviews with a finished report can be reviewed', 409);
+      }
+
+      const scoring = interview.report_data?.scoring;
+      const scoreOverrides = review.competency_scores || {};
+
+      if (Object.keys(scoreOverrides).length > 0 && !scoring) {
+        throw new ReviewError('This report has no competency scores; regenerate it to override them', 409);
+      }
+
+      const unknown = Object.keys(scoreOverrides)
+        .filter(name => !scoring.competencies.some(c => c.competency === name));
+
+      if (unknown.length > 0) {
+        throw new ReviewError(`Unknown competency: ${unknown.join(', ')}`);
+      }
+
+      // Earlier overrides stay in force; these are applied on top
+      const inForce = await this.getOverridesInForce(client, interviewId);
+      const aiScores = scoring?.competency_scores || {};
+      const entries = [];
+
+      for (const [name, score] of Object.entries(scoreOverrides)) {
+        const previous = name in inForce.scores ? inForce.scores[name] : aiScores[name];
+        if (previous === score) continue;
+
+        entries.push({ field: 'competency', competency: name, ai: aiScores[name], previous, value: score });
+        inForce.scores[name] = score;
+      }
+
+      const previousRecommendation = interview.adjusted_recommendation || interview.recommendation;
+
+      if (review.recommendation && review.recommendation !== previousRecommendation) {
+        entries.push({
+          field: 'recommendation',
+          competency: null,
+          ai: interview.recommendation,
+          previous: previousRecommendation,
+          value: review.recommendation
+        });
+        inForce.recommendation = review.recommendation;
+      }
+
+      if (entries.length === 0) {
+        throw new ReviewError('Nothing to override: the values match the current ones');
+      }
+
+      const adjustedScoring = scoring ? applyScoreOverrides(scoring, inForce.scores) : null;
+
+      // A recruiter's recommendation stands; otherwise the AI's is held to the adjusted scores
+      const adjustedRecommendation = inForce.recommendation
+        || (adjustedScoring ? capRecommendation(interview.recommendation, adjustedScoring) : interview.recommendation);
+
+      for (const entry of entries) {
+        await client.query(`
+          INSERT INTO interview_score_overrides
+            (interview_id, company_id, field, competency, ai_value, previous_value, new_value,
+             justification, actor_type, actor_id)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        `, [
+          interviewId,
+          companyId,
+          entry.field,
+          entry.competency,
+          JSON.stringify(entry.ai ?? null),
+          JSON.stringify(entry.previous ?? null),
+          JSON.stringify(entry.value),
+          review.justification,
+          actor.type,
+          actor.id || null
+        ]);
+      }
+
+      await client.query(`
+        UPDATE interviews SET
+          adjusted_overall_score = $1,
+          adjusted_recommendation = $2,
+          adjusted_competency_scores = $3,
+          reviewed_by = $4,
+          reviewed_at = NOW(),
+          updated_at = NOW()
+        WHERE id = $5
+      `, [
+        adjustedScoring ? adjustedScoring.overall_score : interview.overall_score,
+        adjustedRecommendation,
+        JSON.stringify(adjustedScoring ? adjustedScoring.competency_scores : {}),
+        actor.type === 'user' ? actor.id : null,
+        interviewId
+      ]);
+    });
+
+    return this.getReview(interviewId, companyId);
+  }
+
+  /**
+   * Recompute the adjusted scores against a newly generated report
+   * Overrides stay in force across regenerations; ones for competencies the
+   * new report no longer scores are ignored.
+   * @param {Object} client - Client of the transaction that saved the report
+   * @param {String} interviewId - Interview ID
+   * @param {Object} report - The new report_data
+   */
+  async reapplyOverrides(client, interviewId, report) {
+    const inForce = await this.getOverridesInForce(client, interviewId);
+
+    if (Object.keys(inForce.scores).length === 0 && !inForce.recommendation) {
+      return;
+    }
+
+    const adjustedScoring = report.scoring ? applyScoreOverrides(report.scoring, inForce.scores) : null;
+    const adjustedRecommendation = inForce.recommendation
+      || (adjustedScoring ? capRecommendation(report.recommendation, adjustedScoring) : report.recommendation);
+
+    await client.query(`
+      UPDATE interviews SET
+        adjusted_overall_score = $1,
+        adjusted_recommendation = $2,
+        adjusted_competency_scores = $3,
+        updated_at = NOW()
+      WHERE id = $4
+    `, [
+      adjustedScoring ? adjustedScoring.overall_score : report.overall_score,
+      adjustedRecommendation,
+      JSON.stringify(adjustedScoring ? adjustedScoring.competency_scores : {}),
+      interviewId
+    ]);
+  }
+
+  /**
+   * The latest override of each competency and of the recommendation
+   * @returns {Object} { scores: { name: score }, recommendation }
+   */
+  async getOverridesInForce(client, interviewId) {
+    const result = await client.query(`
+      SELECT DISTINCT ON (field, competency) field, competency, new_value
+      FROM interview_score_overrides
+      WHERE interview_id = $1
+      ORDER BY field, competency, created_at DESC
+    `, [interviewId]);
+
+    const scores = {};
+    let recommendation = null;
+
+    for (const row of result.rows) {
+      if (row.field === 'competency') {
+        scores[row.competency] = row.new_value;
+      } else {
+        recommendation = row.new_value;
+      }
+    }
+
+    return { scores, recommendation };
+  }
+}
+
+export default new ReviewService();
@@ -0,0 +1,472 @@
+import { query, transaction } from '../db/index.js';
+import WebhookService from './WebhookService.js';
+import QuestionLibraryService from './QuestionLibraryService.js';
+
+const RUBRIC_COLUMNS = `
+  r.id, r.job_id, r.version, r.parent_id, r.competencies, r.question_bank,
+  r.evaluation_criteria, r.created_by, r.change_note, r.author_type, r.author_id,
+  r.created_at, r.is_active, r.activated_at
+`;
+
+const REQUEST_COLUMNS = `
+  a.id, a.rubric_id, r.job_id, r.version, a.status, a.note,
+  a.requested_by_type, a.requested_by_id, a.decided_by, a.decision_note,
+  a.created_at, a.decided_at
+`;
+
+/**
+ * Error raised when a rubric version can't be created, compared or activated
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class RubricError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RubricError';
+    this.status = status;
+  }
+}
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Rubric Service
+ * A rubric row is one immutable version of a job's rubric: edits create a
+ * new version (numbered per job) that points at the one it was edited from.
+ * Activating a version can require approval from a second user when the
+ * company turns on rubric_approval_required.
+ */
+export class RubricService {
+  /**
+   * Get a rubric version of the company
+   */
+  async getRubric(rubricId, companyId, client = { query }) {
+    const result = await client.query(`
+      SELECT ${RUBRIC_COLUMNS}
+      FROM rubrics r
+      JOIN jobs j ON r.job_id = j.id
+      WHERE r.id = $1 AND j.company_id = $2
+    `, [rubricId, companyId]);
+
+    if (result.rows.length === 0) {
+      throw new RubricError('Rubric not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Save a new rubric version for a job
+   * @param {String} jobId - Job ID
+   * @param {String} companyId - Company ID
+   * @param {Object} actor - { type: 'user'|'api_key', id }
+   * @param {Object} rubric - { competencies, question_bank, evaluation_criteria, change_note }
+   * @param {Object} options - { parentId, createdBy: 'ai'|'manual', activate }
+   */
+  async createVersion(jobId, companyId, actor, rubric, options = {}) {
+    const created = await transaction(async (client) => {
+      // Lock the job so concurrent edits get consecutive version numbers
+      const job = await client.query(
+        'SELECT id, language, seniority_level FROM jobs WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [jobId, companyId]
+      );
+
+      if (job.rows.length === 0) {
+        throw new RubricError('Job not found', 404);
+      }
+
+      // Questions are stored as library references; new text joins the library as drafts
+      const { questionBank, unknown } = await QuestionLibraryService.linkQuestionBank(
+        client,
+        companyId,
+        rubric.question_bank,
+        {
+          language: job.rows[0].language,
+          seniority_level: job.rows[0].seniority_level,
+          source: options.createdBy === 'ai' ? 'ai' : 'manual',
+          actor
+        }
+      );
+
+      if (unknown.length > 0) {
+        throw new RubricError(`Unknown library question: ${unknown.join(', ')}`);
+      }
+
+      const result = await client.query(`
+        INSERT INTO rubrics
+          (job_id, version, parent_id, competencies, question_bank, evaluation_criteria,
+           created_by, change_note, author_type, author_id, is_active)
+        SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, false
+        FROM rubrics
+        WHERE job_id = $1
+        RETURNING id
+      `, [
+        jobId,
+        options.parentId || null,
+        JSON.stringify(rubric.competencies),
+        JSON.stringify(questionBank),
+        JSON.stringify(rubric.evaluation_criteria),
+        options.createdBy || 'manual',
+        rubric.change_note || null,
+        actor.type,
+        actor.id || null
+      ]);
+
+      if (options.activate) {
+        await this.setActive(client, jobId, result.rows[0].id);
+      }
+
+      return result.rows[0];
+    });
+
+    const version = await this.getRubric(created.id, companyId);
+
+    if (options.activate) {
+      await this.notifyActivated(companyId, version);
+    }
+
+    return version;
+  }
+
+  /**
+   * Edit a rubric: saves the changes as a new version of it
+   * The new version replaces the edited one as active when that one was
+   * active and activation doesn't need approval.
+   * @param {String} rubricId - Rubric version being edited
+   * @param {Object} changes - Any of { competencies, question_bank, evaluation_criteria } plus change_note
+   */
+  async editRubric(rubricId, companyId, actor, changes) {
+    const current = await this.getRubric(rubricId, companyId);
+    const approvalRequired = await this.isApprovalRequired(companyId);
+
+    return this.createVersion(current.job_id, companyId, actor, {
+      competencies: changes.competencies || current.competencies,
+      question_bank: changes.question_bank || current.question_bank,
+      evaluation_criteria: changes.evaluation_criteria || current.evaluation_criteria,
+      change_note: changes.change_note
+    }, {
+      parentId: current.id,
+      createdBy: 'manual',
+      activate: current.is_active && !approvalRequired
+    });
+  }
+
+  /**
+   * Versions of a job's rubric, newest first
+   */
+  async listVersions(jobId, companyId) {
+    const job = await query('SELECT id FROM jobs WHERE id = $1 AND company_id = $2', [jobId, companyId]);
+
+    if (job.rows.length === 0) {
+      throw new RubricError('Job not found', 404);
+    }
+
+    const result = await query(`
+      SELECT ${RUBRIC_COLUMNS}
+      FROM rubrics r
+      WHERE r.job_id = $1
+      ORDER BY r.version DESC
+    `, [jobId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Structured diff between two versions of the same job's rubric
+   * @param {String} rubricId - Version to compare ("to")
+   * @param {String} companyId - Company ID
+   * @param {String} fromId - Version to compare against; defaults to the one it was edited from
+   */
+  async diff(rubricId, companyId, fromId) {
+    const to = await this.getRubric(rubricId, companyId);
+    const baseId = fromId || to.parent_id;
+
+    if (!baseId) {
+      throw new RubricError('This version was not edited from another one; pass ?from=<rubric_id>');
+    }
+
+    const from = await this.getRubric(baseId, companyId);
+
+    if (from.job_id !== to.job_id) {
+      throw new RubricError('Only versions of the same job rubric can be compared');
+    }
+
+    const competencies = this.diffCompetencies(from.competencies || [], to.competencies || []);
+    const questions = this.diffQuestions(
+      await QuestionLibraryService.resolveQuestionBank(from.question_bank || {}, companyId),
+      await QuestionLibraryService.resolveQuestionBank(to.question_bank || {}, companyId)
+    );
+    const criteriaChanged = JSON.stringify(from.evaluation_criteria) !== JSON.stringify(to.evaluation_criteria);
+
+    return {
+      job_id: to.job_id,
+      from: { id: from.id, version: from.version },
+      to: { id: to.id, version: to.version, change_note: to.change_note },
+      competencies,
+      questions,
+      evaluation_criteria_changed: criteriaChanged,
+      changed: competencies.added.length + competencies.removed.length + competencies.changed.length > 0
+        || questions.added_count + questions.removed_count > 0
+        || criteriaChanged
+    };
+  }
+
+  /**
+   * Competencies matched by name: added, removed and changed fields
+   */
+  diffCompetencies(from, to) {
+    const changed = [];
+
+    for (const after of to) {
+      const before = from.find(c => sameName(c.name, after.name));
+      if (!before) continue;
+
+      const changes = {};
+      for (const field of ['weight', 'must_have', 'description']) {
+        const was = before[field] ?? null;
+        const now = after[field] ?? null;
+        if (was !== now) {
+          changes[field] = { from: was, to: now };
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        changed.push({ name: after.name, changes });
+      }
+    }
+
+    return {
+      added: to.filter(after => !from.some(c => sameName(c.name, after.name))),
+      removed: from.filter(before => !to.some(c => sameName(c.name, before.name))),
+      changed
+    };
+  }
+
+  /**
+   * Questions per question bank section: added and removed
+   * @param {Object} from - Resolved question bank (see QuestionLibraryService.resolveQuestionBank)
+   * @param {Object} to - Resolved question bank
+   */
+  diffQuestions(from, to) {
+    const sections = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    // By text, so a legacy string and the library question it became compare equal
+    const key = (question) => question.text.trim().toLowerCase();
+    const summary = (question) => ({ question_id: question.question_id, text: question.text });
+    const bySection = {};
+    let addedCount = 0;
+    let removedCount = 0;
+
+    for (const section of sections) {
+      const before = from[section] || [];
+      const after = to[section] || [];
+      const added = after.filter(q => !before.some(b => key(b) === key(q))).map(summary);
+      const removed = before.filter(q => !after.some(a => key(a) === key(q))).map(summary);
+
+      if (added.length > 0 || removed.length > 0) {
+        bySection[section] = { added, removed };
+        addedCount += added.length;
+        removedCount += removed.length;
+      }
+    }
+
+    return {
+      sections: bySection,
+      added_count: addedCount,
+      removed_count: removedCount
+    };
+  }
+
+  async isApprovalRequired(companyId) {
+    const result = await query('SELECT rubric_approval_required FROM companies WHERE id = $1', [companyId]);
+    return Boolean(result.rows[0]?.rubric_approval_required);
+  }
+
+  /**
+   * Turn the approval requirement on or off for a company
+   */
+  async setApprovalRequired(companyId, required) {
+    await query(
+      'UPDATE companies SET rubric_approval_required = $1, updated_at = NOW() WHERE id = $2',
+      [required, companyId]
+    );
+
+    return { approval_required: required };
+  }
+
+  /**
+   * Activate a rubric version, or ask for approval when the company requires it
+   * @returns {Object} { activated: true, rubric } or { activated: false, request }
+   */
+  async requestActivation(rubricId, companyId, actor, note) {
+    const rubric = await this.getRubric(rubricId, companyId);
+
+    if (rubric.is_active) {
+      throw new RubricError('Rubric is already active', 409);
+    }
+
+    if (!(await this.isApprovalRequired(companyId))) {
+      return { activated: true, rubric: await this.activate(rubric, companyId) };
+    }
+
+    const existing = await query(
+      "SELECT id FROM rubric_activation_requests WHERE rubric_id = $1 AND status = 'pending'",
+      [rubricId]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new RubricError('Activation of this rubric is already awaiting approval', 409);
+    }
+
+    const result = await query(`
+      INSERT INTO rubric_activation_requests
+        (rubric_id, company_id, note, requested_by_type, requested_by_id)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `, [rubricId, companyId, note || null, actor.type, actor.id || null]);
+
+    const request = await this.getActivationRequest(result.rows[0].id, companyId);
+
+    await WebhookService.triggerEvent(companyId, 'rubric.activation_requested', {
+      request_id: request.id,
+      rubric_id: rubric.id,
+      job_id: rubric.job_id,
+      version: rubric.version,
+      requested_at: request.created_at
+    });
+
+    return { activated: false, request };
+  }
+
+  /**
+   * Approve a pending activation; the approver must not be the requester
+   * @param {Object} actor - Approving user ({ type: 'user', id })
+   */
+  async approveActivation(requestId, companyId, actor, decisionNote) {
+    const request = await this.decide(requestId, companyId, actor, 'approved', decisionNote);
+    const rubric = await this.activate(await this.getRubric(request.rubric_id, companyId), companyId);
+
+    return { request: await this.getActivationRequest(requestId, companyId), rubric };
+  }
+
+  /**
+   * Reject a pending activation
+   */
+  async rejectActivation(requestId, companyId, actor, decisionNote) {
+    await this.decide(requestId, companyId, actor, 'rejected', decisionNote);
+    return this.getActivationRequest(requestId, companyId);
+  }
+
+  async decide(requestId, companyId, actor, status, decisionNote) {
+    if (actor.type !== 'user') {
+      throw new RubricError('Rubric activations must be decided by a user', 403);
+    }
+
+    const request = await this.getActivationRequest(requestId, companyId);
+
+    if (request.status !== 'pending') {
+      throw new RubricError(`Activation request is already ${request.status}`, 409);
+    }
+
+    if (request.requested_by_type === 'user' && request.requested_by_id === actor.id) {
+      throw new RubricError('A second user must decide on your own activation request', 403);
+    }
+
+    const result = await query(`
+      UPDATE rubric_activation_requests SET
+        status = $1,
+        decided_by = $2,
+        decision_note = $3,
+        decided_at = NOW()
+      WHERE id = $4 AND status = 'pending'
+      RETURNING rubric_id
+    `, [status, actor.id, decisionNote || null, requestId]);
+
+    if (result.rows.length === 0) {
+      throw new RubricError('Activation request was decided meanwhile', 409);
+    }
+
+    return request;
+  }
+
+  /**
+   * Activation requests of the company, newest first
+   * @param {Object} filters - { status }
+   */
+  async listActivationRequests(companyId, filters = {}) {
+    const params = [companyId];
+    let statusFilter = '';
+
+    if (filters.status) {
+      params.push(filters.status);
+      statusFilter = `AND a.status = $${params.length}`;
+    }
+
+    const result = await query(`
+      SELECT ${REQUEST_COLUMNS}
+      FROM rubric_activation_requests a
+      JOIN rubrics r ON a.rubric_id = r.id
+      WHERE a.company_id = $1 ${statusFilter}
+      ORDER BY a.created_at DESC
+    `, params);
+
+    return result.rows;
+  }
+
+  async getActivationRequest(requestId, companyId) {
+    const result = await query(`
+      SELECT ${REQUEST_COLUMNS}
+      FROM rubric_activation_requests a
+      JOIN rubrics r ON a.rubric_id = r.id
+      WHERE a.id = $1 AND a.company_id = $2
+    `, [requestId, companyId]);
+
+    if (result.rows.length === 0) {
+      throw new RubricError('Activation request not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Make a version the job's only active rubric; new interviews pick it up
+   */
+  async activate(rubric, companyId) {
+    await transaction(async (client) => {
+      await this.setActive(client, rubric.job_id, rubric.id);
+    });
+
+    const activated = await this.getRubric(rubric.id, companyId);
+    await this.notifyActivated(companyId, activated);
+
+    return activated;
+  }
+
+  async setActive(client, jobId, rubricId) {
+    await client.query(
+      'UPDATE rubrics SET is_active = false WHERE job_id = $1 AND id <> $2 AND is_active = true',
+      [jobId, rubricId]
+    );
+
+    await client.query(
+      'UPDATE rubrics SET is_active = true, activated_at = NOW() WHERE id = $1',
+      [rubricId]
+    );
+
+    // Requests for versions that were just replaced no longer apply
+    await client.query(`
+      UPDATE rubric_activation_requests a SET status = 'cancelled', decided_at = NOW()
+      FROM rubrics r
+      WHERE a.rubric_id = r.id AND r.job_id = $1 AND a.rubric_id <> $2 AND a.status = 'pending'
+    `, [jobId, rubricId]);
+  }
+
+  async notifyActivated(companyId, rubric) {
+    await WebhookService.triggerEvent(companyId, 'rubric.activated', {
+      rubric_id: rubric.id,
+      job_id: rubric.job_id,
+      version: rubric.version,
+      activated_at: new Date(rubric.activated_at).toISOString()
+    });
+  }
+}
+
+export default new RubricService();
@@ -0,0 +1,424 @@
+import EmailService from './EmailService.js';
+import WebhookService from './WebhookService.js';
+import InviteService from './InviteService.js';
+import { TERMINAL_STATES } from './InterviewStateMachine.js';
+import { query, transaction } from '../db/index.js';
+import { buildCalendarEvent } from '../utils/calendar.js';
+import { ROLES, hasPermission } from '../utils/permissions.js';
+import { logger } from '../utils/logger.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Error raised when a slot can't be listed, booked or joined
+ * `status` maps onto the HTTP status routes should answer with.
+ */
+export class SchedulingError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'SchedulingError';
+    this.status = status;
+  }
+}
+
+/**
+ * Scheduling Service
+ * Companies publish availability windows per job; each window is cut into
+ * fixed-length slots that candidates book from their invite. A booked
+ * interview can only be joined during its slot.
+ */
+export class SchedulingService {
+  constructor() {
+    this.minNoticeMinutes = parseInt(process.env.SLOT_MIN_NOTICE_MINUTES) || 60;
+    this.joinEarlyMinutes = parseInt(process.env.SLOT_JOIN_EARLY_MINUTES) || 10;
+    this.joinLateMinutes = parseInt(process.env.SLOT_JOIN_LATE_MINUTES) || 15;
+  }
+
+  /**
+   * List a job's availability windows with how many interviews are booked in each
+   */
+  async listWindows(jobId, companyId) {
+    const result = await query(`
+      SELECT w.id, w.starts_at, w.ends_at, w.slot_minutes, w.capacity, w.created_at,
+             COUNT(i.id)::int as booked_count
+      FROM job_availability_windows w
+      LEFT JOIN interviews i ON i.availability_window_id = w.id
+        AND NOT i.status = ANY($3::text[])
+      WHERE w.job_id = $1 AND w.company_id = $2
+      GROUP BY w.id
+      ORDER BY w.starts_at
+    `, [jobId, companyId, TERMINAL_STATES]);
+
+    return result.rows;
+  }
+
+  /**
+   * Publish an availability window for a job
+   * @param {Object} window - { starts_at, ends_at, slot_minutes, capacity }
+   */
+  async createWindow(jobId, companyId, userId, window) {
+    const job = await query(
+      'SELECT id FROM jobs WHERE id = $1 AND company_id = $2',
+      [jobId, companyId]
+    );
+
+    if (job.rows.length === 0) {
+      throw new SchedulingError('Job not found', 404);
+    }
+
+    const result = await query(`
+      INSERT INTO job_availability_windows
+        (job_id, company_id, starts_at, ends_at, slot_minutes, capacity, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, starts_at, ends_at, slot_minutes, capacity, created_at
+    `, [
+      jobId,
+      companyId,
+      window.starts_at,
+      window.ends_at,
+      window.slot_minutes,
+      window.capacity,
+      userId || null
+    ]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Remove a window. Refused while upcoming interviews are booked in it.
+   */
+  async deleteWindow(jobId, companyId, windowId) {
+    const booked = await query(`
+      SELECT COUNT(*)::int as count FROM interviews
+      WHERE availability_window_id = $1
+      AND status = 'scheduled'
+      AND scheduled_start_at > NOW()
+    `, [windowId]);
+
+    if (booked.rows[0].count > 0) {
+      throw new SchedulingError('Window has upcoming bookings; cancel or rebook them first');
+    }
+
+    const result = await query(`
+      DELETE FROM job_availability_windows
+      WHERE id = $1 AND job_id = $2 AND company_id = $3
+      RETURNING id
+    `, [windowId, jobId, companyId]);
+
+    if (result.rows.length === 0) {
+      throw new SchedulingError('Availability window not found', 404);
+    }
+  }
+
+  /**
+   * Resolve an invite token to the interview it books
+   */
+  async getBookingContext(token, client = { query }) {
+    const result = await client.query(`
+      SELECT inv.id as invite_id, inv.token, inv.expires_at, inv.revoked_at,
+             inv.expires_at > NOW() as valid,
+             i.id, i.status, i.job_id, i.company_id, i.candidate_id, i.language,
+             i.duration_minutes, i.hr_supervision_enabled,
+             i.scheduled_start_at, i.scheduled_end_at, i.booking_sequence,
+             cand.email as candidate_email, cand.full_name as candidate_name,
+             j.title as job_title, c.name as company_name
+      FROM interview_invites inv
+      JOIN interviews i ON inv.interview_id = i.id
+      JOIN candidates cand ON i.candidate_id = cand.id
+      JOIN jobs j ON i.job_id = j.id
+      JOIN companies c ON i.company_id = c.id
+      WHERE inv.token = $1
+    `, [token]);
+
+    const context = result.rows[0];
+
+    if (!context || !context.valid || context.revoked_at) {
+      throw new SchedulingError('Invalid or expired invite', 404);
+    }
+
+    if (context.status !== 'scheduled') {
+      throw new SchedulingError(`Interview is ${context.status}`, 410);
+    }
+
+    return context;
+  }
+
+  /**
+   * Earliest time a slot may start to still be bookable
+   */
+  getBookingCutoff() {
+    return new Date(Date.now() + this.minNoticeMinutes * MINUTE);
+  }
+
+  /**
+   * Cut windows into slots and drop the ones that are full, too soon or past the invite's expiry
+   * @param {Array} windows - Window rows
+   * @param {Array} bookings - { availability_window_id, scheduled_start_at, count }
+   * @param {Date} expiresAt - Invite expiry
+   */
+  buildSlots(windows, bookings, expiresAt) {
+    const booked = new Map(bookings.map(row => [
+      `${row.availability_window_id}:${new Date(row.scheduled_start_at).getTime()}`,
+      row.count
+    ]));
+
+    const cutoff = this.getBookingCutoff();
+    const slots = [];
+
+    for (const window of windows) {
+      const step = window.slot_minutes * MINUTE;
+      const windowEnd = new Date(window.ends_at).getTime();
+
+      for (let start = new Date(window.starts_at).getTime(); start + step <= windowEnd; start += step) {
+        const startsAt = new Date(start);
+        if (startsAt < cutoff || startsAt >= new Date(expiresAt)) continue;
+
+        const taken = booked.get(`${window.id}:${start}`) || 0;
+        if (taken >= window.capacity) continue;
+
+        slots.push({
+          window_id: window.id,
+          starts_at: startsAt.toISOString(),
+          ends_at: new Date(start + step).toISOString(),
+          remaining: window.capacity - taken
+        });
+      }
+    }
+
+    return slots.sort((a, b) => a.starts_at.localeCompare(b.starts_at));
+  }
+
+  /**
+   * Bookable slots for the interview behind an invite
+   * Only windows whose slots fit the interview's duration are offered.
+   */
+  async getAvailableSlots(token) {
+    const context = await this.getBookingContext(token);
+
+    const windows = await query(`
+      SELECT id, starts_at, ends_at, slot_minutes, capacity
+      FROM job_availability_windows
+      WHERE job_id = $1
+      AND ends_at > NOW()
+      AND starts_at < $2
+      AND slot_minutes >= $3
+    `, [context.job_id, context.expires_at, context.duration_minutes]);
+
+    const bookings = await query(`
+      SELECT availability_window_id, scheduled_start_at, COUNT(*)::int as count
+      FROM interviews
+      WHERE availability_window_id = ANY($1::uuid[])
+      AND NOT status = ANY($2::text[])
+      AND id <> $3
+      GROUP BY availability_window_id, scheduled_start_at
+    `, [windows.rows.map(window => window.id), TERMINAL_STATES, context.id]);
+
+    return {
+      interview: {
+        id: context.id,
+        job_title: context.job_title,
+        company_name: context.company_name,
+        duration_minutes: context.duration_minutes,
+        scheduled_start_at: context.scheduled_start_at,
+        scheduled_end_at: context.scheduled_end_at
+      },
+      slots: this.buildSlots(windows.rows, bookings.rows, context.expires_at)
+    };
+  }
+
+  /**
+   * Book (or move) the interview behind an invite into a slot
+   * The window row is locked so concurrent bookings can't exceed its capacity.
+   * @param {String} token - Invite token
+   * @param {Object} slot - { window_id, starts_at }
+   */
+  async bookSlot(token, slot) {
+    const booking = await transaction(async (client) => {
+      const context = await this.getBookingContext(token, client);
+
+      if (context.scheduled_start_at && new Date(context.scheduled_start_at) < this.getBookingCutoff()) {
+        throw new SchedulingError('The booked slot is too close to be changed');
+      }
+
+      const windowResult = await client.query(`
+        SELECT id, starts_at, ends_at, slot_minutes, capacity
+        FROM job_availability_windows
+        WHERE id = $1 AND job_id = $2
+        FOR UPDATE
+      `, [slot.window_id, context.job_id]);
+
+      const window = windowResult.rows[0];
+
+      if (!window) {
+        throw new SchedulingError('Availability window not found', 404);
+      }
+
+      if (window.slot_minutes < context.duration_minutes) {
+        throw new SchedulingError('Slots in this window are shorter than the interview');
+      }
+
+      const startsAt = new Date(slot.starts_at);
+      const offset = startsAt.getTime() - new Date(window.starts_at).getTime();
+      const step = window.slot_minutes * MINUTE;
+      const endsAt = new Date(startsAt.getTime() + step);
+
+      if (offset < 0 || offset % step !== 0 || endsAt > new Date(window.ends_at)) {
+        throw new SchedulingError('Not a slot of this window', 400);
+      }
+
+      if (startsAt < this.getBookingCutoff() || startsAt >= new Date(context.expires_at)) {
+        throw new SchedulingError('Slot is no longer bookable');
+      }
+
+      const taken = await client.query(`
+        SELECT COUNT(*)::int as count FROM interviews
+        WHERE availability_window_id = $1
+        AND scheduled_start_at = $2
+        AND NOT status = ANY($3::text[])
+        AND id <> $4
+      `, [window.id, startsAt, TERMINAL_STATES, context.id]);
+
+      if (taken.rows[0].count >= window.capacity) {
+        throw new SchedulingError('Slot is fully booked');
+      }
+
+      const updated = await client.query(`
+        UPDATE interviews SET
+          availability_window_id = $1,
+          scheduled_start_at = $2,
+          scheduled_end_at = $3,
+          booked_at = NOW(),
+          booking_sequence = booking_sequence + 1,
+          updated_at = NOW()
+        WHERE id = $4
+        RETURNING scheduled_start_at, scheduled_end_at, booked_at, booking_sequence
+      `, [window.id, startsAt, endsAt, context.id]);
+
+      return {
+        ...context,
+        ...updated.rows[0],
+        rebooked: Boolean(context.scheduled_start_at)
+      };
+    });
+
+    logger.info(`Interview ${booking.id} booked for ${booking.scheduled_start_at.toISOString()}`);
+
+    await WebhookService.triggerEvent(booking.company_id, 'interview.booked', {
+      interview_id: booking.id,
+      scheduled_start_at: booking.scheduled_start_at,
+      scheduled_end_at: booking.scheduled_end_at,
+      rebooked: booking.rebooked
+    });
+
+    this.sendBookingNotifications(booking).catch((error) => {
+      logger.error(`Failed to send booking notifications for interview ${booking.id}:`, error);
+    });
+
+    return {
+      interview_id: booking.id,
+      scheduled_start_at: booking.scheduled_start_at,
+      scheduled_end_at: booking.scheduled_end_at,
+      booked_at: booking.booked_at,
+      rebooked: booking.rebooked
+    };
+  }
+
+  /**
+   * Email calendar invites to the candidate and, when HR supervision is
+   * enabled for the interview, to the company users who can observe it
+   * @param {Object} booking - Booking context from bookSlot()
+   */
+  async sendBookingNotifications(booking) {
+    const inviteUrl = InviteService.buildInviteUrl(booking.token);
+    const observeUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/interviews/${booking.id}`;
+
+    const calendarEvent = {
+      uid: `interview-${booking.id}@interview-ai`,
+      sequence: booking.booking_sequence,
+      start: booking.scheduled_start_at,
+      end: booking.scheduled_end_at,
+      summary: `Interview: ${booking.job_title} at ${booking.company_name}`,
+      organizer: { name: booking.company_name, email: process.env.EMAIL_FROM || 'noreply@yourdomain.com' }
+    };
+
+    await EmailService.sendInterviewBooked({
+      candidateEmail: booking.candidate_email,
+      candidateName: booking.candidate_name,
+      companyName: booking.company_name,
+      jobTitle: booking.job_title,
+      startsAt: booking.scheduled_start_at,
+      endsAt: booking.scheduled_end_at,
+      inviteUrl,
+      language: booking.language,
+      calendar: buildCalendarEvent({
+        ...calendarEvent,
+        description: `Join your interview here: ${inviteUrl}`,
+        url: inviteUrl,
+        attendees: [{ name: booking.candidate_name, email: booking.candidate_email }]
+      })
+    });
+
+    if (!booking.hr_supervision_enabled) return;
+
+    const observerRoles = ROLES.filter(role => hasPermission(role, 'interviews:write'));
+    const observers = await query(`
+      SELECT email, first_name, last_name FROM users
+      WHERE company_id = $1 AND is_active = true AND role = ANY($2::text[])
+    `, [booking.company_id, observerRoles]);
+
+    for (const observer of observers.rows) {
+      await EmailService.sendObserverBookingNotice({
+        email: observer.email,
+        observerName: observer.first_name,
+        candidateName: booking.candidate_name,
+        companyName: booking.company_name,
+        jobTitle: booking.job_title,
+        startsAt: booking.scheduled_start_at,
+        endsAt: booking.scheduled_end_at,
+        observeUrl,
+        rebooked: booking.rebooked,
+        calendar: buildCalendarEvent({
+          ...calendarEvent,
+          summary: `Interview: ${booking.candidate_name} for ${booking.job_title}`,
+          description: `Observe the interview here: ${observeUrl}`,
+          url: observeUrl,
+          attendees: [{ name: [observer.first_name, observer.last_name].filter(Boolean).join(' '), email: observer.email }]
+        })
+      });
+    }
+  }
+
+  /**
+   * Check whether a candidate may join an interview now
+   * Booked interviews are joinable from shortly before their slot until
+   * shortly after it ends; jobs that publish availability require a booking.
+   * @param {Object} interview - Interview row
+   * @returns {String|null} Reason the join is refused, or null
+   */
+  async checkJoinWindow(interview) {
+    if (!interview.scheduled_start_at) {
+      const windows = await query(
+        'SELECT 1 FROM job_availability_windows WHERE job_id = $1 LIMIT 1',
+        [interview.job_id]
+      );
+
+      return windows.rows.length > 0 ? 'Book a time slot before joining the interview' : null;
+    }
+
+    const now = Date.now();
+    const opensAt = new Date(interview.scheduled_start_at).getTime() - this.joinEarlyMinutes * MINUTE;
+    const closesAt = new Date(interview.scheduled_end_at).getTime() + this.joinLateMinutes * MINUTE;
+
+    if (now < opensAt) {
+      return `Interview opens at ${new Date(opensAt).toISOString()}`;
+    }
+
+    if (now > closesAt) {
+      return 'The booked interview slot has ended';
+    }
+
+    return null;
+  }
+}
+
+export default new SchedulingService();
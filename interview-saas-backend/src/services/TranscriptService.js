@@ -0,0 +1,76 @@
+import { query } from '../db/index.js';
+
+/**
+ * Who can speak in an interview transcript
+ */
+export const TRANSCRIPT_SPEAKERS = ['ai', 'candidate'];
+
+/**
+ * Transcript Service
+ * The one transcript format shared by the orchestrator, the REST session
+ * routes and the WebSocket flow. `interviews.transcript` is a JSON array
+ * of turns, only ever appended to:
+ *   { speaker: 'ai' | 'candidate', text, timestamp (ISO 8601), ...details }
+ * Details are optional per-turn facts such as `interrupted` (barge-in).
+ */
+export class TranscriptService {
+  /**
+   * Build a transcript turn
+   * @param {String} speaker - ai | candidate
+   * @param {String} text - What was said
+   * @param {Object} details - Extra fields (timestamp overrides now)
+   */
+  entry(speaker, text, details = {}) {
+    if (!TRANSCRIPT_SPEAKERS.includes(speaker)) {
+      throw new Error(`Unknown transcript speaker: ${speaker}`);
+    }
+
+    const { timestamp, ...rest } = details;
+
+    return {
+      speaker,
+      text,
+      timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+      ...rest
+    };
+  }
+
+  /**
+   * Append turns to an interview's transcript
+   * @param {String} interviewId - Interview ID
+   * @param {Array} entries - Turns built with entry()
+   * @param {Object} options - { statuses: interview statuses that accept turns (default in_progress) }
+   * @returns {Number|null} Transcript length afterwards, or null when the interview doesn't
+   *   exist or isn't in one of the statuses
+   */
+  async append(interviewId, entries, options = {}) {
+    const statuses = options.statuses || ['in_progress'];
+
+    const result = await query(`
+      UPDATE interviews
+      SET transcript = COALESCE(transcript, '[]'::jsonb) || $1::jsonb
+      WHERE id = $2 AND status = ANY($3::text[])
+      RETURNING jsonb_array_length(transcript) as length
+    `, [JSON.stringify(entries), interviewId, statuses]);
+
+    return result.rows.length > 0 ? result.rows[0].length : null;
+  }
+
+  /**
+   * Add details to a stored turn (e.g. mark an AI turn interrupted)
+   * @param {String} interviewId - Interview ID
+   * @param {Number} turn - Index of the turn in the transcript
+   * @param {Object} details - Fields merged into the turn; speaker, text and timestamp can't change
+   */
+  async annotate(interviewId, turn, details) {
+    const { speaker, text, timestamp, ...rest } = details;
+
+    await query(`
+      UPDATE interviews
+      SET transcript = jsonb_set(transcript, ARRAY[$2::text], (transcript -> $2::int) || $3::jsonb)
+      WHERE id = $1 AND jsonb_array_length(transcript) > $2::int
+    `, [interviewId, turn, JSON.stringify(rest)]);
+  }
+}
+
+export default new TranscriptService();
@@ -0,0 +1,73 @@
+import { query } from '../db/index.js';
+import { logger } from '../utils/logger.js';
+import { getLLMContext } from '../providers/llm/index.js';
+import { calculateCost } from '../utils/pricing.js';
+
+/**
+ * Usage Service
+ * Meters model usage (tokens, audio seconds, characters, images) into
+ * usage_logs. The company and interview come from the LLM context
+ * (runWithLLMContext), so callers only describe the call itself.
+ */
+export class UsageService {
+  /**
+   * Record one model call
+   * Never throws: metering must not break the call it measures.
+   * @param {Object} usage - { type: 'llm'|'transcription'|'speech', agent, provider, model,
+   *   inputTokens, outputTokens, images, audioSeconds, characters, metadata }
+   */
+  async record(usage) {
+    // Read the context before any await
+    const { companyId, interviewId } = getLLMContext();
+
+    if (!companyId && !interviewId) {
+      logger.debug(`Unattributed ${usage.type} usage for ${usage.agent || 'unknown'} not recorded`);
+      return;
+    }
+
+    try {
+      const cost = calculateCost(usage);
+
+      await query(`
+        INSERT INTO usage_logs (
+          company_id, interview_id, event_type, credits_used,
+          agent, provider, model, input_tokens, output_tokens, images,
+          audio_seconds, characters, cost_usd, metadata
+        )
+        VALUES (
+          COALESCE($1, (SELECT company_id FROM interviews WHERE id = $2)), $2, $3, 0,
+          $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
+        )
+      `, [
+        companyId || null,
+        interviewId || null,
+        usage.type,
+        usage.agent || null,
+        usage.provider || null,
+        usage.model || null,
+        usage.inputTokens || 0,
+        usage.outputTokens || 0,
+        usage.images || 0,
+        usage.audioSeconds || 0,
+        usage.characters || 0,
+        cost,
+        JSON.stringify(usage.metadata || {})
+      ]);
+    } catch (error) {
+      logger.error('Record usage error:', error);
+    }
+  }
+
+  /**
+   * Count images in chat messages (vision requests)
+   */
+  countImages(messages) {
+    return messages.reduce((count, message) => (
+      Array.isArray(message.content)
+        ? count + message.content.filter(part => part.type === 'image_url').length
+        : count
+    ), 0);
+  }
+}
+
+export default new UsageService();
@@ -0,0 +1,292 @@
+const { logger } = require('../utils/logger');
+const { pcmToWav } = require('../utils/audio.js');
+
+// RMS level (0-1) at which a PCM frame counts as speech
+const VAD_ENERGY_THRESHOLD = parseFloat(process.env.VAD_ENERGY_THRESHOLD) || 0.015;
+// Speech needed before a segment opens, and audio kept ahead of it so onsets aren't clipped
+const VAD_SPEECH_START_MS = parseInt(process.env.VAD_SPEECH_START_MS) || 150;
+const VAD_PREROLL_MS = parseInt(process.env.VAD_PREROLL_MS) || 300;
+// Silence that closes a segment and sends it for a partial transcript
+const VAD_SEGMENT_SILENCE_MS = parseInt(process.env.VAD_SEGMENT_SILENCE_MS) || 700;
+// Silence the candidate may think for before the answer is submitted
+const VOICE_THINKING_PAUSE_MS = parseInt(process.env.VOICE_THINKING_PAUSE_MS) || 2500;
+const VOICE_THINKING_PAUSE_MIN_MS = parseInt(process.env.VOICE_THINKING_PAUSE_MIN_MS) || 1000;
+const VOICE_THINKING_PAUSE_MAX_MS = parseInt(process.env.VOICE_THINKING_PAUSE_MAX_MS) || 10000;
+// Longest segment sent in one transcription, and longest answer before it is submitted anyway
+const VOICE_MAX_SEGMENT_MS = parseInt(process.env.VOICE_MAX_SEGMENT_MS) || 8000;
+const VOICE_MAX_UTTERANCE_MS = parseInt(process.env.VOICE_MAX_UTTERANCE_MS) || 120000;
+
+const VAD_FRAME_MS = 30;
+const DEFAULT_SAMPLE_RATE = 16000;
+
+// Formats Whisper accepts as-is; pcm16 is raw 16-bit little-endian mono
+const ENCODED_FORMATS = ['mp3', 'mp4', 'mpeg', 'mpga', 'm4a', 'ogg', 'wav', 'webm'];
+
+/**
+ * Clamp a requested thinking pause to the configured range
+ * @param {Number} ms - Requested pause (falls back to VOICE_THINKING_PAUSE_MS)
+ */
+const resolveThinkingPause = (ms) => {
+  const value = parseInt(ms) || VOICE_THINKING_PAUSE_MS;
+  return Math.min(Math.max(value, VOICE_THINKING_PAUSE_MIN_MS), VOICE_THINKING_PAUSE_MAX_MS);
+};
+
+/**
+ * RMS level (0-1) of a 16-bit little-endian PCM frame
+ */
+const frameEnergy = (frame) => {
+  const samples = Math.floor(frame.length / 2);
+  if (samples === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = frame.readInt16LE(i * 2) / 32768;
+    sum += sample * sample;
+  }
+
+  return Math.sqrt(sum / samples);
+};
+
+/**
+ * Utterance Buffer
+ * Collects a candidate's streamed audio frames until they finish answering.
+ *
+ * pcm16 audio runs through an energy VAD: speech is cut into segments at
+ * short silences and each segment is transcribed as soon as it closes, so
+ * partial transcripts arrive while the candidate is still talking. The
+ * answer is submitted once the candidate has been silent for the thinking
+ * pause, so a mid-sentence pause doesn't submit half an answer.
+ *
+ * Encoded audio (webm, mp3, ...) can't be inspected, so it is transcribed
+ * whole when the client marks a chunk `final` or stops sending for the
+ * thinking pause.
+ */
+class UtteranceBuffer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.transcribe - async (audioBuffer, format) => text
+   * @param {Function} options.onSpeechStart - () => void, the candidate started talking
+   * @param {Function} options.onPartial - (text) => void, transcript so far
+   * @param {Function} options.onUtterance - async (text, reason) => void, finished answer
+   * @param {Function} options.onError - (error) => void, a segment failed to transcribe
+   * @param {Number} options.thinkingPauseMs - Silence before the answer is submitted
+   */
+  constructor({ transcribe, onSpeechStart, onPartial, onUtterance, onError, thinkingPauseMs }) {
+    this.transcribe = transcribe;
+    this.onSpeechStart = onSpeechStart || (() => {});
+    this.onPartial = onPartial || (() => {});
+    this.onUtterance = onUtterance;
+    this.onError = onError || (() => {});
+    this.thinkingPauseMs = resolveThinkingPause(thinkingPauseMs);
+
+    this.idleTimer = null;
+    this.submitting = Promise.resolve();
+    this.reset();
+  }
+
+  reset() {
+    this.format = null;
+    this.sampleRate = DEFAULT_SAMPLE_RATE;
+    this.remainder = Buffer.alloc(0);
+
+    // VAD state (pcm16)
+    this.preroll = [];
+    this.segment = [];
+    this.segmentMs = 0;
+    this.inSpeech = false;
+    this.speechRunMs = 0;
+    this.silenceMs = 0;
+    this.utteranceMs = 0;
+    this.hasSpeech = false;
+
+    // Encoded chunks
+    this.chunks = [];
+
+    // Segment transcripts, filled in order as transcriptions finish
+    this.texts = [];
+    this.transcribing = Promise.resolve();
+  }
+
+  /**
+   * Add one chunk of candidate audio
+   * @param {Buffer} audio - Audio bytes
+   * @param {Object} options - { format ('pcm16' or an encoded format), sampleRate, final }
+   */
+  push(audio, { format = 'pcm16', sampleRate, final = false } = {}) {
+    if (this.format && this.format !== format) {
+      // Format switched mid-answer: submit what we have and start over
+      this.submit('format_change');
+    }
+    this.format = format;
+
+    if (format === 'pcm16') {
+      this.sampleRate = parseInt(sampleRate) || DEFAULT_SAMPLE_RATE;
+      this.pushPcm(audio);
+    } else {
+      this.chunks.push(audio);
+    }
+
+    if (final) {
+      this.submit('final');
+    } else if (this.hasSpeech || this.chunks.length > 0) {
+      // Clients may stop sending frames instead of sending silence
+      this.armIdleTimer();
+    }
+  }
+
+  pushPcm(audio) {
+    const frameBytes = Math.floor(this.sampleRate * VAD_FRAME_MS / 1000) * 2;
+    let data = Buffer.concat([this.remainder, audio]);
+
+    while (data.length >= frameBytes) {
+      this.processFrame(data.subarray(0, frameBytes));
+      data = data.subarray(frameBytes);
+    }
+
+    this.remainder = Buffer.from(data);
+  }
+
+  processFrame(frame) {
+    if (frameEnergy(frame) >= VAD_ENERGY_THRESHOLD) {
+      this.speechRunMs += VAD_FRAME_MS;
+      this.silenceMs = 0;
+    } else {
+      this.speechRunMs = 0;
+      this.silenceMs += VAD_FRAME_MS;
+    }
+
+    if (this.hasSpeech) {
+      this.utteranceMs += VAD_FRAME_MS;
+    }
+
+    if (!this.inSpeech) {
+      this.preroll.push(frame);
+      if (this.preroll.length * VAD_FRAME_MS > VAD_PREROLL_MS) {
+        this.preroll.shift();
+      }
+
+      if (this.speechRunMs >= VAD_SPEECH_START_MS) {
+        this.inSpeech = true;
+        this.hasSpeech = true;
+        this.segment = this.preroll;
+        this.segmentMs = this.preroll.length * VAD_FRAME_MS;
+        this.preroll = [];
+        this.onSpeechStart();
+      }
+    } else {
+      this.segment.push(frame);
+      this.segmentMs += VAD_FRAME_MS;
+
+      if (this.silenceMs >= VAD_SEGMENT_SILENCE_MS || this.segmentMs >= VOICE_MAX_SEGMENT_MS) {
+        this.closeSegment();
+      }
+    }
+
+    if (this.hasSpeech && this.silenceMs >= this.thinkingPauseMs) {
+      this.submit('silence');
+    } else if (this.utteranceMs >= VOICE_MAX_UTTERANCE_MS) {
+      this.submit('max_duration');
+    }
+  }
+
+  /**
+   * Send the open segment for transcription; results keep their order
+   */
+  closeSegment() {
+    if (this.segment.length === 0) return;
+
+    const audio = pcmToWav(Buffer.concat(this.segment), this.sampleRate);
+    const texts = this.texts;
+
+    this.segment = [];
+    this.segmentMs = 0;
+    this.inSpeech = false;
+
+    this.transcribing = this.transcribing
+      .then(() => this.transcribe(audio, 'wav'))
+      .then((text) => {
+        if (text && text.trim().length > 0) {
+          texts.push(text.trim());
+          // Segments of an already submitted answer no longer produce partials
+          if (texts === this.texts) {
+            this.onPartial(texts.join(' '));
+          }
+        }
+      })
+      .catch((error) => {
+        logger.error('Segment transcription failed:', error);
+        this.onError(error);
+      });
+  }
+
+  armIdleTimer() {
+    this.clearIdleTimer();
+    this.idleTimer = setTimeout(() => this.submit('idle'), this.thinkingPauseMs);
+  }
+
+  clearIdleTimer() {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+
+  /**
+   * Finish the current answer: wait for its transcriptions and hand the text on
+   * The buffer is reset straight away so frames of the next answer aren't lost.
+   * @param {String} reason - silence | idle | final | max_duration | format_change
+   */
+  submit(reason) {
+    this.clearIdleTimer();
+
+    if (this.format === 'pcm16') {
+      this.closeSegment();
+    } else if (this.chunks.length > 0) {
+      const audio = Buffer.concat(this.chunks);
+      const format = ENCODED_FORMATS.includes(this.format) ? this.format : 'webm';
+      const texts = this.texts;
+
+      this.transcribing = this.transcribing
+        .then(() => this.transcribe(audio, format))
+        .then((text) => {
+          if (text && text.trim().length > 0) texts.push(text.trim());
+        })
+        .catch((error) => {
+          logger.error('Answer transcription failed:', error);
+          this.onError(error);
+        });
+    }
+
+    const texts = this.texts;
+    const transcribing = this.transcribing;
+    this.reset();
+
+    // Answers are handed on one at a time, in order
+    this.submitting = this.submitting
+      .then(() => transcribing)
+      .then(async () => {
+        const text = texts.join(' ').trim();
+        if (text.length > 0) {
+          await this.onUtterance(text, reason);
+        }
+      })
+      .catch((error) => {
+        logger.error('Failed to submit answer:', error);
+        this.onError(error);
+      });
+
+    return this.submitting;
+  }
+
+  /**
+   * Drop buffered audio without submitting it (pause, disconnect)
+   */
+  discard() {
+    this.clearIdleTimer();
+    this.reset();
+  }
+}
+
+module.exports = UtteranceBuffer;
+module.exports.resolveThinkingPause = resolveThinkingPause;
+module.exports.ENCODED_FORMATS = ENCODED_FORMATS;
@@ -1,4 +1,5 @@
-import { openai, MODELS } from '../utils/openai.js';
+import { chatCompletionJSON, MODELS } from '../utils/openai.js';
+import { visionFrameContract } from '../agents/contracts.js';
 import { logger } from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -71,28 +72,22 @@ Return your analysis as JSON:
         }
       ];
 
-      const response = await openai.chat.completions.create({
+      const analysis = await chatCompletionJSON(messages, {
+        agent: 'vision_analysis',
+        task: 'frame',
+        schema: visionFrameContract,
+        jsonMode: false, // the vision model has no JSON mode; the prompt asks for JSON
         model: MODELS.GPT4_VISION,
-        messages: messages,
         max_tokens: 1000,
         temperature: 0.3
       });
 
-      const analysisText = response.choices[0].message.content;
-
-      // Parse JSON from response
-      const jsonMatch = analysisText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('Failed to parse vision analysis response');
-      }
-
-      const analysis = JSON.parse(jsonMatch[0]);
-
       logger.info('Video frame analyzed successfully');
 
       return analysis;
     } catch (error) {
       logger.error('Vision analysis error:', error);
+      if (error.name === 'AgentOutputError') throw error;
       throw new Error(`Vision analysis failed: ${error.message}`);
     }
   }
@@ -1,29 +1,31 @@
-const { openai, MODELS } = require('../utils/openai.js');
 const fs = require('fs');
 const path = require('path');
 const { logger } = require('../utils/logger.js');
+const SpeechProviders = require('../providers/speech/index.js').default;
+const UsageService = require('./UsageService.js').default;
+
+// Streamed speech is synthesized in chunks of whole sentences: short sentences
+// are merged up to the minimum, long ones split near the maximum
+const TTS_CHUNK_MIN_CHARS = parseInt(process.env.TTS_CHUNK_MIN_CHARS) || 40;
+const TTS_CHUNK_MAX_CHARS = parseInt(process.env.TTS_CHUNK_MAX_CHARS) || 250;
 
 /**
  * Voice Service
- * Handles text-to-speech (OpenAI TTS) and speech-to-text (Whisper)
+ * Handles text-to-speech and speech-to-text through the speech provider
+ * registry (`src/providers/speech`): OpenAI, a self-hosted Whisper-compatible
+ * server or the offline stub, chosen per company.
  */
 class VoiceService {
   constructor() {
-    // Available voices: alloy, echo, fable, onyx, nova, shimmer
-    this.defaultVoice = 'nova'; // Professional, neutral
-    
-    // Audio format: mp3, opus, aac, flac
-    this.audioFormat = 'mp3';
-    
     // Speed: 0.25 to 4.0
     this.speechSpeed = 1.0; // Normal speed
   }
 
   /**
-   * Convert text to speech using OpenAI TTS
+   * Convert text to speech
    * @param {String} text - Text to convert
    * @param {String} language - Language code (en, es, ar, hi, fr)
-   * @param {String} voice - Voice name (alloy, echo, fable, onyx, nova, shimmer)
+   * @param {String} voice - Voice name (defaults to the company's voice for the language)
    * @returns {Buffer} Audio buffer
    */
   async textToSpeech(text, language = 'en', voice = null) {
@@ -32,31 +34,28 @@ class VoiceService {
         throw new Error('Text cannot be empty');
       }
 
-      const selectedVoice = voice || this.defaultVoice;
+      const { provider, voice: selectedVoice } = await SpeechProviders.resolveSpeech(language, voice);
 
       logger.info(`Generating speech: ${text.substring(0, 50)}...`, {
         language,
+        provider: provider.name,
         voice: selectedVoice,
         length: text.length
       });
 
-      const response = await openai.audio.speech.create({
-        model: 'tts-1', // tts-1 is faster, tts-1-hd is higher quality
+      const { audio, model } = await provider.synthesize(text, {
         voice: selectedVoice,
-        input: text,
-        speed: this.speechSpeed,
-        response_format: this.audioFormat
+        speed: this.speechSpeed
       });
 
-      // Convert response to buffer
-      const buffer = Buffer.from(await response.arrayBuffer());
+      this.recordSpeechUsage(text, provider.name, model);
 
       logger.info(`Speech generated successfully`, {
-        audioSize: buffer.length,
+        audioSize: audio.length,
         voice: selectedVoice
       });
 
-      return buffer;
+      return audio;
     } catch (error) {
       logger.error('Text-to-speech error:', error);
       throw new Error(`TTS failed: ${error.message}`);
@@ -94,36 +93,38 @@ class VoiceService {
   }
 
   /**
-   * Convert speech to text using Whisper
+   * Convert speech to text
    * @param {Buffer|String} audioInput - Audio buffer or file path
-   * @param {String} language - Language code (optional, Whisper auto-detects)
+   * @param {String} language - Language code (optional, auto-detected)
+   * @param {String} format - Container of a buffer input (mp3, wav, webm, ...)
    * @returns {String} Transcribed text
    */
-  async speechToText(audioInput, language = null) {
+  async speechToText(audioInput, language = null, format = 'mp3') {
     try {
-      let audioFile;
-      let tempPath = null;
+      let audio;
 
-      // If audioInput is a buffer, save to temp file first
       if (Buffer.isBuffer(audioInput)) {
-        tempPath = path.join('/tmp', `audio-${Date.now()}.mp3`);
-        
-        fs.writeFileSync(tempPath, audioInput);
-        audioFile = fs.createReadStream(tempPath);
+        audio = audioInput;
       } else if (typeof audioInput === 'string') {
         // audioInput is a file path
-        audioFile = fs.createReadStream(audioInput);
+        audio = fs.readFileSync(audioInput);
+        format = path.extname(audioInput).slice(1).toLowerCase() || format;
       } else {
         throw new Error('Invalid audio input type');
       }
 
-      logger.info(`Transcribing audio...`, { language });
+      const provider = await SpeechProviders.resolveTranscription();
+
+      logger.info(`Transcribing audio...`, { language, provider: provider.name });
+
+      const transcription = await provider.transcribe(audio, { language, format });
 
-      const transcription = await openai.audio.transcriptions.create({
-        file: audioFile,
-        model: MODELS.WHISPER,
-        language: language || undefined, // Auto-detect if not specified
-        response_format: 'json'
+      UsageService.record({
+        type: 'transcription',
+        agent: 'voice',
+        provider: provider.name,
+        model: transcription.model,
+        audioSeconds: transcription.duration
       });
 
       logger.info(`Transcription successful`, {
@@ -131,11 +132,6 @@ class VoiceService {
         language: transcription.language || language
       });
 
-      // Clean up temp file if we created one
-      if (tempPath && fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
-      }
-
       return transcription.text;
     } catch (error) {
       logger.error('Speech-to-text error:', error);
@@ -144,21 +140,22 @@ class VoiceService {
   }
 
   /**
-   * Get language-specific voice (optional customization)
-   * Different voices might sound better for different languages
+   * Get the voice used for a language
+   * The company's choice for the language, else the provider's default.
    * @param {String} language - Language code
-   * @returns {String} Recommended voice
+   * @returns {String} Voice name
    */
-  getVoiceForLanguage(language) {
-    const voiceMap = {
-      'en': 'nova',    // English - neutral, professional
-      'es': 'nova',    // Spanish - works well
-      'ar': 'onyx',    // Arabic - deeper voice
-      'hi': 'shimmer', // Hindi - clearer pronunciation
-      'fr': 'nova'     // French - neutral
-    };
-
-    return voiceMap[language] || this.defaultVoice;
+  async getVoiceForLanguage(language) {
+    const { voice } = await SpeechProviders.resolveSpeech(language);
+    return voice;
+  }
+
+  /**
+   * Audio format the company's speech provider produces (mp3, wav, ...)
+   */
+  async getAudioFormat() {
+    const { provider } = await SpeechProviders.resolveSpeech();
+    return provider.speechFormat;
   }
 
   /**
@@ -171,25 +168,102 @@ class VoiceService {
    */
   async textToSpeechStream(text, language = 'en', voice = null) {
     try {
-      const selectedVoice = voice || this.getVoiceForLanguage(language);
+      const { provider, voice: selectedVoice } = await SpeechProviders.resolveSpeech(language, voice);
 
-      logger.info(`Streaming speech: ${text.substring(0, 50)}...`);
+      logger.info(`Streaming speech: ${text.substring(0, 50)}...`, { provider: provider.name });
 
-      const response = await openai.audio.speech.create({
-        model: 'tts-1', // Use tts-1 for streaming (faster)
+      const { stream, model } = await provider.synthesizeStream(text, {
         voice: selectedVoice,
-        input: text,
-        speed: this.speechSpeed,
-        response_format: this.audioFormat
+        speed: this.speechSpeed
       });
 
-      return response.body;
+      this.recordSpeechUsage(text, provider.name, model);
+
+      return stream;
     } catch (error) {
       logger.error('Stream TTS error:', error);
       throw new Error(`TTS streaming failed: ${error.message}`);
     }
   }
 
+  /**
+   * Split text into sentence-sized chunks for streamed synthesis
+   * The first chunk can be played while the rest is still being generated.
+   * @param {String} text - Text to speak
+   * @returns {Array<String>} Chunks in speaking order
+   */
+  splitIntoSentences(text) {
+    const sentences = (text || '')
+      .split(/(?<=[.!?\u3002\uff01\uff1f\u061f\u0964])\s+/u)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+
+    const chunks = [];
+    let current = '';
+
+    for (const sentence of sentences) {
+      for (const part of this.splitLongSentence(sentence)) {
+        if (current && current.length + part.length >= TTS_CHUNK_MAX_CHARS) {
+          chunks.push(current);
+          current = '';
+        }
+
+        current = current ? `${current} ${part}` : part;
+
+        if (current.length >= TTS_CHUNK_MIN_CHARS) {
+          chunks.push(current);
+          current = '';
+        }
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Break a sentence longer than TTS_CHUNK_MAX_CHARS at commas, then at spaces
+   */
+  splitLongSentence(sentence) {
+    const parts = [];
+    let rest = sentence;
+
+    while (rest.length > TTS_CHUNK_MAX_CHARS) {
+      const window = rest.slice(0, TTS_CHUNK_MAX_CHARS);
+      let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '));
+      if (cut <= 0) cut = window.lastIndexOf(' ');
+      if (cut <= 0) cut = TTS_CHUNK_MAX_CHARS - 1;
+
+      parts.push(rest.slice(0, cut + 1).trim());
+      rest = rest.slice(cut + 1).trim();
+    }
+
+    if (rest) {
+      parts.push(rest);
+    }
+
+    return parts;
+  }
+
+  /**
+   * Meter a TTS request (billed per input character)
+   * @param {String} text - Text sent for synthesis
+   * @param {String} provider - Speech provider name
+   * @param {String} model - Model that synthesized it
+   */
+  recordSpeechUsage(text, provider, model) {
+    UsageService.record({
+      type: 'speech',
+      agent: 'voice',
+      provider,
+      model,
+      characters: text.length
+    });
+  }
+
   /**
    * Validate audio file format
    * @param {String} filePath - Path to audio file
@@ -203,13 +277,14 @@ class VoiceService {
 
   /**
    * Get audio duration (estimate based on file size)
-   * @param {Buffer} audioBuffer - Audio buffer
+   * @param {Buffer|Number} audio - Audio buffer or its size in bytes
    * @returns {Number} Estimated duration in seconds
    */
-  estimateAudioDuration(audioBuffer) {
+  estimateAudioDuration(audio) {
     // Rough estimate: MP3 at 128kbps ≈ 16KB per second
     const bytesPerSecond = 16000;
-    return Math.ceil(audioBuffer.length / bytesPerSecond);
+    const bytes = typeof audio === 'number' ? audio : audio.length;
+    return Math.ceil(bytes / bytesPerSecond);
   }
 }
 
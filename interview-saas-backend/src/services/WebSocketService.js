@@ -1,7 +1,16 @@
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const { logger } = require('../utils/logger');  // ✅ Add { }
 const VoiceService = require('./VoiceService');
-const InterviewOrchestrator = require('../agents/InterviewOrchestrator');
+const UtteranceBuffer = require('./UtteranceBuffer');
+const InterviewStateMachine = require('./InterviewStateMachine').default;
+const CandidateAccessService = require('./CandidateAccessService');
+const SchedulingService = require('./SchedulingService').default;
+const AuthService = require('./AuthService');
+const { hasPermission } = require('../utils/permissions');
+const InterviewOrchestrator = require('../agents/InterviewOrchestrator').default;
+const TranscriptService = require('./TranscriptService').default;
+const { runWithLLMContext } = require('../providers/llm/index.js');
 const { query } = require('../db');
 
 class WebSocketService {
@@ -33,12 +42,12 @@ class WebSocketService {
 
       // Candidate joins interview
       socket.on('join-interview', async (data) => {
-        await this.handleCandidateJoin(socket, data);
+        await this.withInterviewContext(data, () => this.handleCandidateJoin(socket, data));
       });
 
-      // Candidate sends audio chunk
+      // Candidate streams audio frames (buffered until the answer is finished)
       socket.on('candidate-audio', async (data) => {
-        await this.handleCandidateAudio(socket, data);
+        await this.withInterviewContext(data, () => this.handleCandidateAudio(socket, data));
       });
 
       // Candidate sends video frame (for vision analysis)
@@ -46,9 +55,14 @@ class WebSocketService {
         await this.handleCandidateVideoFrame(socket, data);
       });
 
+      // Candidate started talking over the AI (detected on the client)
+      socket.on('candidate-barge-in', (data) => {
+        this.handleCandidateBargeIn(socket, data);
+      });
+
       // Candidate sends text response (if using text mode)
       socket.on('candidate-text', async (data) => {
-        await this.handleCandidateText(socket, data);
+        await this.withInterviewContext(data, () => this.handleCandidateText(socket, data));
       });
 
       // ============================================
@@ -120,10 +134,22 @@ class WebSocketService {
   // CANDIDATE HANDLERS
   // ============================================
 
+  /**
+   * Attribute model usage (speech, transcription, LLM) in a handler to its interview
+   * The company (known once the candidate has joined) selects its providers and voices.
+   */
+  withInterviewContext(data, fn) {
+    const session = this.sessions.get(data?.interviewId);
+    return runWithLLMContext({ companyId: session?.companyId, interviewId: data?.interviewId }, fn);
+  }
+
   async handleCandidateJoin(socket, data) {
-    const { interviewId, candidateId, token } = data;
+    const { interviewId, candidateId, token, thinkingPauseMs } = data;
 
     try {
+      // Candidate session credential from GET /api/interviews/invite/:token
+      await CandidateAccessService.verifySession(token, interviewId);
+
       // Verify interview exists and is valid
       const interview = await query(
         'SELECT * FROM interviews WHERE id = $1',
@@ -137,9 +163,16 @@ class WebSocketService {
 
       const interviewData = interview.rows[0];
 
-      // Check if interview is already in progress or completed
-      if (interviewData.status === 'completed') {
-        socket.emit('error', { message: 'Interview already completed' });
+      // Finished interviews (completed, cancelled, expired, abandoned) can't be joined
+      if (InterviewStateMachine.isTerminal(interviewData.status)) {
+        socket.emit('error', { message: `Interview is ${interviewData.status}` });
+        return;
+      }
+
+      // Booked interviews can only be joined during their time slot
+      const outsideWindow = await SchedulingService.checkJoinWindow(interviewData);
+      if (outsideWindow) {
+        socket.emit('error', { message: outsideWindow });
         return;
       }
 
@@ -150,30 +183,52 @@ class WebSocketService {
         // Initialize new session
         session = {
           interviewId,
+          companyId: interviewData.company_id,
           candidateId,
           candidateSocketId: socket.id,
           status: 'active',
           orchestrator: new InterviewOrchestrator(interviewId),
-          transcript: [],
+          transcript: interviewData.transcript || [],
+          answering: Promise.resolve(),
           currentQuestion: null,
           questionCount: 0,
           hrObservers: [],
           hrPresent: false,
           isPaused: false,
+          language: interviewData.language,
           startedAt: new Date()
         };
+        session.audio = this.createUtteranceBuffer(session, thinkingPauseMs);
 
-        // Update interview status to in_progress
-        await query(
-          'UPDATE interviews SET status = $1, started_at = NOW() WHERE id = $2',
-          ['in_progress', interviewId]
-        );
+        // scheduled -> in_progress (a paused or running interview is being resumed after a restart)
+        if (interviewData.status === 'scheduled') {
+          await InterviewStateMachine.transition(interviewId, 'start', {
+            actor: { type: 'candidate' }
+          });
+        }
+
+        session.isPaused = interviewData.status === 'paused';
 
-        // Start the interview with AI
-        await this.startInterview(session);
+        // Registered before the opening is generated so a second join doesn't start it twice
+        this.sessions.set(interviewId, session);
+
+        // Start the interview with AI, using the company's providers
+        try {
+          await runWithLLMContext(
+            { companyId: session.companyId, interviewId },
+            () => this.startInterview(session)
+          );
+        } catch (error) {
+          this.sessions.delete(interviewId);
+          throw error;
+        }
       } else {
         // Candidate rejoining
         session.candidateSocketId = socket.id;
+
+        if (thinkingPauseMs !== undefined) {
+          session.audio.thinkingPauseMs = UtteranceBuffer.resolveThinkingPause(thinkingPauseMs);
+        }
       }
 
       this.sessions.set(interviewId, session);
@@ -184,6 +239,7 @@ class WebSocketService {
         interviewId,
         currentQuestion: session.currentQuestion,
         questionCount: session.questionCount,
+        thinkingPauseMs: session.audio.thinkingPauseMs,
         hrPresent: session.hrObservers.some(obs => obs.visible)
       });
 
@@ -196,62 +252,44 @@ class WebSocketService {
       logger.info(`Candidate joined interview: ${interviewId}`);
     } catch (error) {
       logger.error('Error in handleCandidateJoin:', error);
-      socket.emit('error', { message: 'Failed to join interview' });
+      socket.emit('error', {
+        message: ['InterviewTransitionError', 'CandidateAccessError'].includes(error.name)
+          ? error.message
+          : 'Failed to join interview'
+      });
     }
   }
 
+  /**
+   * Open the conversation
+   * A new interview gets the orchestrator's opening; one resumed after a
+   * server restart repeats its last AI turn instead of starting over.
+   * @param {Object} session - Interview session
+   */
   async startInterview(session) {
     try {
-      // Get interview details
-      const interview = await query(
-        `SELECT i.*, j.title as job_title, j.required_skills, c.name as candidate_name
-         FROM interviews i
-         JOIN jobs j ON i.job_id = j.id
-         JOIN candidates c ON i.candidate_id = c.id
-         WHERE i.id = $1`,
-        [session.interviewId]
-      );
-
-      const interviewData = interview.rows[0];
+      const { orchestrator } = session;
+      let message;
 
-      // Initialize orchestrator
-      await session.orchestrator.initialize({
-        jobTitle: interviewData.job_title,
-        requiredSkills: interviewData.required_skills,
-        candidateName: interviewData.candidate_name
-      });
-
-      // Get first question
-      const firstQuestion = await session.orchestrator.getNextQuestion();
-      
-      if (firstQuestion) {
-        session.currentQuestion = firstQuestion;
-        session.questionCount = 1;
-
-        // Generate AI voice for the question
-        const audioBuffer = await this.voiceService.textToSpeech(firstQuestion.text);
-
-        // Send question to candidate
-        this.io.to(session.candidateSocketId).emit('ai-question', {
-          questionNumber: session.questionCount,
-          question: firstQuestion.text,
-          audio: audioBuffer.toString('base64'),
-          timestamp: new Date()
-        });
+      if (session.transcript.length === 0) {
+        ({ message } = await orchestrator.startInterview());
+      } else {
+        await orchestrator.loadContext();
+        message = orchestrator.getLastAIMessage();
+      }
 
-        // Add to transcript
-        session.transcript.push({
-          speaker: 'AI',
-          text: firstQuestion.text,
-          timestamp: new Date()
-        });
+      this.syncTranscript(session);
 
-        // Notify HR observers
-        this.notifyHRObservers(session.interviewId, 'transcript-update', {
-          transcript: session.transcript
-        });
+      if (message) {
+        // Send the opening to the candidate (AI voice follows in chunks)
+        await this.sendQuestion(session, message);
       }
 
+      // Notify HR observers
+      this.notifyHRObservers(session.interviewId, 'transcript-update', {
+        transcript: session.transcript
+      });
+
       logger.info(`Interview started: ${session.interviewId}`);
     } catch (error) {
       logger.error('Error starting interview:', error);
@@ -259,88 +297,157 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Mirror the orchestrator's transcript (the stored one) into the session
+   */
+  syncTranscript(session) {
+    session.transcript = session.orchestrator.context?.transcript || session.transcript;
+  }
+
+  /**
+   * Per-session buffer that turns streamed audio into finished answers
+   * @param {Object} session - Interview session
+   * @param {Number} thinkingPauseMs - Silence tolerated before an answer is submitted
+   */
+  createUtteranceBuffer(session, thinkingPauseMs) {
+    return new UtteranceBuffer({
+      thinkingPauseMs,
+      transcribe: (audio, format) => this.voiceService.speechToText(audio, session.language, format),
+      onSpeechStart: () => this.handleBargeIn(session, 'vad'),
+      onPartial: (text) => {
+        this.io.to(session.candidateSocketId).emit('transcription', {
+          text,
+          final: false,
+          timestamp: new Date()
+        });
+      },
+      onUtterance: (text) => this.handleCandidateAnswer(session, text, { voice: true }),
+      onError: () => {
+        this.io.to(session.candidateSocketId).emit('error', { message: 'Failed to process audio' });
+      }
+    });
+  }
+
   async handleCandidateAudio(socket, data) {
-    const { interviewId, audioChunk } = data;
+    const { interviewId, audioChunk, format = 'pcm16', sampleRate, final } = data;
     const session = this.sessions.get(interviewId);
 
-    if (!session || session.isPaused) {
+    // Only the socket that joined with a valid candidate session may answer
+    if (!session || session.isPaused || session.candidateSocketId !== socket.id) {
       return;
     }
 
-    try {
-      // Convert audio to text using Whisper
-      const audioBuffer = Buffer.from(audioChunk, 'base64');
-      const transcription = await this.voiceService.speechToText(audioBuffer);
-
-      if (!transcription || transcription.trim().length === 0) {
-        return; // Ignore empty audio
-      }
-
-      // Add to transcript
-      session.transcript.push({
-        speaker: 'Candidate',
-        text: transcription,
-        timestamp: new Date()
-      });
-
-      // Notify candidate of their transcription
-      this.io.to(session.candidateSocketId).emit('transcription', {
-        text: transcription,
-        timestamp: new Date()
-      });
+    if (format !== 'pcm16' && !UtteranceBuffer.ENCODED_FORMATS.includes(format)) {
+      socket.emit('error', { message: `Unsupported audio format: ${format}` });
+      return;
+    }
 
-      // Process the response with orchestrator
-      await session.orchestrator.processResponse(
-        session.currentQuestion,
-        transcription
-      );
+    try {
+      session.audio.push(Buffer.from(audioChunk || '', 'base64'), { format, sampleRate, final });
+    } catch (error) {
+      logger.error('Error handling candidate audio:', error);
+      socket.emit('error', { message: 'Failed to process audio' });
+    }
+  }
 
-      // Get next question
-      const nextQuestion = await session.orchestrator.getNextQuestion();
+  /**
+   * Queue a finished answer (spoken or typed) for the orchestrator
+   * Answers are processed one at a time, in the order they were given.
+   * @param {Object} session - Interview session
+   * @param {String} text - The answer
+   * @param {Object} options - { voice: answered by voice, so the reply is spoken too }
+   */
+  handleCandidateAnswer(session, text, options = {}) {
+    session.answering = session.answering.then(() => this.processAnswer(session, text, options));
+    return session.answering;
+  }
 
-      if (nextQuestion) {
-        session.currentQuestion = nextQuestion;
-        session.questionCount++;
+  async processAnswer(session, text, options = {}) {
+    const { interviewId } = session;
 
-        // Generate AI voice
-        const audioBuffer = await this.voiceService.textToSpeech(nextQuestion.text);
+    // The interview may have been paused or ended while the answer was waiting
+    if (session.isPaused || session.status !== 'active') {
+      return;
+    }
 
-        // Send to candidate
-        this.io.to(session.candidateSocketId).emit('ai-question', {
-          questionNumber: session.questionCount,
-          question: nextQuestion.text,
-          audio: audioBuffer.toString('base64'),
+    try {
+      if (options.voice) {
+        // Notify candidate of their transcription
+        this.io.to(session.candidateSocketId).emit('transcription', {
+          text,
+          final: true,
           timestamp: new Date()
         });
+      }
 
-        // Add to transcript
-        session.transcript.push({
-          speaker: 'AI',
-          text: nextQuestion.text,
-          timestamp: new Date()
-        });
+      // The orchestrator stores the answer and the reply in the transcript
+      const result = await session.orchestrator.processResponse(text);
+      this.syncTranscript(session);
+
+      if (result.completed) {
+        await this.completeSession(session, result, options);
       } else {
-        // Interview complete
-        await this.endInterview(session);
+        await this.sendQuestion(session, result.message, options);
+
+        // Update HR observers with transcript
+        this.notifyHRObservers(interviewId, 'transcript-update', {
+          transcript: session.transcript
+        });
       }
+    } catch (error) {
+      logger.error('Error handling candidate answer:', error);
+      this.io.to(session.candidateSocketId).emit('error', { message: 'Failed to process answer' });
+    }
+  }
 
-      // Update HR observers with transcript
-      this.notifyHRObservers(interviewId, 'transcript-update', {
-        transcript: session.transcript
-      });
+  handleCandidateBargeIn(socket, data) {
+    const { interviewId, playedMs } = data || {};
+    const session = this.sessions.get(interviewId);
 
-      this.sessions.set(interviewId, session);
-    } catch (error) {
-      logger.error('Error handling candidate audio:', error);
-      socket.emit('error', { message: 'Failed to process audio' });
+    if (!session || session.candidateSocketId !== socket.id) return;
+
+    this.handleBargeIn(session, 'client', playedMs);
+  }
+
+  /**
+   * The candidate started talking while the AI was speaking: stop playback
+   * and record the interruption on the AI turn
+   * @param {Object} session - Interview session
+   * @param {String} source - 'vad' (heard by the server) or 'client'
+   * @param {Number} playedMs - How much of the speech the client had played, if it knows
+   */
+  handleBargeIn(session, source, playedMs = null) {
+    const playback = this.stopPlayback(session, 'barge_in');
+
+    if (!playback) return;
+
+    const interrupted = {
+      at: new Date().toISOString(),
+      source,
+      sentences_sent: playback.sentencesSent,
+      sentences_total: playback.sentencesTotal,
+      played_ms: Number.isFinite(playedMs) ? playedMs : null
+    };
+
+    if (session.transcript[playback.turn]) {
+      session.transcript[playback.turn].interrupted = interrupted;
     }
+
+    TranscriptService.annotate(session.interviewId, playback.turn, { interrupted })
+      .catch(error => logger.error('Error recording barge-in:', error));
+
+    this.notifyHRObservers(session.interviewId, 'transcript-update', {
+      transcript: session.transcript
+    });
+
+    logger.info(`Candidate barged in on interview ${session.interviewId} (${source})`);
   }
 
   async handleCandidateVideoFrame(socket, data) {
     const { interviewId, frameData } = data;
     const session = this.sessions.get(interviewId);
 
-    if (!session) return;
+    if (!session || session.candidateSocketId !== socket.id) return;
 
     // Store frame for vision analysis (optional, can be processed in batches)
     if (!session.videoFrames) {
@@ -364,100 +471,230 @@ class WebSocketService {
     const { interviewId, text } = data;
     const session = this.sessions.get(interviewId);
 
-    if (!session || session.isPaused) {
+    if (!session || session.isPaused || session.candidateSocketId !== socket.id) {
       return;
     }
 
-    try {
-      // Add to transcript
-      session.transcript.push({
-        speaker: 'Candidate',
-        text: text,
-        timestamp: new Date()
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      socket.emit('error', { message: 'Response text required' });
+      return;
+    }
+
+    await this.handleCandidateAnswer(session, text.trim(), { voice: false });
+  }
+
+  /**
+   * End the interview early (HR); answers already queued are processed first
+   * @param {Object} session - Interview session
+   * @param {Object} options - { actor, reason } recorded on the status transition
+   */
+  async endInterview(session, options = {}) {
+    const ending = session.answering.then(async () => {
+      if (session.status !== 'active') return;
+
+      session.status = 'ending';
+      session.audio?.discard();
+      this.stopPlayback(session, 'ended');
+
+      // in_progress/paused -> completed, closing message and queued report
+      const result = await session.orchestrator.endInterview({
+        actor: options.actor,
+        reason: options.reason
       });
+      this.syncTranscript(session);
 
-      // Process with orchestrator
-      await session.orchestrator.processResponse(
-        session.currentQuestion,
-        text
-      );
+      await this.completeSession(session, result, { voice: true });
+    });
 
-      // Get next question
-      const nextQuestion = await session.orchestrator.getNextQuestion();
+    session.answering = ending.catch(() => {});
 
-      if (nextQuestion) {
-        session.currentQuestion = nextQuestion;
-        session.questionCount++;
+    try {
+      await ending;
+    } catch (error) {
+      session.status = 'active';
+      logger.error('Error ending interview:', error);
+      throw error;
+    }
+  }
 
-        // Send to candidate
-        this.io.to(session.candidateSocketId).emit('ai-question', {
-          questionNumber: session.questionCount,
-          question: nextQuestion.text,
-          timestamp: new Date()
-        });
+  /**
+   * Close a finished interview: say goodbye, tell HR the report is queued
+   * @param {Object} session - Interview session
+   * @param {Object} result - Orchestrator result { message (closing), report_status }
+   * @param {Object} options - { voice }
+   */
+  async completeSession(session, result, options = {}) {
+    session.status = 'completed';
+    session.audio?.discard();
+
+    const speech = options.voice
+      ? await this.say(session, result.message)
+      : {};
+
+    // Notify candidate
+    this.io.to(session.candidateSocketId).emit('interview-completed', {
+      message: result.message,
+      ...speech,
+      timestamp: new Date()
+    });
 
-        // Add to transcript
-        session.transcript.push({
-          speaker: 'AI',
-          text: nextQuestion.text,
-          timestamp: new Date()
+    // Notify HR observers
+    this.notifyHRObservers(session.interviewId, 'transcript-update', {
+      transcript: session.transcript
+    });
+    this.notifyHRObservers(session.interviewId, 'interview-completed', {
+      report_status: result.report_status
+    });
+
+    logger.info(`Interview completed: ${session.interviewId}`);
+  }
+
+  /**
+   * Send an AI question: the text straight away, its voice streamed behind it
+   * @param {Object} session - Interview session
+   * @param {String} text - Question (already in the transcript)
+   * @param {Object} options - { voice: false for text-mode answers }
+   */
+  async sendQuestion(session, text, options = {}) {
+    session.currentQuestion = text;
+    session.questionCount++;
+
+    const speech = options.voice === false
+      ? {}
+      : await this.say(session, text);
+
+    this.io.to(session.candidateSocketId).emit('ai-question', {
+      questionNumber: session.questionCount,
+      question: text,
+      ...speech,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * Speak the latest AI turn of the transcript
+   * @returns {Object} { speechId, audioFormat } for the event announcing the text
+   */
+  async say(session, text) {
+    const turn = session.transcript.findLastIndex(message => message.speaker === 'ai');
+    const audioFormat = await this.voiceService.getAudioFormat();
+    const playback = this.speak(session, text, turn);
+
+    return { speechId: playback.speechId, audioFormat };
+  }
+
+  /**
+   * Start streaming the voice of an AI turn, replacing anything still playing
+   * Runs in the background; chunks follow as `ai-audio-chunk` events.
+   * @param {Object} session - Interview session
+   * @param {String} text - What to say
+   * @param {Number} turn - Transcript index of the AI turn (for recording a barge-in)
+   * @returns {Object} Playback state
+   */
+  speak(session, text, turn) {
+    this.stopPlayback(session, 'replaced');
+
+    const sentences = this.voiceService.splitIntoSentences(text);
+    const playback = {
+      speechId: crypto.randomUUID(),
+      turn,
+      sentences,
+      sentencesTotal: sentences.length,
+      sentencesSent: 0,
+      bytesSent: 0,
+      startedAt: null,
+      playsUntil: null,
+      cancelled: false
+    };
+
+    session.playback = playback;
+
+    this.streamSpeech(session, playback).catch((error) => {
+      logger.error('Error streaming speech:', error);
+      if (session.playback === playback) {
+        session.playback = null;
+      }
+      if (!playback.cancelled) {
+        this.io.to(session.candidateSocketId).emit('ai-audio-end', {
+          speechId: playback.speechId,
+          error: 'Speech generation failed'
         });
-      } else {
-        // Interview complete
-        await this.endInterview(session);
       }
+    });
 
-      // Update HR observers
-      this.notifyHRObservers(interviewId, 'transcript-update', {
-        transcript: session.transcript
-      });
+    return playback;
+  }
 
-      this.sessions.set(interviewId, session);
-    } catch (error) {
-      logger.error('Error handling candidate text:', error);
-      socket.emit('error', { message: 'Failed to process text' });
+  /**
+   * Synthesize an AI turn sentence by sentence and send the audio in order
+   * `seq` numbers run across the whole turn so clients can reorder if needed.
+   */
+  async streamSpeech(session, playback) {
+    let seq = 0;
+
+    for (const [index, sentence] of playback.sentences.entries()) {
+      if (playback.cancelled) return;
+
+      const stream = await this.voiceService.textToSpeechStream(sentence, session.language);
+
+      for await (const chunk of stream) {
+        // Leaving the loop closes the stream, so a barge-in stops generation too
+        if (playback.cancelled) return;
+
+        const audio = Buffer.from(chunk);
+        playback.startedAt = playback.startedAt || Date.now();
+        playback.bytesSent += audio.length;
+
+        this.io.to(session.candidateSocketId).emit('ai-audio-chunk', {
+          speechId: playback.speechId,
+          seq: seq++,
+          sentence: index,
+          audio: audio.toString('base64')
+        });
+      }
+
+      playback.sentencesSent = index + 1;
     }
+
+    // The client keeps playing after the last chunk; barge-ins count until it should be done
+    playback.playsUntil = (playback.startedAt || Date.now()) +
+      this.voiceService.estimateAudioDuration(playback.bytesSent) * 1000;
+
+    this.io.to(session.candidateSocketId).emit('ai-audio-end', {
+      speechId: playback.speechId,
+      chunks: seq
+    });
   }
 
-  async endInterview(session) {
-    try {
-      // Generate final report
-      const report = await session.orchestrator.generateReport();
+  /**
+   * Whether the candidate is (probably) still hearing this speech
+   */
+  isPlaying(playback) {
+    if (!playback || playback.cancelled) return false;
 
-      // Update interview in database
-      await query(
-        `UPDATE interviews 
-         SET status = $1, completed_at = NOW(), overall_score = $2, recommendation = $3
-         WHERE id = $4`,
-        ['completed', report.overallScore, report.recommendation, session.interviewId]
-      );
+    return playback.playsUntil === null || Date.now() < playback.playsUntil;
+  }
 
-      // Save transcript
-      await query(
-        'UPDATE interviews SET transcript = $1 WHERE id = $2',
-        [JSON.stringify(session.transcript), session.interviewId]
-      );
+  /**
+   * Cancel the current speech and tell the client to drop what it has queued
+   * @param {Object} session - Interview session
+   * @param {String} reason - barge_in | paused | replaced | ended | disconnected
+   * @returns {Object|null} The stopped playback, if it was still playing
+   */
+  stopPlayback(session, reason) {
+    const playback = session.playback;
+    session.playback = null;
 
-      // Notify candidate
-      this.io.to(session.candidateSocketId).emit('interview-completed', {
-        message: 'Interview completed successfully',
-        report: report
-      });
+    if (!this.isPlaying(playback)) return null;
 
-      // Notify HR observers
-      this.notifyHRObservers(session.interviewId, 'interview-completed', {
-        report: report
-      });
+    playback.cancelled = true;
 
-      // Clean up session
-      session.status = 'completed';
-      this.sessions.set(session.interviewId, session);
+    this.io.to(session.candidateSocketId).emit('ai-audio-stop', {
+      speechId: playback.speechId,
+      reason
+    });
 
-      logger.info(`Interview completed: ${session.interviewId}`);
-    } catch (error) {
-      logger.error('Error ending interview:', error);
-      throw error;
-    }
+    return playback;
   }
 
   // ============================================
@@ -465,7 +702,7 @@ class WebSocketService {
   // ============================================
 
   async handleHRJoin(socket, data) {
-    const { interviewId, hrUserId, hrName, hrEmail } = data;
+    const { interviewId, accessToken } = data;
 
     try {
       const session = this.sessions.get(interviewId);
@@ -475,6 +712,17 @@ class WebSocketService {
         return;
       }
 
+      const hrUser = await this.authenticateHRUser(accessToken, interviewId);
+
+      if (!hrUser) {
+        socket.emit('error', { message: 'Not authorized to observe this interview' });
+        return;
+      }
+
+      const hrUserId = hrUser.id;
+      const hrName = [hrUser.first_name, hrUser.last_name].filter(Boolean).join(' ') || hrUser.email;
+      const hrEmail = hrUser.email;
+
       // Initialize HR observers array if not exists
       if (!session.hrObservers) {
         session.hrObservers = [];
@@ -493,6 +741,7 @@ class WebSocketService {
           userId: hrUserId,
           name: hrName,
           email: hrEmail,
+          role: hrUser.role,
           visible: false,  // Hidden by default
           audio: false,
           video: false,
@@ -538,6 +787,50 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Resolve the company user behind an HR access token
+   * Returns null unless the user belongs to the interview's company and may view interviews.
+   */
+  async authenticateHRUser(accessToken, interviewId) {
+    if (!accessToken) return null;
+
+    let decoded;
+    try {
+      decoded = AuthService.verifyAccessToken(accessToken);
+    } catch (error) {
+      return null;
+    }
+
+    const result = await query(
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.role
+       FROM users u
+       JOIN interviews i ON i.company_id = u.company_id
+       WHERE u.id = $1 AND u.is_active = true AND i.id = $2`,
+      [decoded.userId, interviewId]
+    );
+
+    const user = result.rows[0];
+
+    if (!user || !hasPermission(user.role, 'interviews:read')) {
+      return null;
+    }
+
+    return user;
+  }
+
+  /**
+   * Find the observer behind a socket if their role allows them to control the interview
+   */
+  getControllingObserver(session, socket) {
+    const hrObserver = session.hrObservers?.find(obs => obs.socketId === socket.id);
+
+    if (!hrObserver || !hasPermission(hrObserver.role, 'interviews:write')) {
+      return null;
+    }
+
+    return hrObserver;
+  }
+
   async handleHRReveal(socket, data) {
     const { interviewId } = data;
     const session = this.sessions.get(interviewId);
@@ -705,9 +998,27 @@ class WebSocketService {
 
     if (!session) return;
 
+    const hrObserver = this.getControllingObserver(session, socket);
+
+    if (!hrObserver) {
+      socket.emit('error', { message: 'Not authorized to pause this interview' });
+      return;
+    }
+
     try {
+      // in_progress <-> paused
+      await InterviewStateMachine.transition(interviewId, session.isPaused ? 'resume' : 'pause', {
+        actor: { type: 'user', id: hrObserver.userId }
+      });
+
       session.isPaused = !session.isPaused;
 
+      // Audio from before the pause is not an answer, and the AI stops talking
+      if (session.isPaused) {
+        session.audio?.discard();
+        this.stopPlayback(session, 'paused');
+      }
+
       // Notify candidate
       if (session.candidateSocketId) {
         this.io.to(session.candidateSocketId).emit('interview-paused', {
@@ -737,9 +1048,19 @@ class WebSocketService {
 
     if (!session) return;
 
+    const hrObserver = this.getControllingObserver(session, socket);
+
+    if (!hrObserver) {
+      socket.emit('error', { message: 'Not authorized to end this interview' });
+      return;
+    }
+
     try {
-      // End interview immediately
-      await this.endInterview(session);
+      // End the interview once any answer in progress has been handled
+      await this.endInterview(session, {
+        actor: { type: 'user', id: hrObserver.userId },
+        reason: 'Ended by HR supervisor'
+      });
 
       // Notify candidate
       if (session.candidateSocketId) {
@@ -751,7 +1072,9 @@ class WebSocketService {
       logger.info(`Interview ${interviewId} ended by HR`);
     } catch (error) {
       logger.error('Error in handleHREndInterview:', error);
-      socket.emit('error', { message: 'Failed to end interview' });
+      socket.emit('error', {
+        message: error.name === 'InterviewTransitionError' ? error.message : 'Failed to end interview'
+      });
     }
   }
 
@@ -811,6 +1134,8 @@ class WebSocketService {
       if (session.candidateSocketId === socket.id) {
         logger.info(`Candidate disconnected from interview: ${interviewId}`);
         // Don't delete session, candidate might reconnect
+        session.audio?.discard();
+        this.stopPlayback(session, 'disconnected');
         session.candidateSocketId = null;
       }
 
@@ -847,6 +1172,11 @@ class WebSocketService {
     }
   }
 
+  // Count sessions with an interview still running
+  getActiveSessionCount() {
+    return Array.from(this.sessions.values()).filter(session => session.status === 'active').length;
+  }
+
   // Get active session by interview ID
   getSession(interviewId) {
     return this.sessions.get(interviewId);
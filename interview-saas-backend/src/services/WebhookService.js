@@ -1,6 +1,236 @@
 import fetch from 'node-fetch';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
 import { query } from '../db/index.js';
+import { getQueue } from '../utils/queue.js';
+
+const DELIVERY_QUEUE = 'webhook-deliveries';
+
+// Addresses a webhook may never reach: loopback, private, link-local,
+// carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Error for webhook URLs that must not be delivered to
+ */
+export class WebhookUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookUrlError';
+    this.status = 400;
+  }
+}
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges too
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for delivery sockets, so a host cannot resolve to a
+// public address when checked and a private one when connected to
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new WebhookUrlError(`Webhook host ${hostname} resolves to a private address`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+// JSON Schema fragments for the event catalogue
+const uuid = { type: 'string', format: 'uuid' };
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const number = { type: ['number', 'null'] };
+const dateTime = { type: 'string', format: 'date-time' };
+
+const payloadSchema = (properties) => ({
+  type: 'object',
+  required: Object.keys(properties),
+  properties
+});
+
+/**
+ * Webhook event catalogue
+ * Bump `version` whenever a payload changes shape; receivers get it in
+ * every delivery as `version`.
+ */
+const EVENT_CATALOGUE = [
+  {
+    event: 'interview.created',
+    version: 1,
+    description: 'Triggered when an interview is created',
+    schema: payloadSchema({
+      interview_id: uuid,
+      job_id: uuid,
+      job_title: string,
+      candidate_id: uuid,
+      candidate_email: string,
+      language: string,
+      duration_minutes: { type: 'integer' },
+      invite_url: string,
+      created_at: dateTime
+    })
+  },
+  {
+    event: 'interview.started',
+    version: 1,
+    description: 'Triggered when a candidate starts an interview',
+    schema: payloadSchema({
+      interview_id: uuid,
+      job_id: uuid,
+      candidate_id: uuid,
+      started_at: dateTime
+    })
+  },
+  {
+    event: 'interview.completed',
+    version: 1,
+    description: 'Triggered when an interview is completed',
+    schema: payloadSchema({
+      interview_id: uuid,
+      candidate_email: string,
+      candidate_name: string,
+      job_title: string,
+      overall_score: number,
+      recommendation: nullableString,
+      completed_at: dateTime
+    })
+  },
+  {
+    event: 'interview.cancelled',
+    version: 1,
+    description: 'Triggered when an interview is cancelled',
+    schema: payloadSchema({
+      interview_id: uuid,
+      job_id: uuid,
+      candidate_id: uuid,
+      previous_status: string,
+      cancelled_at: dateTime
+    })
+  },
+  {
+    event: 'interview.status_changed',
+    version: 1,
+    description: 'Triggered on every interview status transition',
+    schema: payloadSchema({
+      interview_id: uuid,
+      from_status: string,
+      to_status: string,
+      action: string,
+      reason: nullableString,
+      changed_at: dateTime
+    })
+  },
+  {
+    event: 'interview.booked',
+    version: 1,
+    description: 'Triggered when a candidate books or moves their interview time slot',
+    schema: payloadSchema({
+      interview_id: uuid,
+      scheduled_start_at: dateTime,
+      scheduled_end_at: dateTime,
+      rebooked: { type: 'boolean' }
+    })
+  },
+  {
+    event: 'invite.accessed',
+    version: 1,
+    description: 'Triggered when a candidate opens their interview invite link',
+    schema: payloadSchema({
+      interview_id: uuid,
+      first_access: { type: 'boolean' },
+      accessed_at: dateTime
+    })
+  },
+  {
+    event: 'report.generated',
+    version: 1,
+    description: 'Triggered when an interview report has been generated',
+    schema: payloadSchema({
+      interview_id: uuid,
+      candidate_email: string,
+      job_title: string,
+      overall_fit: nullableString,
+      overall_score: number,
+      recommendation: nullableString,
+      generated_at: dateTime
+    })
+  },
+  {
+    event: 'candidate.created',
+    version: 1,
+    description: 'Triggered when a candidate is created',
+    schema: payloadSchema({
+      candidate_id: uuid,
+      email: string,
+      full_name: string,
+      source: nullableString,
+      created_at: dateTime
+    })
+  },
+  {
+    event: 'job.created',
+    version: 1,
+    description: 'Triggered when a job is created',
+    schema: payloadSchema({
+      job_id: uuid,
+      title: string,
+      seniority_level: nullableString,
+      required_skills: { type: 'array', items: string },
+      language: string,
+      created_at: dateTime
+    })
+  },
+  {
+    event: 'rubric.activation_requested',
+    version: 1,
+    description: 'Triggered when activating a rubric needs approval from a second user',
+    schema: payloadSchema({
+      request_id: uuid,
+      rubric_id: uuid,
+      job_id: uuid,
+      version: { type: 'integer' },
+      requested_at: dateTime
+    })
+  },
+  {
+    event: 'rubric.activated',
+    version: 1,
+    description: 'Triggered when a rubric becomes the active rubric for a job',
+    schema: payloadSchema({
+      rubric_id: uuid,
+      job_id: uuid,
+      version: { type: 'integer' },
+      activated_at: dateTime
+    })
+  }
+];
 
 /**
  * Webhook Service
@@ -8,33 +238,114 @@ import { query } from '../db/index.js';
  */
 export class WebhookService {
   constructor() {
-    this.retryAttempts = 3;
-    this.retryDelay = 1000; // 1 second
+    // 10 attempts with exponential backoff from 1 minute:
+    // 1m, 2m, 4m ... 256m between tries, roughly 8.5 hours in total
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+    this.backoffDelay = parseInt(process.env.WEBHOOK_BACKOFF_MS) || 60 * 1000;
+    this.queue = null;
+  }
+
+  /**
+   * Generate a new signing secret for a webhook subscription
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Check that a URL is safe to deliver webhooks to
+   * Requires https outside development and rejects hosts that are, or
+   * resolve to, loopback, private or link-local addresses.
+   * @param {String} url - Webhook URL
+   * @throws {WebhookUrlError}
+   */
+  async assertDeliverableUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new WebhookUrlError('Webhook URL is invalid');
+    }
+
+    const allowedProtocols = process.env.NODE_ENV === 'development' ? ['https:', 'http:'] : ['https:'];
+    if (!allowedProtocols.includes(parsed.protocol)) {
+      throw new WebhookUrlError('Webhook URL must use https');
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(a => a.address);
+      } catch (error) {
+        throw new WebhookUrlError(`Webhook host ${hostname} could not be resolved`);
+      }
+    }
+
+    if (addresses.some(isBlockedAddress)) {
+      throw new WebhookUrlError(`Webhook host ${hostname} resolves to a private address`);
+    }
+  }
+
+  /**
+   * Sign a payload
+   * Receivers recompute HMAC-SHA256 over "<timestamp>.<raw body>" with
+   * their copy of the secret and compare it with X-Webhook-Signature.
+   * @param {String} secret - Webhook secret
+   * @param {String|Number} timestamp - Unix timestamp (seconds)
+   * @param {String} body - Raw JSON body
+   */
+  signPayload(secret, timestamp, body) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `sha256=${digest}`;
   }
 
   /**
    * Send webhook
    * @param {String} url - Webhook URL
    * @param {Object} data - Data to send
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (headers, secret)
    */
   async sendWebhook(url, data, options = {}) {
     try {
       logger.info(`Sending webhook to ${url}`);
 
+      await this.assertDeliverableUrl(url);
+
+      const body = JSON.stringify(data);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const signatureHeaders = options.secret
+        ? {
+            'X-Webhook-Timestamp': String(timestamp),
+            'X-Webhook-Signature': this.signPayload(options.secret, timestamp, body)
+          }
+        : {};
+
       const response = await fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'User-Agent': 'InterviewAI-Webhook/1.0',
+          ...(data.event && { 'X-Webhook-Event': data.event }),
+          ...signatureHeaders,
           ...options.headers
         },
-        body: JSON.stringify(data),
+        body,
+        agent: parsedUrl => (parsedUrl.protocol === 'http:' ? httpAgent : httpsAgent),
+        redirect: 'manual',
         timeout: 10000 // 10 second timeout
       });
 
       if (!response.ok) {
-        throw new Error(`Webhook failed with status ${response.status}`);
+        const error = new Error(`Webhook failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
       logger.info('Webhook sent successfully');
@@ -46,31 +357,182 @@ export class WebhookService {
   }
 
   /**
-   * Send webhook with retry logic
-   * @param {String} url - Webhook URL
-   * @param {Object} data - Data to send
+   * Get the delivery queue, creating it on first use
+   */
+  getDeliveryQueue() {
+    if (!this.queue) {
+      this.queue = getQueue(DELIVERY_QUEUE);
+    }
+    return this.queue;
+  }
+
+  /**
+   * Start the background worker that processes queued deliveries
+   * @param {Number} concurrency - Parallel deliveries per process
    */
-  async sendWebhookWithRetry(url, data) {
-    let lastError;
+  startWorker(concurrency = 5) {
+    const queue = this.getDeliveryQueue();
+
+    queue.process(concurrency, async (job) => {
+      return await this.processDelivery(job.data.deliveryId, job.attemptsMade + 1);
+    });
+
+    queue.on('failed', async (job, error) => {
+      if (job.attemptsMade < job.opts.attempts) {
+        return;
+      }
 
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
       try {
-        return await this.sendWebhook(url, data);
-      } catch (error) {
-        lastError = error;
-        logger.warn(`Webhook attempt ${attempt} failed, retrying...`);
-        
-        if (attempt < this.retryAttempts) {
-          await this.delay(this.retryDelay * attempt);
-        }
+        await query(`
+          UPDATE webhook_deliveries
+          SET status = 'dead', last_error = $1, updated_at = NOW()
+          WHERE id = $2
+        `, [error.message, job.data.deliveryId]);
+
+        logger.warn(`Webhook delivery ${job.data.deliveryId} dead-lettered after ${job.attemptsMade} attempts`);
+      } catch (dbError) {
+        logger.error('Failed to dead-letter webhook delivery:', dbError);
+      }
+    });
+
+    this.recoverPendingDeliveries().catch((error) => {
+      logger.error('Failed to recover pending webhook deliveries:', error);
+    });
+
+    logger.info('Webhook delivery worker started');
+  }
+
+  /**
+   * Re-queue deliveries that were persisted but never reached Redis
+   * (e.g. Redis was down when the event fired)
+   */
+  async recoverPendingDeliveries() {
+    const result = await query(`
+      SELECT id FROM webhook_deliveries
+      WHERE status IN ('pending', 'retrying')
+      ORDER BY created_at
+    `);
+
+    for (const row of result.rows) {
+      await this.enqueueDelivery(row.id);
+    }
+
+    if (result.rows.length > 0) {
+      logger.info(`Recovered ${result.rows.length} pending webhook deliveries`);
+    }
+  }
+
+  /**
+   * Add a persisted delivery to the queue
+   * @param {String} deliveryId - webhook_deliveries ID
+   */
+  async enqueueDelivery(deliveryId) {
+    await this.getDeliveryQueue().add(
+      { deliveryId },
+      {
+        jobId: deliveryId, // Bull ignores duplicate job IDs
+        attempts: this.maxAttempts,
+        backoff: { type: 'exponential', delay: this.backoffDelay },
+        removeOnComplete: true,
+        removeOnFail: true
       }
+    );
+  }
+
+  /**
+   * Attempt a single delivery (called by the worker)
+   * Throws on failure so Bull schedules the next attempt.
+   * @param {String} deliveryId - webhook_deliveries ID
+   * @param {Number} attempt - Attempt number (1-based)
+   */
+  async processDelivery(deliveryId, attempt) {
+    const result = await query(`
+      SELECT d.*, w.url, w.secret, w.is_active
+      FROM webhook_deliveries d
+      JOIN webhooks w ON d.webhook_id = w.id
+      WHERE d.id = $1
+    `, [deliveryId]);
+
+    if (result.rows.length === 0) {
+      logger.warn(`Webhook delivery ${deliveryId} no longer exists, skipping`);
+      return { skipped: true };
     }
 
-    throw lastError;
+    const delivery = result.rows[0];
+
+    if (delivery.status === 'delivered') {
+      return { skipped: true };
+    }
+
+    if (!delivery.is_active) {
+      await query(`
+        UPDATE webhook_deliveries SET status = 'cancelled', updated_at = NOW() WHERE id = $1
+      `, [deliveryId]);
+      return { skipped: true };
+    }
+
+    try {
+      const response = await this.sendWebhook(delivery.url, delivery.payload, {
+        secret: delivery.secret
+      });
+
+      await this.logAttempt(delivery, attempt, 'success', response.status, null);
+
+      await query(`
+        UPDATE webhook_deliveries
+        SET status = 'delivered', attempts = $1, delivered_at = NOW(),
+            last_error = NULL, updated_at = NOW()
+        WHERE id = $2
+      `, [attempt, deliveryId]);
+
+      await query(
+        'UPDATE webhooks SET last_triggered_at = NOW() WHERE id = $1',
+        [delivery.webhook_id]
+      );
+
+      return response;
+    } catch (error) {
+      await this.logAttempt(delivery, attempt, 'failed', error.status || null, error.message);
+
+      await query(`
+        UPDATE webhook_deliveries
+        SET status = 'retrying', attempts = $1, last_error = $2, updated_at = NOW()
+        WHERE id = $3
+      `, [attempt, error.message, deliveryId]);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Record a delivery attempt in webhook_logs
+   */
+  async logAttempt(delivery, attempt, status, responseStatus, errorMessage) {
+    await query(`
+      INSERT INTO webhook_logs (
+        webhook_id,
+        delivery_id,
+        attempt,
+        event,
+        status,
+        response_status,
+        error_message,
+        sent_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    `, [
+      delivery.webhook_id,
+      delivery.id,
+      attempt,
+      delivery.event,
+      status,
+      responseStatus,
+      errorMessage
+    ]);
   }
 
   /**
    * Trigger event webhooks
+   * Persists one delivery per subscribed webhook and queues it for the worker.
    * @param {String} companyId - Company ID
    * @param {String} event - Event name
    * @param {Object} payload - Event data
@@ -79,9 +541,9 @@ export class WebhookService {
     try {
       // Get webhooks for this company and event
       const result = await query(`
-        SELECT * FROM webhooks
+        SELECT id FROM webhooks
         WHERE company_id = $1 
-        AND event = $2 
+        AND event_type = $2 
         AND is_active = true
       `, [companyId, event]);
 
@@ -90,101 +552,114 @@ export class WebhookService {
         return;
       }
 
-      // Send to all registered webhooks
-      const promises = result.rows.map(async (webhook) => {
+      const definition = this.getEventDefinition(event);
+      if (!definition) {
+        logger.warn(`Triggering event missing from catalogue: ${event}`);
+      }
+
+      for (const webhook of result.rows) {
         try {
+          const deliveryId = uuidv4();
+
           const webhookPayload = {
             event,
+            version: definition?.version || 1,
             timestamp: new Date().toISOString(),
             data: payload,
-            webhook_id: webhook.id
+            webhook_id: webhook.id,
+            delivery_id: deliveryId
           };
 
-          await this.sendWebhookWithRetry(webhook.url, webhookPayload);
-
-          // Log success
           await query(`
-            INSERT INTO webhook_logs (
-              webhook_id,
-              event,
-              status,
-              response_status,
-              sent_at
-            ) VALUES ($1, $2, $3, $4, NOW())
-          `, [webhook.id, event, 'success', 200]);
+            INSERT INTO webhook_deliveries (id, webhook_id, event, payload)
+            VALUES ($1, $2, $3, $4)
+          `, [deliveryId, webhook.id, event, JSON.stringify(webhookPayload)]);
 
+          await this.enqueueDelivery(deliveryId);
         } catch (error) {
-          // Log failure
-          await query(`
-            INSERT INTO webhook_logs (
-              webhook_id,
-              event,
-              status,
-              error_message,
-              sent_at
-            ) VALUES ($1, $2, $3, $4, NOW())
-          `, [webhook.id, event, 'failed', error.message]);
+          logger.error(`Failed to queue webhook ${webhook.id} for ${event}:`, error);
         }
-      });
+      }
 
-      await Promise.allSettled(promises);
-      logger.info(`Triggered ${promises.length} webhooks for event: ${event}`);
+      logger.info(`Queued ${result.rows.length} webhooks for event: ${event}`);
     } catch (error) {
       logger.error('Trigger event error:', error);
     }
   }
 
   /**
-   * Delay helper
+   * Replay a dead-lettered (or cancelled) delivery
+   * Deliveries that are still queued or already delivered are left alone,
+   * so a replay can never run alongside a live Bull job.
+   * @param {String} deliveryId - webhook_deliveries ID
+   * @returns {Boolean} false if the delivery was not in a replayable state
+   */
+  async replayDelivery(deliveryId) {
+    const result = await query(`
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, last_error = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('dead', 'cancelled')
+      RETURNING id
+    `, [deliveryId]);
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    await this.enqueueDelivery(deliveryId);
+    return true;
+  }
+
+  /**
+   * Send a signed test event to a single webhook
+   * @param {Object} webhook - Webhook row
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async sendTestEvent(webhook) {
+    const payload = {
+      event: 'webhook.test',
+      version: 1,
+      timestamp: new Date().toISOString(),
+      data: {
+        message: 'This is a test delivery',
+        subscribed_event: webhook.event_type
+      },
+      webhook_id: webhook.id
+    };
+
+    try {
+      const response = await this.sendWebhook(webhook.url, payload, {
+        secret: webhook.secret
+      });
+
+      await query(`
+        INSERT INTO webhook_logs (webhook_id, event, status, response_status, sent_at)
+        VALUES ($1, $2, $3, $4, NOW())
+      `, [webhook.id, payload.event, 'success', response.status]);
+
+      return response;
+    } catch (error) {
+      await query(`
+        INSERT INTO webhook_logs (webhook_id, event, status, error_message, sent_at)
+        VALUES ($1, $2, $3, $4, NOW())
+      `, [webhook.id, payload.event, 'failed', error.message]);
+
+      return { success: false, error: error.message };
+    }
   }
 
   /**
    * Get available events
    */
   getAvailableEvents() {
-    return [
-      {
-        event: 'interview.completed',
-        description: 'Triggered when an interview is completed',
-        payload: {
-          interview_id: 'uuid',
-          candidate_email: 'string',
-          job_title: 'string',
-          overall_score: 'number',
-          recommendation: 'string'
-        }
-      },
-      {
-        event: 'interview.created',
-        description: 'Triggered when an interview is created',
-        payload: {
-          interview_id: 'uuid',
-          candidate_email: 'string',
-          job_title: 'string'
-        }
-      },
-      {
-        event: 'candidate.created',
-        description: 'Triggered when a candidate is created',
-        payload: {
-          candidate_id: 'uuid',
-          email: 'string',
-          full_name: 'string'
-        }
-      },
-      {
-        event: 'job.created',
-        description: 'Triggered when a job is created',
-        payload: {
-          job_id: 'uuid',
-          title: 'string',
-          required_skills: 'string'
-        }
-      }
-    ];
+    return EVENT_CATALOGUE;
+  }
+
+  /**
+   * Get a single event definition
+   * @param {String} event - Event name
+   */
+  getEventDefinition(event) {
+    return EVENT_CATALOGUE.find(e => e.event === event) || null;
   }
 }
 
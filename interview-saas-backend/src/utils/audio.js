@@ -0,0 +1,25 @@
+/**
+ * Wrap raw 16-bit mono PCM in a WAV header
+ * @param {Buffer} pcm - 16-bit little-endian samples
+ * @param {Number} sampleRate - Samples per second
+ * @returns {Buffer} WAV file
+ */
+export const pcmToWav = (pcm, sampleRate) => {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+};
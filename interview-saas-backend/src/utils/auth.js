@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
+import crypto from 'crypto';
 
 dotenv.config();
 
@@ -44,15 +45,23 @@ export const comparePassword = async (password, hash) => {
   return await bcrypt.compare(password, hash);
 };
 
+/**
+ * Length of the non-secret key prefix stored in clear for lookup ('iai_' + 8 chars)
+ */
+export const API_KEY_PREFIX_LENGTH = 12;
+
 /**
  * Generate API key
  */
 export const generateApiKey = () => {
-  const prefix = 'sk_live_';
-  const randomPart = Array.from({ length: 32 }, () => 
-    Math.random().toString(36).charAt(2)
-  ).join('');
-  return prefix + randomPart;
+  return `iai_${crypto.randomBytes(32).toString('hex')}`;
+};
+
+/**
+ * Get the lookup prefix of an API key
+ */
+export const getApiKeyPrefix = (apiKey) => {
+  return apiKey.slice(0, API_KEY_PREFIX_LENGTH);
 };
 
 /**
@@ -61,3 +70,10 @@ export const generateApiKey = () => {
 export const hashApiKey = async (apiKey) => {
   return await hashPassword(apiKey);
 };
+
+/**
+ * Compare API key with stored hash
+ */
+export const compareApiKey = async (apiKey, hash) => {
+  return await comparePassword(apiKey, hash);
+};
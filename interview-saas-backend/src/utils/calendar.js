@@ -0,0 +1,93 @@
+/**
+ * iCalendar (.ics) helpers for interview calendar invites
+ */
+
+const PRODUCT_ID = '-//Interview AI//Interview Scheduling//EN';
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20240115T103000Z)
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escape text values (RFC 5545 section 3.3.11)
+ */
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold lines longer than 75 characters onto continuation lines
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+
+  return parts.join('\r\n');
+};
+
+/**
+ * Build a single-event calendar
+ * Re-sending the same `uid` with a higher `sequence` updates the attendee's
+ * existing entry instead of adding a second one; `cancelled` removes it.
+ * @param {Object} event - { uid, sequence, start, end, summary, description, url, organizer: { name, email }, attendees: [{ name, email }], cancelled }
+ * @returns {String} .ics file contents
+ */
+export const buildCalendarEvent = (event) => {
+  const {
+    uid,
+    sequence = 0,
+    start,
+    end,
+    summary,
+    description,
+    url,
+    organizer,
+    attendees = [],
+    cancelled = false
+  } = event;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+
+  if (organizer) {
+    lines.push(`ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`);
+  }
+
+  for (const attendee of attendees) {
+    lines.push(`ATTENDEE;CN=${escapeText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
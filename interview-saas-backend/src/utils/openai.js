@@ -1,12 +1,15 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import LLMProviders from '../providers/llm/index.js';
+import UsageService from '../services/UsageService.js';
+import { logger } from './logger.js';
 
 dotenv.config();
 
-// Initialize OpenAI client
-export const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * OpenAI SDK client for audio and other non-chat calls
+ * Created on first use so servers running only other providers (or the stub) start without a key.
+ */
+export const getOpenAIClient = () => LLMProviders.getProvider('openai').getClient();
 
 // Model configurations
 export const MODELS = {
@@ -19,48 +22,154 @@ export const MODELS = {
 };
 
 /**
- * Make an OpenAI chat completion request
+ * Meter a chat completion against the calling agent
+ */
+const recordChatUsage = (messages, options, response) => {
+  UsageService.record({
+    type: 'llm',
+    agent: options.agent,
+    provider: response.provider,
+    model: response.model,
+    inputTokens: response.usage?.prompt_tokens,
+    outputTokens: response.usage?.completion_tokens,
+    images: UsageService.countImages(messages),
+    metadata: { task: options.task }
+  });
+};
+
+/**
+ * Make a chat completion request through the configured LLM provider
  * @param {Array} messages - Array of message objects
- * @param {Object} options - Additional options (model, temperature, etc.)
+ * @param {Object} options - Additional options (agent, task, model, temperature, etc.)
  */
 export const chatCompletion = async (messages, options = {}) => {
   try {
-    const response = await openai.chat.completions.create({
-      model: options.model || MODELS.GPT4_TURBO,
-      messages,
+    const response = await LLMProviders.complete(messages, {
       temperature: options.temperature || 0.7,
       max_tokens: options.max_tokens || 2000,
       ...options
     });
     
-    return response.choices[0].message.content;
+    recordChatUsage(messages, options, response);
+
+    return response.content;
   } catch (error) {
-    console.error('OpenAI API Error:', error);
-    throw new Error(`OpenAI request failed: ${error.message}`);
+    console.error('LLM API Error:', error);
+    throw new Error(`LLM request failed: ${error.message}`);
   }
 };
 
 /**
- * Make an OpenAI chat completion with JSON response
+ * Agent output that still breaks its contract after the repair budget is spent
+ */
+export class AgentOutputError extends Error {
+  constructor(message, { agent, task, problem, raw } = {}, status = 502) {
+    super(message);
+    this.name = 'AgentOutputError';
+    this.status = status;
+    this.agent = agent;
+    this.task = task;
+    this.problem = problem;
+    this.raw = raw;
+  }
+}
+
+// Repair re-prompts allowed after the first invalid JSON answer
+const REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? 2);
+
+/**
+ * Make a chat completion with JSON response
+ * With a `schema` (see agents/contracts.js) the answer is validated and an
+ * invalid one is sent back to the model with the problems to fix, up to
+ * LLM_REPAIR_ATTEMPTS times, before failing with AgentOutputError.
  * @param {Array} messages - Array of message objects
- * @param {Object} options - Additional options
+ * @param {Object} options - Additional options (schema, jsonMode, agent, task, ...)
+ *   jsonMode: false skips the provider JSON mode for models without it (vision)
+ * @returns {Object} Parsed (and, with a schema, validated) JSON
  */
 export const chatCompletionJSON = async (messages, options = {}) => {
+  const { schema, jsonMode = true, ...completionOptions } = options;
+  let conversation = messages;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await LLMProviders.complete(conversation, {
+        temperature: completionOptions.temperature || 0.7,
+        max_tokens: completionOptions.max_tokens || 2000,
+        ...completionOptions,
+        json: jsonMode
+      });
+    } catch (error) {
+      console.error('LLM JSON API Error:', error);
+      throw new Error(`LLM JSON request failed: ${error.message}`);
+    }
+
+    recordChatUsage(conversation, completionOptions, response);
+
+    const { value, problem } = checkJSONContent(response.content, schema);
+    if (!problem) return value;
+
+    const caller = `${completionOptions.agent || 'unknown'}/${completionOptions.task || 'unknown'}`;
+
+    if (attempt >= REPAIR_ATTEMPTS) {
+      logger.error(`Invalid ${caller} output after ${attempt + 1} attempts: ${problem}`, {
+        raw: response.content
+      });
+      throw new AgentOutputError(`Invalid ${caller} output: ${problem}`, {
+        agent: completionOptions.agent,
+        task: completionOptions.task,
+        problem,
+        raw: response.content
+      });
+    }
+
+    logger.warn(`Repairing ${caller} output (attempt ${attempt + 1}): ${problem}`);
+
+    conversation = [
+      ...messages,
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: `Your previous response was invalid: ${problem}\nReply with the corrected JSON object only, in the format requested above.`
+      }
+    ];
+  }
+};
+
+/**
+ * Parse a JSON answer and check it against an optional Joi contract
+ * @returns {Object} { value } or { problem }
+ */
+const checkJSONContent = (content, schema) => {
+  let parsed;
+  try {
+    parsed = parseJSONContent(content);
+  } catch (error) {
+    return { problem: `not valid JSON (${error.message})` };
+  }
+
+  if (!schema) return { value: parsed };
+
+  const { error, value } = schema.validate(parsed, { abortEarly: false, allowUnknown: true });
+  if (error) {
+    return { problem: error.details.map(detail => detail.message).join('; ') };
+  }
+
+  return { value };
+};
+
+/**
+ * Parse a JSON answer, tolerating prose or code fences around the object
+ * (providers without JSON mode sometimes add them)
+ */
+const parseJSONContent = (content) => {
   try {
-    const response = await openai.chat.completions.create({
-      model: options.model || MODELS.GPT4_TURBO,
-      messages,
-      temperature: options.temperature || 0.7,
-      max_tokens: options.max_tokens || 2000,
-      response_format: { type: "json_object" },
-      ...options
-    });
-    
-    const content = response.choices[0].message.content;
     return JSON.parse(content);
   } catch (error) {
-    console.error('OpenAI JSON API Error:', error);
-    throw new Error(`OpenAI JSON request failed: ${error.message}`);
+    const match = (content || '').match(/\{[\s\S]*\}/);
+    if (!match) throw error;
+    return JSON.parse(match[0]);
   }
 };
 
@@ -71,10 +180,20 @@ export const chatCompletionJSON = async (messages, options = {}) => {
  */
 export const transcribeAudio = async (audioBuffer, language = null) => {
   try {
-    const response = await openai.audio.transcriptions.create({
+    const response = await getOpenAIClient().audio.transcriptions.create({
       file: audioBuffer,
       model: MODELS.WHISPER,
-      language: language || undefined
+      language: language || undefined,
+      // verbose_json reports the audio duration for metering
+      response_format: 'verbose_json'
+    });
+
+    UsageService.record({
+      type: 'transcription',
+      agent: 'voice',
+      provider: 'openai',
+      model: MODELS.WHISPER,
+      audioSeconds: response.duration
     });
     
     return response.text;
@@ -91,8 +210,8 @@ export const transcribeAudio = async (audioBuffer, language = null) => {
  */
 export const analyzeImage = async (imageUrl, prompt) => {
   try {
-    const response = await openai.chat.completions.create({
-      model: MODELS.VISION,
+    const response = await getOpenAIClient().chat.completions.create({
+      model: MODELS.GPT4_VISION,
       messages: [
         {
           role: "user",
@@ -104,6 +223,16 @@ export const analyzeImage = async (imageUrl, prompt) => {
       ],
       max_tokens: 500
     });
+
+    UsageService.record({
+      type: 'llm',
+      agent: 'vision_analysis',
+      provider: 'openai',
+      model: response.model,
+      inputTokens: response.usage?.prompt_tokens,
+      outputTokens: response.usage?.completion_tokens,
+      images: 1
+    });
     
     return response.choices[0].message.content;
   } catch (error) {
@@ -112,4 +241,4 @@ export const analyzeImage = async (imageUrl, prompt) => {
   }
 };
 
-export default openai;
+export default getOpenAIClient;
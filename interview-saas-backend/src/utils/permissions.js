@@ -0,0 +1,96 @@
+/**
+ * Role-based permissions for company users
+ *
+ * Permissions use the same `resource:action` names as API key scopes so a
+ * route can be guarded once for both kinds of caller.
+ */
+
+const ROLES = ['owner', 'admin', 'recruiter', 'hiring_manager', 'viewer'];
+
+const PERMISSIONS = [
+  'jobs:read',
+  'jobs:write',
+  'candidates:read',
+  'candidates:write',
+  'interviews:read',
+  'interviews:write',
+  'rubrics:read',
+  'rubrics:write',
+  'rubrics:approve',
+  'analytics:read',
+  'webhooks:manage',
+  'integrations:manage',
+  'api_keys:manage',
+  'users:manage'
+];
+
+// API keys can do anything a user can except manage people and other keys,
+// and approve rubric activations (that takes a second person)
+const API_KEY_SCOPES = PERMISSIONS.filter(
+  permission => !['users:manage', 'api_keys:manage', 'rubrics:approve'].includes(permission)
+);
+
+const READ_ONLY = [
+  'jobs:read',
+  'candidates:read',
+  'interviews:read',
+  'rubrics:read',
+  'analytics:read'
+];
+
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  admin: PERMISSIONS,
+  recruiter: [
+    ...READ_ONLY,
+    'jobs:write',
+    'candidates:write',
+    'interviews:write',
+    'rubrics:write'
+  ],
+  hiring_manager: [
+    ...READ_ONLY,
+    'interviews:write',
+    'rubrics:approve'
+  ],
+  viewer: READ_ONLY
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {String} role - User role
+ * @param {String} permission - Permission name (resource:action)
+ */
+const hasPermission = (role, permission) => {
+  const granted = ROLE_PERMISSIONS[role];
+  return Array.isArray(granted) && granted.includes(permission);
+};
+
+/**
+ * Check whether an API key's scopes grant a permission
+ * @param {String[]} scopes - Scopes stored on the key
+ * @param {String} permission - Permission name (resource:action)
+ */
+const hasScope = (scopes, permission) => {
+  return Array.isArray(scopes) && scopes.includes(permission);
+};
+
+/**
+ * Check whether `actorRole` may assign `targetRole` to someone.
+ * Only owners can hand out admin; nobody can hand out owner.
+ */
+const canAssignRole = (actorRole, targetRole) => {
+  if (targetRole === 'owner') return false;
+  if (targetRole === 'admin') return actorRole === 'owner';
+  return hasPermission(actorRole, 'users:manage');
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  hasScope,
+  canAssignRole
+};
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+/**
+ * Default price table (USD)
+ * Override or extend with a JSON file of the same shape at USAGE_PRICE_TABLE.
+ * Model names match exactly, then by longest prefix (dated model snapshots).
+ */
+export const DEFAULT_PRICES = {
+  // Per 1K tokens; per_image is charged on top of tokens when set
+  llm: {
+    'gpt-4-turbo-preview': { input_per_1k: 0.01, output_per_1k: 0.03 },
+    'gpt-4-0125-preview': { input_per_1k: 0.01, output_per_1k: 0.03 },
+    'gpt-4-1106-preview': { input_per_1k: 0.01, output_per_1k: 0.03 },
+    'gpt-4-vision-preview': { input_per_1k: 0.01, output_per_1k: 0.03 },
+    'gpt-4-turbo': { input_per_1k: 0.01, output_per_1k: 0.03 },
+    'gpt-4o-mini': { input_per_1k: 0.00015, output_per_1k: 0.0006 },
+    'gpt-4o': { input_per_1k: 0.005, output_per_1k: 0.015 },
+    'gpt-4': { input_per_1k: 0.03, output_per_1k: 0.06 },
+    'gpt-3.5-turbo': { input_per_1k: 0.0005, output_per_1k: 0.0015 },
+    'stub': { input_per_1k: 0, output_per_1k: 0 }
+  },
+  // Per minute of audio
+  transcription: {
+    'whisper-1': { per_minute: 0.006 }
+  },
+  // Per 1K characters of input text
+  speech: {
+    'tts-1': { per_1k_characters: 0.015 },
+    'tts-1-hd': { per_1k_characters: 0.03 }
+  }
+};
+
+const loadPriceTable = () => {
+  const prices = {
+    llm: { ...DEFAULT_PRICES.llm },
+    transcription: { ...DEFAULT_PRICES.transcription },
+    speech: { ...DEFAULT_PRICES.speech }
+  };
+
+  if (!process.env.USAGE_PRICE_TABLE) return prices;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(process.env.USAGE_PRICE_TABLE, 'utf8'));
+
+    for (const type of Object.keys(overrides)) {
+      prices[type] = { ...prices[type], ...overrides[type] };
+    }
+  } catch (error) {
+    logger.error(`Failed to load price table ${process.env.USAGE_PRICE_TABLE}:`, error);
+  }
+
+  return prices;
+};
+
+export const PRICES = loadPriceTable();
+
+/**
+ * Find the price entry for a model
+ * @param {String} type - llm, transcription or speech
+ * @param {String} model - Model name as reported by the provider
+ * @returns {Object|null} Price entry, or null when the model isn't priced
+ */
+export const findPrice = (type, model) => {
+  const table = PRICES[type] || {};
+  if (!model) return null;
+  if (table[model]) return table[model];
+
+  const prefix = Object.keys(table)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? table[prefix] : null;
+};
+
+/**
+ * Cost of a usage record
+ * @param {Object} usage - { type, model, inputTokens, outputTokens, images, audioSeconds, characters }
+ * @returns {Number|null} Cost in USD, or null when the model isn't priced
+ */
+export const calculateCost = (usage) => {
+  const price = findPrice(usage.type, usage.model);
+  if (!price) return null;
+
+  switch (usage.type) {
+    case 'llm':
+      return (usage.inputTokens || 0) / 1000 * (price.input_per_1k || 0)
+        + (usage.outputTokens || 0) / 1000 * (price.output_per_1k || 0)
+        + (usage.images || 0) * (price.per_image || 0);
+    case 'transcription':
+      return (usage.audioSeconds || 0) / 60 * (price.per_minute || 0);
+    case 'speech':
+      return (usage.characters || 0) / 1000 * (price.per_1k_characters || 0);
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,40 @@
+import Queue from 'bull';
+import dotenv from 'dotenv';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+// One Bull queue per name, shared across the process
+const queues = new Map();
+
+/**
+ * Get (or create) a named Bull queue backed by Redis
+ * @param {String} name - Queue name
+ * @param {Object} options - Bull queue options
+ */
+export const getQueue = (name, options = {}) => {
+  if (queues.has(name)) {
+    return queues.get(name);
+  }
+
+  const queue = new Queue(name, REDIS_URL, options);
+
+  queue.on('error', (error) => {
+    logger.error(`Queue ${name} error:`, error);
+  });
+
+  queues.set(name, queue);
+  return queue;
+};
+
+/**
+ * Close all open queues (for graceful shutdown)
+ */
+export const closeQueues = async () => {
+  await Promise.all(Array.from(queues.values()).map(q => q.close()));
+  queues.clear();
+};
+
+export default getQueue;
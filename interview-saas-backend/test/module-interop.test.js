@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * CommonJS -> ES module imports
+ * Routes and a few services are CommonJS; most services are ES modules.
+ * require() of an ES module returns its namespace, so a module's default
+ * export has to be taken with `.default` (named exports can be destructured).
+ */
+
+const SRC = path.join(__dirname, '..', 'src');
+
+const isESModule = (source) => /^(import|export) /m.test(source);
+
+const sourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const file = path.join(dir, entry.name);
+  if (entry.isDirectory()) return sourceFiles(file);
+  return entry.name.endsWith('.js') ? [file] : [];
+});
+
+test('CommonJS modules take ES module default exports with .default', () => {
+  const problems = [];
+
+  for (const file of sourceFiles(SRC)) {
+    const source = fs.readFileSync(file, 'utf8');
+    if (isESModule(source)) continue;
+
+    source.split('\n').forEach((line, index) => {
+      const match = line.match(/^\s*const (\w+) = require\('(\.[^']+)'\)(\.default)?;/);
+      if (!match || match[3]) return;
+
+      const target = require.resolve(match[2], { paths: [path.dirname(file)] });
+      const targetSource = fs.readFileSync(target, 'utf8');
+
+      if (isESModule(targetSource) && /^export default /m.test(targetSource)) {
+        problems.push(`${path.relative(SRC, file)}:${index + 1} ${match[1]}`);
+      }
+    });
+  }
+
+  assert.deepEqual(problems, []);
+});